@@ -0,0 +1,1458 @@
+const express = require('express');
+const cors = require('cors');
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const path = require('path');
+const { createStorage, canStoreSecrets, resolveDriverName } = require('./lib/storage');
+const ledger = require('./lib/ledger');
+const directory = require('./lib/directory');
+const contacts = require('./lib/contacts');
+const expenses = require('./lib/expenses');
+const funds = require('./lib/funds');
+const { HttpError, badRequest, notFound } = require('./lib/errors');
+const { validateDocument } = require('./lib/schema');
+const { migrate } = require('./lib/migrations');
+const fundsDocument = require('./lib/fundsDocument');
+const users = require('./lib/users');
+const audit = require('./lib/audit');
+const spreadsheet = require('./lib/spreadsheet');
+const reports = require('./lib/reports');
+const sharing = require('./lib/sharing');
+const views = require('./lib/views');
+const statements = require('./lib/statements');
+const groups = require('./lib/groups');
+const reminders = require('./lib/reminders');
+const stats = require('./lib/stats');
+const notify = require('./lib/notify');
+const security = require('./lib/security');
+const { createSessionManager } = require('./lib/sessions');
+const { createEventHub } = require('./lib/events');
+const { createMemoryStateStore, createDocumentStateStore, createKvStateStore } = require('./lib/stateStore');
+
+const app = express();
+
+const DEFAULT_ADMIN_KEY = 'TST13ADMIN2025';
+const ADMIN_KEY = process.env.ADMIN_KEY || DEFAULT_ADMIN_KEY;
+const ADMIN_USERNAME = process.env.ADMIN_USERNAME || 'admin';
+const GROUPS_FILE_PATH = process.env.GROUPS_FILE_PATH || 'data/groups.json';
+const DEFAULT_GROUP = groups.defaultSlug();
+const STATE_FILE_PATH = process.env.STATE_FILE_PATH || 'data/state.json';
+const IS_PRODUCTION = process.env.NODE_ENV === 'production';
+// Where login attempts, lockouts and logouts are kept. `memory` only suits a
+// single long-running server. `kv` is Redis over HTTP (Vercel KV, Upstash),
+// picked when KV_REST_API_URL is set, and shared by serverless instances.
+// `storage` uses a storage document, written on every login: not for GitHub,
+// where each write is a commit.
+const STATE_STORE = process.env.STATE_STORE || (process.env.KV_REST_API_URL ? 'kv' : 'memory');
+// Serverless functions are stopped after a few seconds and don't share
+// subscribers, so on Vercel GET /api/events answers 204 and pages poll instead.
+// LIVE_EVENTS=on or off overrides that.
+const LIVE_EVENTS = process.env.LIVE_EVENTS ? process.env.LIVE_EVENTS !== 'off' : !process.env.VERCEL;
+// Other sites allowed to call the API from a browser, besides this one
+const ALLOWED_ORIGINS = security.parseOrigins(process.env.ALLOWED_ORIGINS);
+const JSON_BODY_LIMIT = process.env.JSON_BODY_LIMIT || '200kb';
+// Proxy hops in front of the app (Vercel has one), so req.ip is the client's
+// address rather than the proxy's for rate limiting and lockout
+const TRUST_PROXY = process.env.TRUST_PROXY ? parseInt(process.env.TRUST_PROXY, 10) || 0 : (IS_PRODUCTION ? 1 : 0);
+
+// ADMIN_KEY is only the first owner's password, but a well-known default must
+// never reach a public deployment.
+if (IS_PRODUCTION && ADMIN_KEY === DEFAULT_ADMIN_KEY) {
+    console.error('Refusing to start: set ADMIN_KEY to a private value in production');
+    process.exit(1);
+}
+// ...and it follows the same rule as every other password
+try {
+    users.parsePassword(ADMIN_KEY);
+} catch (error) {
+    console.error(`Refusing to start: ADMIN_KEY is too short. ${error.message}`);
+    process.exit(1);
+}
+
+// Every instance must sign sessions with the same secret for tokens to be
+// accepted across restarts and cold starts.
+if (IS_PRODUCTION && !process.env.SESSION_SECRET) {
+    console.error('Refusing to start: set SESSION_SECRET in production');
+    process.exit(1);
+}
+const SESSION_SECRET = process.env.SESSION_SECRET || crypto.randomBytes(32).toString('hex');
+
+// Password hashes must not be committed next to the funds (see lib/storage)
+if (!canStoreSecrets()) {
+    console.error('Refusing to start: set PRIVATE_GITHUB_REPO to a private repository for users and other secrets');
+    process.exit(1);
+}
+
+const smtpProblem = notify.emailConfigProblem();
+if (smtpProblem) {
+    console.error(`Refusing to start: ${smtpProblem}`);
+    process.exit(1);
+}
+
+const SESSION_TIMEOUT = 30 * 60 * 1000;
+const RATE_LIMIT_WINDOW = 60000;
+const MAX_ATTEMPTS = 5;
+// Snapshots read for statistics when the ledger has no history yet
+const STATS_SNAPSHOTS = 20;
+
+app.disable('x-powered-by');
+app.set('trust proxy', TRUST_PROXY);
+app.use(security.securityHeaders({ hsts: IS_PRODUCTION }));
+app.use(cors((req, callback) => callback(null, {
+    origin: security.isAllowedOrigin(req, req.get('Origin'), ALLOWED_ORIGINS),
+    exposedHeaders: ['ETag'],
+})));
+app.use(security.originGuard(ALLOWED_ORIGINS, security.securityLog));
+app.use(express.json({ limit: JSON_BODY_LIMIT }));
+app.use(express.static('public'));
+
+// ---------------- Groups ----------------
+// Every group has its own funds and users documents and its own live update
+// stream (see lib/groups.js). Routes find theirs on `req.group`.
+const groupsStore = createStorage(GROUPS_FILE_PATH);
+const groupContexts = new Map();
+
+// Resolves with { data, version } of the group registry, which is empty until
+// the first group is added
+async function readGroups() {
+    try {
+        return await groupsStore.read();
+    } catch (error) {
+        if (error.code !== 'ENOENT') throw error;
+        return { data: { groups: {} }, version: null };
+    }
+}
+
+// Title, subtitle, logo and about text of a group, for its pages and printouts
+async function groupBranding(group) {
+    const { data } = await readGroups();
+    return groups.getGroup(data, group.slug);
+}
+
+function groupContext(slug) {
+    if (!groupContexts.has(slug)) {
+        const files = groups.groupFiles(slug);
+        groupContexts.set(slug, {
+            slug,
+            // Prefix of the group's pages: '' for the default group, /g/<slug> otherwise
+            basePath: slug === DEFAULT_GROUP ? '' : `/g/${slug}`,
+            usersFile: files.users,
+            fundsStore: createStorage(files.funds, { snapshots: true }),
+            usersStore: createStorage(files.users, { secret: true }),
+            // Holds the webhook URL and members' contacts in its log
+            remindersStore: createStorage(files.reminders, { secret: true }),
+            contactsStore: createStorage(files.contacts, { secret: true }),
+            events: createEventHub(),
+        });
+    }
+    return groupContexts.get(slug);
+}
+
+// Middleware setting `req.group` from the :slug in the path, or to the default
+// group. Groups can't be removed, so one seen before isn't looked up again.
+async function useGroup(req, res, next) {
+    try {
+        const slug = req.params.slug || DEFAULT_GROUP;
+        if (!groupContexts.has(slug) && slug !== DEFAULT_GROUP) {
+            const { data } = await readGroups();
+            if (!groups.findGroup(data, slug)) {
+                if (req.originalUrl.startsWith('/api/')) throw notFound('Group not found');
+                return res.status(404).send(views.notFoundPage('There is no group here'));
+            }
+        }
+        req.group = groupContext(slug);
+        next();
+    } catch (error) {
+        sendError(res, error, 'Failed to read group');
+    }
+}
+
+// ---------------- Storage ----------------
+const { publicDocument } = fundsDocument;
+
+// Resolves with { data, version } of the group's funds (see lib/fundsDocument.js)
+function readFunds(group) {
+    return fundsDocument.readFunds(group.fundsStore, { contactsStore: group.contactsStore });
+}
+
+// Resolves with the document as of a snapshot, upgraded to the current schema
+async function readSnapshot(group, id) {
+    try {
+        const data = await group.fundsStore.readSnapshot(id);
+        migrate(data);
+        return data;
+    } catch (error) {
+        if (error.code === 'ENOENT') throw notFound('Snapshot not found');
+        throw error;
+    }
+}
+
+// Up to `limit` of the latest snapshots as { timestamp, data }, oldest first.
+// Statistics still work without them, so failures only leave them out.
+async function readRecentSnapshots(group, limit) {
+    try {
+        const list = await group.fundsStore.listSnapshots({ limit });
+        const snapshots = await Promise.all(list.map(async snapshot => ({
+            timestamp: snapshot.timestamp,
+            data: await readSnapshot(group, snapshot.id),
+        })));
+        return snapshots.reverse();
+    } catch (error) {
+        console.error('Error reading snapshots:', error);
+        return [];
+    }
+}
+
+// Replaces funds and summary with those of `incoming`, keeping the server's
+// ledger and audit trail. Member amounts are derived from the ledger, so
+// changed amounts are recorded as adjustments rather than written over.
+// Incoming members are matched to the member directory by id, then by name.
+function replaceFunds(current, incoming, actor) {
+    Object.values(incoming.funds || {}).forEach(funds.withLifecycleDefaults);
+    const linked = directory.linkFunds({ directory: current.directory, funds: incoming.funds }, incoming.directory);
+    const { doc } = ledger.reconcileDocument(current, { funds: linked.funds, summary: incoming.summary }, actor);
+    current.directory = linked.directory;
+    current.funds = doc.funds;
+    current.summary = doc.summary;
+    current.ledger = doc.ledger;
+}
+
+// Resolves with { data, version }. The first read on a fresh install creates
+// an owner account from ADMIN_USERNAME / ADMIN_KEY; other groups get their
+// first owner when they are added.
+async function readUsers(group) {
+    try {
+        return await group.usersStore.read();
+    } catch (error) {
+        if (error.code !== 'ENOENT' || group.slug !== DEFAULT_GROUP) throw error;
+
+        const data = await users.bootstrapUsers(ADMIN_USERNAME, ADMIN_KEY);
+        const version = await group.usersStore.write(data, { message: 'Create admin users' });
+        console.log(`Created owner account "${ADMIN_USERNAME}" in ${group.usersFile}`);
+        return { data, version };
+    }
+}
+
+// Same contract as updateFunds, for the users document. `mutate` may be async.
+async function updateUsers(group, mutate) {
+    const { data, version } = await readUsers(group);
+    const result = await mutate(data);
+    await group.usersStore.write(data, { message: 'Update admin users', version });
+    return result;
+}
+
+// Resolves with { data, version } of the group's reminder settings and send
+// log, which is empty until first changed
+async function readReminders(group) {
+    try {
+        return await group.remindersStore.read();
+    } catch (error) {
+        if (error.code !== 'ENOENT') throw error;
+        return { data: {}, version: null };
+    }
+}
+
+// Same contract as updateUsers, for the reminders document
+async function updateReminders(group, mutate) {
+    const { data, version } = await readReminders(group);
+    const result = mutate(data);
+    await group.remindersStore.write(data, { message: 'Update reminders', version });
+    return result;
+}
+
+// Resolves with the group's member contacts by directory id
+async function readContacts(group) {
+    return (await contacts.readContacts(group.contactsStore)).data.contacts;
+}
+
+// Saves (or, with an empty value, clears) a member's contact and says who did
+// so in the security log, as the value can't go in the funds audit trail.
+// Resolves with the contact.
+async function saveContact(req, id, value) {
+    const saved = await contacts.updateContacts(req.group.contactsStore, doc => {
+        contacts.setContact(doc, id, value);
+        return true;
+    });
+    security.securityLog('member.contact', { group: req.group.slug, username: req.admin.username, member: id });
+    return saved[id] || '';
+}
+
+// ---------------- Shared State ----------------
+if (STATE_STORE === 'storage' && resolveDriverName(process.env) === 'github') {
+    console.warn('STATE_STORE=storage with GitHub commits to the private repo on every login; use a key/value driver');
+}
+function createServerState() {
+    if (STATE_STORE === 'kv') {
+        return createKvStateStore({ url: process.env.KV_REST_API_URL, token: process.env.KV_REST_API_TOKEN });
+    }
+    if (STATE_STORE === 'storage') return createDocumentStateStore(createStorage(STATE_FILE_PATH, { secret: true }));
+    return createMemoryStateStore();
+}
+const serverState = createServerState();
+
+// Each serverless instance has its own memory, so a locked-out account or a
+// logged-out session would still work on the next one
+if (process.env.VERCEL && serverState.name === 'memory') {
+    console.error('Refusing to start: connect a KV store (KV_REST_API_URL, KV_REST_API_TOKEN) so every instance '
+        + 'shares login state');
+    process.exit(1);
+}
+
+// ---------------- Rate Limiting ----------------
+async function checkRateLimit(ip) {
+    let allowed = true;
+    await serverState.update(`login:${ip}`, (attempts = []) => {
+        const now = Date.now();
+        const recentAttempts = attempts.filter(time => now - time < RATE_LIMIT_WINDOW);
+
+        if (recentAttempts.length >= MAX_ATTEMPTS) allowed = false;
+        else recentAttempts.push(now);
+        return recentAttempts;
+    }, RATE_LIMIT_WINDOW);
+    return allowed;
+}
+
+// Accounts are locked for a while after repeated failed logins, keyed by
+// group and username so one group's admins can't lock out another's
+const lockout = security.createLockout({ state: serverState });
+const lockoutKey = (group, username) => `${group.slug}:${String(username || '').trim().toLowerCase().slice(0, 64)}`;
+
+// ---------------- Session Helpers ----------------
+const sessions = createSessionManager({ secret: SESSION_SECRET, ttl: SESSION_TIMEOUT, state: serverState });
+
+// The web app keeps its session in an HttpOnly cookie, one per group, so
+// scripts on the page never see the token
+function sessionCookieName(group) {
+    return group.slug === DEFAULT_GROUP ? 'tst_session' : `tst_session_${group.slug}`;
+}
+
+function setSessionCookie(res, group, token) {
+    res.cookie(sessionCookieName(group), token, {
+        httpOnly: true,
+        sameSite: 'strict',
+        secure: IS_PRODUCTION,
+        maxAge: SESSION_TIMEOUT,
+        path: '/',
+    });
+}
+
+function clearSessionCookie(res, group) {
+    res.clearCookie(sessionCookieName(group), { httpOnly: true, sameSite: 'strict', secure: IS_PRODUCTION, path: '/' });
+}
+
+// What login and refresh answer with. The web app uses the cookie and
+// `csrfToken`; `sessionToken` is only given to API clients that send it as a
+// Bearer token (`withToken`), so scripts on the page can't get one.
+function sessionResponse(res, group, user, { token, sid, expiresIn }, { withToken = false } = {}) {
+    setSessionCookie(res, group, token);
+    res.json({
+        success: true,
+        sessionToken: withToken ? token : undefined,
+        csrfToken: sessions.csrfToken(sid),
+        expiresIn,
+        username: user.username,
+        role: user.role,
+    });
+}
+
+// Resolves with { claims, user } for a valid session of an enabled account of
+// `group`, or null. Disabling an account or changing its role or password sets
+// `sessionsNotBefore`, which ends every token issued before it. Tokens from
+// before groups existed belong to the default group.
+async function verifySession(group, sessionToken) {
+    const claims = await sessions.verify(sessionToken);
+    if (!claims || (claims.grp || DEFAULT_GROUP) !== group.slug) return null;
+
+    const { data } = await readUsers(group);
+    const user = users.findUser(data, claims.sub);
+    if (!user || user.disabled) return null;
+    if (user.sessionsNotBefore && claims.iat < Date.parse(user.sessionsNotBefore)) return null;
+    return { claims, user };
+}
+
+// ---------------- Live Updates ----------------
+// What open pages need to patch themselves after a write: the new version,
+// which fund, member and summary fields changed, and the visitor's copy of
+// every fund that differs from before (null when deleted or no longer public).
+// Events go to everyone, so signed-in pages fetch the funds again instead.
+function changeEvent(before, data, version, changes) {
+    const doc = sharing.visitorDocument(publicDocument(data));
+    const memberFunds = sharing.memberDocument(data).funds;
+    const beforeFunds = before.funds || {};
+    const keys = new Set([...Object.keys(beforeFunds), ...Object.keys(data.funds)]);
+    const touched = [...keys].filter(key => JSON.stringify(beforeFunds[key]) !== JSON.stringify(data.funds[key]));
+    const changed = prefix => changes.some(change => change.type.startsWith(prefix));
+    const isPublic = ({ type, fund }) => type.startsWith('summary.')
+        || (type.startsWith('member.') && Boolean(memberFunds[fund]))
+        || (type.startsWith('fund.') && type !== 'fund.shareToken' && Boolean(doc.funds[fund]));
+
+    return {
+        version,
+        timestamp: new Date().toISOString(),
+        changes: changes.filter(isPublic).map(({ type, fund, id, member }) => ({ type, fund, id, member })),
+        funds: Object.fromEntries(touched.map(key => [key, doc.funds[key] || null])),
+        summary: changed('summary.') ? doc.summary : undefined,
+        directory: changed('directory.') ? doc.directory : undefined,
+        expenses: changed('expense.'),
+    };
+}
+
+// ---------------- Reminders ----------------
+// Builds the group's reminders (see lib/reminders.js) and, unless `dryRun`,
+// sends each on every channel that reaches the member, one at a time, logging
+// each attempt. A failed attempt is logged and retried on the next run.
+// `scheduled` runs also move the schedule on. Resolves with { reminders,
+// held } plus the new `log` entries when sending.
+async function runReminders(group, { actor, dryRun = false, scheduled = false, ...filters }) {
+    const [{ data }, { data: stored }, brand, known] = await Promise.all([
+        readFunds(group),
+        readReminders(group),
+        groupBranding(group),
+        readContacts(group),
+    ]);
+    const settings = reminders.withDefaults(stored);
+    const channels = notify.createChannels(settings, { sender: brand.title });
+    const built = reminders.buildReminders(data, settings, { ...filters, group: brand.title, contacts: known });
+    const planned = built.reminders.map(reminder => ({
+        ...reminder,
+        channels: channels
+            .map(channel => ({ channel: channel.name, to: channel.recipient(reminder) }))
+            .filter(delivery => delivery.to),
+    }));
+    if (dryRun) return { dryRun, reminders: planned, held: built.held };
+    if (!channels.length) throw badRequest('No reminder channel is set up: add a webhook URL or turn on email');
+
+    const log = [];
+    for (const reminder of planned) {
+        for (const delivery of reminder.channels) {
+            let error;
+            try {
+                await channels.find(channel => channel.name === delivery.channel).send(reminder, delivery.to);
+            } catch (failure) {
+                error = failure.message;
+                console.error(`Failed to send ${delivery.channel} reminder to ${reminder.member}:`, error);
+            }
+            log.push(reminders.logEntry(reminder, { ...delivery, error }, actor));
+        }
+    }
+
+    await updateReminders(group, doc => {
+        reminders.appendLog(doc, log);
+        if (scheduled) doc.lastRun = new Date().toISOString();
+    });
+    return { reminders: planned, held: built.held, log };
+}
+
+// ---------------- Route Helpers ----------------
+// Session token from `Authorization: Bearer` or the group's session cookie.
+// Cookies are sent by the browser on its own, so `fromCookie` requests must
+// also prove they come from the app (see hasCsrfToken).
+function requestToken(req) {
+    const header = req.get('Authorization') || '';
+    if (header.startsWith('Bearer ')) return { token: header.substring(7).trim(), fromCookie: false };
+    const token = security.parseCookies(req.get('Cookie'))[sessionCookieName(req.group)];
+    return { token, fromCookie: Boolean(token) };
+}
+
+// Whether a state-changing request authenticated by cookie carries the
+// session's CSRF token in X-CSRF-Token
+function hasCsrfToken(req, fromCookie, claims) {
+    if (!fromCookie || security.SAFE_METHODS.includes(req.method)) return true;
+    if (security.safeEqual(req.get('X-CSRF-Token'), sessions.csrfToken(claims.sid))) return true;
+    security.securityLog('csrf.rejected', {
+        level: 'warn',
+        group: req.group.slug,
+        username: claims.sub,
+        method: req.method,
+        path: req.originalUrl,
+        ip: clientIp(req),
+    });
+    return false;
+}
+
+// Whether the request carries a valid session. Visitors without one only see
+// public funds, and only the totals of totals-only ones (see lib/sharing.js).
+async function isSignedIn(req) {
+    return Boolean(await verifySession(req.group, requestToken(req).token));
+}
+
+function clientIp(req) {
+    return req.ip || req.connection.remoteAddress;
+}
+
+// Middleware allowing only sessions whose role is at least `role`
+function requireRole(role) {
+    return async (req, res, next) => {
+        try {
+            const { token, fromCookie } = requestToken(req);
+            const session = await verifySession(req.group, token);
+            if (!session) {
+                return res.status(401).json({ error: 'Unauthorized - Invalid or expired session' });
+            }
+            if (!hasCsrfToken(req, fromCookie, session.claims)) {
+                return res.status(403).json({ error: 'Missing or invalid CSRF token' });
+            }
+            if (!users.hasRole(session.user.role, role)) {
+                return res.status(403).json({ error: `Forbidden - requires ${role} role` });
+            }
+            req.admin = {
+                ref: session.claims.sid,
+                username: session.user.username,
+                role: session.user.role,
+                claims: session.claims,
+            };
+            next();
+        } catch (error) {
+            sendError(res, error, 'Failed to verify session');
+        }
+    };
+}
+
+function sendError(res, error, message) {
+    if (error instanceof HttpError) {
+        const body = { error: error.message };
+        if (error.details) body.details = error.details;
+        return res.status(error.status).json(body);
+    }
+    console.error(`${message}:`, error);
+    res.status(500).json({ error: message });
+}
+
+// ETags of the funds name the view as well as the version, so a page never
+// keeps a copy cached for someone who has since signed in or out
+function viewTag(version, signedIn) {
+    return `${version}-${signedIn ? 'admin' : 'public'}`;
+}
+
+// Version the client based its edit on, from `If-Match` or a `version` field
+function requestedVersion(req) {
+    const header = req.get('If-Match');
+    if (header) return header.replace(/^W\//, '').replace(/"/g, '').trim().replace(/-(admin|public)$/, '');
+    return req.body && req.body.version;
+}
+
+// Whether `If-None-Match` names `tag`. Checked by hand because fetch adds
+// `Cache-Control: no-cache` to such requests, which Express treats as stale.
+function isNotModified(req, tag) {
+    const header = req.get('If-None-Match') || '';
+    return header.split(',').some(entry => entry.trim().replace(/^W\//, '').replace(/"/g, '') === tag);
+}
+
+// Read-modify-write of the funds document on behalf of the signed-in user (see
+// fundsDocument.updateFunds). The client must say which version it last saw,
+// and open pages are told about whatever changed. `mutate` changes the
+// document in place and its return value is passed back to the route.
+// `revertOf` is the audit entry or snapshot the change undoes. The audit
+// trail is saved with the funds, so the address the change came from is only
+// written to the security log, with the id of its audit entry.
+async function updateFunds(req, res, mutate, { dryRun = false, revertOf } = {}) {
+    const expected = dryRun ? '*' : requestedVersion(req);
+    if (!expected) throw new HttpError(428, 'Missing If-Match header or version');
+
+    const update = await fundsDocument.updateFunds(req.group.fundsStore, mutate, {
+        version: expected,
+        actor: req.admin.username,
+        action: `${req.method} ${req.originalUrl}`,
+        revertOf,
+        dryRun,
+        contactsStore: req.group.contactsStore,
+    });
+    if (dryRun) return update;
+
+    const { before, data, version, changes, entry } = update;
+    if (entry) {
+        security.securityLog('funds.changed', {
+            group: req.group.slug,
+            username: req.admin.username,
+            audit: entry.id,
+            ip: clientIp(req),
+        });
+    }
+    res.set('ETag', `"${viewTag(version, true)}"`);
+    if (changes.length) req.group.events.publish('change', changeEvent(before, data, version, changes));
+    return update.result;
+}
+
+// ---------------- API Routes ----------------
+// Mounted at /api for the default group and at /api/g/<slug> for the others
+const api = express.Router({ mergeParams: true });
+
+// Stream of `change` events, one per saved edit (see changeEvent). Pages that
+// can't keep the stream open, or get a 204 when LIVE_EVENTS is off, poll
+// GET /api/funds with If-None-Match instead.
+api.get('/events', (req, res) => {
+    if (!LIVE_EVENTS) return res.status(204).end();
+    req.group.events.subscribe(req, res);
+});
+
+// Get funds, optionally only those with ?status=open,closed and/or in
+// ?period=2026-10 (a prefix of the period label, so ?period=2026 works too).
+// A matching If-None-Match gets a 304. Private and link-only funds are only
+// listed for signed-in users.
+api.get('/funds', async (req, res) => {
+    try {
+        const { data, version } = await readFunds(req.group);
+        const signedIn = await isSignedIn(req);
+        const tag = viewTag(version, signedIn);
+        res.set({ ETag: `"${tag}"`, Vary: 'Cookie, Authorization', 'Cache-Control': 'private, no-cache' });
+        if (isNotModified(req, tag)) return res.status(304).end();
+
+        const doc = signedIn ? publicDocument(data) : sharing.visitorDocument(publicDocument(data));
+        const statuses = req.query.status ? String(req.query.status).split(',') : null;
+        const period = req.query.period ? String(req.query.period).toUpperCase() : null;
+        if (statuses || period) {
+            doc.funds = Object.fromEntries(Object.entries(doc.funds).filter(([, fund]) => (
+                (!statuses || statuses.includes(fund.status))
+                && (!period || String(fund.period || '').startsWith(period))
+            )));
+        }
+        res.json(doc);
+    } catch (error) {
+        console.error('Error loading funds:', error);
+        res.status(500).json({ error: 'Failed to read funds' });
+    }
+});
+
+// Update funds
+api.post('/funds', requireRole('treasurer'), async (req, res) => {
+    try {
+        const incoming = req.body.data;
+        const errors = validateDocument(publicDocument(incoming || {}));
+        if (errors.length) throw badRequest('Invalid funds document', errors);
+
+        await updateFunds(req, res, current => replaceFunds(current, incoming, req.admin));
+        res.json({ success: true, message: 'Funds updated successfully' });
+    } catch (error) {
+        sendError(res, error, 'Failed to update funds');
+    }
+});
+
+// A fund opened from its share link, as visitors see it
+api.get('/shared/:shareToken', async (req, res) => {
+    try {
+        const { data } = await readFunds(req.group);
+        const shared = sharing.findShared(data, req.params.shareToken);
+        if (!shared) throw notFound('Fund not found');
+
+        const [key, fund] = shared;
+        res.json({ key, fund: sharing.publicFund(key, fund) });
+    } catch (error) {
+        sendError(res, error, 'Failed to read fund');
+    }
+});
+
+// Contribution history for a fund, optionally for a single member
+api.get('/funds/:key/ledger', async (req, res) => {
+    try {
+        const { data } = await readFunds(req.group);
+        const visible = await isSignedIn(req) ? data : sharing.memberDocument(data);
+        if (!visible.funds || !visible.funds[req.params.key]) {
+            return res.status(404).json({ error: 'Fund not found' });
+        }
+
+        const entries = ledger.getLedger(data, req.params.key, req.query.member);
+        res.json({ fund: req.params.key, entries });
+    } catch (error) {
+        console.error('Error loading ledger:', error);
+        res.status(500).json({ error: 'Failed to read ledger' });
+    }
+});
+
+// Record a payment
+api.post('/funds/:key/contributions', requireRole('treasurer'), async (req, res) => {
+    try {
+        const result = await updateFunds(req, res, data => (
+            funds.recordPayment(data, req.params.key, req.body, req.admin)
+        ));
+        res.status(201).json({ success: true, ...result });
+    } catch (error) {
+        sendError(res, error, 'Failed to record contribution');
+    }
+});
+
+// Create a fund
+api.post('/funds/:key', requireRole('treasurer'), async (req, res) => {
+    try {
+        const fund = await updateFunds(req, res, data => funds.createFund(data, req.params.key, req.body));
+        res.status(201).json({ success: true, key: req.params.key, fund });
+    } catch (error) {
+        sendError(res, error, 'Failed to create fund');
+    }
+});
+
+// Rename a fund, change its target, status, due date or recurrence
+api.patch('/funds/:key', requireRole('treasurer'), async (req, res) => {
+    try {
+        const fund = await updateFunds(req, res, data => funds.updateFund(data, req.params.key, req.body));
+        res.json({ success: true, key: req.params.key, fund });
+    } catch (error) {
+        sendError(res, error, 'Failed to update fund');
+    }
+});
+
+// Close a recurring fund's period and open the next one
+api.post('/funds/:key/next-period', requireRole('treasurer'), async (req, res) => {
+    try {
+        const next = await updateFunds(req, res, data => funds.startNextPeriod(data, req.params.key, req.admin));
+        res.status(201).json({ success: true, ...next });
+    } catch (error) {
+        sendError(res, error, 'Failed to start the next period');
+    }
+});
+
+// Give a fund a new share link (/f/<shareToken>); the old one stops working
+api.post('/funds/:key/share-link', requireRole('treasurer'), async (req, res) => {
+    try {
+        const fund = await updateFunds(req, res, data => funds.rotateShareToken(data, req.params.key));
+        res.status(201).json({
+            success: true,
+            shareToken: fund.shareToken,
+            path: `${req.group.basePath}/f/${fund.shareToken}`,
+        });
+    } catch (error) {
+        sendError(res, error, 'Failed to create share link');
+    }
+});
+
+// Delete a fund
+api.delete('/funds/:key', requireRole('treasurer'), async (req, res) => {
+    try {
+        await updateFunds(req, res, data => funds.deleteFund(data, req.params.key, req.admin));
+        res.json({ success: true });
+    } catch (error) {
+        sendError(res, error, 'Failed to delete fund');
+    }
+});
+
+// Add a member to a fund
+api.post('/funds/:key/members', requireRole('treasurer'), async (req, res) => {
+    try {
+        const member = await updateFunds(req, res, data => (
+            funds.addMember(data, req.params.key, req.body, req.admin)
+        ));
+        res.status(201).json({ success: true, member });
+    } catch (error) {
+        sendError(res, error, 'Failed to add member');
+    }
+});
+
+// Rename a member or set their amount
+api.patch('/funds/:key/members/:name', requireRole('treasurer'), async (req, res) => {
+    try {
+        const member = await updateFunds(req, res, data => (
+            funds.updateMember(data, req.params.key, req.params.name, req.body, req.admin)
+        ));
+        res.json({ success: true, member });
+    } catch (error) {
+        sendError(res, error, 'Failed to update member');
+    }
+});
+
+// Remove a member from a fund
+api.delete('/funds/:key/members/:name', requireRole('treasurer'), async (req, res) => {
+    try {
+        await updateFunds(req, res, data => (
+            funds.removeMember(data, req.params.key, req.params.name, req.admin)
+        ));
+        res.json({ success: true });
+    } catch (error) {
+        sendError(res, error, 'Failed to remove member');
+    }
+});
+
+// Edit the P.MAN / HAWAK summary
+api.patch('/summary', requireRole('treasurer'), async (req, res) => {
+    try {
+        const summary = await updateFunds(req, res, data => funds.updateSummary(data, req.body));
+        res.json({ success: true, summary });
+    } catch (error) {
+        sendError(res, error, 'Failed to update summary');
+    }
+});
+
+// Expenses, newest first (?fund=)
+api.get('/expenses', async (req, res) => {
+    try {
+        const { data } = await readFunds(req.group);
+        const list = expenses.listExpenses(data, { fund: req.query.fund });
+        if (await isSignedIn(req)) return res.json({ expenses: list });
+
+        const listed = sharing.listedFunds(data.funds);
+        res.json({ expenses: list.filter(expense => listed[expense.fund]) });
+    } catch (error) {
+        sendError(res, error, 'Failed to read expenses');
+    }
+});
+
+// Record money spent from a fund
+api.post('/expenses', requireRole('treasurer'), async (req, res) => {
+    try {
+        const expense = await updateFunds(req, res, data => expenses.addExpense(data, req.body, req.admin));
+        res.status(201).json({ success: true, expense });
+    } catch (error) {
+        sendError(res, error, 'Failed to add expense');
+    }
+});
+
+api.patch('/expenses/:id', requireRole('treasurer'), async (req, res) => {
+    try {
+        const expense = await updateFunds(req, res, data => expenses.updateExpense(data, req.params.id, req.body));
+        res.json({ success: true, expense });
+    } catch (error) {
+        sendError(res, error, 'Failed to update expense');
+    }
+});
+
+api.delete('/expenses/:id', requireRole('treasurer'), async (req, res) => {
+    try {
+        await updateFunds(req, res, data => expenses.deleteExpense(data, req.params.id));
+        res.json({ success: true });
+    } catch (error) {
+        sendError(res, error, 'Failed to delete expense');
+    }
+});
+
+// Member directory shared by all funds (?active=true|false). Contact details
+// are only included for signed-in users, and visitors only see the members of
+// funds whose members are public.
+api.get('/members', async (req, res) => {
+    try {
+        const { data } = await readFunds(req.group);
+        const active = req.query.active === undefined ? undefined : req.query.active === 'true';
+        const includeContact = await isSignedIn(req);
+        const doc = includeContact ? data : sharing.memberDocument(data);
+        const known = includeContact ? await readContacts(req.group) : undefined;
+        res.json({ members: directory.listMembers(doc, { contacts: known, active }) });
+    } catch (error) {
+        sendError(res, error, 'Failed to read member directory');
+    }
+});
+
+// Member profile: contributions and balances across every fund
+api.get('/members/:id', async (req, res) => {
+    try {
+        const { data } = await readFunds(req.group);
+        const includeContact = await isSignedIn(req);
+        const doc = includeContact ? data : sharing.memberDocument(data);
+        const member = directory.getMember(doc, req.params.id);
+        const contact = includeContact ? (await readContacts(req.group))[req.params.id] || '' : undefined;
+        res.json({
+            id: req.params.id,
+            ...member,
+            ...(includeContact ? { contact } : {}),
+            ...reports.memberProfile(doc, req.params.id),
+        });
+    } catch (error) {
+        sendError(res, error, 'Failed to read member');
+    }
+});
+
+// Add someone to the directory without putting them in a fund
+api.post('/members', requireRole('treasurer'), async (req, res) => {
+    try {
+        const contact = contacts.parseContact(req.body.contact);
+        const member = await updateFunds(req, res, data => directory.createMember(data, req.body));
+        member.contact = contact ? await saveContact(req, member.id, contact) : '';
+        res.status(201).json({ success: true, member });
+    } catch (error) {
+        sendError(res, error, 'Failed to add member');
+    }
+});
+
+// Rename (in every fund), set nickname / contact, or (de)activate a member.
+// A contact alone is saved to the contacts document without touching the funds.
+api.patch('/members/:id', requireRole('treasurer'), async (req, res) => {
+    try {
+        const { contact } = req.body;
+        const inDirectory = ['name', 'nickname', 'active'].some(field => req.body[field] !== undefined);
+        if (!inDirectory && contact === undefined) throw badRequest('Nothing to update');
+        if (contact !== undefined) contacts.parseContact(contact);
+
+        const member = inDirectory
+            ? await updateFunds(req, res, data => directory.updateMember(data, req.params.id, req.body))
+            : { id: req.params.id, ...directory.getMember((await readFunds(req.group)).data, req.params.id) };
+        if (contact !== undefined) member.contact = await saveContact(req, member.id, contact);
+        res.json({ success: true, member });
+    } catch (error) {
+        sendError(res, error, 'Failed to update member');
+    }
+});
+
+// Audit trail, newest first, filtered by ?fund=&member=&from=&to=&limit=
+api.get('/audit', requireRole('viewer'), async (req, res) => {
+    try {
+        const { data } = await readFunds(req.group);
+        const { fund, member, from, to } = req.query;
+        const limit = Math.min(parseInt(req.query.limit, 10) || 100, 500);
+        res.json({ entries: audit.query(data, { fund, member, from, to, limit }) });
+    } catch (error) {
+        sendError(res, error, 'Failed to read audit log');
+    }
+});
+
+// Undo a single audit entry (recorded as a new change)
+api.post('/audit/:id/revert', requireRole('treasurer'), async (req, res) => {
+    try {
+        const entry = await updateFunds(req, res, data => audit.revert(data, req.params.id, req.admin), {
+            revertOf: req.params.id,
+        });
+        res.json({ success: true, reverted: entry.id });
+    } catch (error) {
+        sendError(res, error, 'Failed to revert change');
+    }
+});
+
+// Saved versions of the funds document, newest first (?limit=&until=)
+api.get('/snapshots', requireRole('viewer'), async (req, res) => {
+    try {
+        const limit = Math.min(parseInt(req.query.limit, 10) || 30, 100);
+        const snapshots = await req.group.fundsStore.listSnapshots({ limit, until: req.query.until });
+        res.json({ storage: req.group.fundsStore.name, snapshots });
+    } catch (error) {
+        sendError(res, error, 'Failed to list snapshots');
+    }
+});
+
+// What changed between two snapshots (?from=&to=, `to` defaults to now)
+api.get('/snapshots/compare', requireRole('viewer'), async (req, res) => {
+    try {
+        if (!req.query.from) throw badRequest('from is required');
+        const from = await readSnapshot(req.group, req.query.from);
+        const to = req.query.to ? await readSnapshot(req.group, req.query.to) : (await readFunds(req.group)).data;
+        res.json({ from: req.query.from, to: req.query.to || 'current', changes: audit.diffDocuments(from, to) });
+    } catch (error) {
+        sendError(res, error, 'Failed to compare snapshots');
+    }
+});
+
+// The funds document as it was at a date
+api.get('/snapshots/at/:date', requireRole('viewer'), async (req, res) => {
+    try {
+        if (Number.isNaN(Date.parse(req.params.date))) throw badRequest('Invalid date');
+        const [snapshot] = await req.group.fundsStore.listSnapshots({ limit: 1, until: req.params.date });
+        if (!snapshot) throw notFound('No snapshot at or before that date');
+
+        res.json({ snapshot, data: publicDocument(await readSnapshot(req.group, snapshot.id)) });
+    } catch (error) {
+        sendError(res, error, 'Failed to read snapshot');
+    }
+});
+
+// The funds document as of one snapshot
+api.get('/snapshots/:id', requireRole('viewer'), async (req, res) => {
+    try {
+        res.json({ id: req.params.id, data: publicDocument(await readSnapshot(req.group, req.params.id)) });
+    } catch (error) {
+        sendError(res, error, 'Failed to read snapshot');
+    }
+});
+
+// Bring back the funds and summary of a snapshot, saved as a new change
+api.post('/snapshots/:id/restore', requireRole('treasurer'), async (req, res) => {
+    try {
+        const snapshot = await readSnapshot(req.group, req.params.id);
+        await updateFunds(req, res, current => replaceFunds(current, snapshot, req.admin), { revertOf: req.params.id });
+        res.json({ success: true, restored: req.params.id });
+    } catch (error) {
+        sendError(res, error, 'Failed to restore snapshot');
+    }
+});
+
+// Balances against each fund's target and who still owes across funds
+api.get('/reports/outstanding', async (req, res) => {
+    try {
+        const { data } = await readFunds(req.group);
+        res.json(reports.outstandingReport(await isSignedIn(req) ? data : sharing.memberDocument(data)));
+    } catch (error) {
+        sendError(res, error, 'Failed to build outstanding report');
+    }
+});
+
+// Cash on hand per fund (contributions minus expenses) against the recorded
+// P.MAN / HAWAK amounts. Visitors get it for the public funds and their
+// expenses only, so the totals give nothing away about the hidden ones.
+api.get('/reports/reconciliation', async (req, res) => {
+    try {
+        const { data } = await readFunds(req.group);
+        if (await isSignedIn(req)) return res.json(reports.reconciliation(data));
+
+        const doc = sharing.visitorDocument(data);
+        const expenses = (data.expenses || []).filter(expense => doc.funds[expense.fund]);
+        res.json(reports.reconciliation({ ...doc, expenses }));
+    } catch (error) {
+        sendError(res, error, 'Failed to build reconciliation');
+    }
+});
+
+// Collection over time, completion, top and late contributors and days to
+// pay. Without ledger history the last STATS_SNAPSHOTS snapshots are used.
+api.get('/reports/stats', async (req, res) => {
+    try {
+        const { data } = await readFunds(req.group);
+        const doc = await isSignedIn(req) ? data : sharing.memberDocument(data);
+        const snapshots = stats.hasLedgerHistory(doc) ? [] : await readRecentSnapshots(req.group, STATS_SNAPSHOTS);
+        res.json(stats.contributionStats(doc, { snapshots }));
+    } catch (error) {
+        sendError(res, error, 'Failed to build statistics');
+    }
+});
+
+// Spreadsheet export (?format=csv|json, csv also takes ?table=members|funds|summary)
+api.get('/export', async (req, res) => {
+    try {
+        const { data: stored } = await readFunds(req.group);
+        const data = await isSignedIn(req) ? stored : sharing.memberDocument(stored);
+        const format = req.query.format || 'csv';
+        const date = new Date().toISOString().substring(0, 10);
+
+        if (format === 'json') return res.json(spreadsheet.exportJson(data));
+        if (format !== 'csv') throw badRequest('format must be csv or json');
+
+        const body = spreadsheet.exportCsv(data, req.query.table);
+        const name = req.query.table ? `funds-${req.query.table}-${date}.csv` : `funds-${date}.csv`;
+        res.set('Content-Type', 'text/csv; charset=utf-8');
+        res.set('Content-Disposition', `attachment; filename="${name}"`);
+        res.send(body);
+    } catch (error) {
+        sendError(res, error, 'Failed to export funds');
+    }
+});
+
+// Printable page (?format=html, the default), PDF download or the figures as
+// JSON. Receipts and statements name members, so they are never cached.
+function sendPrintable(res, format, { data, html, pdf, filename }) {
+    if (!['html', 'pdf', 'json'].includes(format)) throw badRequest('format must be html, pdf or json');
+    res.set('Cache-Control', 'no-store');
+    if (format === 'json') return res.json(data);
+    if (format === 'html') return res.type('html').send(html());
+
+    res.set('Content-Type', 'application/pdf');
+    res.set('Content-Disposition', `attachment; filename="${filename}"`);
+    res.send(pdf());
+}
+
+// Receipt for a recorded payment, by ledger entry id
+api.get('/receipts/:id', async (req, res) => {
+    try {
+        const { data } = await readFunds(req.group);
+        const doc = await isSignedIn(req) ? data : sharing.memberDocument(data);
+        const receipt = statements.buildReceipt(doc, req.params.id, { group: req.group.slug });
+        const brand = await groupBranding(req.group);
+        sendPrintable(res, req.query.format || 'html', {
+            data: receipt,
+            html: () => views.receiptPage(receipt, brand),
+            pdf: () => statements.receiptPdf(receipt, brand),
+            filename: `receipt-${receipt.number}.pdf`,
+        });
+    } catch (error) {
+        sendError(res, error, 'Failed to make receipt');
+    }
+});
+
+// Statement of a member (?member=<directory id>) or a fund (?fund=<key>), or
+// of a member in one fund, between ?from= and ?to= (YYYY-MM-DD, both optional)
+api.get('/statements', async (req, res) => {
+    try {
+        const { data } = await readFunds(req.group);
+        const doc = await isSignedIn(req) ? data : sharing.memberDocument(data);
+        const statement = statements.buildStatement(doc, req.query, { group: req.group.slug });
+        const name = [statement.member, statement.fund, statement.from, statement.to].filter(Boolean).join('-');
+        const brand = await groupBranding(req.group);
+        sendPrintable(res, req.query.format || 'html', {
+            data: statement,
+            html: () => views.statementPage(statement, brand),
+            pdf: () => statements.statementPdf(statement, brand),
+            filename: `statement-${name}.pdf`,
+        });
+    } catch (error) {
+        sendError(res, error, 'Failed to make statement');
+    }
+});
+
+// Import member amounts from CSV. Without `dryRun: false` nothing is written
+// and the changes it would make are returned with the version they were
+// computed against, to send back as If-Match when applying.
+api.post('/import', requireRole('treasurer'), async (req, res) => {
+    try {
+        if (typeof req.body.csv !== 'string') throw badRequest('csv is required');
+
+        const dryRun = req.body.dryRun !== false;
+        const update = await updateFunds(req, res, data => (
+            spreadsheet.applyImport(data, spreadsheet.parseImport(req.body.csv, data), req.admin)
+        ), { dryRun });
+        if (dryRun) return res.json({ dryRun, version: update.version, rows: update.result, changes: update.changes });
+        res.json({ success: true, rows: update });
+    } catch (error) {
+        sendError(res, error, 'Failed to import CSV');
+    }
+});
+
+// Admin login. Sets the session cookie; API clients send `bearer: true` to
+// also get the token.
+api.post('/admin/login', async (req, res) => {
+    const { username, password, bearer } = req.body;
+    const ip = clientIp(req);
+    const key = lockoutKey(req.group, username);
+    const event = { group: req.group.slug, username: key.slice(req.group.slug.length + 1), ip };
+
+    try {
+        if (!await checkRateLimit(ip)) {
+            security.securityLog('login.rateLimited', { level: 'warn', ...event });
+            return res.status(429).json({ error: 'Too many login attempts' });
+        }
+
+        // A locked account isn't even checked, so guessing can't go on
+        const locked = await lockout.lockedFor(key);
+        if (locked) {
+            security.securityLog('login.locked', { level: 'warn', ...event, retryAfter: Math.ceil(locked / 1000) });
+            res.set('Retry-After', String(Math.ceil(locked / 1000)));
+            return res.status(429).json({ error: 'Too many failed logins for this account, try again later' });
+        }
+
+        const { data } = await readUsers(req.group);
+        const user = users.findUser(data, username);
+        const usable = user && !user.disabled;
+        const matches = await users.verifyPassword(password, usable ? user.passwordHash : users.DUMMY_PASSWORD_HASH);
+        const valid = usable && matches;
+
+        if (!valid) {
+            const lockedFor = await lockout.fail(key);
+            security.securityLog('login.failed', { level: 'warn', ...event, lockedFor: Math.ceil(lockedFor / 1000) });
+            return res.status(401).json({ error: 'Invalid username or password' });
+        }
+
+        await lockout.succeed(key);
+        security.securityLog('login.succeeded', { ...event, username: user.username, role: user.role });
+        sessionResponse(res, req.group, user, sessions.issue(user.username, { group: req.group.slug }), {
+            withToken: bearer === true,
+        });
+    } catch (error) {
+        sendError(res, error, 'Failed to log in');
+    }
+});
+
+// Verify session
+api.post('/admin/verify', async (req, res) => {
+    try {
+        const session = await verifySession(req.group, requestToken(req).token);
+        if (session) res.json({ valid: true, username: session.user.username, role: session.user.role });
+        else res.status(401).json({ valid: false });
+    } catch (error) {
+        sendError(res, error, 'Failed to verify session');
+    }
+});
+
+// Exchange a valid token for a fresh one (sliding expiry). Only callers that
+// sent a Bearer token get the new one back; the cookie is renewed either way.
+api.post('/admin/refresh', requireRole('viewer'), (req, res) => {
+    const session = sessions.issue(req.admin.username, { sid: req.admin.ref, group: req.group.slug });
+    sessionResponse(res, req.group, req.admin, session, { withToken: !requestToken(req).fromCookie });
+});
+
+// List admin accounts
+api.get('/admin/users', requireRole('owner'), async (req, res) => {
+    try {
+        const { data } = await readUsers(req.group);
+        res.json({ users: data.users.map(users.publicUser), roles: users.ROLES });
+    } catch (error) {
+        sendError(res, error, 'Failed to list users');
+    }
+});
+
+// Add an admin account
+api.post('/admin/users', requireRole('owner'), async (req, res) => {
+    try {
+        const user = await updateUsers(req.group, data => users.createUser(data, req.body));
+        security.securityLog('user.added', {
+            group: req.group.slug,
+            by: req.admin.username,
+            username: user.username,
+            role: user.role,
+        });
+        res.status(201).json({ success: true, user: users.publicUser(user) });
+    } catch (error) {
+        sendError(res, error, 'Failed to add user');
+    }
+});
+
+// Change an account's role or disable / re-enable it
+api.patch('/admin/users/:username', requireRole('owner'), async (req, res) => {
+    try {
+        const user = await updateUsers(req.group, data => users.updateUser(data, req.params.username, req.body));
+        security.securityLog('user.updated', {
+            group: req.group.slug,
+            by: req.admin.username,
+            username: user.username,
+            role: user.role,
+            disabled: Boolean(user.disabled),
+        });
+        res.json({ success: true, user: users.publicUser(user) });
+    } catch (error) {
+        sendError(res, error, 'Failed to update user');
+    }
+});
+
+// Reset an account's password
+api.post('/admin/users/:username/password', requireRole('owner'), async (req, res) => {
+    try {
+        const user = await updateUsers(req.group, data => (
+            users.resetPassword(data, req.params.username, req.body.password)
+        ));
+        security.securityLog('user.passwordReset', {
+            group: req.group.slug,
+            by: req.admin.username,
+            username: user.username,
+        });
+        res.json({ success: true, user: users.publicUser(user) });
+    } catch (error) {
+        sendError(res, error, 'Failed to reset password');
+    }
+});
+
+// Admin logout, of the Bearer token or the session cookie
+api.post('/admin/logout', async (req, res) => {
+    try {
+        const { token, fromCookie } = requestToken(req);
+        const claims = await sessions.verify(token);
+        if (claims) {
+            if (!hasCsrfToken(req, fromCookie, claims)) {
+                return res.status(403).json({ error: 'Missing or invalid CSRF token' });
+            }
+            await sessions.revoke(claims);
+            security.securityLog('logout', { group: req.group.slug, username: claims.sub, ip: clientIp(req) });
+        }
+        clearSessionCookie(res, req.group);
+        res.json({ success: true });
+    } catch (error) {
+        sendError(res, error, 'Failed to log out');
+    }
+});
+
+// The group's title, subtitle, logo and about text, for the page to show
+api.get('/group', async (req, res) => {
+    try {
+        res.json({ group: await groupBranding(req.group) });
+    } catch (error) {
+        sendError(res, error, 'Failed to read group');
+    }
+});
+
+// Change the group's branding
+api.patch('/group', requireRole('owner'), async (req, res) => {
+    try {
+        const { data, version } = await readGroups();
+        const group = groups.updateGroup(data, req.group.slug, req.body);
+        await groupsStore.write(data, { message: `Update group ${req.group.slug}`, version });
+        res.json({ success: true, group });
+    } catch (error) {
+        sendError(res, error, 'Failed to update group');
+    }
+});
+
+// Reminder settings, with the channels that are set up
+api.get('/reminders', requireRole('treasurer'), async (req, res) => {
+    try {
+        const { data } = await readReminders(req.group);
+        const channels = notify.createChannels(reminders.withDefaults(data)).map(channel => channel.name);
+        res.json({ settings: reminders.publicSettings(data, channels) });
+    } catch (error) {
+        sendError(res, error, 'Failed to read reminders');
+    }
+});
+
+// Change templates, language, channels, schedule or repeatDays
+api.patch('/reminders', requireRole('owner'), async (req, res) => {
+    try {
+        const data = await updateReminders(req.group, doc => reminders.updateSettings(doc, req.body));
+        const channels = notify.createChannels(reminders.withDefaults(data)).map(channel => channel.name);
+        res.json({ success: true, settings: reminders.publicSettings(data, channels) });
+    } catch (error) {
+        sendError(res, error, 'Failed to update reminders');
+    }
+});
+
+// The reminders a send would deliver and where, without sending anything.
+// ?fund=, ?member= (directory id), ?language=tl|en and ?force=true work as
+// for POST /reminders/send.
+api.get('/reminders/preview', requireRole('treasurer'), async (req, res) => {
+    try {
+        const { fund, member, language } = req.query;
+        const force = req.query.force === 'true';
+        res.json(await runReminders(req.group, { dryRun: true, fund, member, language, force }));
+    } catch (error) {
+        sendError(res, error, 'Failed to preview reminders');
+    }
+});
+
+// Send reminders now. `force` includes members reminded within repeatDays;
+// `dryRun` is the same as the preview.
+api.post('/reminders/send', requireRole('treasurer'), async (req, res) => {
+    try {
+        const { fund, member, language, force = false, dryRun = false } = req.body;
+        const result = await runReminders(req.group, {
+            actor: req.admin.username,
+            dryRun: Boolean(dryRun),
+            fund,
+            member,
+            language,
+            force: Boolean(force),
+        });
+        res.json({ success: true, ...result });
+    } catch (error) {
+        sendError(res, error, 'Failed to send reminders');
+    }
+});
+
+// What was sent, newest first, narrowed by ?fund=, ?member=, ?status=sent|failed
+api.get('/reminders/log', requireRole('treasurer'), async (req, res) => {
+    try {
+        const { data } = await readReminders(req.group);
+        const { fund, member, status, limit } = req.query;
+        res.json({ entries: reminders.queryLog(data, { fund, member, status, limit }) });
+    } catch (error) {
+        sendError(res, error, 'Failed to read reminder log');
+    }
+});
+
+// ---------------- Pages ----------------
+// Mounted at / for the default group and at /g/<slug> for the others
+const pages = express.Router({ mergeParams: true });
+
+// Read-only page of a single fund, for its share link
+pages.get('/f/:shareToken', async (req, res) => {
+    res.set('Referrer-Policy', 'no-referrer');
+    try {
+        const { data } = await readFunds(req.group);
+        const shared = sharing.findShared(data, req.params.shareToken);
+        if (!shared) return res.status(404).send(views.notFoundPage());
+        res.send(views.sharedFundPage(...shared, await groupBranding(req.group)));
+    } catch (error) {
+        console.error('Error loading shared fund:', error);
+        res.status(500).send('Failed to read fund');
+    }
+});
+
+// Each group's installed app starts and stays on the group's page
+pages.get('/manifest.webmanifest', async (req, res) => {
+    try {
+        const manifest = views.webManifest(await groupBranding(req.group), req.group.basePath);
+        res.type('application/manifest+json').send(JSON.stringify(manifest, null, 2));
+    } catch (error) {
+        sendError(res, error, 'Failed to build manifest');
+    }
+});
+
+// Serve index; the page finds its group from the path, and its manifest link
+// is pointed at the group's
+let indexHtml;
+pages.get('/', async (req, res) => {
+    try {
+        if (!indexHtml) indexHtml = await fs.readFile(path.join(__dirname, 'public', 'index.html'), 'utf8');
+        res.type('html').send(indexHtml.replace('href="/manifest.webmanifest"',
+            `href="${req.group.basePath}/manifest.webmanifest"`));
+    } catch (error) {
+        sendError(res, error, 'Failed to load page');
+    }
+});
+
+// ---------------- Site Routes ----------------
+// Not tied to one group, so they come before the group routers
+
+// Health check
+app.get('/api/health', (req, res) => {
+    res.json({
+        status: 'OK',
+        timestamp: new Date().toISOString(),
+        storage: groupContext(DEFAULT_GROUP).fundsStore.name,
+        stateStore: serverState.name,
+        groups: groupContexts.size,
+        liveClients: [...groupContexts.values()].reduce((sum, group) => sum + group.events.size, 0),
+    });
+});
+
+// Scheduled reminders of every group whose schedule is due, called by a cron
+// job (Vercel Cron, or curl from crontab) with `Authorization: Bearer
+// <CRON_SECRET>`
+app.get('/api/reminders/cron', async (req, res) => {
+    try {
+        const secret = process.env.CRON_SECRET;
+        if (!secret) return res.status(503).json({ error: 'Scheduled reminders need CRON_SECRET' });
+        if (!security.safeEqual(req.get('Authorization') || '', `Bearer ${secret}`)) {
+            security.securityLog('cron.rejected', { level: 'warn', ip: clientIp(req) });
+            return res.status(401).json({ error: 'Unauthorized' });
+        }
+
+        const { data } = await readGroups();
+        const runs = [];
+        for (const { slug } of groups.listGroups(data)) {
+            const group = groupContext(slug);
+            try {
+                if (!reminders.isScheduleDue((await readReminders(group)).data)) continue;
+                const { log } = await runReminders(group, { actor: 'schedule', scheduled: true });
+                const sent = log.filter(entry => entry.status === 'sent').length;
+                runs.push({ group: slug, sent, failed: log.length - sent });
+            } catch (error) {
+                console.error(`Scheduled reminders of ${slug} failed:`, error);
+                runs.push({ group: slug, error: error.message });
+            }
+        }
+        res.json({ success: true, runs });
+    } catch (error) {
+        sendError(res, error, 'Failed to run scheduled reminders');
+    }
+});
+
+// Every group, for a chapter picker
+app.get('/api/groups', async (req, res) => {
+    try {
+        const { data } = await readGroups();
+        res.json({ groups: groups.listGroups(data) });
+    } catch (error) {
+        sendError(res, error, 'Failed to list groups');
+    }
+});
+
+// Add a group with its first owner ({ slug, title, subtitle, logo, about,
+// owner: { username, password } }). Only owners of the default group can.
+app.post('/api/groups', useGroup, requireRole('owner'), async (req, res) => {
+    try {
+        const { owner = {} } = req.body;
+        const { data, version } = await readGroups();
+        const group = groups.createGroup(data, req.body);
+        const admins = await users.bootstrapUsers(owner.username, owner.password);
+
+        // The registry entry goes last so the group only shows up once its
+        // documents exist
+        const context = groupContext(group.slug);
+        try {
+            const document = { funds: {}, summary: { pman: 0, hawak: 0 } };
+            migrate(document);
+            await context.usersStore.write(admins, { message: `Create admin users of ${group.slug}` });
+            await context.fundsStore.write(document, { message: `Create funds of ${group.slug}` });
+            await groupsStore.write(data, { message: `Add group ${group.slug}`, version });
+        } catch (error) {
+            groupContexts.delete(group.slug);
+            throw error;
+        }
+
+        security.securityLog('group.added', { by: req.admin.username, group: group.slug });
+        res.status(201).json({ success: true, group, path: context.basePath });
+    } catch (error) {
+        sendError(res, error, 'Failed to add group');
+    }
+});
+
+// /api/g/<slug> first, or /api would take it for a route of the default group
+app.use('/api/g/:slug', useGroup, api);
+app.use('/api', useGroup, api);
+app.use('/g/:slug', useGroup, pages);
+app.use('/', useGroup, pages);
+
+// Bodies that are too large or not JSON get a JSON error like everything else
+app.use((error, req, res, next) => {
+    if (error.type === 'entity.too.large') return res.status(413).json({ error: 'Request body is too large' });
+    if (error.type === 'entity.parse.failed') return res.status(400).json({ error: 'Request body is not valid JSON' });
+    next(error);
+});
+
+module.exports = app;
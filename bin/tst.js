@@ -0,0 +1,176 @@
+#!/usr/bin/env node
+// Admin command line for a group's funds document. Edits go through the same
+// read / validate / audit / write path as the API (lib/fundsDocument.js), on
+// whichever storage the server is configured with.
+
+const fs = require('fs');
+const os = require('os');
+const { createStorage, canStoreSecrets } = require('../lib/storage');
+const fundsDocument = require('../lib/fundsDocument');
+const funds = require('../lib/funds');
+const audit = require('../lib/audit');
+const spreadsheet = require('../lib/spreadsheet');
+const { summarizeFunds } = require('../lib/reports');
+const groups = require('../lib/groups');
+const { printPeso } = require('../lib/views');
+const { HttpError, badRequest } = require('../lib/errors');
+
+const USAGE = `Usage: tst <command> [options]
+
+Commands:
+  funds list                          List funds with what they collected
+  funds next-period <fund>            Close a recurring fund and open its next period
+  member add <fund> <name>            Add a member to a fund
+  member remove <fund> <name>         Remove a member from a fund
+  pay <fund> <member> <amount>        Record a payment (negative to correct one)
+  summary set <pman|hawak> <amount>   Set P.MAN or Hawak Ko
+  export [--csv] [--table <name>]     Print the funds as JSON, or CSV with --csv
+  import <file.csv>                   Set member amounts from a CSV
+
+Options:
+  --dry-run            Show the changes without writing them
+  --group <slug>       Group to work on (default: DEFAULT_GROUP or tst)
+  --storage <driver>   local or github (default: STORAGE_DRIVER, or github when GITHUB_REPO is set)
+  --as <name>          Name recorded in the audit trail (default: cli:<login name>)
+  --note <text>        Note for a payment
+  --help               Show this help`;
+
+const FLAGS = ['dry-run', 'csv', 'json', 'help'];
+const VALUES = ['group', 'storage', 'as', 'note', 'table'];
+
+// Splits argv into positional arguments and --options. Negative amounts are
+// positional, not options.
+function parseArgs(argv) {
+    const args = [];
+    const options = {};
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (!arg.startsWith('--')) {
+            args.push(arg);
+            continue;
+        }
+        const [name, inline] = arg.slice(2).split(/=(.*)/s);
+        if (FLAGS.includes(name)) {
+            options[name] = true;
+        } else if (VALUES.includes(name)) {
+            const value = inline !== undefined ? inline : argv[++i];
+            if (value === undefined) throw badRequest(`--${name} needs a value`);
+            options[name] = value;
+        } else {
+            throw badRequest(`Unknown option --${name}`);
+        }
+    }
+    return { args, options };
+}
+
+function listFunds(data) {
+    const { funds: figures, overallTotal } = summarizeFunds(data);
+    if (!figures.length) return console.log('No funds yet');
+
+    const rows = figures.map(fund => [
+        fund.key,
+        fund.title,
+        fund.status,
+        String(fund.members.length),
+        printPeso(fund.collected),
+        printPeso(fund.outstanding),
+    ]);
+    rows.unshift(['KEY', 'TITLE', 'STATUS', 'MEMBERS', 'COLLECTED', 'OUTSTANDING']);
+    const widths = rows[0].map((_, column) => Math.max(...rows.map(row => row[column].length)));
+    rows.forEach(row => console.log(row.map((cell, column) => cell.padEnd(widths[column])).join('  ').trimEnd()));
+    console.log(`\nOverall total: ${printPeso(overallTotal)}`);
+}
+
+// The change a command makes, as a `mutate` for fundsDocument.updateFunds
+function editFor(command, args, options, actor) {
+    const need = (count, usage) => {
+        if (args.length !== count) throw badRequest(`Usage: tst ${usage}`);
+        return args;
+    };
+
+    switch (command) {
+    case 'funds next-period': {
+        const [key] = need(1, 'funds next-period <fund>');
+        return data => funds.startNextPeriod(data, key, actor);
+    }
+    case 'member add': {
+        const [key, name] = need(2, 'member add <fund> <name>');
+        return data => funds.addMember(data, key, { name }, actor);
+    }
+    case 'member remove': {
+        const [key, name] = need(2, 'member remove <fund> <name>');
+        return data => funds.removeMember(data, key, name, actor);
+    }
+    case 'pay': {
+        const [key, member, amount] = need(3, 'pay <fund> <member> <amount>');
+        return data => funds.recordPayment(data, key, { member, amount, note: options.note }, actor);
+    }
+    case 'summary set': {
+        const [field, amount] = need(2, 'summary set <pman|hawak> <amount>');
+        if (!['pman', 'hawak'].includes(field)) throw badRequest('Summary field must be pman or hawak');
+        return data => funds.updateSummary(data, { [field]: amount });
+    }
+    case 'import': {
+        const [file] = need(1, 'import <file.csv>');
+        const text = fs.readFileSync(file, 'utf8');
+        return data => spreadsheet.applyImport(data, spreadsheet.parseImport(text, data), actor);
+    }
+    default:
+        return null;
+    }
+}
+
+async function run(argv) {
+    const { args, options } = parseArgs(argv);
+    if (options.help || !args.length) return console.log(USAGE);
+    if (options.storage) process.env.STORAGE_DRIVER = options.storage;
+
+    const slug = options.group || groups.defaultSlug();
+    const files = groups.groupFiles(slug);
+    const store = createStorage(files.funds, { snapshots: true });
+    // Older funds documents still hold contact details, which move there on save
+    const contactsStore = canStoreSecrets() ? createStorage(files.contacts, { secret: true }) : undefined;
+
+    const command = ['funds', 'member', 'summary'].includes(args[0]) ? args.slice(0, 2).join(' ') : args[0];
+    const rest = args.slice(command.split(' ').length);
+
+    if (command === 'funds list') return listFunds((await fundsDocument.readFunds(store)).data);
+    if (command === 'export') {
+        const { data } = await fundsDocument.readFunds(store);
+        if (options.csv) return process.stdout.write(spreadsheet.exportCsv(data, options.table));
+        return console.log(JSON.stringify(spreadsheet.exportJson(data), null, 2));
+    }
+
+    const username = options.as || `cli:${os.userInfo().username}`;
+    const actor = { username, ref: 'cli' };
+    const mutate = editFor(command, rest, options, actor);
+    if (!mutate) throw badRequest(`Unknown command "${args.join(' ')}"\n\n${USAGE}`);
+
+    const dryRun = Boolean(options['dry-run']);
+    const { changes, version } = await fundsDocument.updateFunds(store, mutate, {
+        version: '*',
+        actor: username,
+        action: `tst ${args.join(' ')}`,
+        dryRun,
+        contactsStore,
+    });
+
+    console.log(`${dryRun ? 'Would change' : 'Changed'} ${files.funds} (${store.name}):`);
+    if (!changes.length) console.log('  (nothing)');
+    changes.forEach(change => {
+        const was = /^(member\.amount|summary\.)/.test(change.type) ? ` (was ${change.before})` : '';
+        console.log(`  - ${audit.describeChange(change)}${was}`);
+    });
+    console.log(dryRun ? 'Dry run - nothing written' : `Saved as version ${version}`);
+}
+
+run(process.argv.slice(2)).catch(error => {
+    if (error instanceof HttpError) {
+        console.error(`Error: ${error.message}`);
+        const details = Array.isArray(error.details) ? error.details : [];
+        details.forEach(({ path, message }) => console.error(`  ${path} ${message}`));
+    } else {
+        console.error(error);
+    }
+    process.exitCode = 1;
+});
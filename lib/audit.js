@@ -0,0 +1,358 @@
+const crypto = require('crypto');
+const funds = require('./funds');
+const directory = require('./directory');
+const expenses = require('./expenses');
+const { notFound, conflict } = require('./errors');
+
+// Audit trail of admin changes, kept on the funds document as `audit` so an
+// entry is saved in the same write as the change it describes. Each entry
+// lists field-level changes with their before/after values:
+//
+//   fund.added / fund.removed       { fund, after | before: { title, target, ..., members } }
+//   fund.<field>                    { fund, before, after }  (title, target, status, dueDate, recurrence,
+//                                                            visibility, totalsOnly, shareToken)
+//   member.added / member.removed   { fund, id, member, after | before: amount }
+//   member.renamed                  { fund, before: oldName, after: newName }
+//   member.amount                   { fund, id, member, before, after }
+//   summary.pman / summary.hawak    { before, after }
+//   directory.added                 { id, member, after: { name, nickname, active } }
+//   directory.<field>               { id, member, before, after }  (name, nickname, active)
+//   expense.added / expense.removed { id, fund, after | before: expense }
+//   expense.updated                 { id, fund, before, after }
+//
+// Fund members are matched by directory id, so renaming someone is a single
+// directory.name change rather than one rename per fund. Older trails also
+// have directory.contact changes, without their values since those moved out
+// of the funds document (see lib/contacts.js).
+//
+// Only the newest MAX_ENTRIES are kept: the trail is saved with the funds, and
+// GitHub stops returning the content of files over 1 MB.
+
+const MAX_ENTRIES = 500;
+
+const fundSnapshot = ({ members = [], ...fields }) => ({
+    ...fields,
+    members: members.map(({ id, name, amount, carryOver }) => ({ id, name, amount, carryOver })),
+});
+
+const FUND_FIELDS = ['title', 'target', 'status', 'dueDate', 'recurrence', 'visibility', 'totalsOnly', 'shareToken'];
+
+const DIRECTORY_FIELDS = ['name', 'nickname', 'active'];
+const memberKey = member => member.id || member.name;
+const memberRef = member => (member.id ? { id: member.id, member: member.name } : { member: member.name });
+
+function diffMembers(key, before, after, changes) {
+    const beforeKeys = new Set(before.map(memberKey));
+    const afterKeys = new Set(after.map(memberKey));
+    const removed = before.filter(m => !afterKeys.has(memberKey(m)));
+    const added = after.filter(m => !beforeKeys.has(memberKey(m)));
+
+    // A single member without an id swapped for another in the same place is
+    // a rename
+    if (removed.length === 1 && added.length === 1 && !added[0].id
+        && before.indexOf(removed[0]) === after.indexOf(added[0])) {
+        changes.push({ type: 'member.renamed', fund: key, before: removed[0].name, after: added[0].name });
+        if (removed[0].amount !== added[0].amount) {
+            changes.push({
+                type: 'member.amount',
+                fund: key,
+                member: added[0].name,
+                before: removed[0].amount,
+                after: added[0].amount,
+            });
+        }
+    } else {
+        removed.forEach(m => changes.push({ type: 'member.removed', fund: key, ...memberRef(m), before: m.amount }));
+        added.forEach(m => changes.push({ type: 'member.added', fund: key, ...memberRef(m), after: m.amount }));
+    }
+
+    after.forEach(m => {
+        const old = before.find(b => memberKey(b) === memberKey(m));
+        if (old && old.amount !== m.amount) {
+            changes.push({ type: 'member.amount', fund: key, ...memberRef(m), before: old.amount, after: m.amount });
+        }
+    });
+}
+
+function diffDirectory(before, after, changes) {
+    Object.entries(after).forEach(([id, member]) => {
+        const old = before[id];
+        if (!old) {
+            changes.push({ type: 'directory.added', id, member: member.name, after: { ...member } });
+            return;
+        }
+        DIRECTORY_FIELDS.forEach(field => {
+            if (old[field] !== member[field]) {
+                changes.push({
+                    type: `directory.${field}`,
+                    id,
+                    member: old.name,
+                    before: old[field],
+                    after: member[field],
+                });
+            }
+        });
+    });
+}
+
+function diffExpenses(before, after, changes) {
+    const copy = expense => ({ ...expense });
+    before.forEach(old => {
+        if (!after.some(e => e.id === old.id)) {
+            changes.push({ type: 'expense.removed', id: old.id, fund: old.fund, before: copy(old) });
+        }
+    });
+    after.forEach(expense => {
+        const old = before.find(e => e.id === expense.id);
+        if (!old) {
+            changes.push({ type: 'expense.added', id: expense.id, fund: expense.fund, after: copy(expense) });
+        } else if (JSON.stringify(old) !== JSON.stringify(expense)) {
+            changes.push({
+                type: 'expense.updated',
+                id: expense.id,
+                fund: expense.fund,
+                before: copy(old),
+                after: copy(expense),
+            });
+        }
+    });
+}
+
+function diffDocuments(before, after) {
+    const changes = [];
+    diffDirectory(before.directory || {}, after.directory || {}, changes);
+    diffExpenses(before.expenses || [], after.expenses || [], changes);
+    const beforeFunds = before.funds || {};
+    const afterFunds = after.funds || {};
+
+    Object.keys(beforeFunds).forEach(key => {
+        if (!afterFunds[key]) changes.push({ type: 'fund.removed', fund: key, before: fundSnapshot(beforeFunds[key]) });
+    });
+
+    Object.entries(afterFunds).forEach(([key, fund]) => {
+        const old = beforeFunds[key];
+        if (!old) {
+            changes.push({ type: 'fund.added', fund: key, after: fundSnapshot(fund) });
+            return;
+        }
+        FUND_FIELDS.forEach(field => {
+            if (old[field] !== fund[field]) {
+                changes.push({ type: `fund.${field}`, fund: key, before: old[field], after: fund[field] });
+            }
+        });
+        diffMembers(key, old.members || [], fund.members || [], changes);
+    });
+
+    const beforeSummary = before.summary || {};
+    const afterSummary = after.summary || {};
+    ['pman', 'hawak'].forEach(field => {
+        if (beforeSummary[field] !== afterSummary[field]) {
+            changes.push({ type: `summary.${field}`, before: beforeSummary[field], after: afterSummary[field] });
+        }
+    });
+
+    return changes;
+}
+
+function describeChange(change) {
+    const where = change.fund ? ` in ${change.fund}` : '';
+    switch (change.type) {
+    case 'fund.added': return `Add fund ${change.fund}`;
+    case 'fund.removed': return `Delete fund ${change.fund}`;
+    case 'member.added': return `Add ${change.member}${where}`;
+    case 'member.removed': return `Remove ${change.member}${where}`;
+    case 'member.renamed': return `Rename ${change.before} to ${change.after}${where}`;
+    case 'member.amount': return `Set ${change.member}${where} to ${change.after}`;
+    case 'directory.added': return `Add ${change.member} to the directory`;
+    case 'directory.name': return `Rename ${change.before} to ${change.after}`;
+    case 'directory.active': return `${change.after ? 'Reactivate' : 'Deactivate'} ${change.member}`;
+    case 'directory.nickname':
+    case 'directory.contact': return `Set ${change.member}'s ${change.type.split('.')[1]}`;
+    case 'expense.added': return `Add expense "${change.after.description}" of ${change.after.amount}${where}`;
+    case 'expense.removed': return `Delete expense "${change.before.description}"${where}`;
+    case 'expense.updated': return `Edit expense "${change.after.description}"${where}`;
+    case 'fund.shareToken': return `Change the share link${where}`;
+    default: return `Set ${change.type.replace('.', ' ')}${where} to ${change.after}`;
+    }
+}
+
+// Commit message for a write, e.g. "Set Reb in la to 50 (by admin)"
+function summarize(changes, actor) {
+    const text = changes.length === 0
+        ? 'Update funds'
+        : describeChange(changes[0]) + (changes.length > 1 ? ` and ${changes.length - 1} more` : '');
+    return actor ? `${text} (by ${actor})` : text;
+}
+
+// Entries say who made a change but not from where: the funds document may be
+// public, so addresses only go to the security log.
+function record(doc, { actor, action, changes, revertOf }) {
+    if (!Array.isArray(doc.audit)) doc.audit = [];
+    const entry = {
+        id: crypto.randomBytes(8).toString('hex'),
+        timestamp: new Date().toISOString(),
+        actor,
+        action,
+        changes,
+    };
+    if (revertOf) entry.revertOf = revertOf;
+    doc.audit.push(entry);
+    if (doc.audit.length > MAX_ENTRIES) doc.audit.splice(0, doc.audit.length - MAX_ENTRIES);
+    return entry;
+}
+
+// Newest first. `fund`, `member`, `from` and `to` (ISO dates) narrow the list.
+function query(doc, { fund, member, from, to, limit = 100 } = {}) {
+    const fromTime = from ? Date.parse(from) : -Infinity;
+    const toTime = to ? Date.parse(to) : Infinity;
+
+    return (doc.audit || [])
+        .filter(entry => {
+            const time = Date.parse(entry.timestamp);
+            return time >= fromTime && time <= toTime;
+        })
+        .map(entry => ({
+            ...entry,
+            changes: entry.changes.filter(change => (
+                (!fund || change.fund === fund)
+                && (!member || change.member === member || change.before === member || change.after === member)
+            )),
+        }))
+        .filter(entry => entry.changes.length > 0)
+        .reverse()
+        .slice(0, limit);
+}
+
+// Fund member a change refers to, by directory id when the change has one
+function findMember(doc, key, { id, member }) {
+    const fund = doc.funds && doc.funds[key];
+    return fund && fund.members.find(m => (id ? m.id === id : m.name === member));
+}
+
+const memberName = (doc, change) => (findMember(doc, change.fund, change) || {}).name || change.member;
+
+// Value a change's field has right now, to compare with what it was set to
+function currentValue(doc, change) {
+    const fund = doc.funds && doc.funds[change.fund];
+    const entry = doc.directory && doc.directory[change.id];
+    const expense = (doc.expenses || []).find(e => e.id === change.id);
+    switch (change.type) {
+    case 'expense.added':
+    case 'expense.removed': return expense ? 'present' : undefined;
+    case 'expense.updated': return expense && JSON.stringify(expense);
+    case 'directory.added': return entry ? 'present' : undefined;
+    case 'directory.name':
+    case 'directory.nickname':
+    case 'directory.active': return entry && entry[change.type.split('.')[1]];
+    case 'fund.added': return fund ? 'present' : undefined;
+    case 'fund.removed': return fund ? 'present' : undefined;
+    case 'fund.title':
+    case 'fund.target':
+    case 'fund.status':
+    case 'fund.dueDate':
+    case 'fund.recurrence':
+    case 'fund.visibility':
+    case 'fund.totalsOnly':
+    case 'fund.shareToken': return fund && fund[change.type.split('.')[1]];
+    case 'member.added': return (findMember(doc, change.fund, change) || {}).amount;
+    case 'member.removed': return findMember(doc, change.fund, change) ? 'present' : undefined;
+    case 'member.renamed': return findMember(doc, change.fund, { member: change.after }) ? change.after : undefined;
+    case 'member.amount': return (findMember(doc, change.fund, change) || {}).amount;
+    default: return (doc.summary || {})[change.type.split('.')[1]];
+    }
+}
+
+function expectedValue(change) {
+    if (['fund.added', 'directory.added', 'expense.added'].includes(change.type)) return 'present';
+    if (['fund.removed', 'member.removed', 'expense.removed'].includes(change.type)) return undefined;
+    if (change.type === 'expense.updated') return JSON.stringify(change.after);
+    return change.after;
+}
+
+// Input for funds.addMember bringing back a member a change refers to
+function memberInput(doc, { id, member }) {
+    return id && doc.directory && doc.directory[id] ? { memberId: id } : { name: member };
+}
+
+function undo(doc, change, actor) {
+    switch (change.type) {
+    case 'expense.added':
+        return expenses.deleteExpense(doc, change.id);
+    case 'expense.removed':
+        if (!Array.isArray(doc.expenses)) doc.expenses = [];
+        doc.expenses.push({ ...change.before });
+        return undefined;
+    case 'expense.updated':
+        return Object.assign(doc.expenses.find(e => e.id === change.id), change.before);
+    case 'directory.added': {
+        const used = Object.values(doc.funds || {}).some(fund => fund.members.some(m => m.id === change.id));
+        if (used) throw conflict(`${change.member} is still a member of a fund`);
+        delete doc.directory[change.id];
+        return undefined;
+    }
+    case 'directory.name':
+    case 'directory.nickname':
+    case 'directory.active':
+        return directory.updateMember(doc, change.id, { [change.type.split('.')[1]]: change.before });
+    case 'fund.added':
+        return funds.deleteFund(doc, change.fund, actor);
+    case 'fund.removed': {
+        const { title, target, members, ...fields } = change.before;
+        // Lifecycle fields (status, period, series, ...) are put back as they were
+        Object.assign(funds.createFund(doc, change.fund, { title, target }), fields);
+        members.forEach(({ id, name, amount, carryOver }) => {
+            const member = funds.addMember(doc, change.fund, memberInput(doc, { id, member: name }), actor);
+            if (carryOver) member.carryOver = carryOver;
+            funds.updateMember(doc, change.fund, member.name, { amount }, actor);
+        });
+        return undefined;
+    }
+    case 'fund.title':
+    case 'fund.target':
+    case 'fund.status':
+    case 'fund.dueDate':
+    case 'fund.recurrence':
+    case 'fund.visibility':
+    case 'fund.totalsOnly':
+        return funds.updateFund(doc, change.fund, { [change.type.split('.')[1]]: change.before });
+    case 'fund.shareToken':
+        // Brings back the old link (or none), not just any new one
+        if (change.before) doc.funds[change.fund].shareToken = change.before;
+        else delete doc.funds[change.fund].shareToken;
+        return doc.funds[change.fund];
+    case 'member.added':
+        return funds.removeMember(doc, change.fund, memberName(doc, change), actor);
+    case 'member.removed': {
+        const member = funds.addMember(doc, change.fund, memberInput(doc, change), actor);
+        return funds.updateMember(doc, change.fund, member.name, { amount: change.before }, actor);
+    }
+    case 'member.renamed':
+        return funds.updateMember(doc, change.fund, change.after, { name: change.before }, actor);
+    case 'member.amount':
+        return funds.updateMember(doc, change.fund, memberName(doc, change), { amount: change.before }, actor);
+    default:
+        return funds.updateSummary(doc, { [change.type.split('.')[1]]: change.before });
+    }
+}
+
+// Puts back the `before` values of one audit entry. Refuses if any of its
+// fields has been changed again since, rather than silently undoing that too.
+function revert(doc, id, actor) {
+    const entry = (doc.audit || []).find(e => e.id === id);
+    if (!entry) throw notFound('Audit entry not found');
+    if (entry.changes.some(change => change.type === 'directory.contact')) {
+        throw conflict('Contact changes are no longer kept in the audit trail and cannot be reverted');
+    }
+
+    const changed = entry.changes.filter(change => currentValue(doc, change) !== expectedValue(change));
+    if (changed.length) {
+        throw conflict('Some of these fields were changed again since', changed.map(describeChange));
+    }
+
+    // Newest first, so e.g. an amount set after a rename is undone while the
+    // member still has the new name
+    entry.changes.slice().reverse().forEach(change => undo(doc, change, actor));
+    return entry;
+}
+
+module.exports = { diffDocuments, describeChange, summarize, record, query, revert };
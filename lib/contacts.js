@@ -0,0 +1,65 @@
+const { badRequest } = require('./errors');
+const { MAX_CONTACT_LENGTH } = require('./schema');
+
+// Members' phone numbers and email addresses, by directory id. They are
+// personal data, so they live in a document of their own stored as a secret
+// (see lib/storage) rather than in the funds document:
+//
+//   { contacts: { reb: '0917 000 0000' } }
+//
+// Older funds documents kept them on the directory entries as `contact`.
+
+function parseContact(value) {
+    if (value === undefined || value === null) value = '';
+    if (typeof value !== 'string') throw badRequest('Contact must be text');
+    const text = value.trim().replace(/\s+/g, ' ');
+    if (text.length > MAX_CONTACT_LENGTH) throw badRequest(`Contact must be at most ${MAX_CONTACT_LENGTH} characters`);
+    return text;
+}
+
+// Resolves with { data, version }, empty until the first contact is saved
+async function readContacts(store) {
+    try {
+        const result = await store.read();
+        if (!result.data.contacts) result.data.contacts = {};
+        return result;
+    } catch (error) {
+        if (error.code !== 'ENOENT') throw error;
+        return { data: { contacts: {} }, version: null };
+    }
+}
+
+// Read-modify-write of the contacts document. `mutate` changes it in place and
+// returns whether there is anything to save.
+async function updateContacts(store, mutate) {
+    const { data, version } = await readContacts(store);
+    if (mutate(data)) await store.write(data, { message: 'Update member contacts', version });
+    return data.contacts;
+}
+
+// Sets or (with an empty value) clears a member's contact. Returns it.
+function setContact(doc, id, value) {
+    const contact = parseContact(value);
+    if (contact) doc.contacts[id] = contact;
+    else delete doc.contacts[id];
+    return contact;
+}
+
+// Contacts still on the entries of an older directory, by id
+function fromDirectory(directory = {}) {
+    return Object.fromEntries(Object.entries(directory)
+        .filter(([, member]) => member && typeof member.contact === 'string' && member.contact.trim())
+        .map(([id, member]) => [id, member.contact]));
+}
+
+// Adds `found` contacts of older documents to the contacts document, leaving
+// ones already there as they are
+function keepContacts(store, found) {
+    return updateContacts(store, doc => {
+        const missing = Object.keys(found).filter(id => doc.contacts[id] === undefined);
+        missing.forEach(id => { doc.contacts[id] = found[id]; });
+        return missing.length > 0;
+    });
+}
+
+module.exports = { parseContact, readContacts, updateContacts, setContact, fromDirectory, keepContacts };
@@ -0,0 +1,78 @@
+// Minimal RFC 4180 CSV reading and writing. Output uses CRLF line endings and
+// a UTF-8 byte order mark so spreadsheet apps (Excel included) open it with
+// the right encoding.
+
+const BOM = '\uFEFF';
+
+function escapeCell(value) {
+    const text = value === null || value === undefined ? '' : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// `tables` is a list of row arrays; tables are separated by a blank line
+function stringify(tables) {
+    const body = tables
+        .map(rows => rows.map(row => row.map(escapeCell).join(',')).join('\r\n'))
+        .join('\r\n\r\n');
+    return `${BOM}${body}\r\n`;
+}
+
+// Returns the tables (see stringify) as arrays of rows, which are arrays of
+// strings. Blank lines only separate tables.
+function parseTables(text) {
+    const input = String(text || '').replace(/^\uFEFF/, '');
+    const tables = [];
+    let rows = [];
+    let row = [];
+    let cell = '';
+    let quoted = false;
+    // A blank row ends the table, if one was started
+    const endRow = () => {
+        if (row.some(value => value.trim() !== '')) {
+            rows.push(row);
+        } else if (rows.length) {
+            tables.push(rows);
+            rows = [];
+        }
+        row = [];
+        cell = '';
+    };
+
+    for (let i = 0; i < input.length; i++) {
+        const char = input[i];
+
+        if (quoted) {
+            if (char === '"' && input[i + 1] === '"') {
+                cell += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                cell += char;
+            }
+        } else if (char === '"') {
+            quoted = true;
+        } else if (char === ',') {
+            row.push(cell);
+            cell = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && input[i + 1] === '\n') i++;
+            row.push(cell);
+            endRow();
+        } else {
+            cell += char;
+        }
+    }
+    row.push(cell);
+    endRow();
+    // Nothing is left in `row`, so this closes the last table
+    endRow();
+    return tables;
+}
+
+// Returns every row of every table. Blank lines are skipped.
+function parse(text) {
+    return parseTables(text).flat();
+}
+
+module.exports = { stringify, parse, parseTables };
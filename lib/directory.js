@@ -0,0 +1,156 @@
+const { badRequest, notFound, conflict } = require('./errors');
+const { MAX_NAME_LENGTH } = require('./schema');
+
+// Members shared across funds, kept on the funds document as `directory` and
+// keyed by a stable id:
+//
+//   directory: { reb: { name: 'Reb', nickname: '', active: true } }
+//
+// Fund members point at an entry with `id` and carry a copy of its `name`,
+// kept in sync here, so reports and URLs can keep using names. Ledger entries
+// point at it with `memberId` and are never renamed. Contact details are
+// kept apart, in lib/contacts.js.
+
+const normalize = name => String(name).trim().replace(/\s+/g, ' ').toLowerCase();
+
+// Ids come from the name so migrating the same document twice gives the same
+// ids. They never change afterwards, even when the member is renamed.
+function newId(doc, name) {
+    const base = normalize(name).replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '').slice(0, 24) || 'member';
+    let id = base;
+    for (let n = 2; doc.directory[id]; n++) id = `${base}-${n}`;
+    return id;
+}
+
+function parseText(value, field, maxLength, required) {
+    if (value === undefined || value === null) value = '';
+    if (typeof value !== 'string') throw badRequest(`${field} must be text`);
+    const text = value.trim().replace(/\s+/g, ' ');
+    if (required && !text) throw badRequest(`${field} is required`);
+    if (text.length > maxLength) throw badRequest(`${field} must be at most ${maxLength} characters`);
+    return text;
+}
+
+function ensureDirectory(doc) {
+    if (!doc.directory || typeof doc.directory !== 'object') doc.directory = {};
+    return doc.directory;
+}
+
+function getMember(doc, id) {
+    const member = ensureDirectory(doc)[id];
+    if (!member) throw notFound('Member not found');
+    return member;
+}
+
+// Id of the entry whose name matches, ignoring case and extra spaces
+function findByName(doc, name) {
+    const wanted = normalize(name);
+    return Object.keys(ensureDirectory(doc)).find(id => normalize(doc.directory[id].name) === wanted);
+}
+
+function assertUniqueName(doc, name, except) {
+    const existing = findByName(doc, name);
+    if (existing && existing !== except) {
+        throw conflict(`"${doc.directory[existing].name}" is already in the member directory`);
+    }
+}
+
+function createMember(doc, { name, nickname }) {
+    const memberName = parseText(name, 'Name', MAX_NAME_LENGTH, true);
+    assertUniqueName(doc, memberName);
+
+    const id = newId(doc, memberName);
+    doc.directory[id] = {
+        name: memberName,
+        nickname: parseText(nickname, 'Nickname', MAX_NAME_LENGTH),
+        active: true,
+    };
+    return { id, ...doc.directory[id] };
+}
+
+// Gives fund member entries a new display name
+function renameInFunds(doc, id, name) {
+    Object.values(doc.funds || {}).forEach(fund => {
+        (fund.members || []).forEach(member => {
+            if (member.id === id) member.name = name;
+        });
+    });
+}
+
+function updateMember(doc, id, { name, nickname, active }) {
+    const member = getMember(doc, id);
+    if ([name, nickname, active].every(value => value === undefined)) {
+        throw badRequest('Nothing to update');
+    }
+
+    if (name !== undefined) {
+        const renamed = parseText(name, 'Name', MAX_NAME_LENGTH, true);
+        assertUniqueName(doc, renamed, id);
+        member.name = renamed;
+        renameInFunds(doc, id, renamed);
+    }
+    if (nickname !== undefined) member.nickname = parseText(nickname, 'Nickname', MAX_NAME_LENGTH);
+    if (active !== undefined) {
+        if (typeof active !== 'boolean') throw badRequest('active must be true or false');
+        member.active = active;
+    }
+    return { id, ...member };
+}
+
+// Directory entry to add to a fund: by `id`, or by `name`, reusing an entry
+// with the same name so the same person is not listed twice.
+function resolveMember(doc, { id, name }) {
+    let memberId = id;
+    if (memberId === undefined) {
+        const memberName = parseText(name, 'Name', MAX_NAME_LENGTH, true);
+        memberId = findByName(doc, memberName) || createMember(doc, { name: memberName }).id;
+    }
+
+    const member = getMember(doc, memberId);
+    if (!member.active) throw conflict(`${member.name} is inactive in the member directory`);
+    return { id: memberId, ...member };
+}
+
+// Makes every fund member point at a directory entry, matching by name and
+// creating entries as needed. `source` is the directory that came with the
+// funds (e.g. from a snapshot) and supplies details for ids missing here.
+function linkFunds(doc, source = {}) {
+    ensureDirectory(doc);
+    Object.values(doc.funds || {}).forEach(fund => {
+        (fund.members || []).forEach(member => {
+            if (!member.name || (member.id && doc.directory[member.id])) return;
+
+            const known = member.id && source[member.id];
+            const existing = findByName(doc, known ? known.name : member.name);
+            if (existing) {
+                member.id = existing;
+            } else if (known) {
+                const { contact: _contact, ...details } = known;
+                doc.directory[member.id] = { nickname: '', ...details, active: true };
+            } else {
+                member.id = createMember(doc, { name: member.name }).id;
+            }
+        });
+    });
+    Object.keys(doc.directory).forEach(id => renameInFunds(doc, id, doc.directory[id].name));
+    return doc;
+}
+
+// Members sorted by name. With `contacts` (by id, see lib/contacts.js) each
+// one gets their `contact`.
+function listMembers(doc, { contacts, active } = {}) {
+    return Object.entries(ensureDirectory(doc))
+        .map(([id, member]) => ({ id, ...member, ...(contacts ? { contact: contacts[id] || '' } : {}) }))
+        .filter(member => active === undefined || member.active === active)
+        .sort((a, b) => a.name.localeCompare(b.name));
+}
+
+module.exports = {
+    getMember,
+    findByName,
+    createMember,
+    updateMember,
+    resolveMember,
+    linkFunds,
+    listMembers,
+};
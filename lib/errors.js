@@ -0,0 +1,15 @@
+// Error carrying the HTTP status the API should answer with.
+class HttpError extends Error {
+    constructor(status, message, details) {
+        super(message);
+        this.name = 'HttpError';
+        this.status = status;
+        if (details) this.details = details;
+    }
+}
+
+const badRequest = (message, details) => new HttpError(400, message, details);
+const notFound = message => new HttpError(404, message);
+const conflict = (message, details) => new HttpError(409, message, details);
+
+module.exports = { HttpError, badRequest, notFound, conflict };
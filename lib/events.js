@@ -0,0 +1,46 @@
+// Server-Sent Events hub. Open pages subscribe with `GET /api/events` and
+// every published event is written to all of them. Subscribers live in this
+// process only, so the stream needs a long-running server: on serverless hosts
+// app.js turns it off (LIVE_EVENTS) and pages poll. The client re-checks with
+// an ETag request whenever it connects.
+
+const HEARTBEAT_INTERVAL = 25000;
+
+function createEventHub({ heartbeat = HEARTBEAT_INTERVAL } = {}) {
+    const clients = new Set();
+    let nextId = 1;
+
+    function subscribe(req, res) {
+        res.set({
+            'Content-Type': 'text/event-stream',
+            'Cache-Control': 'no-cache, no-transform',
+            Connection: 'keep-alive',
+            'X-Accel-Buffering': 'no',
+        });
+        res.flushHeaders();
+        res.write('retry: 5000\n\n');
+        clients.add(res);
+
+        // Comments keep proxies from closing an idle connection
+        const timer = setInterval(() => res.write(': ping\n\n'), heartbeat);
+        req.on('close', () => {
+            clearInterval(timer);
+            clients.delete(res);
+        });
+    }
+
+    function publish(event, data) {
+        const message = `id: ${nextId++}\nevent: ${event}\ndata: ${JSON.stringify(data)}\n\n`;
+        clients.forEach(res => res.write(message));
+    }
+
+    return {
+        subscribe,
+        publish,
+        get size() {
+            return clients.size;
+        },
+    };
+}
+
+module.exports = { createEventHub };
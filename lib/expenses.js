@@ -0,0 +1,93 @@
+const crypto = require('crypto');
+const { badRequest, notFound } = require('./errors');
+const { isDate, today } = require('./periods');
+const { MAX_DESCRIPTION_LENGTH, CASH_HOLDERS } = require('./schema');
+
+// Money spent out of a fund, kept on the funds document as `expenses`:
+//
+//   { id, date: 'YYYY-MM-DD', amount, fund, description, holder, admin, timestamp }
+//
+// `holder` is whose cash it was paid from: 'pman' or 'hawak', matching the
+// two amounts in the summary.
+
+function parseExpenseAmount(value) {
+    const number = typeof value === 'number' ? value : parseFloat(value);
+    if (!Number.isFinite(number) || number <= 0) throw badRequest('Amount must be a positive number');
+    return Math.round(number * 100) / 100;
+}
+
+function parseDate(value) {
+    if (!isDate(value)) throw badRequest('Date must be YYYY-MM-DD');
+    return value;
+}
+
+function parseFund(doc, key) {
+    if (!doc.funds || !doc.funds[key]) throw badRequest('Fund not found');
+    return key;
+}
+
+function parseDescription(value) {
+    if (typeof value !== 'string' || !value.trim()) throw badRequest('Description is required');
+    const text = value.trim();
+    if (text.length > MAX_DESCRIPTION_LENGTH) {
+        throw badRequest(`Description must be at most ${MAX_DESCRIPTION_LENGTH} characters`);
+    }
+    return text;
+}
+
+function parseHolder(value) {
+    if (!CASH_HOLDERS.includes(value)) throw badRequest(`Holder must be one of ${CASH_HOLDERS.join(', ')}`);
+    return value;
+}
+
+function findExpense(doc, id) {
+    const expense = (doc.expenses || []).find(e => e.id === id);
+    if (!expense) throw notFound('Expense not found');
+    return expense;
+}
+
+function addExpense(doc, { date, amount, fund, description, holder = 'hawak' }, actor) {
+    const expense = {
+        id: crypto.randomBytes(8).toString('hex'),
+        date: parseDate(date === undefined ? today() : date),
+        amount: parseExpenseAmount(amount),
+        fund: parseFund(doc, fund),
+        description: parseDescription(description),
+        holder: parseHolder(holder),
+        admin: actor ? actor.username : null,
+        timestamp: new Date().toISOString(),
+    };
+    if (!Array.isArray(doc.expenses)) doc.expenses = [];
+    doc.expenses.push(expense);
+    return expense;
+}
+
+function updateExpense(doc, id, { date, amount, fund, description, holder }) {
+    const expense = findExpense(doc, id);
+    if ([date, amount, fund, description, holder].every(value => value === undefined)) {
+        throw badRequest('Nothing to update');
+    }
+
+    if (date !== undefined) expense.date = parseDate(date);
+    if (amount !== undefined) expense.amount = parseExpenseAmount(amount);
+    if (fund !== undefined) expense.fund = parseFund(doc, fund);
+    if (description !== undefined) expense.description = parseDescription(description);
+    if (holder !== undefined) expense.holder = parseHolder(holder);
+    return expense;
+}
+
+function deleteExpense(doc, id) {
+    const expense = findExpense(doc, id);
+    doc.expenses.splice(doc.expenses.indexOf(expense), 1);
+    return expense;
+}
+
+// Newest first, optionally for one fund
+function listExpenses(doc, { fund } = {}) {
+    return (doc.expenses || [])
+        .filter(expense => !fund || expense.fund === fund)
+        .slice()
+        .sort((a, b) => b.date.localeCompare(a.date) || b.timestamp.localeCompare(a.timestamp));
+}
+
+module.exports = { addExpense, updateExpense, deleteExpense, listExpenses };
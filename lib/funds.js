@@ -0,0 +1,303 @@
+const crypto = require('crypto');
+const ledger = require('./ledger');
+const directory = require('./directory');
+const periods = require('./periods');
+const { memberBalance } = require('./reports');
+const { badRequest, notFound, conflict } = require('./errors');
+const { FUND_KEY_PATTERN, FUND_STATUSES, FUND_VISIBILITIES, MAX_TITLE_LENGTH } = require('./schema');
+
+// Operations on the funds document. Each one validates its input, mutates the
+// document in place and returns the affected piece so routes can echo it.
+
+function parseAmount(value, field) {
+    const number = typeof value === 'number' ? value : parseFloat(value);
+    if (!Number.isFinite(number) || number < 0) {
+        throw badRequest(`${field} must be a non-negative number`);
+    }
+    return Math.round(number * 100) / 100;
+}
+
+function parseText(value, field, maxLength) {
+    if (typeof value !== 'string' || !value.trim()) throw badRequest(`${field} is required`);
+    const text = value.trim();
+    if (text.length > maxLength) throw badRequest(`${field} must be at most ${maxLength} characters`);
+    return text;
+}
+
+function getFund(doc, key) {
+    const fund = doc.funds && doc.funds[key];
+    if (!fund) throw notFound('Fund not found');
+    return fund;
+}
+
+function findMemberIndex(fund, name) {
+    const idx = fund.members.findIndex(m => m.name === name);
+    if (idx === -1) throw notFound('Member not found in fund');
+    return idx;
+}
+
+// Bring a fund member's ledger total to `amount` with a single adjustment entry.
+function settleMember(doc, fundKey, member, amount, actor, note) {
+    ledger.seedLedger(doc);
+    const delta = amount - ledger.memberTotal(doc.ledger, fundKey, member);
+    if (delta !== 0) {
+        ledger.recordContribution(doc, {
+            fund: fundKey,
+            member: member.name,
+            memberId: member.id,
+            amount: delta,
+            actor,
+            note,
+            type: 'adjustment',
+        });
+    }
+}
+
+function parseDate(value, field) {
+    if (value === null || value === '') return null;
+    if (!periods.isDate(value)) throw badRequest(`${field} must be YYYY-MM-DD`);
+    return value;
+}
+
+// Status and due date of a fund, and its recurrence. A recurring fund belongs
+// to a `series` (the key of its first period) and knows when its period
+// started; `period` is the label derived from that.
+function applyLifecycle(fund, key, { status, dueDate, recurrence, periodStart }) {
+    if (status !== undefined) {
+        if (!FUND_STATUSES.includes(status)) throw badRequest(`Status must be one of ${FUND_STATUSES.join(', ')}`);
+        fund.status = status;
+    }
+    if (dueDate !== undefined) fund.dueDate = parseDate(dueDate, 'Due date');
+
+    if (recurrence !== undefined) {
+        if (recurrence && !periods.RECURRENCES.includes(recurrence)) {
+            throw badRequest(`Recurrence must be one of ${periods.RECURRENCES.join(', ')} or empty`);
+        }
+        fund.recurrence = recurrence || null;
+        if (!fund.recurrence) {
+            delete fund.period;
+            delete fund.periodStart;
+        }
+    }
+
+    if (!fund.recurrence) {
+        if (periodStart) throw badRequest('Only recurring funds have a period');
+        return;
+    }
+    if (!fund.series) fund.series = key;
+    if (periodStart !== undefined) fund.periodStart = parseDate(periodStart, 'Period start');
+    if (!fund.periodStart) fund.periodStart = periods.today();
+    fund.period = periods.periodLabel(fund.recurrence, fund.periodStart);
+}
+
+// Fills in the lifecycle fields of funds saved before they existed
+function withLifecycleDefaults(fund) {
+    if (!fund.status) fund.status = 'open';
+    if (fund.dueDate === undefined) fund.dueDate = null;
+    if (fund.recurrence === undefined) fund.recurrence = null;
+    return fund;
+}
+
+// Who sees the fund without signing in: everyone on the page ('public'),
+// only those given its share link ('link') or nobody ('private'). A
+// totals-only fund shows visitors its totals and progress but no members.
+// Link-only funds get an unguessable `shareToken` for /f/<shareToken>.
+function applySharing(fund, { visibility, totalsOnly }) {
+    if (visibility !== undefined) {
+        if (!FUND_VISIBILITIES.includes(visibility)) {
+            throw badRequest(`Visibility must be one of ${FUND_VISIBILITIES.join(', ')}`);
+        }
+        fund.visibility = visibility;
+    }
+    if (totalsOnly !== undefined) {
+        if (typeof totalsOnly !== 'boolean') throw badRequest('totalsOnly must be true or false');
+        fund.totalsOnly = totalsOnly;
+    }
+    if (fund.visibility === 'link' && !fund.shareToken) fund.shareToken = createShareToken();
+}
+
+// Fills in the sharing fields of funds saved before they existed
+function withSharingDefaults(fund) {
+    if (!fund.visibility) fund.visibility = 'public';
+    if (fund.totalsOnly === undefined) fund.totalsOnly = false;
+    return fund;
+}
+
+function createShareToken() {
+    return crypto.randomBytes(18).toString('base64url');
+}
+
+// Replaces the share link of a fund, so the old one stops working
+function rotateShareToken(doc, key) {
+    const fund = getFund(doc, key);
+    if (fund.visibility === 'private') throw badRequest('Private funds cannot be shared');
+    fund.shareToken = createShareToken();
+    return fund;
+}
+
+function createFund(doc, key, { title, target, status, dueDate, recurrence, periodStart, visibility, totalsOnly }) {
+    if (!FUND_KEY_PATTERN.test(key || '')) {
+        throw badRequest('Fund key must be lowercase letters, digits, "-" or "_" (max 32)');
+    }
+    if (!doc.funds) doc.funds = {};
+    if (doc.funds[key]) throw conflict('Fund already exists');
+
+    const fund = withSharingDefaults(withLifecycleDefaults({
+        title: parseText(title, 'Title', MAX_TITLE_LENGTH),
+        target: parseAmount(target === undefined ? 0 : target, 'Target'),
+    }));
+    applyLifecycle(fund, key, { status, dueDate, recurrence, periodStart });
+    applySharing(fund, { visibility, totalsOnly });
+    fund.members = [];
+    doc.funds[key] = fund;
+    return fund;
+}
+
+function updateFund(doc, key, { title, target, status, dueDate, recurrence, periodStart, visibility, totalsOnly }) {
+    const fund = getFund(doc, key);
+    if ([title, target, status, dueDate, recurrence, periodStart, visibility, totalsOnly]
+        .every(value => value === undefined)) {
+        throw badRequest('Nothing to update');
+    }
+
+    if (title !== undefined) fund.title = parseText(title, 'Title', MAX_TITLE_LENGTH);
+    if (target !== undefined) fund.target = parseAmount(target, 'Target');
+    applyLifecycle(fund, key, { status, dueDate, recurrence, periodStart });
+    applySharing(fund, { visibility, totalsOnly });
+    return fund;
+}
+
+function deleteFund(doc, key, actor) {
+    const fund = getFund(doc, key);
+    fund.members.forEach(member => settleMember(doc, key, member, 0, actor, 'Fund deleted'));
+    delete doc.funds[key];
+    // Deleting a period lets the one before it start a new one again
+    Object.values(doc.funds).forEach(other => {
+        if (other.next === key) delete other.next;
+    });
+    return fund;
+}
+
+// Closes a recurring fund's period and opens the next one under a new key
+// (e.g. `dues-2026-11`) with the same active members at zero. Whatever a
+// member still owed is carried over and added to what they owe next period.
+function startNextPeriod(doc, key, actor) {
+    const fund = getFund(doc, key);
+    if (!fund.recurrence) throw badRequest('Fund does not recur');
+    if (fund.next) throw conflict(`The next period has already started as "${fund.next}"`);
+
+    const periodStart = periods.addPeriod(fund.recurrence, fund.periodStart);
+    const label = periods.periodLabel(fund.recurrence, periodStart).toLowerCase();
+    const nextKey = `${fund.series.slice(0, 31 - label.length)}-${label}`;
+
+    const next = createFund(doc, nextKey, {
+        title: fund.title,
+        target: fund.target,
+        dueDate: fund.dueDate && periods.addPeriod(fund.recurrence, fund.dueDate),
+        recurrence: fund.recurrence,
+        periodStart,
+        visibility: fund.visibility,
+        totalsOnly: fund.totalsOnly,
+    });
+    next.series = fund.series;
+    next.previous = key;
+
+    fund.members
+        .filter(member => member.id && directory.getMember(doc, member.id).active)
+        .forEach(member => {
+            const added = addMember(doc, nextKey, { memberId: member.id }, actor);
+            const owed = memberBalance(fund, member);
+            if (owed > 0) added.carryOver = owed;
+        });
+
+    fund.next = nextKey;
+    fund.status = 'closed';
+    return { key: nextKey, fund: next };
+}
+
+// Adds a directory member to the fund, by `memberId` or by `name` (an unknown
+// name creates a directory entry)
+function addMember(doc, key, { name, memberId }, actor) {
+    const fund = getFund(doc, key);
+    const { id, name: memberName } = directory.resolveMember(doc, { id: memberId, name });
+    if (fund.members.some(m => m.id === id)) throw conflict(`${memberName} is already in this fund`);
+
+    ledger.seedLedger(doc);
+    const member = { id, name: memberName, amount: ledger.memberTotal(doc.ledger, key, { id, name: memberName }) };
+    fund.members.push(member);
+    // A previously removed member starts again from zero
+    settleMember(doc, key, member, 0, actor, 'Re-added to fund');
+    return member;
+}
+
+function updateMember(doc, key, name, { name: newName, amount }, actor) {
+    const fund = getFund(doc, key);
+    const idx = findMemberIndex(fund, name);
+    if (newName === undefined && amount === undefined) throw badRequest('Nothing to update');
+
+    ledger.seedLedger(doc);
+    const member = fund.members[idx];
+
+    // The name belongs to the directory, so a rename applies in every fund and
+    // the member's history, which points at the directory, follows them
+    if (newName !== undefined) directory.updateMember(doc, member.id, { name: newName });
+
+    if (amount !== undefined) {
+        settleMember(doc, key, member, parseAmount(amount, 'Amount'), actor);
+    }
+
+    ledger.applyAmounts(doc);
+    return member;
+}
+
+function removeMember(doc, key, name, actor) {
+    const fund = getFund(doc, key);
+    const idx = findMemberIndex(fund, name);
+
+    settleMember(doc, key, fund.members[idx], 0, actor, 'Removed from fund');
+    const [member] = fund.members.splice(idx, 1);
+    return member;
+}
+
+function recordPayment(doc, key, { member, amount, note }, actor) {
+    const fund = getFund(doc, key);
+    if (fund.status !== 'open') throw conflict(`Fund is ${fund.status}`);
+    const idx = findMemberIndex(fund, member);
+
+    const value = typeof amount === 'number' ? amount : parseFloat(amount);
+    if (!Number.isFinite(value) || value === 0) throw badRequest('Amount must be a non-zero number');
+
+    ledger.seedLedger(doc);
+    const { id, name } = fund.members[idx];
+    if (ledger.memberTotal(doc.ledger, key, { id, name }) + value < 0) {
+        throw badRequest('Contribution would make the member total negative');
+    }
+
+    const entry = ledger.recordContribution(doc, { fund: key, member: name, memberId: id, amount: value, note, actor });
+    return { entry, amount: fund.members[idx].amount };
+}
+
+function updateSummary(doc, { pman, hawak }) {
+    if (pman === undefined && hawak === undefined) throw badRequest('Nothing to update');
+    if (!doc.summary) doc.summary = { pman: 0, hawak: 0 };
+
+    if (pman !== undefined) doc.summary.pman = parseAmount(pman, 'P.MAN');
+    if (hawak !== undefined) doc.summary.hawak = parseAmount(hawak, 'Hawak');
+    return doc.summary;
+}
+
+module.exports = {
+    createFund,
+    updateFund,
+    deleteFund,
+    startNextPeriod,
+    withLifecycleDefaults,
+    withSharingDefaults,
+    rotateShareToken,
+    addMember,
+    updateMember,
+    removeMember,
+    recordPayment,
+    updateSummary,
+    parseAmount,
+};
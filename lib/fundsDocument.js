@@ -0,0 +1,80 @@
+const ledger = require('./ledger');
+const audit = require('./audit');
+const contacts = require('./contacts');
+const { migrate } = require('./migrations');
+const { validateDocument } = require('./schema');
+const { badRequest, conflict } = require('./errors');
+
+// Reading and changing a group's funds document in a storage driver (see
+// lib/storage). The API and the admin CLI both go through updateFunds, so an
+// edit is checked, audited and saved the same way wherever it comes from.
+
+// Resolves with { data, version }. Older documents are migrated in memory and
+// saved in the new format on the next write. Contact details older documents
+// kept in the directory are dropped by the migration, so they are copied to
+// `contactsStore` (see lib/contacts.js) first; `writing` callers must give one.
+async function readFunds(store, { contactsStore, writing = false } = {}) {
+    const result = await store.read();
+    const found = contacts.fromDirectory(result.data.directory);
+    if (Object.keys(found).length) {
+        if (contactsStore) await contacts.keepContacts(contactsStore, found);
+        else if (writing) throw new Error('Saving would drop the contact details kept in the funds document');
+    }
+    migrate(result.data);
+    return result;
+}
+
+// The ledger, expenses and audit trail are served by their own endpoints
+function publicDocument({ ledger: _ledger, audit: _audit, expenses: _expenses, ...rest }) {
+    return rest;
+}
+
+function versionConflict(data, version) {
+    return conflict('Funds were changed by someone else', { current: publicDocument(data), version });
+}
+
+// Copy of the parts of the document the audit trail compares
+const AUDITED_FIELDS = ['funds', 'summary', 'directory', 'expenses'];
+
+function auditedState(data) {
+    const state = {};
+    AUDITED_FIELDS.forEach(field => { state[field] = data[field]; });
+    return JSON.parse(JSON.stringify(state));
+}
+
+// Read-modify-write of the funds document. The write only goes through if the
+// document is still at `version` ('*' takes any); otherwise a 409 with the
+// current document is thrown so the client can merge. Whatever `mutate`
+// changed is added to the audit trail as done by `actor`, as undoing the audit
+// entry or snapshot `revertOf` if given. `mutate` changes the document in
+// place. With `dryRun` everything but the write happens.
+// Resolves with { result, changes, entry, before, data, version } where
+// `result` is what `mutate` returned, `entry` the audit entry (if anything
+// changed) and `version` the new one (the one read on a dry run).
+async function updateFunds(store, mutate, { version: expected, actor, action, revertOf, dryRun = false,
+    contactsStore }) {
+    const { data, version } = await readFunds(store, { contactsStore, writing: true });
+    if (expected !== '*' && expected !== version) throw versionConflict(data, version);
+
+    ledger.seedLedger(data);
+    const before = auditedState(data);
+    const result = mutate(data);
+
+    const changes = audit.diffDocuments(before, data);
+    const entry = changes.length ? audit.record(data, { actor, action, changes, revertOf }) : undefined;
+
+    const errors = validateDocument(data);
+    if (errors.length) throw badRequest('Invalid funds document', errors);
+    if (dryRun) return { result, changes, entry, before, data, version };
+
+    try {
+        const newVersion = await store.write(data, { message: audit.summarize(changes, actor), version });
+        return { result, changes, entry, before, data, version: newVersion };
+    } catch (error) {
+        if (error.status !== 409) throw error;
+        const current = await readFunds(store);
+        throw versionConflict(current.data, current.version);
+    }
+}
+
+module.exports = { readFunds, publicDocument, updateFunds };
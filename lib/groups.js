@@ -0,0 +1,142 @@
+const { badRequest, notFound, conflict } = require('./errors');
+
+// Groups (chapters) sharing one deployment, each with its own funds document,
+// admin accounts and branding, addressed by slug: /g/<slug> and
+// /api/g/<slug>/... The registry is a document of its own,
+// { groups: { <slug>: { title, subtitle, logo, about, createdAt } } }.
+// The default group is the original single-group install: it is served at /
+// and /api/... from the original FUNDS_FILE_PATH / USERS_FILE_PATH, and only
+// needs a registry entry to change its branding.
+
+const SLUG_PATTERN = /^[a-z0-9](?:[a-z0-9-]{0,30}[a-z0-9])?$/;
+// Slugs that would read as something else in a URL or a file path
+const RESERVED_SLUGS = ['api', 'f', 'g', 'admin', 'static', 'public'];
+
+const DEFAULT_BRANDING = {
+    title: 'TEMPLE STREET TRECE',
+    subtitle: 'San Andres Locos Northside Varrio',
+    logo: '/tst.jpeg',
+    about: [],
+};
+
+const LIMITS = { title: 60, subtitle: 120, logo: 500, about: 2000 };
+
+const defaultSlug = (env = process.env) => env.DEFAULT_GROUP || 'tst';
+
+// Storage paths of a group's funds, users, reminders and contacts documents
+function groupFiles(slug, env = process.env) {
+    if (slug === defaultSlug(env)) {
+        return {
+            funds: env.FUNDS_FILE_PATH || env.GITHUB_FILE_PATH || 'data/funds.json',
+            users: env.USERS_FILE_PATH || 'data/users.json',
+            reminders: env.REMINDERS_FILE_PATH || 'data/reminders.json',
+            contacts: env.CONTACTS_FILE_PATH || 'data/contacts.json',
+        };
+    }
+    const dir = `${env.GROUPS_DIR || 'data/groups'}/${slug}`;
+    return {
+        funds: `${dir}/funds.json`,
+        users: `${dir}/users.json`,
+        reminders: `${dir}/reminders.json`,
+        contacts: `${dir}/contacts.json`,
+    };
+}
+
+function parseSlug(slug) {
+    const value = typeof slug === 'string' ? slug.trim().toLowerCase() : '';
+    if (!SLUG_PATTERN.test(value) || RESERVED_SLUGS.includes(value)) {
+        throw badRequest('Slug must be 1-32 lowercase letters, digits or "-", not starting or ending with "-"');
+    }
+    return value;
+}
+
+function parseText(value, field, { required = false } = {}) {
+    if (value === undefined && !required) return undefined;
+    const text = typeof value === 'string' ? value.trim() : '';
+    if (required && !text) throw badRequest(`${field} is required`);
+    if (text.length > LIMITS[field]) throw badRequest(`${field} must be at most ${LIMITS[field]} characters`);
+    return text;
+}
+
+// A path on this site or an https URL, never javascript: or data:
+function parseLogo(value) {
+    const logo = parseText(value, 'logo');
+    if (logo && !/^(\/(?!\/)|https:\/\/)\S+$/.test(logo)) {
+        throw badRequest('logo must be a path starting with / or an https:// URL');
+    }
+    return logo;
+}
+
+// `about` is sent as paragraphs separated by blank lines
+function parseAbout(value) {
+    const about = parseText(value, 'about');
+    if (about === undefined) return undefined;
+    return about.split(/\n\s*\n/).map(paragraph => paragraph.trim()).filter(Boolean);
+}
+
+function parseBranding(body, { required = false } = {}) {
+    const branding = {
+        title: parseText(body.title, 'title', { required: required || body.title !== undefined }),
+        subtitle: parseText(body.subtitle, 'subtitle'),
+        logo: parseLogo(body.logo),
+        about: parseAbout(Array.isArray(body.about) ? body.about.join('\n\n') : body.about),
+    };
+    return Object.fromEntries(Object.entries(branding).filter(([, value]) => value !== undefined));
+}
+
+// Branding of a group as pages show it, or null when there is no such group
+function findGroup(doc, slug, env = process.env) {
+    const entry = (doc.groups || {})[slug];
+    const isDefault = slug === defaultSlug(env);
+    if (!entry && !isDefault) return null;
+
+    const group = { ...(isDefault ? DEFAULT_BRANDING : { subtitle: '', logo: '', about: [] }), ...entry };
+    return {
+        slug,
+        title: group.title,
+        subtitle: group.subtitle,
+        logo: group.logo,
+        about: group.about,
+        default: isDefault,
+    };
+}
+
+function getGroup(doc, slug, env = process.env) {
+    const group = findGroup(doc, slug, env);
+    if (!group) throw notFound('Group not found');
+    return group;
+}
+
+function listGroups(doc, env = process.env) {
+    const slugs = new Set([defaultSlug(env), ...Object.keys(doc.groups || {})]);
+    return [...slugs].map(slug => findGroup(doc, slug, env));
+}
+
+function createGroup(doc, body, env = process.env) {
+    const slug = parseSlug(body.slug);
+    if (findGroup(doc, slug, env)) throw conflict('Group already exists');
+
+    if (!doc.groups) doc.groups = {};
+    doc.groups[slug] = { ...parseBranding(body, { required: true }), createdAt: new Date().toISOString() };
+    return findGroup(doc, slug, env);
+}
+
+function updateGroup(doc, slug, body, env = process.env) {
+    getGroup(doc, slug, env);
+    const changes = parseBranding(body);
+    if (!Object.keys(changes).length) throw badRequest('Nothing to update');
+
+    if (!doc.groups) doc.groups = {};
+    doc.groups[slug] = { ...doc.groups[slug], ...changes };
+    return findGroup(doc, slug, env);
+}
+
+module.exports = {
+    defaultSlug,
+    groupFiles,
+    findGroup,
+    getGroup,
+    listGroups,
+    createGroup,
+    updateGroup,
+};
@@ -0,0 +1,150 @@
+const crypto = require('crypto');
+
+// Contributions are kept as an append-only list on the funds document. A
+// member's `amount` is never edited directly; it is the sum of their entries.
+// Entries keep the name the member had when they were recorded and point at
+// the member directory with `memberId`, so renames never touch them; readers
+// show the current name (see withNames).
+//
+// The list only grows, and on GitHub the whole document must stay under 1 MB
+// (roughly 3,000 entries once the audit trail is full). Past that writes
+// fail with a 507 (see lib/storage/github) rather than being rejected by GitHub.
+
+function roundAmount(value) {
+    return Math.round(value * 100) / 100;
+}
+
+// `actor` is the admin making the change: { username, ref } where `ref` is a
+// short reference to their session.
+function createEntry({ fund, member, memberId, amount, actor = null, note = '', type = 'contribution' }) {
+    const entry = {
+        id: crypto.randomBytes(8).toString('hex'),
+        type,
+        fund,
+        member,
+        memberId,
+        amount: roundAmount(amount),
+        timestamp: new Date().toISOString(),
+        admin: actor ? actor.username : null,
+        session: actor ? actor.ref : null,
+    };
+    if (note) entry.note = String(note).slice(0, 200);
+    return entry;
+}
+
+// Whether the entry is for `member` ({ id, name }) of `fund`. Entries from
+// before directory ids were stored are matched by name.
+function isFor(entry, fund, member) {
+    if (entry.fund !== fund) return false;
+    return entry.memberId ? entry.memberId === member.id : entry.member === member.name;
+}
+
+function memberTotal(ledger, fund, member) {
+    return roundAmount(ledger
+        .filter(entry => isFor(entry, fund, member))
+        .reduce((sum, entry) => sum + entry.amount, 0));
+}
+
+// Name the member of an entry goes by now
+function memberName(doc, entry) {
+    const member = entry.memberId && doc.directory && doc.directory[entry.memberId];
+    return member ? member.name : entry.member;
+}
+
+// Copies of `entries` showing each member's current name
+function withNames(doc, entries) {
+    return entries.map(entry => ({ ...entry, member: memberName(doc, entry) }));
+}
+
+// When opening entries were recorded is unknown, so they are dated at the epoch
+const OPENING_TIMESTAMP = new Date(0).toISOString();
+
+// Documents saved before the ledger existed only carry amounts. Turn each of
+// those into an opening entry so the derived totals match what was stored.
+// Migrations run on every read until the document is saved again, so opening
+// entries are derived from the fund, member and amount alone and come out the
+// same each time.
+function seedLedger(doc) {
+    if (Array.isArray(doc.ledger)) return doc;
+
+    doc.ledger = [];
+    Object.entries(doc.funds || {}).forEach(([fund, { members = [] }]) => {
+        members.forEach(({ id, name, amount }) => {
+            const value = parseFloat(amount) || 0;
+            if (value === 0) return;
+
+            const entry = createEntry({ fund, member: name, memberId: id, amount: value, type: 'opening' });
+            entry.id = crypto.createHash('sha1').update(`${fund}\u0000${name}\u0000${entry.amount}`)
+                .digest('hex').substring(0, 16);
+            entry.timestamp = OPENING_TIMESTAMP;
+            doc.ledger.push(entry);
+        });
+    });
+    return doc;
+}
+
+function applyAmounts(doc) {
+    Object.entries(doc.funds || {}).forEach(([fund, { members = [] }]) => {
+        members.forEach(member => {
+            member.amount = memberTotal(doc.ledger, fund, member);
+        });
+    });
+    return doc;
+}
+
+function recordContribution(doc, details) {
+    seedLedger(doc);
+    const entry = createEntry(details);
+    doc.ledger.push(entry);
+    applyAmounts(doc);
+    return entry;
+}
+
+// Takes a whole document edited by a client, keeps the server's ledger and
+// records an adjustment for every member whose amount no longer matches it.
+function reconcileDocument(current, incoming, actor) {
+    const ledger = seedLedger({ ...current }).ledger.slice();
+    const next = { ...incoming, ledger };
+    const adjustments = [];
+
+    Object.entries(next.funds || {}).forEach(([fund, { members = [] }]) => {
+        members.forEach(({ id, name, amount }) => {
+            const delta = roundAmount((parseFloat(amount) || 0) - memberTotal(ledger, fund, { id, name }));
+            if (delta !== 0) {
+                const entry = createEntry({
+                    fund,
+                    member: name,
+                    memberId: id,
+                    amount: delta,
+                    actor,
+                    type: 'adjustment',
+                });
+                ledger.push(entry);
+                adjustments.push(entry);
+            }
+        });
+    });
+
+    applyAmounts(next);
+    return { doc: next, adjustments };
+}
+
+// Entries of a fund, or of the fund member called `member` now, with current names
+function getLedger(doc, fund, member) {
+    const ledger = seedLedger({ ...doc }).ledger;
+    const found = member && doc.funds && doc.funds[fund] && doc.funds[fund].members.find(m => m.name === member);
+    const wanted = found || { name: member };
+    return withNames(doc, ledger.filter(entry => entry.fund === fund && (!member || isFor(entry, fund, wanted))));
+}
+
+module.exports = {
+    seedLedger,
+    applyAmounts,
+    recordContribution,
+    reconcileDocument,
+    getLedger,
+    isFor,
+    memberTotal,
+    memberName,
+    withNames,
+};
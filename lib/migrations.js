@@ -0,0 +1,124 @@
+const ledger = require('./ledger');
+const directory = require('./directory');
+const funds = require('./funds');
+
+// Ordered upgrades for the funds document. Each migration brings a document
+// from `version - 1` to `version`; documents without a `schemaVersion` are
+// treated as version 0. Add new entries at the end and never edit old ones.
+
+const toNumber = value => {
+    const number = typeof value === 'number' ? value : parseFloat(value);
+    return Number.isFinite(number) ? number : 0;
+};
+
+const migrations = [
+    {
+        version: 1,
+        description: 'Normalise amounts to numbers and fill in missing fields',
+        up(doc) {
+            if (!doc.funds || typeof doc.funds !== 'object') doc.funds = {};
+            Object.entries(doc.funds).forEach(([key, fund]) => {
+                if (!fund.title) fund.title = key.toUpperCase();
+                fund.target = toNumber(fund.target);
+                if (!Array.isArray(fund.members)) fund.members = [];
+                fund.members.forEach(member => {
+                    member.name = String(member.name || '').trim();
+                    member.amount = toNumber(member.amount);
+                });
+            });
+
+            const summary = doc.summary || {};
+            doc.summary = { ...summary, pman: toNumber(summary.pman), hawak: toNumber(summary.hawak) };
+        },
+    },
+    {
+        version: 2,
+        description: 'Seed the contribution ledger from stored member amounts',
+        up(doc) {
+            ledger.seedLedger(doc);
+        },
+    },
+    {
+        version: 3,
+        description: 'Move member names into a shared directory and refer to them by id',
+        up(doc) {
+            directory.linkFunds(doc);
+        },
+    },
+    {
+        version: 4,
+        description: 'Give every fund an open status, no due date and no recurrence',
+        up(doc) {
+            Object.values(doc.funds).forEach(funds.withLifecycleDefaults);
+        },
+    },
+    {
+        version: 5,
+        description: 'Make every fund public with its members shown',
+        up(doc) {
+            Object.values(doc.funds).forEach(funds.withSharingDefaults);
+        },
+    },
+    {
+        version: 6,
+        description: 'Point ledger entries at the member directory',
+        up(doc) {
+            (doc.ledger || []).forEach(entry => {
+                if (entry.memberId) return;
+                const fund = doc.funds[entry.fund];
+                const member = fund && fund.members.find(m => m.name === entry.member);
+                const id = member ? member.id : directory.findByName(doc, entry.member);
+                if (id) entry.memberId = id;
+            });
+        },
+    },
+    {
+        version: 7,
+        description: 'Move contact details out of the funds document and its audit trail',
+        up(doc) {
+            Object.values(doc.directory || {}).forEach(member => {
+                delete member.contact;
+            });
+            (doc.audit || []).forEach(entry => {
+                (entry.changes || []).forEach(change => {
+                    if (change.type === 'directory.contact') {
+                        delete change.before;
+                        delete change.after;
+                    }
+                    if (change.type === 'directory.added' && change.after) delete change.after.contact;
+                });
+            });
+        },
+    },
+    {
+        version: 8,
+        description: 'Leave the addresses of admins out of the audit trail',
+        up(doc) {
+            (doc.audit || []).forEach(entry => {
+                delete entry.ip;
+            });
+        },
+    },
+];
+
+const CURRENT_SCHEMA_VERSION = migrations[migrations.length - 1].version;
+
+// Upgrades `doc` in place. Returns the descriptions of the migrations applied.
+function migrate(doc) {
+    const from = doc.schemaVersion || 0;
+    if (from > CURRENT_SCHEMA_VERSION) {
+        throw new Error(`Funds document schema v${from} is newer than this server (v${CURRENT_SCHEMA_VERSION})`);
+    }
+
+    const applied = [];
+    migrations
+        .filter(({ version }) => version > from)
+        .forEach(({ version, description, up }) => {
+            up(doc);
+            doc.schemaVersion = version;
+            applied.push(`v${version}: ${description}`);
+        });
+    return applied;
+}
+
+module.exports = { CURRENT_SCHEMA_VERSION, migrate, migrations };
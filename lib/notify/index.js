@@ -0,0 +1,47 @@
+const { createWebhookChannel } = require('./webhook');
+const { createEmailChannel } = require('./smtp');
+
+// Channels reminders go out on. A channel is { name, recipient(reminder),
+// send(reminder, recipient) }: `recipient` says where a reminder would go, or
+// null when it can't reach that member. Factories return null when the
+// channel isn't set up for the group.
+const channels = {
+    webhook: (env, settings, { sender }) => (
+        settings.webhook.url ? createWebhookChannel({ url: settings.webhook.url, username: sender, env }) : null
+    ),
+    // The mail server is the deployment's; each group only turns email on
+    email: (env, settings) => {
+        if (!settings.email.enabled || !env.SMTP_HOST) return null;
+        const secure = env.SMTP_SECURE === 'true';
+        return createEmailChannel({
+            host: env.SMTP_HOST,
+            port: parseInt(env.SMTP_PORT, 10) || (secure ? 465 : 587),
+            secure,
+            user: env.SMTP_USER,
+            pass: env.SMTP_PASS,
+            from: env.SMTP_FROM || env.SMTP_USER,
+        });
+    },
+};
+
+// What is missing from the deployment's SMTP_* settings, or null when they are
+// complete or email is off (no SMTP_HOST). Checked once at startup so a
+// half-configured mail server can't break the reminder routes later.
+function emailConfigProblem(env = process.env) {
+    if (!env.SMTP_HOST) return null;
+    if (!env.SMTP_FROM && !env.SMTP_USER) return 'set SMTP_FROM (or SMTP_USER) along with SMTP_HOST';
+    if (Boolean(env.SMTP_USER) !== Boolean(env.SMTP_PASS)) return 'set both SMTP_USER and SMTP_PASS, or neither';
+    return null;
+}
+
+// `settings` is a group's reminder settings with defaults filled in;
+// `sender` the name webhook posts appear under
+function createChannels(settings, { sender } = {}, env = process.env) {
+    return Object.values(channels).map(factory => factory(env, settings, { sender })).filter(Boolean);
+}
+
+function registerChannel(name, factory) {
+    channels[name] = factory;
+}
+
+module.exports = { createChannels, registerChannel, emailConfigProblem };
@@ -0,0 +1,184 @@
+const net = require('net');
+const tls = require('tls');
+const os = require('os');
+const crypto = require('crypto');
+
+// Just enough SMTP to hand a plain-text message to a mail server: implicit
+// TLS (`secure`, usually port 465) or STARTTLS when the server offers it, and
+// AUTH PLAIN. Credentials are never sent over an unencrypted connection.
+
+const EMAIL_PATTERN = /^[^\s@<>",;]+@[^\s@<>",;]+\.[^\s@<>",;]+$/;
+
+function open({ host, port, secure }) {
+    return new Promise((resolve, reject) => {
+        const socket = secure
+            ? tls.connect({ host, port, servername: host }, () => resolve(socket))
+            : net.connect({ host, port }, () => resolve(socket));
+        socket.once('error', reject);
+    });
+}
+
+// Reads replies off the socket (multi-line ones joined) and sends commands.
+// `upgrade` moves the session onto TLS after STARTTLS.
+function createSession(socket, { host, timeout }) {
+    let current = socket;
+    let buffer = '';
+    let lines = [];
+    let waiting = null;
+    let failure = null;
+    const replies = [];
+
+    function settle(reply, error) {
+        if (!waiting) {
+            if (error) failure = failure || error;
+            else replies.push(reply);
+            return;
+        }
+        const { resolve, reject } = waiting;
+        waiting = null;
+        if (error) reject(error);
+        else resolve(reply);
+    }
+
+    function onData(chunk) {
+        buffer += chunk.toString('utf8');
+        let end;
+        while ((end = buffer.indexOf('\n')) !== -1) {
+            const line = buffer.slice(0, end).replace(/\r$/, '');
+            buffer = buffer.slice(end + 1);
+            lines.push(line);
+            if (/^\d{3}(?!-)/.test(line)) {
+                settle({ code: parseInt(line, 10), text: lines.map(text => text.slice(4)).join('\n') });
+                lines = [];
+            }
+        }
+    }
+    const onError = error => settle(null, error);
+    const onClose = () => settle(null, new Error('SMTP server closed the connection'));
+    const onTimeout = () => {
+        settle(null, new Error('SMTP server timed out'));
+        current.destroy();
+    };
+
+    function attach(target) {
+        current = target;
+        target.on('data', onData);
+        target.on('error', onError);
+        target.on('close', onClose);
+        target.setTimeout(timeout, onTimeout);
+    }
+
+    function detach() {
+        current.removeListener('data', onData);
+        current.removeListener('error', onError);
+        current.removeListener('close', onClose);
+        current.setTimeout(0);
+    }
+
+    function read() {
+        if (replies.length) return Promise.resolve(replies.shift());
+        if (failure) return Promise.reject(failure);
+        return new Promise((resolve, reject) => { waiting = { resolve, reject }; });
+    }
+
+    async function expect(codes) {
+        const reply = await read();
+        if (!codes.includes(reply.code)) throw new Error(`SMTP ${reply.code}: ${reply.text}`);
+        return reply;
+    }
+
+    attach(socket);
+
+    return {
+        expect,
+
+        command(line, codes) {
+            current.write(`${line}\r\n`);
+            return expect(codes);
+        },
+
+        upgrade() {
+            detach();
+            return new Promise((resolve, reject) => {
+                const secured = tls.connect({ socket: current, servername: host }, () => {
+                    attach(secured);
+                    resolve();
+                });
+                secured.once('error', reject);
+            });
+        },
+
+        close() {
+            detach();
+            current.destroy();
+        },
+    };
+}
+
+const base64 = text => Buffer.from(text, 'utf8').toString('base64');
+const address = from => (from.match(/<([^>]+)>/) || [null, from])[1].trim();
+
+function formatMessage({ from, to, subject, text }) {
+    const body = base64(text.replace(/\r?\n/g, '\r\n')).replace(/.{76}/g, '$&\r\n');
+    return [
+        `From: ${from}`,
+        `To: ${to}`,
+        `Subject: =?UTF-8?B?${base64(subject)}?=`,
+        `Date: ${new Date().toUTCString()}`,
+        `Message-ID: <${crypto.randomBytes(12).toString('hex')}@${address(from).split('@')[1] || 'localhost'}>`,
+        'MIME-Version: 1.0',
+        'Content-Type: text/plain; charset=utf-8',
+        'Content-Transfer-Encoding: base64',
+        '',
+        body.replace(/\r\n$/, ''),
+    ].join('\r\n');
+}
+
+async function sendMail({ host, port, secure = false, user, pass, from, timeout = 15000 }, { to, subject, text }) {
+    if (!EMAIL_PATTERN.test(to)) throw new Error('Invalid recipient address');
+
+    const session = createSession(await open({ host, port, secure }), { host, timeout });
+    try {
+        await session.expect([220]);
+        const hello = `EHLO ${os.hostname() || 'localhost'}`;
+        const features = await session.command(hello, [250]);
+
+        let encrypted = secure;
+        if (!encrypted && /^STARTTLS\b/im.test(features.text)) {
+            await session.command('STARTTLS', [220]);
+            await session.upgrade();
+            await session.command(hello, [250]);
+            encrypted = true;
+        }
+
+        if (user) {
+            if (!encrypted) throw new Error('SMTP server offers no TLS, not sending the password');
+            await session.command(`AUTH PLAIN ${base64(`\0${user}\0${pass || ''}`)}`, [235]);
+        }
+
+        await session.command(`MAIL FROM:<${address(from)}>`, [250]);
+        await session.command(`RCPT TO:<${to}>`, [250, 251]);
+        await session.command('DATA', [354]);
+        await session.command(`${formatMessage({ from, to, subject, text })}\r\n.`, [250]);
+        await session.command('QUIT', [221]).catch(() => {});
+    } finally {
+        session.close();
+    }
+}
+
+// Emails each reminder to the member's contact, when that is an address
+function createEmailChannel(options) {
+    if (!options.host || !options.from) throw new Error('Email channel requires SMTP_HOST and SMTP_FROM');
+
+    return {
+        name: 'email',
+
+        recipient: reminder => (EMAIL_PATTERN.test(reminder.contact || '') ? reminder.contact : null),
+
+        send(reminder, to) {
+            return sendMail(options, { to, subject: reminder.subject, text: reminder.text });
+        },
+    };
+}
+
+module.exports = { sendMail, createEmailChannel, EMAIL_PATTERN };
@@ -0,0 +1,91 @@
+const dns = require('dns');
+const net = require('net');
+const https = require('https');
+const fetch = require('node-fetch');
+
+// Webhook URLs are set by group owners, so the server must not be pointed at
+// itself or the network it runs in: only https, and never a loopback,
+// link-local or private address, whether written in the URL or resolved from
+// its host. Hosts listed in WEBHOOK_ALLOWED_HOSTS (comma separated) are
+// trusted as they are, http included, for a bot on the same network.
+
+const PRIVATE_RANGES = new net.BlockList();
+[
+    ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+    ['172.16.0.0', 12], ['192.168.0.0', 16],
+].forEach(([address, prefix]) => PRIVATE_RANGES.addSubnet(address, prefix, 'ipv4'));
+[['::', 128], ['::1', 128], ['fc00::', 7], ['fe80::', 10]]
+    .forEach(([address, prefix]) => PRIVATE_RANGES.addSubnet(address, prefix, 'ipv6'));
+
+const isPrivateAddress = address => PRIVATE_RANGES.check(address, net.isIPv6(address) ? 'ipv6' : 'ipv4');
+
+function allowedHosts(env = process.env) {
+    return (env.WEBHOOK_ALLOWED_HOSTS || '').split(',').map(host => host.trim().toLowerCase()).filter(Boolean);
+}
+
+// Why a webhook may not post to `value`, or null when it may
+function webhookUrlProblem(value, env = process.env) {
+    let url;
+    try {
+        url = new URL(value);
+    } catch {
+        return 'must be a URL';
+    }
+    if (allowedHosts(env).includes(url.hostname)) {
+        return ['http:', 'https:'].includes(url.protocol) ? null : 'must be an http:// or https:// URL';
+    }
+    if (url.protocol !== 'https:') return 'must be an https:// URL';
+
+    const host = url.hostname.replace(/^\[|\]$/g, '').replace(/\.$/, '');
+    if (host === 'localhost' || host.endsWith('.localhost') || (net.isIP(host) && isPrivateAddress(host))) {
+        return 'must not point at a local or private address';
+    }
+    return null;
+}
+
+// dns.lookup that fails for private addresses, so a public name can't be made
+// to resolve into the private network once the URL is saved
+function publicLookup(hostname, options, callback) {
+    dns.lookup(hostname, options, (error, address, family) => {
+        if (error) return callback(error);
+        const addresses = Array.isArray(address) ? address.map(item => item.address) : [address];
+        if (addresses.some(isPrivateAddress)) {
+            return callback(new Error(`Webhook host ${hostname} resolves to a private address`));
+        }
+        callback(null, address, family);
+    });
+}
+
+// Posts each reminder as JSON to an outgoing webhook: `content` and `username`
+// are what a Discord webhook shows, and bots (Messenger and the like) can use
+// the structured `reminder` instead. A URL saved before the rules above fails
+// each send instead of the whole channel.
+function createWebhookChannel({ url, username, timeout = 10000, env = process.env }) {
+    if (!url) throw new Error('Webhook channel requires a URL');
+    const problem = webhookUrlProblem(url, env);
+    const trusted = !problem && allowedHosts(env).includes(new URL(url).hostname);
+    const agent = trusted ? undefined : new https.Agent({ lookup: publicLookup });
+
+    return {
+        name: 'webhook',
+
+        // The log records where reminders went, not the (secret) URL itself
+        recipient: () => new URL(url).host,
+
+        async send(reminder) {
+            if (problem) throw new Error(`Webhook URL ${problem}`);
+            const { contact: _contact, ...details } = reminder;
+            const payload = { username, content: `**${reminder.subject}**\n${reminder.text}`, reminder: details };
+            const res = await fetch(url, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify(payload),
+                timeout,
+                agent,
+            });
+            if (!res.ok) throw new Error(`Webhook answered ${res.status}`);
+        },
+    };
+}
+
+module.exports = { createWebhookChannel, webhookUrlProblem };
@@ -0,0 +1,138 @@
+// Small PDF writer for the printable receipts and statements, so they can be
+// made on the server without a browser, a package or an outside service. Text
+// flows down A4 pages in the standard Helvetica fonts, which every reader has
+// built in. Those fonts only cover Latin-1, so '₱' is written as 'PHP' and any
+// other character they can't show as '?'.
+
+const PAGE_WIDTH = 595.28;
+const PAGE_HEIGHT = 841.89;
+const MARGIN = 50;
+
+// Helvetica advance widths (per 1000 units) for the characters that end up in
+// right-aligned amounts; anything else is measured as a digit
+const WIDTHS = { ' ': 278, ',': 278, '.': 278, '-': 333, P: 667, H: 722 };
+
+const textWidth = (text, size) => [...text].reduce((sum, char) => sum + (WIDTHS[char] || 556), 0) * size / 1000;
+
+function pdfText(value) {
+    return String(value)
+        .replace(/₱/g, 'PHP ')
+        .replace(/[^\x20-\x7e\xa0-\xff]/g, '?')
+        .replace(/[\\()]/g, '\\$&');
+}
+
+const number = value => Number(value.toFixed(2));
+
+// `title` goes in the document properties. Content is added top to bottom
+// with heading/text/row/rule/space and a new page starts when one is full.
+function createPdf({ title = '' } = {}) {
+    const pages = [];
+    let ops = null;
+    let y = 0;
+
+    function newPage() {
+        ops = [];
+        pages.push(ops);
+        y = PAGE_HEIGHT - MARGIN;
+    }
+
+    function ensureSpace(height) {
+        if (!ops || y - height < MARGIN) newPage();
+    }
+
+    function draw(value, { x = MARGIN, size, bold = false, align = 'left' }) {
+        const text = pdfText(value);
+        const left = align === 'right' ? x - textWidth(text, size) : x;
+        ops.push(`BT /${bold ? 'F2' : 'F1'} ${size} Tf ${number(left)} ${number(y)} Td (${text}) Tj ET`);
+    }
+
+    const pdf = {
+        width: PAGE_WIDTH - MARGIN * 2,
+        left: MARGIN,
+        right: PAGE_WIDTH - MARGIN,
+
+        heading(value, size = 18) {
+            ensureSpace(size * 1.6);
+            y -= size;
+            draw(value, { size, bold: true });
+            y -= size * 0.6;
+            return pdf;
+        },
+
+        text(value, { size = 10, bold = false } = {}) {
+            ensureSpace(size * 1.5);
+            y -= size;
+            draw(value, { size, bold });
+            y -= size * 0.5;
+            return pdf;
+        },
+
+        // One line of columns: [{ text, x, align, bold }] with x from the left margin
+        row(cells, { size = 10, bold = false } = {}) {
+            ensureSpace(size * 1.5);
+            y -= size;
+            cells.forEach(cell => draw(cell.text, {
+                x: MARGIN + (cell.x || 0),
+                size,
+                bold: cell.bold === undefined ? bold : cell.bold,
+                align: cell.align,
+            }));
+            y -= size * 0.5;
+            return pdf;
+        },
+
+        rule() {
+            ensureSpace(12);
+            y -= 4;
+            ops.push(`0.5 w ${MARGIN} ${number(y)} m ${number(PAGE_WIDTH - MARGIN)} ${number(y)} l S`);
+            y -= 8;
+            return pdf;
+        },
+
+        space(height = 10) {
+            if (ops) y -= height;
+            return pdf;
+        },
+
+        toBuffer() {
+            if (!pages.length) newPage();
+
+            const objects = [];
+            const add = body => objects.push(body) + 1;
+            const font = name => add(`<< /Type /Font /Subtype /Type1 /BaseFont /${name} /Encoding /WinAnsiEncoding >>`);
+            const fontRegular = font('Helvetica');
+            const fontBold = font('Helvetica-Bold');
+            const info = add(`<< /Title (${pdfText(title)}) /Producer (Temple Street Trece) >>`);
+            const kids = pages.map(page => {
+                const stream = page.join('\n');
+                const content = add(`<< /Length ${stream.length} >>\nstream\n${stream}\nendstream`);
+                return add(`<< /Type /Page /Parent 1 0 R /MediaBox [0 0 ${PAGE_WIDTH} ${PAGE_HEIGHT}] `
+                    + `/Resources << /Font << /F1 ${fontRegular} 0 R /F2 ${fontBold} 0 R >> >> `
+                    + `/Contents ${content} 0 R >>`);
+            });
+
+            // Object 1 is the page tree, which has to list the pages made above
+            const all = [`<< /Type /Pages /Kids [${kids.map(id => `${id} 0 R`).join(' ')}] /Count ${kids.length} >>`]
+                .concat(objects);
+            const catalog = all.push('<< /Type /Catalog /Pages 1 0 R >>');
+
+            // The second line marks the file as binary for tools that guess
+            let out = '%PDF-1.4\n%\xe2\xe3\xcf\xd3\n';
+            const offsets = all.map((body, index) => {
+                const offset = out.length;
+                out += `${index + 1} 0 obj\n${body}\nendobj\n`;
+                return offset;
+            });
+            const xref = out.length;
+            out += `xref\n0 ${all.length + 1}\n0000000000 65535 f \n`;
+            out += offsets.map(offset => `${String(offset).padStart(10, '0')} 00000 n \n`).join('');
+            out += `trailer\n<< /Size ${all.length + 1} /Root ${catalog} 0 R /Info ${info} 0 R >>\n`;
+            out += `startxref\n${xref}\n%%EOF\n`;
+            return Buffer.from(out, 'latin1');
+        },
+    };
+
+    return pdf;
+}
+
+module.exports = { createPdf };
@@ -0,0 +1,51 @@
+// Collection periods of recurring funds. A period is labelled by the month
+// ('2026-10') or ISO week ('2026-W42') it starts in, so `?period=2026` or
+// `?period=2026-10` can match funds by prefix.
+
+const RECURRENCES = ['weekly', 'monthly'];
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+const pad = value => String(value).padStart(2, '0');
+const toDate = value => new Date(`${value}T00:00:00Z`);
+const formatDate = date => date.toISOString().substring(0, 10);
+
+function isDate(value) {
+    return DATE_PATTERN.test(value || '') && !Number.isNaN(toDate(value).getTime());
+}
+
+// Thursday of the date's week decides which ISO year the week belongs to
+function isoWeek(date) {
+    const thursday = new Date(date);
+    thursday.setUTCDate(date.getUTCDate() + 3 - ((date.getUTCDay() + 6) % 7));
+    const yearStart = new Date(Date.UTC(thursday.getUTCFullYear(), 0, 1));
+    const week = Math.ceil(((thursday - yearStart) / 86400000 + 1) / 7);
+    return `${thursday.getUTCFullYear()}-W${pad(week)}`;
+}
+
+function periodLabel(recurrence, dateString) {
+    const date = toDate(dateString);
+    return recurrence === 'weekly'
+        ? isoWeek(date)
+        : `${date.getUTCFullYear()}-${pad(date.getUTCMonth() + 1)}`;
+}
+
+// Same day one period later. Monthly dates are clamped to the end of shorter
+// months (31 Jan -> 28/29 Feb).
+function addPeriod(recurrence, dateString) {
+    const date = toDate(dateString);
+    if (recurrence === 'weekly') {
+        date.setUTCDate(date.getUTCDate() + 7);
+        return formatDate(date);
+    }
+
+    const day = date.getUTCDate();
+    date.setUTCDate(1);
+    date.setUTCMonth(date.getUTCMonth() + 1);
+    const lastDay = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + 1, 0)).getUTCDate();
+    date.setUTCDate(Math.min(day, lastDay));
+    return formatDate(date);
+}
+
+const today = () => formatDate(new Date());
+
+module.exports = { RECURRENCES, isDate, periodLabel, addPeriod, today };
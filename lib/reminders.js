@@ -0,0 +1,257 @@
+const crypto = require('crypto');
+const { outstandingReport } = require('./reports');
+const { printPeso } = require('./views');
+const { badRequest } = require('./errors');
+const { webhookUrlProblem } = require('./notify/webhook');
+
+// Reminders for members who still owe, one per member and open fund. A group
+// keeps its reminder settings and send log in a document of their own:
+//
+//   { language: 'tl', templates: { tl: { subject, body }, en: { ... } },
+//     webhook: { url }, email: { enabled }, schedule: { everyDays },
+//     repeatDays, lastRun, log: [...] }
+//
+// Templates fill in {name}, {fund}, {paid}, {due}, {owed}, {dueDate} and
+// {group}. Delivery is up to the channels in lib/notify; SMTP credentials come
+// from the environment. The webhook URL is a secret, so the document is kept
+// in private storage (see lib/storage).
+
+const LANGUAGES = ['tl', 'en'];
+
+const DEFAULT_TEMPLATES = {
+    tl: {
+        subject: '{fund}: may kulang pang {owed}',
+        body: 'Hi {name}! Paalala lang mula sa {group}: {paid} pa lang ang naibigay mo sa {due} para sa {fund}, '
+            + 'kaya {owed} pa ang kulang. Salamat!',
+    },
+    en: {
+        subject: '{fund}: {owed} still to pay',
+        body: 'Hi {name}! A friendly reminder from {group}: you have paid {paid} of {due} for {fund}, '
+            + 'so {owed} is still outstanding. Thank you!',
+    },
+};
+
+const DEFAULT_SETTINGS = {
+    language: 'tl',
+    webhook: { url: '' },
+    email: { enabled: false },
+    // 0 leaves scheduled runs off
+    schedule: { everyDays: 0 },
+    // A member isn't reminded about the same fund again within this many days
+    repeatDays: 3,
+    lastRun: null,
+};
+
+const LIMITS = { subject: 150, body: 2000, url: 500, days: 90 };
+const MAX_LOG_ENTRIES = 500;
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+
+// The stored document with defaults filled in
+function withDefaults(doc = {}) {
+    const templates = {};
+    LANGUAGES.forEach(language => {
+        templates[language] = { ...DEFAULT_TEMPLATES[language], ...(doc.templates || {})[language] };
+    });
+    return {
+        ...DEFAULT_SETTINGS,
+        ...doc,
+        webhook: { ...DEFAULT_SETTINGS.webhook, ...doc.webhook },
+        email: { ...DEFAULT_SETTINGS.email, ...doc.email },
+        schedule: { ...DEFAULT_SETTINGS.schedule, ...doc.schedule },
+        templates,
+        log: Array.isArray(doc.log) ? doc.log : [],
+    };
+}
+
+function parseLanguage(value) {
+    if (!LANGUAGES.includes(value)) throw badRequest(`Language must be one of: ${LANGUAGES.join(', ')}`);
+    return value;
+}
+
+function parseDays(value, field) {
+    const days = typeof value === 'number' ? value : parseInt(value, 10);
+    if (!Number.isInteger(days) || days < 0 || days > LIMITS.days) {
+        throw badRequest(`${field} must be a whole number of days from 0 to ${LIMITS.days}`);
+    }
+    return days;
+}
+
+function parseTemplate(value, language) {
+    if (!value || typeof value !== 'object') throw badRequest(`templates.${language} must be an object`);
+    const template = {};
+    ['subject', 'body'].forEach(field => {
+        if (value[field] === undefined) return;
+        const text = typeof value[field] === 'string' ? value[field].trim() : '';
+        if (!text) throw badRequest(`templates.${language}.${field} is required`);
+        if (text.length > LIMITS[field]) {
+            throw badRequest(`templates.${language}.${field} must be at most ${LIMITS[field]} characters`);
+        }
+        template[field] = text;
+    });
+    return template;
+}
+
+// Where a webhook may post: an https URL outside the server's own network
+// (see lib/notify/webhook). An empty one turns the channel off.
+function parseWebhookUrl(value) {
+    const url = typeof value === 'string' ? value.trim() : '';
+    if (!url) return url;
+    if (/\s/.test(url) || url.length > LIMITS.url) throw badRequest('webhook.url must be an https:// URL');
+    const problem = webhookUrlProblem(url);
+    if (problem) throw badRequest(`webhook.url ${problem}`);
+    return url;
+}
+
+// Applies a settings change from the API to the stored document
+function updateSettings(doc, body) {
+    const { language, templates, webhook, email, schedule, repeatDays } = body;
+    if ([language, templates, webhook, email, schedule, repeatDays].every(value => value === undefined)) {
+        throw badRequest('Nothing to update');
+    }
+
+    if (language !== undefined) doc.language = parseLanguage(language);
+    if (templates !== undefined) {
+        if (!templates || typeof templates !== 'object') throw badRequest('templates must be an object');
+        Object.keys(templates).map(parseLanguage).forEach(key => {
+            const changes = parseTemplate(templates[key], key);
+            doc.templates = { ...doc.templates, [key]: { ...(doc.templates || {})[key], ...changes } };
+        });
+    }
+    if (webhook !== undefined) doc.webhook = { url: parseWebhookUrl((webhook || {}).url) };
+    if (email !== undefined) doc.email = { enabled: Boolean((email || {}).enabled) };
+    if (schedule !== undefined) {
+        doc.schedule = { everyDays: parseDays((schedule || {}).everyDays, 'schedule.everyDays') };
+    }
+    if (repeatDays !== undefined) doc.repeatDays = parseDays(repeatDays, 'repeatDays');
+    return doc;
+}
+
+// Settings as the API shows them. The webhook URL usually embeds a secret, so
+// only where it points is shown.
+function publicSettings(doc, channels) {
+    const { log: _log, webhook, ...settings } = withDefaults(doc);
+    const host = webhook.url ? new URL(webhook.url).host : '';
+    return { ...settings, webhook: { configured: Boolean(webhook.url), host }, channels };
+}
+
+function render(text, values) {
+    return text.replace(/\{(\w+)\}/g, (match, key) => (values[key] !== undefined ? values[key] : match));
+}
+
+// When a member was last sent a reminder about a fund, by `<memberId>/<fund>`
+function lastSent(log) {
+    const sent = new Map();
+    log.filter(entry => entry.status === 'sent').forEach(entry => {
+        const key = `${entry.memberId}/${entry.fund}`;
+        if (!sent.has(key) || sent.get(key) < entry.timestamp) sent.set(key, entry.timestamp);
+    });
+    return sent;
+}
+
+// Reminders for every member who owes something in an open fund, rendered in
+// `language`. Ones sent less than `repeatDays` ago are `held` unless `force`.
+// `fund` and `member` (directory id) narrow them down. `contacts` are the
+// members' contacts by directory id (see lib/contacts.js).
+function buildReminders(doc, settingsDoc, { group, language, fund, member, contacts = {}, force = false,
+    now = Date.now() } = {}) {
+    const settings = withDefaults(settingsDoc);
+    const lang = language === undefined ? settings.language : parseLanguage(language);
+    const template = settings.templates[lang];
+    const sent = lastSent(settings.log);
+    const reminders = [];
+    const held = [];
+
+    outstandingReport(doc).debtors.forEach(debtor => {
+        if (member && debtor.id !== member) return;
+
+        debtor.funds.forEach(owing => {
+            if (fund && owing.key !== fund) return;
+            const previous = sent.get(`${debtor.id}/${owing.key}`);
+            if (!force && previous && now - Date.parse(previous) < settings.repeatDays * DAY) {
+                held.push({ memberId: debtor.id, member: debtor.name, fund: owing.key, lastSent: previous });
+                return;
+            }
+
+            const dueDate = doc.funds[owing.key].dueDate || '';
+            const values = {
+                name: debtor.name,
+                fund: owing.title,
+                paid: printPeso(owing.paid),
+                due: printPeso(owing.paid + owing.owed),
+                owed: printPeso(owing.owed),
+                dueDate,
+                group,
+            };
+            reminders.push({
+                memberId: debtor.id,
+                member: debtor.name,
+                contact: (debtor.id && contacts[debtor.id]) || '',
+                fund: owing.key,
+                fundTitle: owing.title,
+                paid: owing.paid,
+                owed: owing.owed,
+                dueDate: dueDate || null,
+                language: lang,
+                subject: render(template.subject, values),
+                text: render(template.body, values),
+            });
+        });
+    });
+
+    return { reminders, held };
+}
+
+// Log entry for one delivery attempt
+function logEntry(reminder, { channel, to, error }, actor) {
+    return {
+        id: crypto.randomBytes(8).toString('hex'),
+        timestamp: new Date().toISOString(),
+        actor,
+        channel,
+        to,
+        memberId: reminder.memberId,
+        member: reminder.member,
+        fund: reminder.fund,
+        owed: reminder.owed,
+        status: error ? 'failed' : 'sent',
+        ...(error ? { error } : {}),
+    };
+}
+
+// Adds entries to the log, dropping the oldest past MAX_LOG_ENTRIES
+function appendLog(doc, entries) {
+    doc.log = [...(Array.isArray(doc.log) ? doc.log : []), ...entries].slice(-MAX_LOG_ENTRIES);
+}
+
+// Newest first. `fund`, `member` (directory id) and `status` narrow the list.
+function queryLog(doc, { fund, member, status, limit = 100 } = {}) {
+    return withDefaults(doc).log
+        .filter(entry => (!fund || entry.fund === fund)
+            && (!member || entry.memberId === member)
+            && (!status || entry.status === status))
+        .slice()
+        .reverse()
+        .slice(0, Math.min(Math.max(parseInt(limit, 10) || 100, 1), MAX_LOG_ENTRIES));
+}
+
+// Whether a scheduled run is due. An hour's slack keeps a daily cron job from
+// missing a run because the previous one finished a few seconds later.
+function isScheduleDue(doc, now = Date.now()) {
+    const { schedule, lastRun } = withDefaults(doc);
+    if (!schedule.everyDays) return false;
+    return !lastRun || now - Date.parse(lastRun) >= schedule.everyDays * DAY - HOUR;
+}
+
+module.exports = {
+    DEFAULT_TEMPLATES,
+    withDefaults,
+    updateSettings,
+    publicSettings,
+    render,
+    buildReminders,
+    logEntry,
+    appendLog,
+    queryLog,
+    isScheduleDue,
+};
@@ -0,0 +1,170 @@
+const ledger = require('./ledger');
+
+// Figures derived from the funds document for exports and reports.
+
+const round = value => Math.round(value * 100) / 100;
+
+// What a member is expected to pay into a fund: its target plus anything
+// carried over unpaid from the previous period
+const memberDue = (fund, member) => fund.target + (member.carryOver || 0);
+
+function memberBalance(fund, member) {
+    return round(Math.max(memberDue(fund, member) - member.amount, 0));
+}
+
+function fundFigures(key, fund) {
+    const members = fund.members.map(member => ({
+        id: member.id,
+        name: member.name,
+        amount: member.amount,
+        balance: memberBalance(fund, member),
+    }));
+    const collected = round(members.reduce((sum, m) => sum + m.amount, 0));
+    const expected = round(fund.members.reduce((sum, m) => sum + memberDue(fund, m), 0));
+
+    return {
+        key,
+        title: fund.title,
+        target: fund.target,
+        status: fund.status,
+        members,
+        collected,
+        expected,
+        outstanding: round(members.reduce((sum, m) => sum + m.balance, 0)),
+    };
+}
+
+function summarizeFunds(doc) {
+    const funds = Object.entries(doc.funds || {}).map(([key, fund]) => fundFigures(key, fund));
+    return {
+        funds,
+        overallTotal: round(funds.reduce((sum, f) => sum + f.collected, 0)),
+        summary: { pman: 0, hawak: 0, ...doc.summary },
+    };
+}
+
+// Per-fund collected / expected / outstanding plus a cross-fund list of
+// members who still owe, grouped by directory id since the same people appear
+// in several funds. Debtors are sorted by how much they owe in total. Only
+// open funds count towards debtors and totals: a closed period's balances
+// have ended or been carried over, and archived funds are left out entirely.
+function outstandingReport(doc) {
+    const funds = summarizeFunds(doc).funds.filter(fund => fund.status !== 'archived');
+    const open = funds.filter(fund => fund.status === 'open');
+    const debtors = new Map();
+
+    open.forEach(fund => {
+        fund.members.filter(m => m.balance > 0).forEach(member => {
+            const id = member.id || member.name.trim().toLowerCase();
+            if (!debtors.has(id)) debtors.set(id, { id: member.id, name: member.name, owed: 0, funds: [] });
+
+            const debtor = debtors.get(id);
+            debtor.owed = round(debtor.owed + member.balance);
+            debtor.funds.push({ key: fund.key, title: fund.title, paid: member.amount, owed: member.balance });
+        });
+    });
+
+    return {
+        funds: funds.map(fund => ({
+            ...fund,
+            progress: fund.expected > 0 ? round(Math.min(fund.collected / fund.expected, 1) * 100) : 100,
+        })),
+        debtors: Array.from(debtors.values()).sort((a, b) => b.owed - a.owed || a.name.localeCompare(b.name)),
+        totals: {
+            collected: round(open.reduce((sum, f) => sum + f.collected, 0)),
+            expected: round(open.reduce((sum, f) => sum + f.expected, 0)),
+            outstanding: round(open.reduce((sum, f) => sum + f.outstanding, 0)),
+        },
+    };
+}
+
+// What one directory member has paid and still owes in each of their funds,
+// with their contributions newest first
+function memberProfile(doc, id) {
+    const funds = [];
+    const members = new Map();
+
+    Object.entries(doc.funds || {}).forEach(([key, fund]) => {
+        const member = fund.members.find(m => m.id === id);
+        if (!member) return;
+        members.set(key, member);
+        funds.push({
+            key,
+            title: fund.title,
+            target: fund.target,
+            paid: member.amount,
+            owed: memberBalance(fund, member),
+        });
+    });
+
+    return {
+        funds,
+        totals: {
+            paid: round(funds.reduce((sum, f) => sum + f.paid, 0)),
+            owed: round(funds.reduce((sum, f) => sum + f.owed, 0)),
+        },
+        contributions: ledger.withNames(doc, (doc.ledger || [])
+            .filter(entry => members.has(entry.fund) && ledger.isFor(entry, entry.fund, members.get(entry.fund))))
+            .reverse(),
+    };
+}
+
+// Cash that should be on hand per fund (collected minus expenses) compared
+// with the P.MAN + HAWAK amounts recorded in the summary. Anything that does
+// not add up is listed in `discrepancies`. Totals-only funds of the visitor's
+// copy (see sharing.visitorDocument) count with their `totals`.
+function reconciliation(doc) {
+    const expenses = doc.expenses || [];
+    const spentFrom = key => round(expenses.filter(e => e.fund === key).reduce((sum, e) => sum + e.amount, 0));
+
+    const funds = Object.entries(doc.funds || {}).map(([key, fund]) => {
+        const { collected } = fund.totals || fundFigures(key, fund);
+        const spent = spentFrom(key);
+        return { key, title: fund.title, collected, spent, cashOnHand: round(collected - spent) };
+    });
+    // Expenses left behind by deleted funds still took cash out
+    Array.from(new Set(expenses.map(e => e.fund)))
+        .filter(key => !doc.funds || !doc.funds[key])
+        .forEach(key => {
+            const spent = spentFrom(key);
+            funds.push({ key, title: key, collected: 0, spent, cashOnHand: -spent });
+        });
+
+    const summary = { pman: 0, hawak: 0, ...doc.summary };
+    const cashOnHand = round(funds.reduce((sum, f) => sum + f.cashOnHand, 0));
+    const recorded = round(summary.pman + summary.hawak);
+    const difference = round(recorded - cashOnHand);
+
+    const discrepancies = funds
+        .filter(f => f.cashOnHand < 0)
+        .map(f => `Expenses from ${f.title} exceed what was collected by ₱${-f.cashOnHand}`);
+    if (difference !== 0) {
+        discrepancies.unshift(
+            `P.MAN + HAWAK is ₱${Math.abs(difference)} ${difference > 0 ? 'more' : 'less'} than the cash on hand`
+        );
+    }
+
+    return {
+        funds,
+        collected: round(funds.reduce((sum, f) => sum + f.collected, 0)),
+        spent: {
+            total: round(expenses.reduce((sum, e) => sum + e.amount, 0)),
+            pman: round(expenses.filter(e => e.holder === 'pman').reduce((sum, e) => sum + e.amount, 0)),
+            hawak: round(expenses.filter(e => e.holder === 'hawak').reduce((sum, e) => sum + e.amount, 0)),
+        },
+        cashOnHand,
+        recorded: { pman: summary.pman, hawak: summary.hawak, total: recorded },
+        difference,
+        balanced: discrepancies.length === 0,
+        discrepancies,
+    };
+}
+
+module.exports = {
+    memberBalance,
+    fundFigures,
+    summarizeFunds,
+    outstandingReport,
+    memberProfile,
+    reconciliation,
+};
@@ -0,0 +1,237 @@
+// Shape of the funds document. `validateDocument` returns a list of problems
+// as { path, message } so the API can report every one of them at once.
+
+const { RECURRENCES, isDate } = require('./periods');
+
+const FUND_KEY_PATTERN = /^[a-z0-9][a-z0-9_-]{0,31}$/;
+const MAX_TITLE_LENGTH = 80;
+const MAX_NAME_LENGTH = 40;
+const MAX_CONTACT_LENGTH = 80;
+const MAX_DESCRIPTION_LENGTH = 120;
+const CASH_HOLDERS = ['pman', 'hawak'];
+const FUND_STATUSES = ['open', 'closed', 'archived'];
+const FUND_VISIBILITIES = ['public', 'link', 'private'];
+const SHARE_TOKEN_PATTERN = /^[A-Za-z0-9_-]{16,64}$/;
+
+const isObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+const isAmount = value => typeof value === 'number' && Number.isFinite(value) && value >= 0;
+const isText = (value, max) => typeof value === 'string' && value.trim() !== '' && value.length <= max;
+
+function validateMembers(members, path, errors, directory) {
+    if (!Array.isArray(members)) {
+        errors.push({ path, message: 'must be an array' });
+        return;
+    }
+
+    const seen = new Set();
+    const seenIds = new Set();
+    members.forEach((member, idx) => {
+        const memberPath = `${path}[${idx}]`;
+        if (!isObject(member)) {
+            errors.push({ path: memberPath, message: 'must be an object' });
+            return;
+        }
+        if (!isText(member.name, MAX_NAME_LENGTH)) {
+            errors.push({ path: `${memberPath}.name`, message: `is required (at most ${MAX_NAME_LENGTH} characters)` });
+        } else {
+            const lower = member.name.trim().toLowerCase();
+            if (seen.has(lower)) {
+                errors.push({ path: `${memberPath}.name`, message: `duplicate member "${member.name}"` });
+            }
+            seen.add(lower);
+        }
+        if (!isAmount(member.amount)) {
+            errors.push({ path: `${memberPath}.amount`, message: 'must be a non-negative number' });
+        }
+        if (member.carryOver !== undefined && !isAmount(member.carryOver)) {
+            errors.push({ path: `${memberPath}.carryOver`, message: 'must be a non-negative number' });
+        }
+        if (member.id !== undefined) {
+            if (directory && !Object.prototype.hasOwnProperty.call(directory, member.id)) {
+                errors.push({ path: `${memberPath}.id`, message: `unknown member id "${member.id}"` });
+            } else if (seenIds.has(member.id)) {
+                errors.push({ path: `${memberPath}.id`, message: `member "${member.id}" is listed twice` });
+            }
+            seenIds.add(member.id);
+        }
+    });
+}
+
+function validateDirectory(directory, errors) {
+    if (directory === undefined) return;
+    if (!isObject(directory)) {
+        errors.push({ path: 'directory', message: 'must be an object' });
+        return;
+    }
+
+    const seen = new Set();
+    Object.entries(directory).forEach(([id, member]) => {
+        const path = `directory.${id}`;
+        if (!isObject(member)) {
+            errors.push({ path, message: 'must be an object' });
+            return;
+        }
+        if (!isText(member.name, MAX_NAME_LENGTH)) {
+            errors.push({ path: `${path}.name`, message: `is required (at most ${MAX_NAME_LENGTH} characters)` });
+        } else {
+            const lower = member.name.trim().toLowerCase();
+            if (seen.has(lower)) errors.push({ path: `${path}.name`, message: `duplicate member "${member.name}"` });
+            seen.add(lower);
+        }
+        const { nickname } = member;
+        if (nickname !== undefined && (typeof nickname !== 'string' || nickname.length > MAX_NAME_LENGTH)) {
+            errors.push({ path: `${path}.nickname`, message: `must be text of at most ${MAX_NAME_LENGTH} characters` });
+        }
+        // Contact details are personal data, kept out of this document
+        if (member.contact !== undefined) {
+            errors.push({ path: `${path}.contact`, message: 'belongs in the contacts document' });
+        }
+        if (typeof member.active !== 'boolean') {
+            errors.push({ path: `${path}.active`, message: 'must be true or false' });
+        }
+    });
+}
+
+function validateFund(fund, path, errors, directory) {
+    if (!isObject(fund)) {
+        errors.push({ path, message: 'must be an object' });
+        return;
+    }
+    if (!isText(fund.title, MAX_TITLE_LENGTH)) {
+        errors.push({ path: `${path}.title`, message: `is required (at most ${MAX_TITLE_LENGTH} characters)` });
+    }
+    if (!isAmount(fund.target)) {
+        errors.push({ path: `${path}.target`, message: 'is required and must be a non-negative number' });
+    }
+    // Lifecycle fields may be left out (an open fund without a due date)
+    if (fund.status !== undefined && !FUND_STATUSES.includes(fund.status)) {
+        errors.push({ path: `${path}.status`, message: `must be one of ${FUND_STATUSES.join(', ')}` });
+    }
+    if (fund.dueDate !== undefined && fund.dueDate !== null && !isDate(fund.dueDate)) {
+        errors.push({ path: `${path}.dueDate`, message: 'must be YYYY-MM-DD or null' });
+    }
+    if (fund.recurrence !== undefined && fund.recurrence !== null) {
+        if (!RECURRENCES.includes(fund.recurrence)) {
+            errors.push({ path: `${path}.recurrence`, message: `must be one of ${RECURRENCES.join(', ')} or null` });
+        }
+        if (!isDate(fund.periodStart)) {
+            errors.push({ path: `${path}.periodStart`, message: 'is required for recurring funds (YYYY-MM-DD)' });
+        }
+    }
+    // So are the sharing fields (a public fund showing its members)
+    if (fund.visibility !== undefined && !FUND_VISIBILITIES.includes(fund.visibility)) {
+        errors.push({ path: `${path}.visibility`, message: `must be one of ${FUND_VISIBILITIES.join(', ')}` });
+    }
+    if (fund.totalsOnly !== undefined && typeof fund.totalsOnly !== 'boolean') {
+        errors.push({ path: `${path}.totalsOnly`, message: 'must be true or false' });
+    }
+    if (fund.shareToken !== undefined && !SHARE_TOKEN_PATTERN.test(fund.shareToken)) {
+        errors.push({ path: `${path}.shareToken`, message: 'must be 16-64 letters, digits, "-" or "_"' });
+    }
+    validateMembers(fund.members, `${path}.members`, errors, directory);
+}
+
+function validateLedger(ledger, errors) {
+    if (ledger === undefined) return;
+    if (!Array.isArray(ledger)) {
+        errors.push({ path: 'ledger', message: 'must be an array' });
+        return;
+    }
+    ledger.forEach((entry, idx) => {
+        const valid = isObject(entry)
+            && typeof entry.fund === 'string'
+            && typeof entry.member === 'string'
+            && (entry.memberId === undefined || typeof entry.memberId === 'string')
+            && typeof entry.amount === 'number'
+            && Number.isFinite(entry.amount);
+        if (!valid) errors.push({ path: `ledger[${idx}]`, message: 'must have fund, member and a numeric amount' });
+    });
+}
+
+function validateExpenses(expenses, errors) {
+    if (expenses === undefined) return;
+    if (!Array.isArray(expenses)) {
+        errors.push({ path: 'expenses', message: 'must be an array' });
+        return;
+    }
+    expenses.forEach((expense, idx) => {
+        const path = `expenses[${idx}]`;
+        if (!isObject(expense)) {
+            errors.push({ path, message: 'must be an object' });
+            return;
+        }
+        if (!isDate(expense.date)) {
+            errors.push({ path: `${path}.date`, message: 'must be YYYY-MM-DD' });
+        }
+        if (!isAmount(expense.amount) || expense.amount === 0) {
+            errors.push({ path: `${path}.amount`, message: 'must be a positive number' });
+        }
+        if (typeof expense.fund !== 'string') errors.push({ path: `${path}.fund`, message: 'is required' });
+        if (!isText(expense.description, MAX_DESCRIPTION_LENGTH)) {
+            errors.push({
+                path: `${path}.description`,
+                message: `is required (at most ${MAX_DESCRIPTION_LENGTH} characters)`,
+            });
+        }
+        if (!CASH_HOLDERS.includes(expense.holder)) {
+            errors.push({ path: `${path}.holder`, message: `must be one of ${CASH_HOLDERS.join(', ')}` });
+        }
+    });
+}
+
+function validateDocument(doc) {
+    const errors = [];
+    if (!isObject(doc)) return [{ path: '', message: 'document must be an object' }];
+
+    if (doc.schemaVersion !== undefined && !Number.isInteger(doc.schemaVersion)) {
+        errors.push({ path: 'schemaVersion', message: 'must be an integer' });
+    }
+
+    if (!isObject(doc.funds)) {
+        errors.push({ path: 'funds', message: 'must be an object' });
+    } else {
+        const shareTokens = new Set();
+        Object.entries(doc.funds).forEach(([key, fund]) => {
+            if (!FUND_KEY_PATTERN.test(key)) {
+                errors.push({ path: `funds.${key}`, message: 'key must be lowercase letters, digits, "-" or "_"' });
+            }
+            validateFund(fund, `funds.${key}`, errors, isObject(doc.directory) ? doc.directory : undefined);
+            if (isObject(fund) && fund.shareToken) {
+                if (shareTokens.has(fund.shareToken)) {
+                    errors.push({ path: `funds.${key}.shareToken`, message: 'is used by another fund' });
+                }
+                shareTokens.add(fund.shareToken);
+            }
+        });
+    }
+
+    if (!isObject(doc.summary)) {
+        errors.push({ path: 'summary', message: 'must be an object' });
+    } else {
+        ['pman', 'hawak'].forEach(field => {
+            if (!isAmount(doc.summary[field])) {
+                errors.push({ path: `summary.${field}`, message: 'must be a non-negative number' });
+            }
+        });
+    }
+
+    validateDirectory(doc.directory, errors);
+    validateLedger(doc.ledger, errors);
+    validateExpenses(doc.expenses, errors);
+    if (doc.audit !== undefined && !Array.isArray(doc.audit)) {
+        errors.push({ path: 'audit', message: 'must be an array' });
+    }
+    return errors;
+}
+
+module.exports = {
+    FUND_KEY_PATTERN,
+    MAX_TITLE_LENGTH,
+    MAX_NAME_LENGTH,
+    MAX_CONTACT_LENGTH,
+    MAX_DESCRIPTION_LENGTH,
+    CASH_HOLDERS,
+    FUND_STATUSES,
+    FUND_VISIBILITIES,
+    validateDocument,
+};
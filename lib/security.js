@@ -0,0 +1,147 @@
+const crypto = require('crypto');
+
+// Hardening shared by every route: security headers, the origin allowlist,
+// cookie parsing, constant-time comparison, login lockout and structured
+// security logging.
+
+const SAFE_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+
+// index.html loads Font Awesome from cdnjs and fonts from Google Fonts, and
+// styles elements inline; scripts only come from this site. Group logos may
+// be any https image.
+const CONTENT_SECURITY_POLICY = [
+    "default-src 'self'",
+    "script-src 'self'",
+    "style-src 'self' 'unsafe-inline' https://fonts.googleapis.com https://cdnjs.cloudflare.com",
+    "font-src 'self' https://fonts.gstatic.com https://cdnjs.cloudflare.com",
+    "img-src 'self' data: blob: https:",
+    "connect-src 'self'",
+    "manifest-src 'self'",
+    "worker-src 'self'",
+    "object-src 'none'",
+    "base-uri 'self'",
+    "form-action 'self'",
+    "frame-ancestors 'none'",
+].join('; ');
+
+// Middleware setting CSP, framing, sniffing and referrer headers. HSTS is only
+// sent by deployments served over https (`hsts`).
+function securityHeaders({ hsts = false } = {}) {
+    return (req, res, next) => {
+        res.set({
+            'Content-Security-Policy': CONTENT_SECURITY_POLICY,
+            'X-Frame-Options': 'DENY',
+            'X-Content-Type-Options': 'nosniff',
+            'Referrer-Policy': 'same-origin',
+            'Cross-Origin-Opener-Policy': 'same-origin',
+            'Permissions-Policy': 'camera=(), microphone=(), geolocation=()',
+        });
+        if (hsts) res.set('Strict-Transport-Security', 'max-age=31536000; includeSubDomains');
+        next();
+    };
+}
+
+// Comma-separated origins from ALLOWED_ORIGINS, e.g. "https://tst.example.com"
+function parseOrigins(value) {
+    return String(value || '').split(',').map(origin => origin.trim().replace(/\/+$/, '')).filter(Boolean);
+}
+
+// The page's own origin is always allowed, others only when listed
+function isAllowedOrigin(req, origin, allowed) {
+    if (!origin) return true;
+    if (allowed.includes(origin)) return true;
+    try {
+        return new URL(origin).host === req.get('Host');
+    } catch (error) {
+        return false;
+    }
+}
+
+// Middleware refusing state-changing requests sent by pages on other origins.
+// Reads from them simply get no CORS headers.
+function originGuard(allowed, log) {
+    return (req, res, next) => {
+        const origin = req.get('Origin');
+        if (SAFE_METHODS.includes(req.method) || isAllowedOrigin(req, origin, allowed)) return next();
+        log('origin.rejected', { level: 'warn', origin, method: req.method, path: req.originalUrl, ip: req.ip });
+        res.status(403).json({ error: 'Origin not allowed' });
+    };
+}
+
+function parseCookies(header) {
+    const cookies = {};
+    String(header || '').split(';').forEach(pair => {
+        const at = pair.indexOf('=');
+        if (at === -1) return;
+        const name = pair.slice(0, at).trim();
+        if (!name || cookies[name] !== undefined) return;
+        try {
+            cookies[name] = decodeURIComponent(pair.slice(at + 1).trim());
+        } catch (error) {
+            cookies[name] = pair.slice(at + 1).trim();
+        }
+    });
+    return cookies;
+}
+
+// Compares secrets without leaking how much of them matched
+function safeEqual(a, b) {
+    if (typeof a !== 'string' || typeof b !== 'string') return false;
+    const digest = value => crypto.createHash('sha256').update(value).digest();
+    return crypto.timingSafeEqual(digest(a), digest(b));
+}
+
+// Per-account lockout kept in the shared state store. After `threshold`
+// failed logins in a row the account is locked for `baseDelay`, doubling with
+// every further failure up to `maxDelay`. Failures are forgotten after
+// `window` without one, or on a successful login.
+function createLockout({ state, threshold = 5, baseDelay = 60 * 1000, maxDelay = 60 * 60 * 1000,
+    window = 24 * 60 * 60 * 1000 }) {
+    // Milliseconds until the account may try again, or 0
+    async function lockedFor(key) {
+        const entry = await state.get(`lockout:${key}`);
+        return entry && entry.lockedUntil > Date.now() ? entry.lockedUntil - Date.now() : 0;
+    }
+
+    // Counts a failure; resolves with how long the account is now locked for
+    async function fail(key) {
+        const entry = await state.update(`lockout:${key}`, current => {
+            const failures = (current ? current.failures : 0) + 1;
+            const over = failures - threshold;
+            const delay = over >= 0 ? Math.min(baseDelay * 2 ** over, maxDelay) : 0;
+            return { failures, lockedUntil: delay ? Date.now() + delay : 0 };
+        }, window);
+        return entry.lockedUntil ? entry.lockedUntil - Date.now() : 0;
+    }
+
+    // Forgets earlier failures. Most logins have none, and then nothing is
+    // written, as every write may be a round trip to shared storage.
+    async function succeed(key) {
+        if (!await state.get(`lockout:${key}`)) return;
+        await state.update(`lockout:${key}`, () => null, 1);
+    }
+
+    return { lockedFor, fail, succeed };
+}
+
+// Writes one JSON line per security event to stdout: logins, lockouts,
+// rejected origins and CSRF tokens, account changes. Never pass tokens or
+// passwords in `fields`.
+function securityLog(event, { level = 'info', ...fields } = {}) {
+    const line = JSON.stringify({ time: new Date().toISOString(), level, type: 'security', event, ...fields });
+    if (level === 'warn') console.warn(line);
+    else console.log(line);
+}
+
+module.exports = {
+    SAFE_METHODS,
+    CONTENT_SECURITY_POLICY,
+    securityHeaders,
+    parseOrigins,
+    isAllowedOrigin,
+    originGuard,
+    parseCookies,
+    safeEqual,
+    createLockout,
+    securityLog,
+};
@@ -0,0 +1,62 @@
+const crypto = require('crypto');
+
+// Stateless admin sessions. A token is `<payload>.<signature>` where the
+// payload is base64url JSON { sid, sub, grp, iat, exp } and the signature is an
+// HMAC-SHA256 of it with the server secret, so any instance sharing the secret
+// can check a token without a session table. Logged-out sessions are
+// remembered in the shared state store until they would have expired anyway.
+
+const encode = value => Buffer.from(JSON.stringify(value)).toString('base64url');
+
+function createSessionManager({ secret, ttl, state }) {
+    if (!secret) throw new Error('Sessions require a secret');
+
+    function sign(payload) {
+        return crypto.createHmac('sha256', secret).update(payload).digest('base64url');
+    }
+
+    // `sid` stays the same across refreshes so writes can be tied to a login.
+    // `group` is the slug of the group whose admin accounts `username` is in.
+    function issue(username, { sid = crypto.randomBytes(9).toString('base64url'), group } = {}) {
+        const now = Date.now();
+        const payload = encode({ sid, sub: username, grp: group, iat: now, exp: now + ttl });
+        return { token: `${payload}.${sign(payload)}`, sid, expiresIn: ttl };
+    }
+
+    // Resolves with the payload of a valid, unexpired, not revoked token, or null
+    async function verify(token) {
+        if (typeof token !== 'string') return null;
+        const [payload, signature] = token.split('.');
+        if (!payload || !signature) return null;
+
+        const expected = Buffer.from(sign(payload));
+        const actual = Buffer.from(signature);
+        if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) return null;
+
+        let claims;
+        try {
+            claims = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+        } catch (error) {
+            return null;
+        }
+        if (!claims.exp || claims.exp <= Date.now()) return null;
+        if (await state.get(`revoked:${claims.sid}`)) return null;
+        return claims;
+    }
+
+    // Token the web app sends as X-CSRF-Token with cookie-authenticated writes.
+    // It is bound to the session, so it stays the same across refreshes.
+    function csrfToken(sid) {
+        return sign(`csrf.${sid}`);
+    }
+
+    // Revokes every token of the session, including ones issued by refresh
+    async function revoke(claims) {
+        const remaining = claims.exp - Date.now();
+        if (remaining > 0) await state.update(`revoked:${claims.sid}`, () => true, remaining);
+    }
+
+    return { issue, verify, csrfToken, revoke };
+}
+
+module.exports = { createSessionManager };
@@ -0,0 +1,50 @@
+const { fundFigures } = require('./reports');
+const { safeEqual } = require('./security');
+
+// What visitors who are not signed in may see of the funds document, going
+// by each fund's `visibility` and `totalsOnly` (see funds.applySharing).
+// Signed-in users see everything, share tokens included.
+
+const visibilityOf = fund => fund.visibility || 'public';
+
+// Copy of a fund for visitors: never its share token, and for totals-only
+// funds `totals` ({ members, collected, expected }) instead of the members
+function publicFund(key, fund) {
+    const { shareToken: _shareToken, members, ...rest } = fund;
+    if (!fund.totalsOnly) return { ...rest, members };
+
+    const { collected, expected } = fundFigures(key, fund);
+    return { ...rest, totals: { members: members.length, collected, expected } };
+}
+
+// Public funds only, as visitors see them
+function listedFunds(funds = {}) {
+    return Object.fromEntries(Object.entries(funds)
+        .filter(([, fund]) => visibilityOf(fund) === 'public')
+        .map(([key, fund]) => [key, publicFund(key, fund)]));
+}
+
+// The document with only the funds whose members visitors may see (public
+// and not totals-only), for the member reports, ledgers and exports, and a
+// directory limited to the people in them
+function memberDocument(doc) {
+    const funds = Object.fromEntries(Object.entries(doc.funds || {})
+        .filter(([, fund]) => visibilityOf(fund) === 'public' && !fund.totalsOnly));
+    const ids = new Set(Object.values(funds).flatMap(fund => fund.members.map(member => member.id)));
+    const directory = Object.fromEntries(Object.entries(doc.directory || {}).filter(([id]) => ids.has(id)));
+    return { ...doc, funds, directory };
+}
+
+// The public document (already without ledger and audit) as visitors see it
+function visitorDocument(doc) {
+    return { ...doc, funds: listedFunds(doc.funds), directory: memberDocument(doc).directory };
+}
+
+// [key, fund] of the public or link-only fund a share link points to
+function findShared(doc, shareToken) {
+    return Object.entries(doc.funds || {}).find(([, fund]) => (
+        fund.shareToken && safeEqual(fund.shareToken, shareToken) && visibilityOf(fund) !== 'private'
+    ));
+}
+
+module.exports = { publicFund, listedFunds, memberDocument, visitorDocument, findShared };
@@ -0,0 +1,106 @@
+const csv = require('./csv');
+const funds = require('./funds');
+const { summarizeFunds } = require('./reports');
+const { badRequest } = require('./errors');
+
+// Export of the funds document as spreadsheet tables, and import of member
+// amounts from a CSV shaped like the exported members table.
+
+const MEMBER_HEADER = ['Fund', 'Fund Key', 'Member', 'Amount', 'Target', 'Balance'];
+const FUND_HEADER = ['Fund', 'Fund Key', 'Members', 'Target', 'Collected', 'Expected', 'Outstanding'];
+const MAX_IMPORT_ROWS = 1000;
+
+function exportJson(doc) {
+    const { funds: figures, overallTotal, summary } = summarizeFunds(doc);
+    return {
+        members: figures.flatMap(fund => fund.members.map(member => ({
+            fund: fund.title,
+            fundKey: fund.key,
+            member: member.name,
+            amount: member.amount,
+            target: fund.target,
+            balance: member.balance,
+        }))),
+        funds: figures.map(({ members, ...fund }) => ({ ...fund, members: members.length })),
+        overallTotal,
+        summary: { pman: summary.pman, hawak: summary.hawak },
+    };
+}
+
+// `table` picks one of 'members', 'funds' or 'summary'; all three by default
+function exportCsv(doc, table) {
+    const data = exportJson(doc);
+    const tables = {
+        members: [MEMBER_HEADER, ...data.members.map(r => (
+            [r.fund, r.fundKey, r.member, r.amount, r.target, r.balance]
+        ))],
+        funds: [FUND_HEADER, ...data.funds.map(f => (
+            [f.title, f.key, f.members, f.target, f.collected, f.expected, f.outstanding]
+        ))],
+        summary: [
+            ['Summary', 'Amount'],
+            ['Overall Total', data.overallTotal],
+            ['P.MAN', data.summary.pman],
+            ['Hawak Ko', data.summary.hawak],
+        ],
+    };
+
+    if (table && !tables[table]) throw badRequest('table must be members, funds or summary');
+    return csv.stringify(table ? [tables[table]] : [tables.members, tables.funds, tables.summary]);
+}
+
+// Reads rows of fund / member / amount. The fund column may hold the key or
+// the title; extra columns (Target, Balance, ...) are ignored, and so are the
+// tables after the first, so a full export can be imported as it is. Throws a
+// 400 listing every bad row.
+function parseImport(text, doc) {
+    const [rows = []] = csv.parseTables(text);
+    if (rows.length < 2) throw badRequest('CSV must have a header row and at least one member row');
+    if (rows.length > MAX_IMPORT_ROWS + 1) throw badRequest(`CSV can have at most ${MAX_IMPORT_ROWS} rows`);
+
+    const header = rows[0].map(cell => cell.trim().toLowerCase());
+    const column = names => header.findIndex(cell => names.includes(cell));
+    const fundCol = column(['fund key', 'fund']);
+    const memberCol = column(['member', 'name']);
+    const amountCol = column(['amount']);
+    if (fundCol === -1 || memberCol === -1 || amountCol === -1) {
+        throw badRequest('CSV header must include Fund (or Fund Key), Member and Amount columns');
+    }
+
+    const fundKeyFor = value => {
+        const text = value.trim();
+        if (doc.funds[text]) return text;
+        return Object.keys(doc.funds).find(key => doc.funds[key].title.toLowerCase() === text.toLowerCase());
+    };
+
+    const errors = [];
+    const parsed = [];
+    rows.slice(1).forEach((row, idx) => {
+        const line = idx + 2;
+        const fund = fundKeyFor(row[fundCol] || '');
+        const member = (row[memberCol] || '').trim();
+        const amount = parseFloat(String(row[amountCol] || '').replace(/[₱,\s]/g, ''));
+
+        if (!fund) errors.push({ path: `row ${line}`, message: `unknown fund "${row[fundCol] || ''}"` });
+        else if (!member) errors.push({ path: `row ${line}`, message: 'member is required' });
+        else if (!Number.isFinite(amount) || amount < 0) {
+            errors.push({ path: `row ${line}`, message: 'amount must be a non-negative number' });
+        } else parsed.push({ fund, member, amount });
+    });
+
+    if (errors.length) throw badRequest('Invalid CSV', errors);
+    return parsed;
+}
+
+// Sets each listed member's amount, adding members that are not in the fund
+// yet. Members missing from the CSV are left alone.
+function applyImport(doc, rows, actor) {
+    rows.forEach(({ fund, member, amount }) => {
+        const existing = doc.funds[fund].members.find(m => m.name.toLowerCase() === member.toLowerCase());
+        const name = existing ? existing.name : funds.addMember(doc, fund, { name: member }, actor).name;
+        funds.updateMember(doc, fund, name, { amount }, actor);
+    });
+    return rows.length;
+}
+
+module.exports = { exportJson, exportCsv, parseImport, applyImport };
@@ -0,0 +1,123 @@
+const fetch = require('node-fetch');
+const { conflict } = require('./errors');
+
+// Small key/value store with per-key expiry for state that has to be shared by
+// every server instance (login attempts, revoked sessions). The memory store
+// is enough for a single long-running process; serverless instances share the
+// kv store (Redis over HTTP), or the document store, which keeps the entries in
+// a storage driver file.
+
+const MAX_WRITE_ATTEMPTS = 3;
+
+// Sets KEYS[1] to ARGV[2] for ARGV[3] ms, but only while it still holds
+// ARGV[1] ('' for a missing key). Answers 1 when it was set.
+const COMPARE_AND_SET = "if (redis.call('GET', KEYS[1]) or '') ~= ARGV[1] then return 0 end "
+    + "redis.call('SET', KEYS[1], ARGV[2], 'PX', ARGV[3]) return 1";
+
+function isLive(entry, now) {
+    return entry && entry.expiresAt > now;
+}
+
+function createMemoryStateStore() {
+    const entries = new Map();
+
+    function prune(now) {
+        for (const [key, entry] of entries.entries()) {
+            if (!isLive(entry, now)) entries.delete(key);
+        }
+    }
+
+    async function get(key) {
+        const entry = entries.get(key);
+        return isLive(entry, Date.now()) ? entry.value : undefined;
+    }
+
+    async function update(key, fn, ttl) {
+        const now = Date.now();
+        prune(now);
+        const value = fn(await get(key));
+        entries.set(key, { value, expiresAt: now + ttl });
+        return value;
+    }
+
+    return { name: 'memory', get, update };
+}
+
+function createDocumentStateStore(store) {
+    async function load() {
+        try {
+            return await store.read();
+        } catch (error) {
+            if (error.code === 'ENOENT') return { data: { entries: {} }, version: undefined };
+            throw error;
+        }
+    }
+
+    async function get(key) {
+        const { data } = await load();
+        const entry = data.entries[key];
+        return isLive(entry, Date.now()) ? entry.value : undefined;
+    }
+
+    // Retries when another instance wrote in between our read and write
+    async function update(key, fn, ttl) {
+        for (let attempt = 1; ; attempt++) {
+            const { data, version } = await load();
+            const now = Date.now();
+
+            Object.keys(data.entries).forEach(k => {
+                if (!isLive(data.entries[k], now)) delete data.entries[k];
+            });
+            const current = data.entries[key] ? data.entries[key].value : undefined;
+            const value = fn(current);
+            data.entries[key] = { value, expiresAt: now + ttl };
+
+            try {
+                await store.write(data, { version, message: 'Update server state' });
+                return value;
+            } catch (error) {
+                if (error.status !== 409 || attempt >= MAX_WRITE_ATTEMPTS) throw error;
+            }
+        }
+    }
+
+    return { name: 'document', get, update };
+}
+
+// Redis through the REST API of Vercel KV and Upstash (KV_REST_API_URL and
+// KV_REST_API_TOKEN). Keys expire in Redis itself, and updates are
+// compare-and-set, retried when another instance wrote in between.
+function createKvStateStore({ url, token, prefix = 'tst:' }) {
+    if (!url || !token) throw new Error('The kv state store requires KV_REST_API_URL and KV_REST_API_TOKEN');
+
+    async function command(...args) {
+        const res = await fetch(url, {
+            method: 'POST',
+            headers: { Authorization: `Bearer ${token}`, 'Content-Type': 'application/json' },
+            body: JSON.stringify(args),
+        });
+        const json = await res.json().catch(() => ({}));
+        if (!res.ok || json.error) throw new Error(`KV ${args[0]} failed: ${json.error || res.status}`);
+        return json.result;
+    }
+
+    async function get(key) {
+        const raw = await command('GET', prefix + key);
+        return raw === null ? undefined : JSON.parse(raw);
+    }
+
+    async function update(key, fn, ttl) {
+        for (let attempt = 1; attempt <= MAX_WRITE_ATTEMPTS; attempt++) {
+            const raw = await command('GET', prefix + key);
+            const value = fn(raw === null ? undefined : JSON.parse(raw));
+            const stored = await command('EVAL', COMPARE_AND_SET, 1, prefix + key,
+                raw === null ? '' : raw, JSON.stringify(value), Math.max(1, Math.ceil(ttl)));
+            if (stored === 1) return value;
+        }
+        throw conflict('Server state was changed by someone else');
+    }
+
+    return { name: 'kv', get, update };
+}
+
+module.exports = { createMemoryStateStore, createDocumentStateStore, createKvStateStore };
@@ -0,0 +1,195 @@
+const directory = require('./directory');
+const { isFor, memberName } = require('./ledger');
+const periods = require('./periods');
+const { memberBalance } = require('./reports');
+const { createPdf } = require('./pdf');
+const { printPeso, utcTime } = require('./views');
+const { badRequest, notFound } = require('./errors');
+
+// Receipts for recorded payments and statements of a member's or a fund's
+// ledger entries over a date range, as data for the pages in views.js and as PDF. Dates
+// are the UTC dates of the entries, the same as the rest of the server.
+
+const round = value => Math.round(value * 100) / 100;
+const entryDate = entry => entry.timestamp.substring(0, 10);
+const isReceipted = entry => entry.type === 'contribution' && entry.amount > 0;
+
+// Payments are numbered per fund in the order they were recorded, after the
+// group's slug and the fund's key (TST-NS-000042), so the numbers of one fund
+// say nothing about payments into hidden ones. The ledger is append-only, so
+// a receipt keeps its number.
+function receiptNumber(ledger, id, group) {
+    const entry = ledger.find(item => item.id === id);
+    if (!entry || !isReceipted(entry)) return null;
+    const index = ledger.filter(item => item.fund === entry.fund && isReceipted(item)).indexOf(entry);
+    return `${group}-${entry.fund}-${String(index + 1).padStart(6, '0')}`.toUpperCase();
+}
+
+// Only payments into funds present in `doc` get a receipt, so passing the
+// visitor's copy of the document hides the others
+function buildReceipt(doc, id, { group }) {
+    const ledger = doc.ledger || [];
+    const entry = ledger.find(item => item.id === id);
+    const fund = entry && doc.funds && doc.funds[entry.fund];
+    if (!fund || !isReceipted(entry)) throw notFound('Receipt not found');
+
+    const member = entry.memberId
+        ? fund.members.find(m => m.id === entry.memberId)
+        : fund.members.find(m => m.name === entry.member);
+    return {
+        number: receiptNumber(ledger, id, group),
+        entry: entry.id,
+        timestamp: entry.timestamp,
+        fund: { key: entry.fund, title: fund.title },
+        member: { id: entry.memberId || (member ? member.id : null), name: memberName(doc, entry) },
+        amount: entry.amount,
+        admin: entry.admin,
+        note: entry.note || '',
+    };
+}
+
+// The member's entry in each fund they are in, by fund key
+function fundMembers(doc, id) {
+    directory.getMember(doc, id);
+    const members = new Map();
+    Object.entries(doc.funds || {}).forEach(([key, fund]) => {
+        const member = fund.members.find(m => m.id === id);
+        if (member) members.set(key, member);
+    });
+    return members;
+}
+
+function parseRange({ from, to }) {
+    if (from !== undefined && !periods.isDate(from)) throw badRequest('from must be a date (YYYY-MM-DD)');
+    if (to !== undefined && !periods.isDate(to)) throw badRequest('to must be a date (YYYY-MM-DD)');
+    if (from && to && from > to) throw badRequest('from must not be after to');
+    return { from: from || null, to: to || periods.today() };
+}
+
+// Ledger entries of a member (directory id), a fund, or a member in one fund,
+// between `from` and `to` inclusive. `opening` is what was already recorded
+// before `from`; the balances are the current ones.
+function buildStatement(doc, { member, fund, from, to } = {}, { group }) {
+    if (!member && !fund) throw badRequest('member or fund is required');
+    if (fund && !(doc.funds && doc.funds[fund])) throw notFound('Fund not found');
+    const range = parseRange({ from, to });
+    const members = member ? fundMembers(doc, member) : null;
+
+    const matches = entry => (
+        (!fund || entry.fund === fund)
+        && (!members || (members.has(entry.fund) && isFor(entry, entry.fund, members.get(entry.fund))))
+    );
+    const entries = (doc.ledger || []).filter(entry => doc.funds[entry.fund] && matches(entry));
+    const before = entries.filter(entry => range.from && entryDate(entry) < range.from);
+    const within = entries.filter(entry => (
+        (!range.from || entryDate(entry) >= range.from) && entryDate(entry) <= range.to
+    ));
+
+    const balances = [];
+    Object.entries(doc.funds).forEach(([key, item]) => {
+        if (fund && key !== fund) return;
+        item.members
+            .filter(m => !members || members.get(key) === m)
+            .forEach(m => balances.push({
+                fund: key,
+                title: item.title,
+                member: m.name,
+                paid: m.amount,
+                owed: memberBalance(item, m),
+            }));
+    });
+
+    const opening = round(before.reduce((sum, entry) => sum + entry.amount, 0));
+    const total = round(within.reduce((sum, entry) => sum + entry.amount, 0));
+    const subject = [
+        member ? directory.getMember(doc, member).name : null,
+        fund ? doc.funds[fund].title : null,
+    ].filter(Boolean).join(' - ');
+
+    return {
+        subject,
+        member: member || null,
+        fund: fund || null,
+        ...range,
+        generatedAt: new Date().toISOString(),
+        opening,
+        total,
+        closing: round(opening + total),
+        entries: within.map(entry => ({
+            id: entry.id,
+            date: entryDate(entry),
+            type: entry.type,
+            fund: entry.fund,
+            title: doc.funds[entry.fund].title,
+            member: memberName(doc, entry),
+            amount: entry.amount,
+            note: entry.note || '',
+            receipt: isReceipted(entry) ? receiptNumber(doc.ledger, entry.id, group) : null,
+        })),
+        balances,
+        totals: {
+            paid: round(balances.reduce((sum, b) => sum + b.paid, 0)),
+            owed: round(balances.reduce((sum, b) => sum + b.owed, 0)),
+        },
+    };
+}
+
+// `brand` is the group's branding, as for the pages in views.js
+function receiptPdf(receipt, brand) {
+    const pdf = createPdf({ title: `Receipt ${receipt.number}` });
+    pdf.heading(brand.title.toUpperCase(), 14).heading(`Official receipt ${receipt.number}`, 18).rule();
+
+    const line = (label, value) => pdf.row([{ text: label, bold: true }, { text: value, x: 130 }], { size: 11 });
+    line('Received from', receipt.member.name);
+    line('Fund', receipt.fund.title);
+    line('Date', utcTime(receipt.timestamp));
+    line('Recorded by', receipt.admin || '-');
+    if (receipt.note) line('Note', receipt.note);
+
+    pdf.rule().row([
+        { text: 'AMOUNT', bold: true },
+        { text: printPeso(receipt.amount), x: pdf.width, align: 'right', bold: true },
+    ], { size: 14 });
+    return pdf.toBuffer();
+}
+
+function statementPdf(statement, brand) {
+    const pdf = createPdf({ title: `Statement ${statement.subject}` });
+    const range = `${statement.from || 'Beginning'} to ${statement.to}`;
+    pdf.heading(brand.title.toUpperCase(), 14).heading(`Statement: ${statement.subject}`, 16).text(range).rule();
+
+    const amountAt = (text, bold) => ({ text, x: pdf.width, align: 'right', bold });
+    const headings = [{ text: 'Date' }, { text: 'Fund', x: 70 }, { text: 'Details', x: 220 }, amountAt('Amount')];
+    pdf.row(headings, { bold: true });
+    pdf.row([{ text: 'Recorded before this period' }, amountAt(printPeso(statement.opening))]);
+
+    statement.entries.forEach(entry => {
+        const details = [
+            entry.type === 'contribution' ? entry.member : `${entry.member} (${entry.type})`,
+            entry.receipt,
+            entry.note,
+        ].filter(Boolean).join(' - ');
+        pdf.row([
+            { text: entry.date },
+            { text: entry.title.slice(0, 24), x: 70 },
+            { text: details.slice(0, 48), x: 220 },
+            amountAt(printPeso(entry.amount)),
+        ]);
+    });
+    if (!statement.entries.length) pdf.text('No payments recorded in this period.');
+
+    pdf.rule()
+        .row([{ text: 'Paid in this period', bold: true }, amountAt(printPeso(statement.total), true)])
+        .row([{ text: 'Total recorded', bold: true }, amountAt(printPeso(statement.closing), true)])
+        .space(12)
+        .heading('Balances now', 12);
+    statement.balances.forEach(balance => pdf.row([
+        { text: statement.fund ? balance.member : balance.title },
+        { text: `paid ${printPeso(balance.paid)}`, x: 260 },
+        amountAt(balance.owed > 0 ? `owes ${printPeso(balance.owed)}` : 'paid up'),
+    ]));
+    pdf.space(12).text(`Generated ${utcTime(statement.generatedAt)}`, { size: 8 });
+    return pdf.toBuffer();
+}
+
+module.exports = { receiptNumber, buildReceipt, buildStatement, receiptPdf, statementPdf };
@@ -0,0 +1,218 @@
+const reports = require('./reports');
+const { isFor } = require('./ledger');
+
+// Collection statistics for the dashboard. History comes from the ledger when
+// it holds dated contributions, else from stored snapshots of the document;
+// without either only the current figures are given (`source: 'current'`).
+// Both kinds of history are turned into the same list of payments:
+// { fund, member, memberId, amount, timestamp, opening } where `opening` marks
+// amounts already there when the history starts, whose real date is unknown.
+// Only ledger payments have a `memberId`.
+
+const DAY = 24 * 60 * 60 * 1000;
+const TOP_LIMIT = 10;
+
+const round = value => Math.round(value * 100) / 100;
+const dayOf = timestamp => new Date(timestamp).toISOString().substring(0, 10);
+const personKey = member => member.id || member.name.trim().toLowerCase();
+
+function ledgerPayments(doc) {
+    return (doc.ledger || []).map(entry => ({
+        fund: entry.fund,
+        member: entry.member,
+        memberId: entry.memberId,
+        amount: entry.amount,
+        timestamp: entry.timestamp,
+        opening: entry.type === 'opening',
+    }));
+}
+
+// What changed in each member's amount from one snapshot to the next.
+// `snapshots` are { timestamp, data }, oldest first.
+function snapshotPayments(snapshots) {
+    const payments = [];
+    const previous = new Map();
+
+    snapshots.forEach(({ timestamp, data }, index) => {
+        Object.entries(data.funds || {}).forEach(([fund, { members = [] }]) => {
+            members.forEach(({ name, amount }) => {
+                const key = `${fund}\u0000${name}`;
+                const delta = round((parseFloat(amount) || 0) - (previous.get(key) || 0));
+                previous.set(key, parseFloat(amount) || 0);
+                if (delta !== 0) payments.push({ fund, member: name, amount: delta, timestamp, opening: index === 0 });
+            });
+        });
+    });
+    return payments;
+}
+
+// Whether the ledger has anything besides opening amounts. If not, callers
+// pass snapshots to build the history from.
+function hasLedgerHistory(doc) {
+    return (doc.ledger || []).some(entry => entry.type !== 'opening');
+}
+
+// Picks the history to use: the ledger if anything was recorded in it after
+// it was started, else the snapshots (with the current document last). Only
+// payments into the document's funds count.
+function collectPayments(doc, snapshots, now) {
+    const current = payments => payments.filter(payment => doc.funds && doc.funds[payment.fund]);
+    const hasHistory = payments => payments.some(payment => !payment.opening);
+
+    const ledger = current(ledgerPayments(doc));
+    if (hasHistory(ledger)) return { source: 'ledger', payments: ledger };
+
+    if (snapshots.length) {
+        const fromSnapshots = current(snapshotPayments([...snapshots, { timestamp: now.toISOString(), data: doc }]));
+        if (hasHistory(fromSnapshots)) return { source: 'snapshots', payments: fromSnapshots };
+    }
+    return { source: 'current', payments: [] };
+}
+
+// Running total collected by the end of each day with payments, ending with
+// today's figure. Opening amounts have no real date and only count towards
+// the first point.
+function fundTimeline(payments, collected, today) {
+    const timeline = [];
+    let total = 0;
+    payments.forEach(payment => {
+        total = round(total + payment.amount);
+        if (payment.opening) return;
+        const date = dayOf(payment.timestamp);
+        const last = timeline[timeline.length - 1];
+        if (last && last.date === date) last.collected = total;
+        else timeline.push({ date, collected: total });
+    });
+
+    const last = timeline[timeline.length - 1];
+    if (last && last.date === today) last.collected = collected;
+    else timeline.push({ date: today, collected });
+    return timeline;
+}
+
+// When each member's payments first covered what they owe, or null. Opening
+// amounts have no date, so members paid up by them are left out.
+function paidUpDates(fund, payments) {
+    const dates = new Map();
+    fund.members.forEach(member => {
+        const due = fund.target + (member.carryOver || 0);
+        if (due <= 0) return;
+
+        let total = 0;
+        const covering = payments.filter(payment => isFor(payment, payment.fund, member)).find(payment => {
+            total = round(total + payment.amount);
+            return total >= due;
+        });
+        if (covering && !covering.opening) dates.set(member.name, Date.parse(covering.timestamp));
+    });
+    return dates;
+}
+
+const average = values => (values.length ? round(values.reduce((sum, v) => sum + v, 0) / values.length) : null);
+
+// Figures for the dashboard: per fund completion, collection over time and
+// average days to pay; the biggest contributors; and who paid or still owes
+// after a fund's due date. `snapshots` are { timestamp, data }, oldest first,
+// and are only used when the ledger has no history.
+function contributionStats(doc, { snapshots = [], now = new Date() } = {}) {
+    const today = dayOf(now);
+    const funds = doc.funds || {};
+    const { source, payments } = collectPayments(doc, snapshots, now);
+    const datedTimes = payments.filter(payment => !payment.opening).map(payment => Date.parse(payment.timestamp));
+    const completion = new Map(reports.outstandingReport(doc).funds.map(fund => [fund.key, fund]));
+
+    const people = new Map();
+    const person = member => {
+        const key = personKey(member);
+        if (!people.has(key)) {
+            people.set(key, { id: member.id, name: member.name, paid: 0, overdue: 0, latePayments: 0, funds: [] });
+        }
+        return people.get(key);
+    };
+
+    const allDays = [];
+    const fundStats = Object.entries(funds).filter(([key]) => completion.has(key)).map(([key, fund]) => {
+        const figures = completion.get(key);
+        const fundPayments = payments
+            .filter(payment => payment.fund === key)
+            .sort((a, b) => Date.parse(a.timestamp) - Date.parse(b.timestamp));
+
+        const paidUp = paidUpDates(fund, fundPayments);
+        const firstDated = fundPayments.find(payment => !payment.opening);
+        const startedAt = fund.periodStart || (firstDated && firstDated.timestamp);
+        const start = Date.parse(dayOf(startedAt || now));
+        // Counted in calendar days, from the day the period started
+        const days = Array.from(paidUp.values())
+            .map(paidOn => Math.max(Math.round((Date.parse(dayOf(paidOn)) - start) / DAY), 0));
+        allDays.push(...days);
+
+        // Due dates count until the end of the day. Balances of closed periods
+        // were carried over, so only open funds can be overdue.
+        const dueBy = fund.dueDate ? Date.parse(`${fund.dueDate}T23:59:59.999Z`) : null;
+        fund.members.forEach(member => {
+            const entry = person(member);
+            const balance = figures.members.find(m => m.name === member.name).balance;
+            entry.paid = round(entry.paid + member.amount);
+            if (dueBy === null) return;
+
+            if (balance > 0 && fund.status === 'open' && now.getTime() > dueBy) {
+                entry.overdue = round(entry.overdue + balance);
+                entry.funds.push({ key, title: fund.title, dueDate: fund.dueDate, owed: balance });
+            } else if (paidUp.get(member.name) > dueBy) {
+                const paidOn = dayOf(paidUp.get(member.name));
+                entry.latePayments++;
+                entry.funds.push({ key, title: fund.title, dueDate: fund.dueDate, paidOn });
+            }
+        });
+
+        return {
+            key,
+            title: fund.title,
+            status: fund.status,
+            dueDate: fund.dueDate || null,
+            collected: figures.collected,
+            expected: figures.expected,
+            progress: figures.progress,
+            members: fund.members.length,
+            paidUp: figures.members.filter(member => member.balance === 0).length,
+            averageDaysToPay: average(days),
+            timeline: source === 'current'
+                ? [{ date: today, collected: figures.collected }]
+                : fundTimeline(fundPayments, figures.collected, today),
+        };
+    });
+
+    const everyone = Array.from(people.values());
+    const collected = round(fundStats.reduce((sum, fund) => sum + fund.collected, 0));
+    const expected = round(fundStats.reduce((sum, fund) => sum + fund.expected, 0));
+
+    return {
+        source,
+        since: datedTimes.length ? dayOf(Math.min(...datedTimes)) : today,
+        funds: fundStats,
+        totals: {
+            collected,
+            expected,
+            progress: expected > 0 ? round(Math.min(collected / expected, 1) * 100) : 100,
+            averageDaysToPay: average(allDays),
+        },
+        contributors: {
+            top: everyone
+                .filter(entry => entry.paid > 0)
+                .sort((a, b) => b.paid - a.paid || a.name.localeCompare(b.name))
+                .slice(0, TOP_LIMIT)
+                .map(({ id, name, paid }) => ({ id, name, paid })),
+            late: everyone
+                .filter(entry => entry.overdue > 0 || entry.latePayments > 0)
+                .sort((a, b) => (
+                    b.overdue - a.overdue || b.latePayments - a.latePayments || a.name.localeCompare(b.name)
+                ))
+                .slice(0, TOP_LIMIT)
+                .map(({ id, name, overdue, latePayments, funds: late }) => ({
+                    id, name, overdue, latePayments, funds: late,
+                })),
+        },
+    };
+}
+
+module.exports = { hasLedgerHistory, contributionStats };
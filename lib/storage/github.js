@@ -0,0 +1,105 @@
+const fetch = require('node-fetch');
+const { HttpError, conflict } = require('../errors');
+
+// The Contents API only returns files of up to 1 MB, so a larger document
+// could be written once but never read back
+const MAX_FILE_BYTES = 1024 * 1024;
+
+// Stores a JSON document as a file in a GitHub repository via the Contents API.
+// The blob SHA of the file doubles as the document version. `apiUrl` points
+// somewhere other than api.github.com (GitHub Enterprise, or a test stand-in).
+function createGithubDriver({ token, repo, branch = 'main', path, apiUrl = 'https://api.github.com' }) {
+    if (!token || !repo) throw new Error('GitHub storage requires GITHUB_TOKEN and GITHUB_REPO');
+
+    const url = `${apiUrl}/repos/${repo}/contents/${path}`;
+    const headers = { Authorization: `token ${token}` };
+
+    async function fetchFile() {
+        const res = await fetch(`${url}?ref=${branch}`, { headers });
+        if (res.status === 404) {
+            const error = new Error(`${path} does not exist on GitHub`);
+            error.code = 'ENOENT';
+            throw error;
+        }
+        if (!res.ok) throw new Error('Failed to fetch data from GitHub');
+        return res.json();
+    }
+
+    async function currentSha() {
+        try {
+            return (await fetchFile()).sha;
+        } catch (error) {
+            if (error.code === 'ENOENT') return undefined;
+            throw error;
+        }
+    }
+
+    async function read() {
+        const json = await fetchFile();
+        const content = Buffer.from(json.content, 'base64').toString('utf8');
+        return { data: JSON.parse(content), version: json.sha };
+    }
+
+    // Without a version the current SHA is looked up first, which overwrites
+    // whatever is there (or creates the file). With one, GitHub rejects the
+    // PUT if the file moved on. A document over MAX_FILE_BYTES is refused with
+    // a 507 before anything is sent.
+    async function write(data, { message = 'Update funds', version } = {}) {
+        const content = Buffer.from(JSON.stringify(data, null, 2));
+        if (content.length > MAX_FILE_BYTES) {
+            const size = Math.ceil(content.length / 1024);
+            throw new HttpError(507, `Saving would make ${path} ${size} KB, more than the 1024 KB GitHub can store`);
+        }
+        const sha = version || await currentSha();
+
+        const res = await fetch(url, {
+            method: 'PUT',
+            headers: { ...headers, 'Content-Type': 'application/json' },
+            body: JSON.stringify({
+                message,
+                content: content.toString('base64'),
+                branch,
+                sha,
+            }),
+        });
+
+        if (res.status === 409) throw conflict('Funds were changed by someone else');
+        if (!res.ok) throw new Error('Failed to write data to GitHub');
+
+        const json = await res.json();
+        return json.content.sha;
+    }
+
+    // Every write is a commit, so the file's commit history is its snapshots
+    async function listSnapshots({ limit = 30, until } = {}) {
+        const params = new URLSearchParams({ path, sha: branch, per_page: String(Math.min(limit, 100)) });
+        if (until) params.set('until', new Date(until).toISOString());
+
+        const res = await fetch(`${apiUrl}/repos/${repo}/commits?${params}`, { headers });
+        if (!res.ok) throw new Error('Failed to list commits from GitHub');
+
+        const commits = await res.json();
+        return commits.map(({ sha, commit }) => ({
+            id: sha,
+            timestamp: commit.committer.date,
+            message: commit.message,
+        }));
+    }
+
+    async function readSnapshot(id) {
+        const res = await fetch(`${url}?ref=${encodeURIComponent(id)}`, { headers });
+        if (res.status === 404 || res.status === 422) {
+            const error = new Error(`Snapshot ${id} does not exist`);
+            error.code = 'ENOENT';
+            throw error;
+        }
+        if (!res.ok) throw new Error('Failed to fetch snapshot from GitHub');
+
+        const json = await res.json();
+        return JSON.parse(Buffer.from(json.content, 'base64').toString('utf8'));
+    }
+
+    return { name: 'github', read, write, listSnapshots, readSnapshot };
+}
+
+module.exports = { createGithubDriver };
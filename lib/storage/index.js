@@ -0,0 +1,63 @@
+const path = require('path');
+const { createGithubDriver } = require('./github');
+const { createLocalDriver } = require('./local');
+
+const ROOT_DIR = path.join(__dirname, '..', '..');
+
+// Documents holding secrets (password hashes, webhook URLs, server state) are
+// never kept in GITHUB_REPO next to the funds, which is often the public app
+// repository; with GitHub they need a private repo of their own.
+function privateRepo(env, file) {
+    if (!env.PRIVATE_GITHUB_REPO) {
+        throw new Error(`Refusing to store ${file} in GITHUB_REPO: set PRIVATE_GITHUB_REPO to a private repository`);
+    }
+    return {
+        token: env.PRIVATE_GITHUB_TOKEN || env.GITHUB_TOKEN,
+        repo: env.PRIVATE_GITHUB_REPO,
+        branch: env.PRIVATE_GITHUB_BRANCH || 'main',
+    };
+}
+
+const drivers = {
+    github: (env, file, { secret = false } = {}) => createGithubDriver({
+        ...(secret ? privateRepo(env, file) : {
+            token: env.GITHUB_TOKEN,
+            repo: env.GITHUB_REPO,
+            branch: env.GITHUB_BRANCH || 'main',
+        }),
+        path: file,
+        apiUrl: env.GITHUB_API_URL,
+    }),
+    local: (env, file, { snapshots = false } = {}) => createLocalDriver({
+        file: path.resolve(env.LOCAL_DATA_DIR || ROOT_DIR, file),
+        snapshotLimit: snapshots ? parseInt(env.LOCAL_SNAPSHOT_LIMIT, 10) || 50 : 0,
+    }),
+};
+
+// Picks the driver named by STORAGE_DRIVER. Without it we keep using GitHub
+// when a repo is configured and fall back to the local data/ directory.
+function resolveDriverName(env) {
+    if (env.STORAGE_DRIVER) return env.STORAGE_DRIVER;
+    return env.GITHUB_REPO ? 'github' : 'local';
+}
+
+// `options.snapshots` asks drivers without their own history (local) to keep
+// copies of past versions so listSnapshots/readSnapshot work everywhere.
+// `options.secret` marks documents that must stay private (see privateRepo).
+function createStorage(file, options = {}, env = process.env) {
+    const name = resolveDriverName(env);
+    const factory = drivers[name];
+    if (!factory) throw new Error(`Unknown storage driver: ${name}`);
+    return factory(env, file, options);
+}
+
+function registerDriver(name, factory) {
+    drivers[name] = factory;
+}
+
+// Whether documents marked `secret` can be stored with the configured driver
+function canStoreSecrets(env = process.env) {
+    return resolveDriverName(env) !== 'github' || Boolean(env.PRIVATE_GITHUB_REPO);
+}
+
+module.exports = { createStorage, registerDriver, resolveDriverName, canStoreSecrets };
@@ -0,0 +1,115 @@
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+const { conflict } = require('../errors');
+
+function hashContent(content) {
+    return crypto.createHash('sha1').update(content).digest('hex');
+}
+
+function notFoundError(message) {
+    const error = new Error(message);
+    error.code = 'ENOENT';
+    return error;
+}
+
+// Stores a JSON document on the local filesystem. Writes go to a temp file in
+// the same directory and are renamed over the target so readers never see a
+// half-written document. The content hash is used as the document version.
+//
+// With a `snapshotLimit`, every write also leaves a copy in
+// `.snapshots/<file name>/` next to the document, keeping the newest ones.
+function createLocalDriver({ file, snapshotLimit = 0 }) {
+    if (!file) throw new Error('Local storage requires a file path');
+
+    const snapshotDir = path.join(path.dirname(file), '.snapshots', path.basename(file, '.json'));
+
+    // Serialises writes so the version check and rename happen as one step
+    let queue = Promise.resolve();
+
+    async function read() {
+        const content = await fs.readFile(file, 'utf8');
+        return { data: JSON.parse(content), version: hashContent(content) };
+    }
+
+    async function saveSnapshot(content, message) {
+        const id = `${Date.now()}-${hashContent(content).substring(0, 8)}`;
+        const snapshot = { timestamp: new Date().toISOString(), message, data: JSON.parse(content) };
+        await fs.mkdir(snapshotDir, { recursive: true });
+        await fs.writeFile(path.join(snapshotDir, `${id}.json`), JSON.stringify(snapshot), 'utf8');
+
+        const ids = await snapshotIds();
+        await Promise.all(ids.slice(snapshotLimit).map(old => fs.unlink(path.join(snapshotDir, `${old}.json`))));
+    }
+
+    // Newest first
+    async function snapshotIds() {
+        try {
+            const files = await fs.readdir(snapshotDir);
+            return files
+                .filter(name => name.endsWith('.json'))
+                .map(name => name.slice(0, -5))
+                .sort((a, b) => parseInt(b, 10) - parseInt(a, 10));
+        } catch (error) {
+            if (error.code === 'ENOENT') return [];
+            throw error;
+        }
+    }
+
+    async function listSnapshots({ limit = 30, until } = {}) {
+        const untilTime = until ? Date.parse(until) : Infinity;
+        const ids = (await snapshotIds()).filter(id => parseInt(id, 10) <= untilTime).slice(0, limit);
+
+        return Promise.all(ids.map(async id => {
+            const { timestamp, message } = JSON.parse(await fs.readFile(path.join(snapshotDir, `${id}.json`), 'utf8'));
+            return { id, timestamp, message };
+        }));
+    }
+
+    async function readSnapshot(id) {
+        if (!/^\d+-[0-9a-f]{8}$/.test(id)) throw notFoundError(`Snapshot ${id} does not exist`);
+        try {
+            const { data } = JSON.parse(await fs.readFile(path.join(snapshotDir, `${id}.json`), 'utf8'));
+            return data;
+        } catch (error) {
+            if (error.code === 'ENOENT') throw notFoundError(`Snapshot ${id} does not exist`);
+            throw error;
+        }
+    }
+
+    async function replace(data, version, message) {
+        if (version) {
+            const current = await read().catch(error => {
+                if (error.code === 'ENOENT') return { version: null };
+                throw error;
+            });
+            if (current.version !== version) throw conflict('Funds were changed by someone else');
+        }
+
+        const content = JSON.stringify(data, null, 2) + '\n';
+        const tmp = path.join(path.dirname(file), `.${path.basename(file)}.${process.pid}.${Date.now()}.tmp`);
+        await fs.mkdir(path.dirname(file), { recursive: true });
+        try {
+            await fs.writeFile(tmp, content, 'utf8');
+            await fs.rename(tmp, file);
+        } catch (error) {
+            await fs.unlink(tmp).catch(() => {});
+            throw error;
+        }
+
+        if (snapshotLimit > 0) {
+            await saveSnapshot(content, message).catch(error => console.error('Failed to save snapshot:', error));
+        }
+        return hashContent(content);
+    }
+
+    function write(data, { version, message = 'Update' } = {}) {
+        const result = queue.then(() => replace(data, version, message));
+        queue = result.catch(() => {});
+        return result;
+    }
+
+    return { name: 'local', read, write, listSnapshots, readSnapshot };
+}
+
+module.exports = { createLocalDriver };
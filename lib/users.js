@@ -0,0 +1,140 @@
+const crypto = require('crypto');
+const { promisify } = require('util');
+const { badRequest, notFound, conflict } = require('./errors');
+
+const scrypt = promisify(crypto.scrypt);
+
+// Admin accounts, kept in their own document as { users: [...] }. Passwords
+// are stored as scrypt hashes: `scrypt$<salt>$<hash>`. Sessions issued before
+// a user's `sessionsNotBefore` are no longer accepted.
+
+// Ordered from least to most privileged
+const ROLES = ['viewer', 'treasurer', 'owner'];
+const USERNAME_PATTERN = /^[a-z0-9][a-z0-9._-]{1,31}$/;
+const MIN_PASSWORD_LENGTH = 8;
+const KEY_LENGTH = 64;
+
+// Checked instead when the account doesn't exist or is disabled, so a failed
+// login takes as long whether or not the username is real. Matches nothing.
+const DUMMY_PASSWORD_HASH = 'scrypt$e136bf07c8e4dfe589476e47bc71afdf$'
+    + '0fa733b3d6764ceaf0ac564fa6bf84f71702193f314bbf4db97a86ef8dc30194'
+    + 'ab19479cc80e028ee8698a505a2b97e69bb200adb2df5f32c899f25ba409cd3d';
+
+function hasRole(role, required) {
+    return ROLES.indexOf(role) >= ROLES.indexOf(required) && ROLES.includes(role);
+}
+
+async function hashPassword(password) {
+    const salt = crypto.randomBytes(16).toString('hex');
+    const hash = await scrypt(password, salt, KEY_LENGTH);
+    return `scrypt$${salt}$${hash.toString('hex')}`;
+}
+
+async function verifyPassword(password, stored) {
+    const [scheme, salt, hash] = String(stored || '').split('$');
+    if (scheme !== 'scrypt' || !salt || !hash) return false;
+
+    const expected = Buffer.from(hash, 'hex');
+    const actual = await scrypt(String(password), salt, expected.length);
+    return crypto.timingSafeEqual(expected, actual);
+}
+
+function parseUsername(username) {
+    const name = typeof username === 'string' ? username.trim().toLowerCase() : '';
+    if (!USERNAME_PATTERN.test(name)) {
+        throw badRequest('Username must be 2-32 lowercase letters, digits, ".", "-" or "_"');
+    }
+    return name;
+}
+
+function parsePassword(password) {
+    if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+        throw badRequest(`Password must be at least ${MIN_PASSWORD_LENGTH} characters`);
+    }
+    return password;
+}
+
+function parseRole(role) {
+    if (!ROLES.includes(role)) throw badRequest(`Role must be one of: ${ROLES.join(', ')}`);
+    return role;
+}
+
+function findUser(doc, username) {
+    const name = typeof username === 'string' ? username.trim().toLowerCase() : '';
+    return doc.users.find(user => user.username === name);
+}
+
+function getUser(doc, username) {
+    const user = findUser(doc, username);
+    if (!user) throw notFound('User not found');
+    return user;
+}
+
+// Strips the password hash before a user is sent to a client
+function publicUser({ passwordHash, ...user }) {
+    return user;
+}
+
+function activeOwners(doc) {
+    return doc.users.filter(user => user.role === 'owner' && !user.disabled);
+}
+
+async function createUser(doc, { username, password, role = 'viewer' }) {
+    const name = parseUsername(username);
+    if (findUser(doc, name)) throw conflict('User already exists');
+
+    const user = {
+        username: name,
+        role: parseRole(role),
+        disabled: false,
+        passwordHash: await hashPassword(parsePassword(password)),
+        createdAt: new Date().toISOString(),
+    };
+    doc.users.push(user);
+    return user;
+}
+
+function updateUser(doc, username, { role, disabled }) {
+    const user = getUser(doc, username);
+    if (role === undefined && disabled === undefined) throw badRequest('Nothing to update');
+
+    if (role !== undefined) user.role = parseRole(role);
+    if (disabled !== undefined) {
+        if (typeof disabled !== 'boolean') throw badRequest('Disabled must be true or false');
+        user.disabled = disabled;
+    }
+
+    if (activeOwners(doc).length === 0) throw badRequest('At least one active owner is required');
+    user.sessionsNotBefore = new Date().toISOString();
+    return user;
+}
+
+async function resetPassword(doc, username, password) {
+    const user = getUser(doc, username);
+    user.passwordHash = await hashPassword(parsePassword(password));
+    user.passwordChangedAt = new Date().toISOString();
+    user.sessionsNotBefore = user.passwordChangedAt;
+    return user;
+}
+
+// First run: the only account is an owner whose password is ADMIN_KEY
+async function bootstrapUsers(username, password) {
+    const doc = { users: [] };
+    await createUser(doc, { username, password, role: 'owner' });
+    return doc;
+}
+
+module.exports = {
+    ROLES,
+    DUMMY_PASSWORD_HASH,
+    hasRole,
+    hashPassword,
+    verifyPassword,
+    findUser,
+    publicUser,
+    parsePassword,
+    createUser,
+    updateUser,
+    resetPassword,
+    bootstrapUsers,
+};
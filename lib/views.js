@@ -0,0 +1,273 @@
+const { fundFigures } = require('./reports');
+
+// Server-rendered pages that work without the main app: the read-only view
+// of a single fund opened from its share link, and printable receipts and
+// statements (see statements.js). `brand` is the branding of the group they
+// belong to (see groups.js); only its title is used.
+
+const escapeHtml = value => String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+
+const DEFAULT_BRAND = { title: 'Temple Street Trece' };
+
+const peso = amount => `₱${Number(amount).toLocaleString('en-PH')}`;
+
+const PAGE_STYLE = `
+    * { margin: 0; padding: 0; box-sizing: border-box; }
+    body {
+        font-family: Arial, sans-serif;
+        background: linear-gradient(135deg, #1e3a8a 0%, #000000 50%, #1e40af 100%);
+        background-attachment: fixed;
+        color: #fff;
+        min-height: 100vh;
+        padding: clamp(1rem, 4vw, 2rem);
+    }
+    main { max-width: 640px; margin: 0 auto; }
+    h1 { font-family: 'Alfa Slab One', cursive; font-size: clamp(1.3rem, 5vw, 2rem); margin-bottom: 0.5rem; }
+    .card {
+        background: rgba(0, 0, 0, 0.6);
+        border: 2px solid #3b82f6;
+        border-radius: 8px;
+        padding: clamp(1rem, 3vw, 2rem);
+    }
+    .badges { display: flex; flex-wrap: wrap; gap: 0.4rem; margin-bottom: 0.75rem; }
+    .badge {
+        border: 1px solid #1e40af;
+        border-radius: 999px;
+        padding: 0.15rem 0.6rem;
+        color: #bfdbfe;
+        font-size: 0.8rem;
+    }
+    .track { height: 10px; background: rgba(30, 58, 138, 0.6); border: 1px solid #1e40af; border-radius: 5px; }
+    .fill { height: 100%; background: linear-gradient(90deg, #2563eb, #60a5fa); border-radius: 5px; }
+    .label { color: #bfdbfe; font-size: 0.9rem; margin: 0.4rem 0 1rem; }
+    ul { list-style: none; }
+    li {
+        display: flex;
+        justify-content: space-between;
+        gap: 1rem;
+        padding: 0.6rem 0.8rem;
+        margin-bottom: 0.4rem;
+        background: rgba(30, 58, 138, 0.4);
+        border: 1px solid #1e40af;
+        border-radius: 6px;
+    }
+    .owes { color: #fca5a5; font-size: 0.85rem; }
+    .total { font-family: 'Black Ops One', cursive; font-size: 1.4rem; text-align: right; margin-top: 1rem; }
+    footer { color: #93c5fd; font-size: 0.8rem; text-align: center; margin-top: 1.5rem; }
+`;
+
+function layout(title, body, brand = DEFAULT_BRAND) {
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <meta name="robots" content="noindex">
+    <title>${escapeHtml(title)} - ${escapeHtml(brand.title)}</title>
+    <link href="https://fonts.googleapis.com/css2?family=Black+Ops+One&family=Alfa+Slab+One&display=swap" rel="stylesheet">
+    <link rel="icon" href="/logo.ico">
+    <style>${PAGE_STYLE}</style>
+</head>
+<body>
+    <main>
+${body}
+    </main>
+</body>
+</html>
+`;
+}
+
+// Plain black on white for paper; the print button is left off the printout
+const PRINT_STYLE = `
+    * { margin: 0; padding: 0; box-sizing: border-box; }
+    body { font-family: Arial, sans-serif; color: #111; background: #fff; padding: 2rem; }
+    main { max-width: 720px; margin: 0 auto; }
+    header { border-bottom: 2px solid #111; padding-bottom: 0.75rem; margin-bottom: 1rem; }
+    .org { font-family: 'Alfa Slab One', cursive; font-size: 1rem; letter-spacing: 0.05em; }
+    h1 { font-size: 1.5rem; margin-top: 0.25rem; }
+    .muted { color: #555; font-size: 0.9rem; }
+    dl { display: grid; grid-template-columns: 9rem 1fr; gap: 0.4rem 1rem; margin: 1rem 0; }
+    dt { font-weight: bold; }
+    table { width: 100%; border-collapse: collapse; margin: 1rem 0; font-size: 0.9rem; }
+    th, td { text-align: left; padding: 0.35rem 0.5rem; border-bottom: 1px solid #ddd; }
+    th { border-bottom: 2px solid #111; }
+    .num { text-align: right; white-space: nowrap; }
+    tfoot td { font-weight: bold; border-bottom: none; }
+    .amount {
+        font-size: 1.6rem;
+        font-weight: bold;
+        text-align: right;
+        border-top: 2px solid #111;
+        padding-top: 0.75rem;
+    }
+    h2 { font-size: 1.1rem; margin-top: 1.5rem; }
+    button { margin-top: 1.5rem; padding: 0.5rem 1.25rem; font-size: 1rem; cursor: pointer; }
+    @media print {
+        body { padding: 0; }
+        .no-print { display: none; }
+    }
+`;
+
+function printLayout(title, body, brand) {
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <meta name="robots" content="noindex">
+    <title>${escapeHtml(title)} - ${escapeHtml(brand.title)}</title>
+    <link href="https://fonts.googleapis.com/css2?family=Alfa+Slab+One&display=swap" rel="stylesheet">
+    <style>${PRINT_STYLE}</style>
+</head>
+<body>
+    <main>
+        <header>
+            <div class="org">${escapeHtml(brand.title.toUpperCase())}</div>
+            <h1>${escapeHtml(title)}</h1>
+        </header>
+${body}
+        <button class="no-print" id="print-button">Print</button>
+    </main>
+    <script src="/print.js"></script>
+</body>
+</html>
+`;
+}
+
+// With centavos and the sign in front, for receipts and statements
+const printPeso = amount => (
+    `${amount < 0 ? '-' : ''}₱${Math.abs(amount).toLocaleString('en-PH', { minimumFractionDigits: 2 })}`
+);
+const utcTime = timestamp => `${timestamp.substring(0, 16).replace('T', ' ')} UTC`;
+
+function receiptPage(receipt, brand = DEFAULT_BRAND) {
+    const note = receipt.note ? `<dt>Note</dt><dd>${escapeHtml(receipt.note)}</dd>` : '';
+    return printLayout(`Official receipt ${receipt.number}`, `
+        <dl>
+            <dt>Received from</dt><dd>${escapeHtml(receipt.member.name)}</dd>
+            <dt>Fund</dt><dd>${escapeHtml(receipt.fund.title)}</dd>
+            <dt>Date</dt><dd>${utcTime(receipt.timestamp)}</dd>
+            <dt>Recorded by</dt><dd>${escapeHtml(receipt.admin || '-')}</dd>
+            ${note}
+        </dl>
+        <p class="amount">${printPeso(receipt.amount)}</p>`, brand);
+}
+
+function statementPage(statement, brand = DEFAULT_BRAND) {
+    const entryRow = entry => {
+        const details = [
+            entry.type === 'contribution' ? entry.member : `${entry.member} (${entry.type})`,
+            entry.receipt,
+            entry.note,
+        ].filter(Boolean).map(escapeHtml).join(' · ');
+        return `<tr><td>${entry.date}</td><td>${escapeHtml(entry.title)}</td><td>${details}</td>`
+            + `<td class="num">${printPeso(entry.amount)}</td></tr>`;
+    };
+    const balanceRow = balance => `<tr><td>${escapeHtml(statement.fund ? balance.member : balance.title)}</td>`
+        + `<td class="num">${printPeso(balance.paid)}</td><td class="num">${printPeso(balance.owed)}</td></tr>`;
+    const entries = statement.entries.length
+        ? statement.entries.map(entryRow).join('')
+        : '<tr><td colspan="4">No payments recorded in this period.</td></tr>';
+
+    return printLayout(`Statement: ${statement.subject}`, `
+        <p class="muted">${statement.from || 'Beginning'} to ${statement.to}</p>
+        <table>
+            <thead><tr><th>Date</th><th>Fund</th><th>Details</th><th class="num">Amount</th></tr></thead>
+            <tbody>
+                <tr><td colspan="3">Recorded before this period</td>
+                    <td class="num">${printPeso(statement.opening)}</td></tr>
+                ${entries}
+            </tbody>
+            <tfoot>
+                <tr><td colspan="3">Paid in this period</td><td class="num">${printPeso(statement.total)}</td></tr>
+                <tr><td colspan="3">Total recorded</td><td class="num">${printPeso(statement.closing)}</td></tr>
+            </tfoot>
+        </table>
+        <h2>Balances now</h2>
+        <table>
+            <thead><tr><th>${statement.fund ? 'Member' : 'Fund'}</th>
+                <th class="num">Paid</th><th class="num">Owes</th></tr></thead>
+            <tbody>${statement.balances.map(balanceRow).join('')}</tbody>
+        </table>
+        <p class="muted">Generated ${utcTime(statement.generatedAt)}</p>`, brand);
+}
+
+// `fund` as stored; totals-only funds are shown without their members
+function sharedFundPage(key, fund, brand = DEFAULT_BRAND) {
+    const figures = fundFigures(key, fund);
+    const percent = figures.expected > 0 ? Math.min(Math.round(figures.collected / figures.expected * 100), 100) : 100;
+
+    const badges = [
+        fund.status && fund.status !== 'open' ? fund.status.toUpperCase() : null,
+        fund.period ? `${fund.recurrence === 'weekly' ? 'WEEK' : 'MONTH'} ${fund.period}` : null,
+        fund.dueDate ? `DUE ${fund.dueDate}` : null,
+    ].filter(Boolean).map(text => `<span class="badge">${escapeHtml(text)}</span>`).join('');
+
+    const memberRow = member => {
+        const owes = member.balance > 0 ? `<span class="owes">owes ${peso(member.balance)}</span> ` : '';
+        return `<li><span>${escapeHtml(member.name)}</span><span>${owes}${peso(member.amount)}</span></li>`;
+    };
+    const members = fund.totalsOnly
+        ? `<p class="label">${figures.members.length} members</p>`
+        : `<ul>${figures.members.map(memberRow).join('')}</ul>`;
+
+    return layout(fund.title, `
+        <div class="card">
+            <h1>${escapeHtml(fund.title)}</h1>
+            <div class="badges">${badges}</div>
+            <div class="track"><div class="fill" style="width: ${percent}%"></div></div>
+            <p class="label">${peso(figures.collected)} of ${peso(figures.expected)} collected (${percent}%)</p>
+            ${members}
+            <p class="total">TOTAL: ${peso(figures.collected)}</p>
+        </div>
+        <footer>${escapeHtml(brand.title)} · read-only view</footer>`, brand);
+}
+
+// Web app manifest of a group's page at `basePath` ('' for the default
+// group), so an installed app opens and stays on its own group
+function webManifest(brand, basePath) {
+    const home = `${basePath}/`;
+    return {
+        id: home,
+        name: `${brand.title} - Funds`,
+        short_name: `${brand.slug.toUpperCase()} Funds`,
+        description: `${brand.subtitle || brand.title} funds viewing platform`,
+        start_url: home,
+        scope: home,
+        display: 'standalone',
+        background_color: '#000000',
+        theme_color: '#1e3a8a',
+        icons: [
+            {
+                src: '/logo.ico',
+                type: 'image/x-icon',
+                sizes: '16x16 24x24 32x32 48x48 64x64 72x72 96x96 128x128 256x256',
+            },
+            { src: '/tst.jpeg', type: 'image/jpeg', sizes: '960x720' },
+        ],
+    };
+}
+
+function notFoundPage(explanation = 'The fund may have been made private or given a new link.') {
+    return layout('Not found', `
+        <div class="card">
+            <h1>This link doesn't work</h1>
+            <p class="label">${escapeHtml(explanation)}</p>
+        </div>`);
+}
+
+module.exports = {
+    escapeHtml,
+    printPeso,
+    utcTime,
+    sharedFundPage,
+    notFoundPage,
+    webManifest,
+    receiptPage,
+    statementPage,
+};
@@ -1,266 +1,1790 @@
-const API_URL = 'https://tst-northside-varrio.vercel.app/api';
+// The page is served at / for the default group and at /g/<slug> for the
+// others, with the group's API under the same prefix on the same origin
+const GROUP_SLUG = (window.location.pathname.match(/^\/g\/([a-z0-9-]+)/) || [])[1] || null;
+const GROUP_PATH = GROUP_SLUG ? `/g/${GROUP_SLUG}` : '';
+const API_URL = `${window.location.origin}/api${GROUP_PATH}`;
+const SESSION_KEY = GROUP_SLUG ? `csrfToken:${GROUP_SLUG}` : 'csrfToken';
+const BRANDING_KEY = `branding:${GROUP_SLUG || 'default'}`;
 
 let isAdmin = false;
 let editMode = false;
 let fundsData = {};
-let sessionToken = null;
+let fundsVersion = null;
+// The session itself is an httpOnly cookie; this is the CSRF token that goes
+// with it, set while signed in
+let csrfToken = null;
+let adminUser = null;
+let sessionTimer = null;
+let lastActivityAt = 0;
+let profileId = null;
+let showArchived = false;
+let lastSyncedAt = null;
+let syncedFromServer = false;
+let replayingEdits = false;
 
-setTimeout(() => {
+loadBranding();
+
+connectLiveUpdates();
+loadFunds().finally(() => {
     document.getElementById('loading-screen').style.display = 'none';
     document.getElementById('main-content').style.display = 'block';
-    loadFunds();
-}, 3000);
+});
+
+// Title, subtitle, logo and about text of the group, kept on this device for
+// when the API can't be reached
+async function loadBranding() {
+    const saved = localStorage.getItem(BRANDING_KEY);
+    if (saved) applyBranding(JSON.parse(saved));
+
+    try {
+        const response = await fetch(`${API_URL}/group`);
+        if (!response.ok) throw new Error(`HTTP ${response.status}`);
+        const { group } = await response.json();
+        localStorage.setItem(BRANDING_KEY, JSON.stringify(group));
+        applyBranding(group);
+    } catch (error) {
+        console.error('Error loading group:', error);
+    }
+}
+
+// The page is written for the default group; other groups replace its title,
+// subtitle, photo and about text with their own
+function applyBranding(group) {
+    document.title = group.subtitle ? `${group.title} - ${group.subtitle}` : group.title;
+    document.querySelectorAll('[data-brand="title"]').forEach(el => { el.textContent = group.title; });
+    document.querySelectorAll('[data-brand="subtitle"]').forEach(el => {
+        el.textContent = group.subtitle;
+        el.classList.toggle('hidden', !group.subtitle);
+    });
+
+    // Gone when the bundled photo failed to load and was replaced by a note
+    const logo = document.getElementById('brand-logo');
+    if (logo) {
+        logo.parentElement.classList.toggle('hidden', !group.logo);
+        if (group.logo) {
+            logo.src = group.logo;
+            logo.alt = group.title;
+        }
+    }
 
+    if (group.about.length || !group.default) {
+        const intro = document.getElementById('intro-text');
+        const paragraphs = group.about.length
+            ? group.about
+            : [`This website exists for funds viewing and transparency for ${group.title}.`];
+        intro.replaceChildren(...paragraphs.map(text => {
+            const paragraph = document.createElement('p');
+            paragraph.textContent = text;
+            return paragraph;
+        }));
+    }
+}
+
+// Signed-in users also see private and link-only funds and every member. The
+// session cookie goes along on its own; changes must also carry the CSRF token.
+function sessionHeaders() {
+    return csrfToken ? { 'X-CSRF-Token': csrfToken } : {};
+}
+
+// Loads the funds from the API, falling back to the copy saved on this device
+// the last time that worked. Nothing is shown rather than made-up numbers.
 async function loadFunds() {
     try {
-        const response = await fetch(`${API_URL}/funds`);
-        const data = await response.json();
-        fundsData = data;
-        renderFunds();
+        const response = await fetch(`${API_URL}/funds`, { headers: sessionHeaders() });
+        if (!response.ok) throw new Error(`HTTP ${response.status}`);
+        fundsData = await response.json();
+        fundsVersion = response.headers.get('ETag');
+        lastSyncedAt = Date.now();
+        syncedFromServer = true;
+        offlineStore.saveFunds(fundsData, fundsVersion).catch(error => {
+            console.error('Error saving funds for offline use:', error);
+        });
     } catch (error) {
         console.error('Error loading funds:', error);
-        fundsData = getDefaultFunds();
+        syncedFromServer = false;
+        const saved = await offlineStore.loadFunds().catch(() => null);
+        if (saved) {
+            fundsData = saved.data;
+            fundsVersion = saved.version;
+            lastSyncedAt = saved.syncedAt;
+        } else {
+            fundsData = { funds: {}, summary: { pman: 0, hawak: 0 } };
+        }
+    }
+    renderFunds();
+    updateSyncStatus();
+}
+
+async function updateSyncStatus() {
+    const status = document.getElementById('sync-status');
+    const pending = (await offlineStore.queuedEdits().catch(() => [])).length;
+
+    let text;
+    if (!lastSyncedAt) {
+        text = 'Could not reach the server and nothing is saved on this device';
+    } else {
+        const time = new Date(lastSyncedAt).toLocaleString();
+        text = syncedFromServer ? `Synced ${time}` : `Offline - showing data last synced ${time}`;
+    }
+    if (pending > 0) text += ` · ${pending} change${pending === 1 ? '' : 's'} waiting to sync`;
+
+    status.textContent = text;
+    status.classList.toggle('stale', !syncedFromServer || pending > 0);
+}
+
+// Live updates: the server sends a `change` event after every saved edit, and
+// the affected cards are redrawn in place. Without EventSource, while the
+// stream is down, or when the server answers 204 because it can't hold streams
+// open (serverless hosts), the funds are polled with If-None-Match instead,
+// which costs a 304 when nothing changed.
+const POLL_INTERVAL = 30000;
+const HIGHLIGHT_DURATION = 2000;
+let liveEvents = null;
+let pollTimer = null;
+
+function connectLiveUpdates() {
+    if (!window.EventSource) return startPolling();
+
+    liveEvents = new EventSource(`${API_URL}/events`);
+    liveEvents.addEventListener('change', event => {
+        const change = JSON.parse(event.data);
+        // Events carry what visitors may see; signed-in users fetch the rest
+        if (csrfToken) pollFunds(change.changes);
+        else applyLiveChange(change);
+    });
+    // Anything missed while disconnected is picked up with one conditional request
+    liveEvents.onopen = () => {
+        stopPolling();
+        pollFunds();
+    };
+    liveEvents.onerror = () => startPolling();
+}
+
+function startPolling() {
+    if (!pollTimer) pollTimer = setInterval(pollFunds, POLL_INTERVAL);
+}
+
+function stopPolling() {
+    clearInterval(pollTimer);
+    pollTimer = null;
+}
+
+// `changes` from a change event, if any, say which rows to highlight
+async function pollFunds(changes = []) {
+    if (!navigator.onLine || replayingEdits) return;
+    if (!fundsVersion) return loadFunds();
+
+    try {
+        const response = await fetch(`${API_URL}/funds`, {
+            headers: { ...sessionHeaders(), 'If-None-Match': fundsVersion },
+            cache: 'no-store'
+        });
+        if (response.status === 304 || !response.ok) return;
+
+        const data = await response.json();
+        const before = fundsData.funds || {};
+        const keys = new Set([...Object.keys(before), ...Object.keys(data.funds)]);
+        const changed = [...keys].filter(key => JSON.stringify(before[key]) !== JSON.stringify(data.funds[key]));
+        const summaryChanged = JSON.stringify(fundsData.summary) !== JSON.stringify(data.summary);
+
+        applyLiveChange({
+            version: versionOf(response.headers.get('ETag')),
+            etag: response.headers.get('ETag'),
+            changes: changes,
+            funds: Object.fromEntries(changed.map(key => [key, data.funds[key] || null])),
+            summary: summaryChanged ? data.summary : undefined,
+            directory: data.directory,
+            expenses: true
+        });
+    } catch (error) {
+        console.error('Error checking for updates:', error);
+    }
+}
+
+// ETags name the view as well as the version, e.g. "<version>-public"
+function versionOf(etag) {
+    return String(etag || '').replace(/"/g, '').replace(/-(admin|public)$/, '');
+}
+
+// Applies a change event (or the difference found by polling) to the page.
+// Change events only reach visitors, so their version is for the public view.
+function applyLiveChange(event) {
+    if (event.version === versionOf(fundsVersion)) return;
+
+    fundsVersion = event.etag || `"${event.version}-public"`;
+    lastSyncedAt = Date.now();
+    syncedFromServer = true;
+    if (!fundsData.funds) fundsData.funds = {};
+
+    const keys = Object.keys(event.funds);
+    keys.forEach(key => {
+        if (event.funds[key]) fundsData.funds[key] = event.funds[key];
+        else delete fundsData.funds[key];
+    });
+    if (event.summary) fundsData.summary = event.summary;
+    if (event.directory) fundsData.directory = event.directory;
+
+    // Cards that appear or disappear need the whole list redrawn
+    const isShown = key => fundsData.funds[key] && (fundsData.funds[key].status === 'archived') === showArchived;
+    if (keys.some(key => !findFundCard(key) !== !isShown(key))) {
         renderFunds();
+    } else {
+        keys.forEach(key => {
+            const card = findFundCard(key);
+            if (card && !isBeingEdited(card)) card.replaceWith(createFundCard(key, fundsData.funds[key]));
+        });
+        updateTotals();
+        loadOutstanding();
+        if (event.expenses || keys.length) loadReconciliation();
+    }
+
+    keys.forEach(key => highlightFund(key, event.changes.filter(change => change.fund === key)));
+    if (event.summary) {
+        const fields = event.changes.filter(change => change.type.startsWith('summary.'))
+            .map(change => change.type.substring('summary.'.length));
+        (fields.length ? fields : ['pman', 'hawak'])
+            .forEach(field => flash(document.getElementById(`${field}-display`)));
     }
+
+    offlineStore.saveFunds(fundsData, fundsVersion).catch(error => {
+        console.error('Error saving funds for offline use:', error);
+    });
+    updateSyncStatus();
+}
+
+function findFundCard(key) {
+    return document.querySelector(`.fund-card[data-fund="${CSS.escape(key)}"]`);
+}
+
+// Redrawing a card would throw away what the admin is typing into it
+function isBeingEdited(card) {
+    const active = document.activeElement;
+    return card.contains(active) && ['INPUT', 'SELECT'].includes(active.tagName);
+}
+
+// Flashes the changed member rows, or the whole card for other changes
+function highlightFund(key, changes) {
+    const card = findFundCard(key);
+    if (!card) return;
+
+    const rows = changes
+        .map(change => card.querySelector(`.member-row[data-member="${CSS.escape(change.id || change.member || '')}"]`))
+        .filter(Boolean);
+    (rows.length ? rows : [card]).forEach(flash);
+}
+
+function flash(element) {
+    if (!element) return;
+    element.classList.remove('live-flash');
+    void element.offsetWidth; // restarts the animation
+    element.classList.add('live-flash');
+    setTimeout(() => element.classList.remove('live-flash'), HIGHLIGHT_DURATION);
 }
 
-async function saveFunds() {
-    if (!isAdmin || !sessionToken) {
+// Keeps an admin edit made without a connection, to send when it returns.
+// It records the version the admin was looking at so a conflicting change
+// made by someone else in the meantime is noticed instead of overwritten.
+async function queueOfflineEdit(method, path, body) {
+    try {
+        await offlineStore.queueEdit({
+            method: method,
+            path: path,
+            body: body,
+            version: fundsVersion,
+            description: describeQueuedEdit(method, path, body)
+        });
+        showNotification('You are offline. The change is saved on this device and will be sent '
+            + 'when you are back online.', 'info');
+    } catch (error) {
+        console.error('Error queueing offline change:', error);
+        showNotification('You are offline and the change could not be saved', 'error');
+    }
+    updateSyncStatus();
+    return null;
+}
+
+function describeQueuedEdit(method, path, body) {
+    const fields = Object.entries(body).map(([key, value]) => `${key}: ${value}`).join(', ');
+    return `${method} ${decodeURIComponent(path)}${fields ? ` (${fields})` : ''}`;
+}
+
+// Sends edits queued while offline, oldest first. Edits queued together were
+// all based on the same version, so once one of them is saved the next is
+// sent against the version that save produced. Resolves with how many were
+// handled.
+async function replayOfflineEdits() {
+    if (replayingEdits || !navigator.onLine) return 0;
+    const edits = await offlineStore.queuedEdits().catch(() => []);
+    if (edits.length === 0) return 0;
+    if (!isAdmin || !csrfToken) {
+        showNotification(`Log in to send ${edits.length} change(s) made while offline`, 'info');
+        return 0;
+    }
+
+    replayingEdits = true;
+    let handled = 0;
+    let rebased = null;
+    try {
+        for (const edit of edits) {
+            const version = rebased && edit.version === rebased.from ? rebased.to : edit.version;
+            const result = await sendQueuedEdit(edit, version);
+            if (result === null) break;
+
+            if (result.version) rebased = { from: edit.version, to: result.version };
+            await offlineStore.removeEdit(edit.id);
+            handled++;
+        }
+    } finally {
+        replayingEdits = false;
+    }
+
+    if (handled > 0) await loadFunds();
+    updateSyncStatus();
+    return handled;
+}
+
+// Resolves with { version } once saved, {} if the edit was dropped, or null
+// to stop and try again later (no connection or no session)
+async function sendQueuedEdit(edit, version) {
+    const send = ifMatch => fetch(`${API_URL}${edit.path}`, {
+        method: edit.method,
+        headers: {
+            'Content-Type': 'application/json',
+            'If-Match': ifMatch || '',
+            ...sessionHeaders(),
+        },
+        body: JSON.stringify(edit.body)
+    });
+
+    try {
+        let response = await send(version);
+        let data = await response.json();
+
+        if (response.status === 409 && data.details && data.details.current) {
+            const apply = await confirmDialog('A change you made while offline conflicts with a newer change '
+                + `by someone else:\n\n${edit.description}\n\nApply it on top of the latest data, or discard it?`, {
+                title: 'CONFLICTING CHANGE',
+                confirmLabel: 'APPLY',
+                cancelLabel: 'DISCARD',
+            });
+            if (!apply) return {};
+            response = await send(`"${data.details.version}"`);
+            data = await response.json();
+        }
+
+        if (response.ok) return { version: response.headers.get('ETag') };
+        if (response.status === 401) {
+            showNotification('Session expired. Log in again to send the changes made while offline.', 'error');
+            handleSessionExpired();
+            return null;
+        }
+        showNotification(`A change made while offline could not be saved: ${edit.description}. `
+            + (data.error || ''), 'error');
+        return {};
+    } catch (error) {
+        console.error('Error sending offline change:', error);
+        return null;
+    }
+}
+
+// Sends an authenticated change to the API. Resolves with the response body,
+// or null when the request failed (the admin has already been told why).
+// If another admin saved first, the latest data is shown and the admin can
+// re-apply their change on top of it; `describeConflict(current)` explains
+// what they would be overwriting.
+async function apiRequest(method, path, body = {}, describeConflict) {
+    if (!isAdmin || !csrfToken) {
         console.error('Cannot save: not authenticated');
-        return;
+        return null;
     }
-    
+
+    if (!navigator.onLine) return queueOfflineEdit(method, path, body);
+
+    let response;
     try {
-        const response = await fetch(`${API_URL}/funds`, {
-            method: 'POST',
+        response = await fetch(`${API_URL}${path}`, {
+            method: method,
             headers: {
                 'Content-Type': 'application/json',
+                'If-Match': fundsVersion || '',
+                ...sessionHeaders(),
             },
-            body: JSON.stringify({
-                sessionToken: sessionToken,
-                data: fundsData
-            })
+            body: JSON.stringify(body)
         });
-        
+    } catch (error) {
+        console.error('Error reaching the API:', error);
+        return queueOfflineEdit(method, path, body);
+    }
+
+    try {
+        const data = await response.json();
+
         if (response.ok) {
-            showNotification('Funds saved successfully!', 'success');
-        } else if (response.status === 401) {
+            fundsVersion = response.headers.get('ETag') || fundsVersion;
+            lastActivityAt = Date.now();
+            return data;
+        }
+
+        if (response.status === 401) {
             showNotification('Session expired. Please login again.', 'error');
             handleSessionExpired();
+        } else if (response.status === 409 && data.details && data.details.current) {
+            const retry = () => apiRequest(method, path, body, describeConflict);
+            return resolveConflict(data.details, retry, describeConflict);
         } else {
-            showNotification('Failed to save funds', 'error');
+            const problems = Array.isArray(data.details)
+                ? `: ${data.details.map(d => (typeof d === 'string' ? d : `${d.path} ${d.message}`)).join('; ')}`
+                : '';
+            showNotification((data.error || 'Failed to save funds') + problems, 'error');
         }
     } catch (error) {
         console.error('Error saving funds:', error);
         showNotification('Error saving funds', 'error');
     }
+    return null;
+}
+
+async function resolveConflict({ current, version }, retry, describeConflict) {
+    fundsData = current;
+    fundsVersion = `"${version}"`;
+    renderFunds();
+
+    const detail = describeConflict ? describeConflict(current) : '';
+    const message = 'Another admin changed the funds while you were editing.'
+        + (detail ? `\n\n${detail}` : '')
+        + '\n\nApply your change to the latest data, or keep theirs?';
+
+    const apply = await confirmDialog(message, {
+        title: 'CHANGED BY SOMEONE ELSE',
+        confirmLabel: 'APPLY MINE',
+        cancelLabel: 'KEEP THEIRS',
+    });
+    return apply ? retry() : null;
+}
+
+function findMember(data, fundKey, name) {
+    const fund = data.funds && data.funds[fundKey];
+    return fund ? fund.members.find(m => m.name === name) : undefined;
+}
+
+function memberPath(fundKey, name) {
+    return `/funds/${encodeURIComponent(fundKey)}/members/${encodeURIComponent(name)}`;
+}
+
+const EDITOR_ROLES = ['treasurer', 'owner'];
+
+function startAdminSession(token, username, role, expiresIn) {
+    const signingIn = !csrfToken;
+    csrfToken = token;
+    adminUser = { username: username, role: role };
+    isAdmin = EDITOR_ROLES.includes(role);
+    sessionStorage.setItem(SESSION_KEY, token);
+    document.getElementById('edit-mode-btn').style.display = isAdmin ? 'flex' : 'none';
+    document.getElementById('import-btn').style.display = isAdmin ? 'flex' : 'none';
+    document.getElementById('history-btn').style.display = 'flex';
+    scheduleSessionCheck(expiresIn, 5 * 60000);
+    replayOfflineEdits();
+    if (signingIn) loadFunds();
+}
+
+// Shortly before the session ends it is renewed if the admin did anything
+// since it was issued; otherwise they are warned once, a minute is left for
+// them to act, and then it is allowed to lapse.
+function scheduleSessionCheck(expiresIn, warnBefore) {
+    clearTimeout(sessionTimer);
+    const issuedAt = Date.now();
+
+    sessionTimer = setTimeout(() => {
+        if (!csrfToken) return;
+
+        if (lastActivityAt > issuedAt || editMode) {
+            refreshSession();
+        } else if (warnBefore > 60000) {
+            showNotification('Your session will expire in 5 minutes.', 'info', {
+                duration: 60000,
+                action: { label: 'STAY SIGNED IN', run: () => refreshSession() },
+            });
+            scheduleSessionCheck(warnBefore, 60000);
+        }
+    }, Math.max(expiresIn - warnBefore, 0));
+}
+
+async function refreshSession(token = csrfToken) {
+    try {
+        const response = await fetch(`${API_URL}/admin/refresh`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                'X-CSRF-Token': token || '',
+            },
+        });
+        const data = await response.json();
+
+        if (response.ok) {
+            startAdminSession(data.csrfToken, data.username, data.role, data.expiresIn);
+            return true;
+        }
+        if (csrfToken) {
+            showNotification('Session expired. Please login again.', 'error');
+        }
+    } catch (error) {
+        console.error('Error refreshing session:', error);
+        // Offline: keep the session until the server can be asked again
+        if (!navigator.onLine) return false;
+    }
+    handleSessionExpired();
+    return false;
 }
 
 function handleSessionExpired() {
+    clearTimeout(sessionTimer);
     isAdmin = false;
-    sessionToken = null;
-    sessionStorage.removeItem('sessionToken');
+    adminUser = null;
+    csrfToken = null;
+    sessionStorage.removeItem(SESSION_KEY);
+    localStorage.removeItem(`${STATS_KEY}:admin`);
     document.getElementById('edit-mode-btn').style.display = 'none';
+    document.getElementById('import-btn').style.display = 'none';
+    document.getElementById('history-btn').style.display = 'none';
+    document.getElementById('add-fund-btn').style.display = 'none';
+    closeHistory();
     
     if (editMode) {
         toggleEditMode();
     }
+    // Drops the funds only signed-in users may see
+    loadFunds();
+}
+
+// Toasts: successes and info are read out politely by screen readers, errors
+// straight away. `action` ({ label, run }) adds a button such as UNDO or RETRY.
+// Resolves nothing; returns { dismiss }.
+const TOAST_DURATION = 5000;
+
+function showNotification(message, type = 'info', { action, duration } = {}) {
+    const region = document.getElementById(type === 'error' ? 'toast-alerts' : 'toast-status');
+    const toast = document.createElement('div');
+    toast.className = `toast toast-${type}`;
+
+    const text = document.createElement('span');
+    text.className = 'toast-message';
+    text.textContent = message;
+    toast.appendChild(text);
+
+    let timer = null;
+    const dismiss = () => {
+        clearTimeout(timer);
+        toast.remove();
+    };
+    // Kept on screen while it is being read or about to be clicked
+    const wait = duration || (action || type === 'error' ? 2 * TOAST_DURATION : TOAST_DURATION);
+    const start = () => {
+        clearTimeout(timer);
+        timer = setTimeout(dismiss, wait);
+    };
+
+    if (action) {
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.textContent = action.label;
+        button.onclick = () => {
+            dismiss();
+            action.run();
+        };
+        toast.appendChild(button);
+    }
+
+    const close = document.createElement('button');
+    close.type = 'button';
+    close.className = 'toast-close';
+    close.setAttribute('aria-label', 'Dismiss');
+    close.innerHTML = '<i class="fas fa-times" aria-hidden="true"></i>';
+    close.onclick = dismiss;
+    toast.appendChild(close);
+
+    toast.addEventListener('mouseenter', () => clearTimeout(timer));
+    toast.addEventListener('focusin', () => clearTimeout(timer));
+    toast.addEventListener('mouseleave', start);
+    toast.addEventListener('focusout', start);
+
+    region.appendChild(toast);
+    start();
+    return { dismiss };
 }
 
-function showNotification(message, type) {
-    alert(message);
+// Read out by screen readers without showing anything
+function announce(message) {
+    const announcer = document.getElementById('announcer');
+    announcer.textContent = '';
+    setTimeout(() => { announcer.textContent = message; }, 50);
 }
 
-function getDefaultFunds() {
-    return {
-        funds: {
-            ns: {
-                title: 'PONDO FOR NS(NORTHSIDE)',
-                target: 75,
-                members: [
-                    { name: 'Jess', amount: 75 },
-                    { name: 'Reb', amount: 75 },
-                    { name: 'Darwin', amount: 75 },
-                    { name: 'Chad', amount: 75 },
-                    { name: 'David', amount: 75 },
-                    { name: 'Jerome', amount: 75 },
-                    { name: 'El uno', amount: 75 },
-                    { name: 'Johnroo', amount: 75 }
-                ]
-            },
-            la: {
-                title: 'PONDO FOR LA',
-                target: 75,
-                members: [
-                    { name: 'Jess', amount: 75 },
-                    { name: 'Reb', amount: 15 },
-                    { name: 'Darwin', amount: 30 },
-                    { name: 'Chad', amount: 25 },
-                    { name: 'David', amount: 75 },
-                    { name: 'Jerome', amount: 75 },
-                    { name: 'El uno', amount: 75 },
-                    { name: 'Johnroo', amount: 75 }
-                ]
-            },
-            pintura: {
-                title: 'PINTURA',
-                target: 30,
-                members: [
-                    { name: 'Jess', amount: 0 },
-                    { name: 'Reb', amount: 0 },
-                    { name: 'Darwin', amount: 30 },
-                    { name: 'Chad', amount: 0 },
-                    { name: 'David', amount: 30 },
-                    { name: 'Jerome', amount: 0 },
-                    { name: 'El uno', amount: 0 },
-                    { name: 'Johnroo', amount: 0 }
-                ]
+// Open modals, innermost last. While one is open Tab stays inside it, Escape
+// closes it and focus goes back to whatever opened it.
+const openModals = [];
+const FOCUSABLE = 'button, [href], input, select, textarea, [tabindex]:not([tabindex="-1"])';
+
+function focusableIn(element) {
+    return Array.from(element.querySelectorAll(FOCUSABLE))
+        .filter(el => !el.disabled && el.offsetParent !== null);
+}
+
+// `onClose` runs on Escape (it should end up calling closeModal); `focus` is
+// a selector for the element to start on
+function openModal(id, { onClose, focus } = {}) {
+    const modal = document.getElementById(id);
+    if (!openModals.some(entry => entry.modal === modal)) {
+        openModals.push({ modal, onClose, returnTo: document.activeElement });
+    }
+    modal.style.display = 'flex';
+    const target = (focus && modal.querySelector(focus)) || focusableIn(modal)[0];
+    if (target) target.focus();
+}
+
+function closeModal(id) {
+    const modal = document.getElementById(id);
+    modal.style.display = 'none';
+    const index = openModals.findIndex(entry => entry.modal === modal);
+    if (index === -1) return;
+
+    const [{ returnTo }] = openModals.splice(index, 1);
+    if (returnTo && document.contains(returnTo)) returnTo.focus();
+}
+
+document.addEventListener('keydown', event => {
+    const top = openModals[openModals.length - 1];
+    if (!top) return;
+
+    if (event.key === 'Escape') {
+        event.preventDefault();
+        if (top.onClose) top.onClose();
+        else closeModal(top.modal.id);
+        return;
+    }
+    if (event.key !== 'Tab') return;
+
+    const focusable = focusableIn(top.modal);
+    if (focusable.length === 0) {
+        event.preventDefault();
+        return;
+    }
+    const first = focusable[0];
+    const last = focusable[focusable.length - 1];
+    if (!top.modal.contains(document.activeElement)) {
+        event.preventDefault();
+        first.focus();
+    } else if (event.shiftKey && document.activeElement === first) {
+        event.preventDefault();
+        last.focus();
+    } else if (!event.shiftKey && document.activeElement === last) {
+        event.preventDefault();
+        first.focus();
+    }
+});
+
+// Asks for `fields` in a modal form and resolves with their values by name,
+// or null when cancelled. A field is { name, label, type ('text', 'number',
+// 'select', 'date'), value, options: [[value, label]], required, min,
+// maxLength, readOnly, validate(value, values) } where `validate` returns an
+// error message or nothing; problems are shown under the field. Without
+// fields it is a question that resolves with {} when confirmed. Dialogs
+// asked for while one is open wait their turn.
+let dialogQueue = Promise.resolve();
+
+function openDialog(options) {
+    const shown = dialogQueue.then(() => showDialog(options));
+    dialogQueue = shown.catch(() => {});
+    return shown;
+}
+
+function showDialog({ title, message = '', fields = [], submitLabel = 'OK', cancelLabel = 'CANCEL', danger = false }) {
+    const form = document.getElementById('dialog-form');
+    const container = document.getElementById('dialog-fields');
+    const submit = document.getElementById('dialog-submit');
+    const cancel = document.getElementById('dialog-cancel');
+
+    document.getElementById('dialog-title').textContent = title;
+    document.getElementById('dialog-message').textContent = message;
+    submit.textContent = submitLabel;
+    submit.classList.toggle('btn-danger', danger);
+    cancel.textContent = cancelLabel;
+    container.innerHTML = '';
+
+    const inputs = fields.map(field => {
+        const label = document.createElement('label');
+        label.className = 'dialog-field';
+        label.textContent = field.label;
+
+        let input;
+        if (field.type === 'select') {
+            input = document.createElement('select');
+            field.options.forEach(([value, text]) => input.add(new Option(text, value)));
+        } else {
+            input = document.createElement('input');
+            input.type = field.type || 'text';
+            if (field.type === 'number') {
+                input.step = 'any';
+                input.setAttribute('inputmode', 'decimal');
             }
+            if (field.maxLength) input.maxLength = field.maxLength;
+            input.readOnly = Boolean(field.readOnly);
+        }
+        input.name = field.name;
+        if (field.value !== undefined && field.value !== null) input.value = field.value;
+
+        const error = document.createElement('span');
+        error.className = 'field-error';
+        error.id = `dialog-error-${field.name}`;
+        input.setAttribute('aria-describedby', error.id);
+
+        label.appendChild(input);
+        label.appendChild(error);
+        container.appendChild(label);
+        return { field, input, error };
+    });
+
+    const values = () => Object.fromEntries(inputs.map(({ field, input }) => [
+        field.name,
+        field.type === 'number' ? (input.value.trim() === '' ? null : parseFloat(input.value)) : input.value.trim(),
+    ]));
+
+    // Marks every field with a problem; resolves with whether all are fine
+    const check = () => {
+        const current = values();
+        let valid = true;
+        inputs.forEach(({ field, input, error }) => {
+            const value = current[field.name];
+            let problem = '';
+            if (field.required && (value === null || value === '')) problem = `${field.label} is required`;
+            else if (field.type === 'number' && value !== null && Number.isNaN(value)) problem = 'Enter a number';
+            else if (field.min !== undefined && value !== null && value < field.min) {
+                problem = `Must be at least ${field.min}`;
+            } else if (field.validate) problem = field.validate(value, current) || '';
+
+            error.textContent = problem;
+            input.setAttribute('aria-invalid', problem ? 'true' : 'false');
+            valid = valid && !problem;
+        });
+        return valid;
+    };
+
+    return new Promise(resolve => {
+        let checked = false;
+        const finish = result => {
+            form.onsubmit = null;
+            form.oninput = null;
+            cancel.onclick = null;
+            closeModal('dialog-modal');
+            resolve(result);
+        };
+
+        form.onsubmit = event => {
+            event.preventDefault();
+            checked = true;
+            if (check()) {
+                finish(values());
+                return;
+            }
+            const invalid = inputs.find(({ input }) => input.getAttribute('aria-invalid') === 'true');
+            if (invalid) invalid.input.focus();
+        };
+        // Once submitted, problems clear as they are fixed
+        form.oninput = () => {
+            if (checked) check();
+        };
+        cancel.onclick = () => finish(null);
+
+        openModal('dialog-modal', {
+            onClose: () => finish(null),
+            focus: fields.length ? 'input, select' : '#dialog-submit',
+        });
+        if (document.activeElement.readOnly) document.activeElement.select();
+    });
+}
+
+// Yes/no question; resolves with true when confirmed
+async function confirmDialog(message, { title = 'ARE YOU SURE?', confirmLabel = 'OK', cancelLabel, danger } = {}) {
+    return Boolean(await openDialog({ title, message, submitLabel: confirmLabel, cancelLabel, danger }));
+}
+
+// Deletions wait UNDO_DELAY before they are sent so they can be undone from
+// the toast; until then the item is only hidden on this page. `commit` sends
+// the deletion and `refresh` redraws whatever shows the item.
+const UNDO_DELAY = 6000;
+const pendingDeletions = new Map();
+
+function deleteWithUndo(id, { message, commit, refresh }) {
+    const pending = { commit, refresh, committing: false };
+    pending.timer = setTimeout(() => finishDeletion(id), UNDO_DELAY);
+    pending.toast = showNotification(message, 'success', {
+        duration: UNDO_DELAY,
+        action: {
+            label: 'UNDO',
+            run: () => {
+                if (pending.committing) return;
+                clearTimeout(pending.timer);
+                pendingDeletions.delete(id);
+                refresh();
+                announce('Restored');
+            },
         },
-        summary: {
-            pman: 730,
-            hawak: 375
+    });
+    pendingDeletions.set(id, pending);
+    refresh();
+}
+
+async function finishDeletion(id) {
+    const pending = pendingDeletions.get(id);
+    if (!pending || pending.committing) return;
+    pending.committing = true;
+    clearTimeout(pending.timer);
+    pending.toast.dismiss();
+    try {
+        await pending.commit();
+    } finally {
+        pendingDeletions.delete(id);
+        pending.refresh();
+    }
+}
+
+function isPendingDeletion(id) {
+    return pendingDeletions.has(id);
+}
+
+// Amounts typed into the member and summary fields are saved SAVE_DELAY after
+// the last keystroke, or when the field is left, together with any others
+// waiting. Each field shows whether its change is saving, saved, or failed
+// with a retry button. `save(value)` resolves with whether it was saved.
+const SAVE_DELAY = 800;
+const pendingSaves = new Map();
+const saveStates = new Map();
+let saveTimer = null;
+let flushingSaves = false;
+
+function queueSave(key, { label, value, save }) {
+    pendingSaves.set(key, { label, value, save });
+    setSaveState(key, { state: 'pending' });
+    clearTimeout(saveTimer);
+    saveTimer = setTimeout(flushSaves, SAVE_DELAY);
+}
+
+async function flushSaves() {
+    clearTimeout(saveTimer);
+    if (flushingSaves || pendingSaves.size === 0) return;
+
+    flushingSaves = true;
+    let saved = 0;
+    let failed = 0;
+    try {
+        while (pendingSaves.size > 0) {
+            const [key, edit] = pendingSaves.entries().next().value;
+            pendingSaves.delete(key);
+            setSaveState(key, { state: 'saving' });
+            if (await edit.save(edit.value)) {
+                saved++;
+                setSaveState(key, { state: 'saved' });
+            } else if (!navigator.onLine) {
+                setSaveState(key, { state: 'queued' });
+            } else {
+                failed++;
+                setSaveState(key, { state: 'failed', label: edit.label, retry: () => queueSave(key, edit) });
+            }
         }
+    } finally {
+        flushingSaves = false;
+    }
+    if (saved > 0 && failed === 0) announce(saved === 1 ? 'Saved' : `Saved ${saved} changes`);
+}
+
+const SAVE_STATE_TEXT = { pending: '', saving: 'Saving…', saved: 'Saved ✓', queued: 'Saved on this device' };
+
+function setSaveState(key, state) {
+    clearTimeout((saveStates.get(key) || {}).timer);
+    saveStates.set(key, state);
+    // "Saved" fades after a while; failures stay until retried
+    if (state.state === 'saved') {
+        state.timer = setTimeout(() => {
+            saveStates.delete(key);
+            showSaveState(key);
+        }, 3000);
+    }
+    showSaveState(key);
+}
+
+function showSaveState(key) {
+    document.querySelectorAll(`.save-state[data-save-key="${CSS.escape(key)}"]`)
+        .forEach(indicator => renderSaveState(indicator, saveStates.get(key)));
+}
+
+function renderSaveState(indicator, state = {}) {
+    indicator.className = `save-state ${state.state || ''}`;
+    indicator.innerHTML = '';
+    if (state.state !== 'failed') {
+        indicator.textContent = SAVE_STATE_TEXT[state.state] || '';
+        return;
+    }
+    indicator.appendChild(document.createTextNode('Failed — '));
+    const retry = document.createElement('button');
+    retry.type = 'button';
+    retry.textContent = 'retry';
+    retry.setAttribute('aria-label', `Retry saving ${state.label}`);
+    retry.onclick = () => {
+        state.retry();
+        flushSaves();
     };
+    indicator.appendChild(retry);
+}
+
+// Indicator next to an input saved with queueSave
+function createSaveState(key) {
+    const indicator = document.createElement('span');
+    indicator.dataset.saveKey = key;
+    renderSaveState(indicator, saveStates.get(key));
+    return indicator;
+}
+
+// The value to show in an input: what is still waiting to be saved, if
+// anything, otherwise `saved`
+function displayedValue(key, saved) {
+    return pendingSaves.has(key) ? pendingSaves.get(key).value : saved;
 }
 
 function renderFunds() {
     const container = document.getElementById('funds-container');
     container.innerHTML = '';
 
-    const funds = fundsData.funds || getDefaultFunds().funds;
-    
-    Object.keys(funds).forEach(key => {
+    const funds = fundsData.funds || {};
+    // Active (open and closed) funds by default, archived ones in the archive view
+    const keys = Object.keys(funds).filter(key => (funds[key].status === 'archived') === showArchived);
+
+    keys.forEach(key => {
         const fund = funds[key];
         const card = createFundCard(key, fund);
         container.appendChild(card);
     });
 
+    if (keys.length === 0) {
+        container.textContent = showArchived ? 'No archived funds' : 'No active funds';
+    }
+
+    updateTotals();
+    loadOutstanding();
+    loadReconciliation();
+}
+
+function createFundCard(key, fund) {
+    const card = document.createElement('div');
+    card.className = 'fund-card';
+    card.dataset.fund = key;
+
+    const header = document.createElement('div');
+    header.className = 'fund-card-header';
+
+    const title = document.createElement('h3');
+    title.className = 'gangster-font-alt';
+    title.textContent = fund.title;
+    header.appendChild(title);
+
+    if (editMode) {
+        const editBtn = document.createElement('button');
+        editBtn.className = 'btn-add';
+        editBtn.innerHTML = '<i class="fas fa-pen"></i> EDIT';
+        editBtn.setAttribute('aria-label', `Edit ${fund.title}`);
+        editBtn.onclick = () => editFund(key);
+        header.appendChild(editBtn);
+
+        const addBtn = document.createElement('button');
+        addBtn.className = 'btn-add';
+        addBtn.innerHTML = '<i class="fas fa-plus"></i> ADD MEMBER';
+        addBtn.onclick = () => addMember(key);
+        header.appendChild(addBtn);
+    }
+
+    card.appendChild(header);
+    if (fund.status && fund.status !== 'open') card.classList.add('fund-closed');
+    card.appendChild(createFundMeta(fund));
+    if (editMode) card.appendChild(createLifecycleControls(key, fund));
+    card.appendChild(createProgressBar(fund));
+
+    const membersContainer = document.createElement('div');
+    if (fund.members) {
+        fund.members.forEach((member, idx) => {
+            // Removed, but can still be undone
+            if (isPendingDeletion(`member:${key}:${member.name}`)) return;
+            const row = createMemberRow(key, member, idx);
+            membersContainer.appendChild(row);
+        });
+    } else {
+        // Totals-only fund seen by a visitor
+        membersContainer.className = 'progress-label';
+        membersContainer.textContent = `${fund.totals.members} members`;
+    }
+    card.appendChild(membersContainer);
+
+    const total = document.createElement('div');
+    total.className = 'fund-total';
+    total.innerHTML = `
+        <span class="gangster-font-alt">TOTAL:</span>
+        <span class="gangster-font">₱${fundCollected(fund)}</span>
+    `;
+    card.appendChild(total);
+
+    return card;
+}
+
+function isOverdue(fund) {
+    return fund.status === 'open' && fund.dueDate && fund.dueDate < new Date().toISOString().substring(0, 10);
+}
+
+function createFundMeta(fund) {
+    const meta = document.createElement('div');
+    meta.className = 'fund-meta';
+
+    const addBadge = (text, modifier) => {
+        const badge = document.createElement('span');
+        badge.className = `fund-badge ${modifier || ''}`;
+        badge.textContent = text;
+        meta.appendChild(badge);
+    };
+
+    if (fund.status && fund.status !== 'open') addBadge(fund.status.toUpperCase(), fund.status);
+    if (fund.visibility === 'private') addBadge('PRIVATE', 'closed');
+    if (fund.visibility === 'link') addBadge('LINK ONLY');
+    if (fund.totalsOnly && fund.members) addBadge('TOTALS ONLY');
+    if (fund.period) addBadge(`${fund.recurrence === 'weekly' ? 'WEEK' : 'MONTH'} ${fund.period}`);
+    if (fund.dueDate) addBadge(`DUE ${fund.dueDate}`, isOverdue(fund) ? 'overdue' : '');
+    return meta;
+}
+
+function createLifecycleControls(key, fund) {
+    const controls = document.createElement('div');
+    controls.className = 'fund-lifecycle';
+
+    const status = document.createElement('select');
+    status.title = 'Status';
+    ['open', 'closed', 'archived'].forEach(value => status.add(new Option(value.toUpperCase(), value)));
+    status.value = fund.status || 'open';
+    status.onchange = () => updateFundLifecycle(key, { status: status.value });
+    controls.appendChild(status);
+
+    const dueDate = document.createElement('input');
+    dueDate.type = 'date';
+    dueDate.title = 'Due date';
+    dueDate.value = fund.dueDate || '';
+    dueDate.onchange = () => updateFundLifecycle(key, { dueDate: dueDate.value || null });
+    controls.appendChild(dueDate);
+
+    const recurrence = document.createElement('select');
+    recurrence.title = 'Repeats';
+    [['', 'ONE-OFF'], ['weekly', 'WEEKLY'], ['monthly', 'MONTHLY']]
+        .forEach(([value, label]) => recurrence.add(new Option(label, value)));
+    recurrence.value = fund.recurrence || '';
+    recurrence.onchange = () => updateFundLifecycle(key, { recurrence: recurrence.value || null });
+    controls.appendChild(recurrence);
+
+    const visibility = document.createElement('select');
+    visibility.title = 'Who can see it without signing in';
+    [['public', 'PUBLIC'], ['link', 'LINK ONLY'], ['private', 'PRIVATE']]
+        .forEach(([value, label]) => visibility.add(new Option(label, value)));
+    visibility.value = fund.visibility || 'public';
+    visibility.onchange = () => updateFundLifecycle(key, { visibility: visibility.value });
+    controls.appendChild(visibility);
+
+    const totalsOnly = document.createElement('label');
+    totalsOnly.className = 'fund-option';
+    totalsOnly.innerHTML = '<input type="checkbox"> TOTALS ONLY';
+    totalsOnly.title = 'Hide members and their amounts from visitors';
+    totalsOnly.firstChild.checked = Boolean(fund.totalsOnly);
+    totalsOnly.firstChild.onchange = e => updateFundLifecycle(key, { totalsOnly: e.target.checked });
+    controls.appendChild(totalsOnly);
+
+    if (fund.visibility !== 'private') {
+        const shareBtn = document.createElement('button');
+        shareBtn.className = 'btn-add';
+        shareBtn.innerHTML = '<i class="fas fa-link"></i> COPY LINK';
+        shareBtn.onclick = () => copyShareLink(key);
+        controls.appendChild(shareBtn);
+
+        if (fund.shareToken) {
+            const newLinkBtn = document.createElement('button');
+            newLinkBtn.className = 'btn-add';
+            newLinkBtn.innerHTML = '<i class="fas fa-sync"></i> NEW LINK';
+            newLinkBtn.onclick = () => copyShareLink(key, true);
+            controls.appendChild(newLinkBtn);
+        }
+    }
+
+    if (fund.recurrence && !fund.next) {
+        const nextBtn = document.createElement('button');
+        nextBtn.className = 'btn-add';
+        nextBtn.innerHTML = '<i class="fas fa-redo"></i> NEXT PERIOD';
+        nextBtn.onclick = () => startNextPeriod(key);
+        controls.appendChild(nextBtn);
+    }
+    return controls;
+}
+
+function createMemberRow(fundKey, member, idx) {
+    const row = document.createElement('div');
+    row.className = 'member-row';
+    row.dataset.member = member.id || member.name;
+
+    const name = document.createElement('span');
+    name.className = 'member-name';
+    name.textContent = member.name;
+    name.title = 'Show payment history';
+    name.onclick = () => toggleMemberHistory(fundKey, member, row);
+    row.appendChild(name);
+
+    const controls = document.createElement('div');
+    controls.className = 'member-controls';
+
+    if (editMode) {
+        const renameBtn = document.createElement('button');
+        renameBtn.className = 'btn-receipt';
+        renameBtn.title = 'Rename';
+        renameBtn.setAttribute('aria-label', `Rename ${member.name}`);
+        renameBtn.innerHTML = '<i class="fas fa-pen" aria-hidden="true"></i>';
+        renameBtn.onclick = () => renameMember(fundKey, member.name);
+        controls.appendChild(renameBtn);
+
+        const saveKey = `amount:${fundKey}:${member.name}`;
+        controls.appendChild(createSaveState(saveKey));
+
+        const input = document.createElement('input');
+        input.type = 'number';
+        input.className = 'member-input';
+        input.value = displayedValue(saveKey, member.amount);
+        input.setAttribute('aria-label', `Amount paid by ${member.name}`);
+        input.oninput = () => queueSave(saveKey, {
+            label: `${member.name}'s amount`,
+            value: input.value,
+            save: value => updateMemberAmount(fundKey, member.name, value),
+        });
+        input.onchange = () => flushSaves();
+        input.setAttribute('inputmode', 'numeric');
+        input.setAttribute('pattern', '[0-9]*');
+        controls.appendChild(input);
+
+        const payBtn = document.createElement('button');
+        payBtn.className = 'btn-pay';
+        payBtn.title = 'Record payment';
+        payBtn.setAttribute('aria-label', `Record payment for ${member.name}`);
+        payBtn.innerHTML = '<i class="fas fa-coins" aria-hidden="true"></i>';
+        payBtn.onclick = () => recordPayment(fundKey, idx);
+        controls.appendChild(payBtn);
+
+        const deleteBtn = document.createElement('button');
+        deleteBtn.className = 'btn-delete';
+        deleteBtn.title = 'Remove';
+        deleteBtn.setAttribute('aria-label', `Remove ${member.name}`);
+        deleteBtn.innerHTML = '<i class="fas fa-trash-alt" aria-hidden="true"></i>';
+        deleteBtn.onclick = () => removeMember(fundKey, member.name);
+        controls.appendChild(deleteBtn);
+    } else {
+        const amount = document.createElement('span');
+        amount.className = 'member-amount';
+        amount.textContent = `₱${member.amount}`;
+
+        const balance = memberBalance(fundsData.funds[fundKey], member);
+        if (balance > 0) {
+            const owes = document.createElement('span');
+            owes.className = 'member-balance';
+            owes.textContent = member.carryOver
+                ? `owes ₱${balance} (₱${member.carryOver} carried over)`
+                : `owes ₱${balance}`;
+            controls.appendChild(owes);
+        }
+        controls.appendChild(amount);
+
+        if (member.id) {
+            const statementBtn = document.createElement('button');
+            statementBtn.className = 'btn-receipt';
+            statementBtn.title = 'Statement';
+            statementBtn.setAttribute('aria-label', `Statement for ${member.name}`);
+            statementBtn.innerHTML = '<i class="fas fa-file-invoice" aria-hidden="true"></i>';
+            statementBtn.onclick = () => openPrintable(`/statements?${new URLSearchParams({
+                member: member.id,
+                fund: fundKey,
+            })}`);
+            controls.appendChild(statementBtn);
+        }
+    }
+
+    row.appendChild(controls);
+
+    return row;
+}
+
+// Target plus whatever was left unpaid in the previous period
+function memberDue(fund, member) {
+    return (parseFloat(fund.target) || 0) + (parseFloat(member.carryOver) || 0);
+}
+
+function memberBalance(fund, member) {
+    return Math.max(memberDue(fund, member) - (parseFloat(member.amount) || 0), 0);
+}
+
+function createProgressBar(fund) {
+    const expected = fund.members
+        ? fund.members.reduce((sum, member) => sum + memberDue(fund, member), 0)
+        : fund.totals.expected;
+    const collected = fundCollected(fund);
+    const percent = expected > 0 ? Math.min(Math.round(collected / expected * 100), 100) : 100;
+
+    const wrapper = document.createElement('div');
+    wrapper.className = 'fund-progress';
+    wrapper.innerHTML = `
+        <div class="progress-track"><div class="progress-fill" style="width: ${percent}%"></div></div>
+        <div class="progress-label">₱${collected} of ₱${expected} collected (${percent}%)</div>
+    `;
+    return wrapper;
+}
+
+// Cross-fund list of who still owes, computed by the server
+async function loadOutstanding() {
+    const list = document.getElementById('debtors-list');
+    try {
+        const response = await fetch(`${API_URL}/reports/outstanding`, { headers: sessionHeaders() });
+        if (!response.ok) throw new Error(`HTTP ${response.status}`);
+        const report = await response.json();
+
+        list.innerHTML = '';
+        document.getElementById('outstanding-total').textContent = `₱${report.totals.outstanding}`;
+
+        if (report.debtors.length === 0) {
+            list.textContent = 'Everyone is paid up!';
+            return;
+        }
+
+        report.debtors.forEach(debtor => {
+            const row = document.createElement('div');
+            row.className = 'debtor-row';
+
+            const name = document.createElement('span');
+            name.className = 'member-name';
+            name.textContent = debtor.name;
+            if (debtor.id) {
+                name.title = 'Show profile';
+                name.onclick = () => showProfile(debtor.id);
+            }
+            row.appendChild(name);
+
+            const detail = document.createElement('span');
+            detail.className = 'debtor-funds';
+            detail.textContent = debtor.funds.map(f => `${f.title}: ₱${f.owed}`).join(' · ');
+            row.appendChild(detail);
+
+            const owed = document.createElement('span');
+            owed.className = 'member-amount';
+            owed.textContent = `₱${debtor.owed}`;
+            row.appendChild(owed);
+
+            list.appendChild(row);
+        });
+    } catch (error) {
+        console.error('Error loading outstanding report:', error);
+        list.textContent = 'Failed to load balances';
+    }
+}
+
+async function loadReconciliation() {
+    const status = document.getElementById('reconciliation-status');
+    const list = document.getElementById('expenses-list');
+    document.getElementById('add-expense-btn').classList.toggle('hidden', !editMode);
+
+    try {
+        const [reportResponse, expensesResponse] = await Promise.all([
+            fetch(`${API_URL}/reports/reconciliation`, { headers: sessionHeaders() }),
+            fetch(`${API_URL}/expenses`, { headers: sessionHeaders() })
+        ]);
+        if (!reportResponse.ok || !expensesResponse.ok) throw new Error('Failed to load reconciliation');
+        const report = await reportResponse.json();
+        const { expenses } = await expensesResponse.json();
+
+        document.getElementById('cash-on-hand').textContent = `₱${report.cashOnHand}`;
+        document.getElementById('expenses-total').textContent = `₱${report.spent.total}`;
+
+        status.className = `reconciliation-status ${report.balanced ? 'balanced' : 'mismatch'}`;
+        status.innerHTML = '';
+        if (report.balanced) {
+            status.textContent = 'P.MAN + HAWAK matches the cash on hand';
+        }
+        report.discrepancies.forEach(message => {
+            const line = document.createElement('div');
+            line.textContent = `⚠ ${message}`;
+            status.appendChild(line);
+        });
+
+        list.innerHTML = '';
+        expenses.filter(expense => !isPendingDeletion(`expense:${expense.id}`)).forEach(expense => {
+            const fund = fundsData.funds && fundsData.funds[expense.fund];
+            const row = document.createElement('div');
+            row.className = 'expense-row';
+
+            const date = document.createElement('span');
+            date.textContent = expense.date;
+            row.appendChild(date);
+
+            const description = document.createElement('span');
+            description.className = 'history-note';
+            description.textContent = `${expense.description} (${fund ? fund.title : expense.fund}, `
+                + `${expense.holder === 'pman' ? 'P.MAN' : 'HAWAK'})`;
+            row.appendChild(description);
+
+            const amount = document.createElement('span');
+            amount.className = 'history-amount';
+            amount.textContent = `-₱${expense.amount}`;
+            row.appendChild(amount);
+
+            if (editMode) {
+                const deleteBtn = document.createElement('button');
+                deleteBtn.className = 'btn-delete';
+                deleteBtn.title = 'Delete';
+                deleteBtn.setAttribute('aria-label', `Delete expense ${expense.description}`);
+                deleteBtn.innerHTML = '<i class="fas fa-trash-alt" aria-hidden="true"></i>';
+                deleteBtn.onclick = () => deleteExpense(expense);
+                row.appendChild(deleteBtn);
+            }
+
+            list.appendChild(row);
+        });
+    } catch (error) {
+        console.error('Error loading reconciliation:', error);
+        status.className = 'reconciliation-status';
+        status.textContent = 'Failed to load reconciliation';
+    }
+}
+
+async function addExpense() {
+    const funds = Object.entries(fundsData.funds || {}).map(([key, fund]) => [key, fund.title]);
+    const values = await openDialog({
+        title: 'ADD EXPENSE',
+        submitLabel: 'ADD',
+        fields: [
+            { name: 'fund', label: 'Fund the money came from', type: 'select', options: funds },
+            { name: 'amount', label: 'Amount spent', type: 'number', required: true,
+                validate: value => (value > 0 ? '' : 'Enter an amount above 0') },
+            { name: 'description', label: 'What was it for?', required: true, maxLength: 120 },
+            { name: 'holder', label: 'Paid from', type: 'select', options: [['pman', 'P.MAN'], ['hawak', 'HAWAK']] },
+        ],
+    });
+    if (!values) return;
+
+    const data = await apiRequest('POST', '/expenses', values);
+    if (data) {
+        showNotification(`Recorded expense of ₱${values.amount}`, 'success');
+        loadReconciliation();
+    }
+}
+
+function deleteExpense(expense) {
+    deleteWithUndo(`expense:${expense.id}`, {
+        message: `Deleted expense "${expense.description}"`,
+        commit: () => apiRequest('DELETE', `/expenses/${encodeURIComponent(expense.id)}`),
+        refresh: loadReconciliation,
+    });
+}
+
+function calculateTotal(members) {
+    return members.reduce((sum, m) => sum + (parseFloat(m.amount) || 0), 0);
+}
+
+// Visitors get only `totals` for totals-only funds
+function fundCollected(fund) {
+    return fund.members ? calculateTotal(fund.members) : fund.totals.collected;
+}
+
+function updateTotals() {
+    const funds = fundsData.funds || {};
+    const overallTotal = Object.values(funds).reduce((sum, fund) => {
+        return sum + fundCollected(fund);
+    }, 0);
+
+    document.getElementById('overall-total').textContent = `₱${overallTotal}`;
+
+    const summary = fundsData.summary || { pman: 0, hawak: 0 };
+    ['pman', 'hawak'].forEach(field => {
+        document.getElementById(`${field}-display`).textContent = `₱${summary[field]}`;
+        // Left alone while the admin is typing into it
+        const input = document.getElementById(`${field}-input`);
+        if (input !== document.activeElement) input.value = displayedValue(`summary:${field}`, summary[field]);
+    });
+}
+
+async function updateFundLifecycle(key, changes) {
+    const data = await apiRequest('PATCH', `/funds/${encodeURIComponent(key)}`, changes);
+    if (data) fundsData.funds[key] = data.fund;
+    renderFunds();
+}
+
+// Copies the fund's read-only link, creating one first if it has none (or
+// replacing it when `renew` is set, which stops the old link working)
+async function copyShareLink(key, renew) {
+    let token = fundsData.funds[key].shareToken;
+    if (!token || renew) {
+        if (renew && !await confirmDialog('Make a new link? The current link will stop working.', {
+            title: 'NEW LINK',
+            confirmLabel: 'MAKE NEW LINK',
+            danger: true,
+        })) return;
+        const data = await apiRequest('POST', `/funds/${encodeURIComponent(key)}/share-link`);
+        if (!data) return;
+        token = data.shareToken;
+        fundsData.funds[key].shareToken = token;
+        renderFunds();
+    }
+
+    const link = `${window.location.origin}${GROUP_PATH}/f/${token}`;
+    try {
+        await navigator.clipboard.writeText(link);
+        showNotification(`Link copied: ${link}`, 'success');
+    } catch (error) {
+        await openDialog({
+            title: 'LINK TO THIS FUND',
+            message: 'Copy the link below.',
+            fields: [{ name: 'link', label: 'Link', value: link, readOnly: true }],
+            submitLabel: 'DONE',
+        });
+    }
+}
+
+async function startNextPeriod(key) {
+    const fund = fundsData.funds[key];
+    const confirmed = await confirmDialog(`Close ${fund.title} (${fund.period}) and start the next period? `
+        + 'Unpaid balances carry over.', { title: 'NEXT PERIOD', confirmLabel: 'START NEXT PERIOD' });
+    if (!confirmed) return;
+
+    const data = await apiRequest('POST', `/funds/${encodeURIComponent(key)}/next-period`);
+    if (data) {
+        showNotification(`Started ${data.fund.period}`, 'success');
+        await loadFunds();
+    }
+}
+
+function toggleArchiveView() {
+    showArchived = !showArchived;
+    document.getElementById('archive-text').textContent = showArchived ? 'ACTIVE' : 'ARCHIVE';
+    renderFunds();
+}
+
+// Same rules as lib/schema.js
+const FUND_KEY_PATTERN = /^[a-z0-9][a-z0-9_-]{0,31}$/;
+const MAX_TITLE_LENGTH = 80;
+const MAX_NAME_LENGTH = 40;
+
+function memberNameField(fundKey, value, current) {
+    return {
+        name: 'name',
+        label: 'Name',
+        value: value,
+        required: true,
+        maxLength: MAX_NAME_LENGTH,
+        validate: name => (
+            name !== current && findMember(fundsData, fundKey, name) ? `${name} is already in this fund` : ''
+        ),
+    };
+}
+
+function fundFields(fund = {}) {
+    return [
+        { name: 'title', label: 'Title', value: fund.title, required: true, maxLength: MAX_TITLE_LENGTH },
+        { name: 'target', label: 'Target per member (₱)', type: 'number', value: fund.target || 0, min: 0 },
+    ];
+}
+
+async function addFund() {
+    const values = await openDialog({
+        title: 'NEW FUND',
+        submitLabel: 'CREATE',
+        fields: [
+            {
+                name: 'key',
+                label: 'Short name (used in links)',
+                required: true,
+                maxLength: 32,
+                validate: key => {
+                    if (!FUND_KEY_PATTERN.test(key)) return 'Use lowercase letters, digits, "-" or "_"';
+                    return fundsData.funds && fundsData.funds[key] ? 'A fund with this name already exists' : '';
+                },
+            },
+            ...fundFields(),
+        ],
+    });
+    if (!values) return;
+
+    const { key, ...fund } = values;
+    const data = await apiRequest('POST', `/funds/${encodeURIComponent(key)}`, { ...fund, target: fund.target || 0 });
+    if (data) {
+        fundsData.funds[key] = data.fund;
+        renderFunds();
+        showNotification(`Created ${data.fund.title}`, 'success');
+    }
+}
+
+async function editFund(key) {
+    const values = await openDialog({
+        title: 'EDIT FUND',
+        submitLabel: 'SAVE',
+        fields: fundFields(fundsData.funds[key]),
+    });
+    if (!values) return;
+    updateFundLifecycle(key, { ...values, target: values.target || 0 });
+}
+
+async function addMember(fundKey) {
+    const values = await openDialog({
+        title: `ADD MEMBER TO ${fundsData.funds[fundKey].title}`,
+        submitLabel: 'ADD',
+        fields: [memberNameField(fundKey)],
+    });
+    if (!values) return;
+
+    const data = await apiRequest('POST', `/funds/${encodeURIComponent(fundKey)}/members`, { name: values.name });
+    if (data) {
+        fundsData.funds[fundKey].members.push(data.member);
+        renderFunds();
+        showNotification(`Added ${data.member.name}`, 'success');
+    }
+}
+
+// The name is shared by every fund the member is in
+async function renameMember(fundKey, name) {
+    const values = await openDialog({
+        title: `RENAME ${name}`,
+        message: 'The new name is used in every fund.',
+        submitLabel: 'RENAME',
+        fields: [memberNameField(fundKey, name, name)],
+    });
+    if (!values || values.name === name) return;
+
+    const data = await apiRequest('PATCH', memberPath(fundKey, name), { name: values.name }, current => (
+        findMember(current, fundKey, name) ? '' : `${name} was renamed or removed.`
+    ));
+    if (data) {
+        showNotification(`Renamed ${name} to ${data.member.name}`, 'success');
+        await loadFunds();
+    }
+}
+
+function removeMember(fundKey, name) {
+    const id = `member:${fundKey}:${name}`;
+    deleteWithUndo(id, {
+        message: `Removed ${name}`,
+        commit: async () => {
+            const data = await apiRequest('DELETE', memberPath(fundKey, name), {}, current => {
+                const member = findMember(current, fundKey, name);
+                return member ? `${name} now has ₱${member.amount} recorded.` : `${name} was already removed.`;
+            });
+            const members = fundsData.funds[fundKey] ? fundsData.funds[fundKey].members : [];
+            if (data && members.some(m => m.name === name)) {
+                members.splice(members.findIndex(m => m.name === name), 1);
+            }
+        },
+        refresh: renderFunds,
+    });
+}
+
+// Resolves with whether the amount was saved
+async function updateMemberAmount(fundKey, name, value) {
+    const amount = parseFloat(value) || 0;
+    const data = await apiRequest('PATCH', memberPath(fundKey, name), { amount: amount }, current => {
+        const member = findMember(current, fundKey, name);
+        return member
+            ? `${name} is now ₱${member.amount} (you entered ₱${amount}).`
+            : `${name} was removed from this fund.`;
+    });
+    const member = data && findMember(fundsData, fundKey, name);
+    if (member) member.amount = data.member.amount;
+    refreshFundCard(fundKey);
+    return Boolean(data);
+}
+
+// Redraws one card and the figures depending on it, unless the admin is
+// typing into the card
+function refreshFundCard(key) {
+    const card = findFundCard(key);
+    if (card && fundsData.funds[key] && !isBeingEdited(card)) {
+        card.replaceWith(createFundCard(key, fundsData.funds[key]));
+    }
+    updateTotals();
+    loadOutstanding();
+}
+
+// Resolves with whether the amount was saved
+async function updateSummaryField(field, value) {
+    const amount = parseFloat(value) || 0;
+    const data = await apiRequest('PATCH', '/summary', { [field]: amount }, current => (
+        `${field.toUpperCase()} is now ₱${(current.summary || {})[field]} (you entered ₱${amount}).`
+    ));
+    if (data) fundsData.summary = data.summary;
     updateTotals();
+    loadReconciliation();
+    return Boolean(data);
 }
 
-function createFundCard(key, fund) {
-    const card = document.createElement('div');
-    card.className = 'fund-card';
-
-    const header = document.createElement('div');
-    header.className = 'fund-card-header';
+async function recordPayment(fundKey, idx) {
+    const member = fundsData.funds[fundKey].members[idx];
+    const values = await openDialog({
+        title: `PAYMENT FROM ${member.name}`,
+        submitLabel: 'RECORD',
+        fields: [
+            { name: 'amount', label: 'Amount (negative to correct a mistake)', type: 'number', required: true,
+                validate: value => (value === 0 ? 'Enter an amount other than 0' : '') },
+            { name: 'note', label: 'Note (optional)', maxLength: 200 },
+        ],
+    });
+    if (!values) return;
 
-    const title = document.createElement('h3');
-    title.className = 'gangster-font-alt';
-    title.textContent = fund.title;
-    header.appendChild(title);
+    const { amount, note } = values;
+    const data = await apiRequest('POST', `/funds/${encodeURIComponent(fundKey)}/contributions`, {
+        member: member.name,
+        amount: amount,
+        note: note
+    });
+    if (data) {
+        findMember(fundsData, fundKey, member.name).amount = data.amount;
+        renderFunds();
+        showNotification(`Recorded ₱${amount} for ${member.name}`, 'success');
+    }
+}
 
-    if (editMode) {
-        const addBtn = document.createElement('button');
-        addBtn.className = 'btn-add';
-        addBtn.innerHTML = '<i class="fas fa-plus"></i> ADD MEMBER';
-        addBtn.onclick = () => addMember(key);
-        header.appendChild(addBtn);
+async function toggleMemberHistory(fundKey, member, row) {
+    const existing = row.nextElementSibling;
+    if (existing && existing.classList.contains('member-history')) {
+        existing.remove();
+        return;
     }
 
-    card.appendChild(header);
+    const history = document.createElement('div');
+    history.className = 'member-history';
+    history.textContent = 'Loading...';
+    row.after(history);
 
-    const membersContainer = document.createElement('div');
-    fund.members.forEach((member, idx) => {
-        const row = createMemberRow(key, member, idx);
-        membersContainer.appendChild(row);
-    });
-    card.appendChild(membersContainer);
+    try {
+        const query = `member=${encodeURIComponent(member.name)}`;
+        const response = await fetch(`${API_URL}/funds/${encodeURIComponent(fundKey)}/ledger?${query}`, {
+            headers: sessionHeaders()
+        });
+        const data = await response.json();
+        if (!response.ok) throw new Error(data.error);
 
-    const total = document.createElement('div');
-    total.className = 'fund-total';
-    total.innerHTML = `
-        <span class="gangster-font-alt">TOTAL:</span>
-        <span class="gangster-font">₱${calculateTotal(fund.members)}</span>
-    `;
-    card.appendChild(total);
+        history.innerHTML = '';
+        if (data.entries.length === 0) history.textContent = 'No payments recorded yet';
 
-    return card;
-}
+        data.entries.slice().reverse().forEach(entry => {
+            const line = document.createElement('div');
+            line.className = 'history-entry';
 
-function createMemberRow(fundKey, member, idx) {
-    const row = document.createElement('div');
-    row.className = 'member-row';
+            const date = document.createElement('span');
+            date.textContent = entry.type === 'opening'
+                ? 'Opening balance'
+                : new Date(entry.timestamp).toLocaleDateString();
+            line.appendChild(date);
 
-    const name = document.createElement('span');
-    name.className = 'member-name';
-    name.textContent = member.name;
-    row.appendChild(name);
+            if (entry.note) {
+                const note = document.createElement('span');
+                note.className = 'history-note';
+                note.textContent = entry.note;
+                line.appendChild(note);
+            }
 
-    const controls = document.createElement('div');
-    controls.className = 'member-controls';
+            const amount = document.createElement('span');
+            amount.className = 'history-amount';
+            amount.textContent = `${entry.amount < 0 ? '-' : '+'}₱${Math.abs(entry.amount)}`;
+            line.appendChild(amount);
 
-    if (editMode) {
-        const input = document.createElement('input');
-        input.type = 'number';
-        input.className = 'member-input';
-        input.value = member.amount;
-        input.onchange = (e) => updateMemberAmount(fundKey, idx, e.target.value);
-        input.setAttribute('inputmode', 'numeric');
-        input.setAttribute('pattern', '[0-9]*');
-        controls.appendChild(input);
+            if (entry.type === 'contribution' && entry.amount > 0) {
+                const receiptBtn = document.createElement('button');
+                receiptBtn.className = 'btn-receipt';
+                receiptBtn.title = 'Receipt';
+                receiptBtn.innerHTML = '<i class="fas fa-receipt"></i>';
+                receiptBtn.onclick = () => openPrintable(`/receipts/${encodeURIComponent(entry.id)}`);
+                line.appendChild(receiptBtn);
+            }
 
-        const deleteBtn = document.createElement('button');
-        deleteBtn.className = 'btn-delete';
-        deleteBtn.innerHTML = '<i class="fas fa-trash-alt"></i>';
-        deleteBtn.onclick = () => removeMember(fundKey, idx);
-        controls.appendChild(deleteBtn);
-    } else {
-        const amount = document.createElement('span');
-        amount.className = 'member-amount';
-        amount.textContent = `₱${member.amount}`;
-        controls.appendChild(amount);
-    }
+            history.appendChild(line);
+        });
 
-    row.appendChild(controls);
+        if (member.id) {
+            history.appendChild(createStatementControls(fundKey, member));
 
-    return row;
+            const profileBtn = document.createElement('button');
+            profileBtn.className = 'btn-profile';
+            profileBtn.textContent = 'View all funds';
+            profileBtn.onclick = () => showProfile(member.id);
+            history.appendChild(profileBtn);
+        }
+    } catch (error) {
+        console.error('Error loading history:', error);
+        history.textContent = 'Failed to load payment history';
+    }
 }
 
-function calculateTotal(members) {
-    return members.reduce((sum, m) => sum + (parseFloat(m.amount) || 0), 0);
-}
+// Date range and buttons for a member's statement of one fund
+function createStatementControls(fundKey, member) {
+    const controls = document.createElement('div');
+    controls.className = 'statement-controls';
 
-function updateTotals() {
-    const funds = fundsData.funds || getDefaultFunds().funds;
-    const overallTotal = Object.values(funds).reduce((sum, fund) => {
-        return sum + calculateTotal(fund.members);
-    }, 0);
+    const from = document.createElement('input');
+    from.type = 'date';
+    from.title = 'From';
+    const to = document.createElement('input');
+    to.type = 'date';
+    to.title = 'To';
 
-    document.getElementById('overall-total').textContent = `₱${overallTotal}`;
+    const open = format => {
+        const query = new URLSearchParams({ member: member.id, fund: fundKey, format });
+        if (from.value) query.set('from', from.value);
+        if (to.value) query.set('to', to.value);
+        openPrintable(`/statements?${query}`, format);
+    };
 
-    const summary = fundsData.summary || { pman: 730, hawak: 375 };
-    document.getElementById('pman-display').textContent = `₱${summary.pman}`;
-    document.getElementById('hawak-display').textContent = `₱${summary.hawak}`;
-    document.getElementById('pman-input').value = summary.pman;
-    document.getElementById('hawak-input').value = summary.hawak;
-}
+    const statementBtn = document.createElement('button');
+    statementBtn.className = 'btn-profile';
+    statementBtn.textContent = 'Statement';
+    statementBtn.onclick = () => open('html');
 
-function addMember(fundKey) {
-    const name = prompt('Enter member name:');
-    if (name && name.trim()) {
-        if (!fundsData.funds) fundsData = getDefaultFunds();
-        fundsData.funds[fundKey].members.push({ name: name.trim(), amount: 0 });
-        renderFunds();
-        saveFunds();
-    }
-}
+    const pdfBtn = document.createElement('button');
+    pdfBtn.className = 'btn-profile';
+    pdfBtn.textContent = 'PDF';
+    pdfBtn.onclick = () => open('pdf');
 
-function removeMember(fundKey, idx) {
-    if (confirm('Remove this member?')) {
-        if (!fundsData.funds) fundsData = getDefaultFunds();
-        fundsData.funds[fundKey].members.splice(idx, 1);
-        renderFunds();
-        saveFunds();
-    }
+    controls.append(from, to, statementBtn, pdfBtn);
+    return controls;
 }
 
-function updateMemberAmount(fundKey, idx, value) {
-    if (!fundsData.funds) fundsData = getDefaultFunds();
-    fundsData.funds[fundKey].members[idx].amount = parseFloat(value) || 0;
-    updateTotals();
-    saveFunds();
+// Receipts and statements need the session header for hidden funds, so they
+// are fetched here and shown from a blob: pages open in a new tab (opened
+// before the request so it isn't blocked as a popup), PDFs are downloaded.
+async function openPrintable(path, format = 'html') {
+    const tab = format === 'html' ? window.open('', '_blank') : null;
+    try {
+        const response = await fetch(`${API_URL}${path}`, { headers: sessionHeaders() });
+        if (!response.ok) {
+            const data = await response.json().catch(() => ({}));
+            throw new Error(data.error || `HTTP ${response.status}`);
+        }
+
+        // The page itself is opened rather than a blob copy so its print
+        // script loads under the site's Content-Security-Policy
+        if (tab) {
+            tab.location = `${API_URL}${path}`;
+            return;
+        }
+
+        const url = URL.createObjectURL(await response.blob());
+        const disposition = response.headers.get('Content-Disposition') || '';
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = (disposition.match(/filename="([^"]+)"/) || [])[1] || 'statement.pdf';
+        link.click();
+        setTimeout(() => URL.revokeObjectURL(url), 60000);
+    } catch (error) {
+        console.error('Error opening printable:', error);
+        if (tab) tab.close();
+        showNotification(`Failed to open: ${error.message}`, 'error');
+    }
 }
 
 function toggleEditMode() {
@@ -274,6 +1798,7 @@ function toggleEditMode() {
     if (editMode) {
         editIcon.className = 'fas fa-times';
         editText.textContent = 'DONE';
+        document.getElementById('add-fund-btn').style.display = 'flex';
         document.getElementById('pman-display').classList.add('hidden');
         document.getElementById('hawak-display').classList.add('hidden');
         document.getElementById('pman-input').classList.remove('hidden');
@@ -287,22 +1812,19 @@ function toggleEditMode() {
         hawakInput.setAttribute('inputmode', 'numeric');
         hawakInput.setAttribute('pattern', '[0-9]*');
         
-        pmanInput.onchange = (e) => {
-            if (!fundsData.summary) fundsData.summary = { pman: 730, hawak: 375 };
-            fundsData.summary.pman = parseFloat(e.target.value) || 0;
-            updateTotals();
-            saveFunds();
-        };
-        
-        hawakInput.onchange = (e) => {
-            if (!fundsData.summary) fundsData.summary = { pman: 730, hawak: 375 };
-            fundsData.summary.hawak = parseFloat(e.target.value) || 0;
-            updateTotals();
-            saveFunds();
-        };
+        [['pman', pmanInput], ['hawak', hawakInput]].forEach(([field, input]) => {
+            input.oninput = () => queueSave(`summary:${field}`, {
+                label: field.toUpperCase(),
+                value: input.value,
+                save: value => updateSummaryField(field, value),
+            });
+            input.onchange = () => flushSaves();
+        });
     } else {
+        flushSaves();
         editIcon.className = 'fas fa-pen';
         editText.textContent = 'EDIT';
+        document.getElementById('add-fund-btn').style.display = 'none';
         document.getElementById('pman-display').classList.remove('hidden');
         document.getElementById('hawak-display').classList.remove('hidden');
         document.getElementById('pman-input').classList.add('hidden');
@@ -312,6 +1834,513 @@ function toggleEditMode() {
     renderFunds();
 }
 
+function showHistory() {
+    const fundSelect = document.getElementById('history-fund');
+    fundSelect.innerHTML = '<option value="">All funds</option>';
+    Object.keys(fundsData.funds || {}).forEach(key => {
+        const option = document.createElement('option');
+        option.value = key;
+        option.textContent = fundsData.funds[key].title;
+        fundSelect.appendChild(option);
+    });
+
+    openModal('history-modal', { onClose: closeHistory });
+    loadHistory();
+}
+
+function closeHistory() {
+    closeModal('history-modal');
+}
+
+function describeAuditChange(change) {
+    const fund = fundsData.funds && fundsData.funds[change.fund];
+    const where = change.fund ? ` (${fund ? fund.title : change.fund})` : '';
+    const money = value => `₱${value}`;
+
+    switch (change.type) {
+    case 'fund.added': return `Fund created${where}`;
+    case 'fund.removed': return `Fund deleted${where}`;
+    case 'fund.title': return `Title${where}: ${change.before} → ${change.after}`;
+    case 'fund.target': return `Target${where}: ${money(change.before)} → ${money(change.after)}`;
+    case 'fund.status': return `Status${where}: ${change.before} → ${change.after}`;
+    case 'fund.dueDate': return `Due date${where}: ${change.before || 'none'} → ${change.after || 'none'}`;
+    case 'fund.recurrence': return `Repeats${where}: ${change.before || 'never'} → ${change.after || 'never'}`;
+    case 'fund.visibility': return `Visibility${where}: ${change.before || 'public'} → ${change.after}`;
+    case 'fund.totalsOnly': return `${change.after ? 'Members hidden' : 'Members shown'}${where}`;
+    case 'fund.shareToken': return `${change.before ? 'New share link' : 'Share link created'}${where}`;
+    case 'member.added': return `${change.member} added${where}`;
+    case 'member.removed': return `${change.member} removed${where} (had ${money(change.before)})`;
+    case 'member.renamed': return `${change.before} renamed to ${change.after}${where}`;
+    case 'member.amount': return `${change.member}${where}: ${money(change.before)} → ${money(change.after)}`;
+    case 'summary.pman': return `P.MAN: ${money(change.before)} → ${money(change.after)}`;
+    case 'summary.hawak': return `HAWAK KO: ${money(change.before)} → ${money(change.after)}`;
+    case 'expense.added': return `Expense "${change.after.description}"${where}: ${money(change.after.amount)}`;
+    case 'expense.removed': return `Expense "${change.before.description}"${where} deleted`;
+    case 'expense.updated': return `Expense "${change.after.description}"${where} edited`;
+    case 'directory.added': return `${change.member} added to the directory`;
+    case 'directory.name': return `${change.before} renamed to ${change.after}`;
+    case 'directory.nickname': return `${change.member}'s nickname: ${change.before || '—'} → ${change.after || '—'}`;
+    case 'directory.contact': return `${change.member}'s contact changed`;
+    case 'directory.active': return `${change.member} ${change.after ? 'reactivated' : 'deactivated'}`;
+    default: return change.type;
+    }
+}
+
+async function loadHistory() {
+    const list = document.getElementById('history-list');
+    list.textContent = 'Loading...';
+
+    const params = new URLSearchParams();
+    const fund = document.getElementById('history-fund').value;
+    const member = document.getElementById('history-member').value.trim();
+    const from = document.getElementById('history-from').value;
+    const to = document.getElementById('history-to').value;
+    if (fund) params.set('fund', fund);
+    if (member) params.set('member', member);
+    if (from) params.set('from', from);
+    if (to) params.set('to', `${to}T23:59:59.999`);
+
+    try {
+        const response = await fetch(`${API_URL}/audit?${params}`, { headers: sessionHeaders() });
+        const data = await response.json();
+        if (response.status === 401) {
+            handleSessionExpired();
+            return;
+        }
+        if (!response.ok) throw new Error(data.error);
+
+        list.innerHTML = '';
+        if (data.entries.length === 0) {
+            list.textContent = 'No changes found';
+            return;
+        }
+
+        data.entries.forEach(entry => {
+            const item = document.createElement('div');
+            item.className = 'history-item';
+
+            const meta = document.createElement('div');
+            meta.className = 'history-meta';
+            meta.textContent = `${new Date(entry.timestamp).toLocaleString()} · ${entry.actor}`;
+            item.appendChild(meta);
+
+            entry.changes.forEach(change => {
+                const line = document.createElement('div');
+                line.textContent = describeAuditChange(change);
+                item.appendChild(line);
+            });
+
+            if (isAdmin) {
+                const revertBtn = document.createElement('button');
+                revertBtn.className = 'btn-revert';
+                revertBtn.innerHTML = '<i class="fas fa-undo"></i> REVERT';
+                revertBtn.onclick = () => revertAuditEntry(entry.id);
+                item.appendChild(revertBtn);
+            }
+
+            list.appendChild(item);
+        });
+    } catch (error) {
+        console.error('Error loading history:', error);
+        list.textContent = 'Failed to load history';
+    }
+}
+
+async function revertAuditEntry(id) {
+    if (!await confirmDialog('Undo this change?', { title: 'UNDO CHANGE', confirmLabel: 'UNDO' })) return;
+
+    const data = await apiRequest('POST', `/audit/${encodeURIComponent(id)}/revert`);
+    if (data) {
+        showNotification('Change reverted', 'success');
+        await loadFunds();
+        loadHistory();
+    }
+}
+
+async function showProfile(id) {
+    profileId = id;
+    document.getElementById('profile-title').textContent = 'MEMBER';
+    document.getElementById('profile-subtitle').textContent = '';
+    document.getElementById('profile-body').textContent = 'Loading...';
+    document.getElementById('profile-edit').classList.toggle('hidden', !isAdmin);
+    document.getElementById('profile-save-btn').classList.toggle('hidden', !isAdmin);
+    openModal('profile-modal', { onClose: closeProfile });
+
+    try {
+        const response = await fetch(`${API_URL}/members/${encodeURIComponent(id)}`, { headers: sessionHeaders() });
+        const profile = await response.json();
+        if (!response.ok) throw new Error(profile.error);
+        renderProfile(profile);
+    } catch (error) {
+        console.error('Error loading profile:', error);
+        document.getElementById('profile-body').textContent = 'Failed to load member';
+    }
+}
+
+function renderProfile(profile) {
+    document.getElementById('profile-title').textContent = profile.name.toUpperCase();
+    document.getElementById('profile-subtitle').textContent = [
+        profile.nickname && `"${profile.nickname}"`,
+        profile.contact,
+        !profile.active && 'inactive'
+    ].filter(Boolean).join(' · ');
+
+    document.getElementById('profile-name-input').value = profile.name;
+    document.getElementById('profile-nickname-input').value = profile.nickname || '';
+    document.getElementById('profile-contact-input').value = profile.contact || '';
+    document.getElementById('profile-active-input').checked = profile.active;
+
+    const body = document.getElementById('profile-body');
+    body.innerHTML = '';
+
+    const addSection = title => {
+        const heading = document.createElement('div');
+        heading.className = 'profile-section gangster-font-alt';
+        heading.textContent = title;
+        body.appendChild(heading);
+    };
+
+    addSection(`PAID ₱${profile.totals.paid} · OWES ₱${profile.totals.owed}`);
+    if (profile.funds.length === 0) body.appendChild(document.createTextNode('Not in any fund'));
+    profile.funds.forEach(fund => {
+        const row = document.createElement('div');
+        row.className = 'debtor-row';
+
+        const title = document.createElement('span');
+        title.className = 'member-name';
+        title.textContent = fund.title;
+        row.appendChild(title);
+
+        const detail = document.createElement('span');
+        detail.className = 'debtor-funds';
+        detail.textContent = fund.owed > 0 ? `owes ₱${fund.owed}` : 'paid up';
+        row.appendChild(detail);
+
+        const paid = document.createElement('span');
+        paid.className = 'member-amount';
+        paid.textContent = `₱${fund.paid} / ₱${fund.target}`;
+        row.appendChild(paid);
+
+        body.appendChild(row);
+    });
+
+    addSection('CONTRIBUTIONS');
+    if (profile.contributions.length === 0) body.appendChild(document.createTextNode('No payments recorded yet'));
+    profile.contributions.forEach(entry => {
+        const fund = fundsData.funds && fundsData.funds[entry.fund];
+        const line = document.createElement('div');
+        line.className = 'history-entry';
+
+        const date = document.createElement('span');
+        date.textContent = entry.type === 'opening'
+            ? 'Opening balance'
+            : new Date(entry.timestamp).toLocaleDateString();
+        line.appendChild(date);
+
+        const note = document.createElement('span');
+        note.className = 'history-note';
+        note.textContent = [fund ? fund.title : entry.fund, entry.note].filter(Boolean).join(' — ');
+        line.appendChild(note);
+
+        const amount = document.createElement('span');
+        amount.className = 'history-amount';
+        amount.textContent = `${entry.amount < 0 ? '-' : '+'}₱${Math.abs(entry.amount)}`;
+        line.appendChild(amount);
+
+        body.appendChild(line);
+    });
+}
+
+async function saveProfile() {
+    const data = await apiRequest('PATCH', `/members/${encodeURIComponent(profileId)}`, {
+        name: document.getElementById('profile-name-input').value,
+        nickname: document.getElementById('profile-nickname-input').value,
+        contact: document.getElementById('profile-contact-input').value,
+        active: document.getElementById('profile-active-input').checked
+    });
+    if (data) {
+        showNotification(`Saved ${data.member.name}`, 'success');
+        await loadFunds();
+        showProfile(profileId);
+    }
+}
+
+function closeProfile() {
+    closeModal('profile-modal');
+}
+
+function exportFunds() {
+    window.location.href = `${API_URL}/export?format=csv`;
+}
+
+function importFunds() {
+    const input = document.getElementById('import-file');
+    input.value = '';
+    input.onchange = async () => {
+        const file = input.files[0];
+        if (!file) return;
+
+        if (!navigator.onLine) {
+            showNotification('Importing needs a connection to preview the changes', 'error');
+            return;
+        }
+        const text = await file.text();
+        const preview = await apiRequest('POST', '/import', { csv: text, dryRun: true });
+        if (!preview) return;
+
+        if (preview.changes.length === 0) {
+            showNotification('The CSV matches the current funds - nothing to import', 'success');
+            return;
+        }
+
+        const lines = preview.changes.map(change => `• ${describeAuditChange(change)}`).join('\n');
+        const confirmed = await confirmDialog(`Importing ${preview.rows} rows will make these changes:\n\n${lines}`, {
+            title: 'IMPORT CSV',
+            confirmLabel: 'APPLY',
+        });
+        if (!confirmed) return;
+
+        fundsVersion = `"${preview.version}"`;
+        const result = await apiRequest('POST', '/import', { csv: text, dryRun: false }, () => (
+            'The funds changed after the preview was made, so the import may now differ from it.'
+        ));
+        if (result) {
+            showNotification(`Imported ${result.rows} rows`, 'success');
+            loadFunds();
+        }
+    };
+    input.click();
+}
+
+// Charts are drawn as inline SVG so the dashboard needs nothing from a CDN;
+// the last figures fetched are kept on this device for when it is offline.
+// Signed-in stats include private funds, so they are kept apart from the
+// visitors' copy and dropped when the session ends.
+const STATS_KEY = `stats:${GROUP_SLUG || 'default'}`;
+const CHART_COLORS = ['#60a5fa', '#fbbf24', '#34d399', '#f87171', '#a78bfa', '#f472b6', '#22d3ee', '#a3e635'];
+const SVG_NS = 'http://www.w3.org/2000/svg';
+
+function statsKey() {
+    return `${STATS_KEY}:${csrfToken ? 'admin' : 'public'}`;
+}
+
+function showStats() {
+    openModal('stats-modal', { onClose: closeStats });
+    loadStats();
+}
+
+function closeStats() {
+    closeModal('stats-modal');
+}
+
+async function loadStats() {
+    const body = document.getElementById('stats-body');
+    body.textContent = 'Loading...';
+    try {
+        const response = await fetch(`${API_URL}/reports/stats`, { headers: sessionHeaders() });
+        const stats = await response.json();
+        if (!response.ok) throw new Error(stats.error);
+        localStorage.setItem(statsKey(), JSON.stringify({ stats, savedAt: Date.now() }));
+        renderStats(stats);
+    } catch (error) {
+        console.error('Error loading stats:', error);
+        const saved = JSON.parse(localStorage.getItem(statsKey()) || 'null');
+        if (!saved) {
+            body.textContent = 'Failed to load stats';
+            return;
+        }
+        renderStats(saved.stats, `Offline - showing stats from ${new Date(saved.savedAt).toLocaleString()}`);
+    }
+}
+
+function svgElement(name, attributes = {}, text) {
+    const element = document.createElementNS(SVG_NS, name);
+    Object.entries(attributes).forEach(([key, value]) => element.setAttribute(key, value));
+    if (text !== undefined) element.textContent = text;
+    return element;
+}
+
+function chartLegend(items) {
+    const legend = document.createElement('div');
+    legend.className = 'stats-legend';
+    items.forEach(({ label, color }) => {
+        const item = document.createElement('span');
+        item.style.setProperty('--swatch', color);
+        item.textContent = label;
+        legend.appendChild(item);
+    });
+    return legend;
+}
+
+// Running total collected per fund, one line each, over a shared date axis
+function timelineChart(funds) {
+    const width = 520;
+    const height = 220;
+    const pad = { top: 10, right: 10, bottom: 24, left: 48 };
+    const time = date => new Date(`${date}T00:00:00Z`).getTime();
+
+    const dates = funds.flatMap(fund => fund.timeline.map(point => time(point.date)));
+    const start = Math.min(...dates);
+    const end = Math.max(...dates);
+    const top = Math.max(...funds.flatMap(fund => fund.timeline.map(point => point.collected)), 1);
+    const x = value => pad.left + (end > start ? (value - start) / (end - start) : 1) * (width - pad.left - pad.right);
+    const y = value => height - pad.bottom - value / top * (height - pad.top - pad.bottom);
+
+    const svg = svgElement('svg', { viewBox: `0 0 ${width} ${height}`, role: 'img' });
+    svg.appendChild(svgElement('title', {}, 'Amount collected over time per fund'));
+    [0, 0.5, 1].forEach(share => {
+        svg.appendChild(svgElement('line', {
+            x1: pad.left, x2: width - pad.right, y1: y(top * share), y2: y(top * share),
+            stroke: 'rgba(96, 165, 250, 0.25)',
+        }));
+        svg.appendChild(svgElement('text', { x: pad.left - 6, y: y(top * share) + 4, 'text-anchor': 'end' },
+            `₱${Math.round(top * share)}`));
+    });
+    [start, end].filter((value, index, all) => all.indexOf(value) === index).forEach(value => {
+        const anchor = value === end && end > start ? 'end' : 'start';
+        svg.appendChild(svgElement('text', { x: x(value), y: height - 6, 'text-anchor': anchor },
+            new Date(value).toISOString().substring(0, 10)));
+    });
+
+    funds.forEach((fund, index) => {
+        const color = CHART_COLORS[index % CHART_COLORS.length];
+        // Steps, since totals only change when someone pays
+        let points = '';
+        fund.timeline.forEach((point, at) => {
+            if (at > 0) points += `${x(time(point.date))},${y(fund.timeline[at - 1].collected)} `;
+            points += `${x(time(point.date))},${y(point.collected)} `;
+        });
+        svg.appendChild(svgElement('polyline', { points, fill: 'none', stroke: color, 'stroke-width': 2 }));
+        const last = fund.timeline[fund.timeline.length - 1];
+        svg.appendChild(svgElement('circle', { cx: x(time(last.date)), cy: y(last.collected), r: 3, fill: color }));
+    });
+
+    const chart = document.createElement('div');
+    chart.className = 'stats-chart';
+    chart.appendChild(svg);
+    chart.appendChild(chartLegend(funds.map((fund, index) => ({
+        label: fund.title,
+        color: CHART_COLORS[index % CHART_COLORS.length],
+    }))));
+    return chart;
+}
+
+// One horizontal bar per row: { label, value (0-100), text }
+function barChart(rows, description) {
+    const width = 520;
+    const rowHeight = 26;
+    const labelWidth = 170;
+    const svg = svgElement('svg', { viewBox: `0 0 ${width} ${rows.length * rowHeight}`, role: 'img' });
+    svg.appendChild(svgElement('title', {}, description));
+
+    rows.forEach((row, index) => {
+        const top = index * rowHeight;
+        const barWidth = width - labelWidth - 10;
+        svg.appendChild(svgElement('text', { x: 0, y: top + 17 }, row.label.length > 24
+            ? `${row.label.substring(0, 23)}…`
+            : row.label));
+        svg.appendChild(svgElement('rect', {
+            x: labelWidth, y: top + 4, width: barWidth, height: rowHeight - 8, rx: 3,
+            fill: 'rgba(30, 58, 138, 0.6)',
+        }));
+        svg.appendChild(svgElement('rect', {
+            x: labelWidth, y: top + 4, width: Math.max(barWidth * Math.min(row.value, 100) / 100, 0),
+            height: rowHeight - 8, rx: 3, fill: row.color || CHART_COLORS[0],
+        }));
+        svg.appendChild(svgElement('text', { x: labelWidth + 6, y: top + 17, fill: '#fff' }, row.text));
+    });
+
+    const chart = document.createElement('div');
+    chart.className = 'stats-chart';
+    chart.appendChild(svg);
+    return chart;
+}
+
+function renderStats(stats, note) {
+    const body = document.getElementById('stats-body');
+    body.innerHTML = '';
+
+    const addSection = title => {
+        const heading = document.createElement('div');
+        heading.className = 'profile-section gangster-font-alt';
+        heading.textContent = title;
+        body.appendChild(heading);
+    };
+    const addNote = text => {
+        const line = document.createElement('div');
+        line.className = 'stats-note';
+        line.textContent = text;
+        body.appendChild(line);
+    };
+
+    if (note) addNote(note);
+    const days = value => (value === null ? 'not known yet' : `${value} day${value === 1 ? '' : 's'}`);
+    addSection(`₱${stats.totals.collected} OF ₱${stats.totals.expected} (${stats.totals.progress}%)`);
+    addNote(`Average time to pay: ${days(stats.totals.averageDaysToPay)}`);
+
+    if (stats.funds.length === 0) {
+        addNote('No funds to show');
+        return;
+    }
+
+    addSection('COLLECTED OVER TIME');
+    if (stats.source === 'current') {
+        addNote('No payment history yet - showing today\'s totals only');
+    } else {
+        addNote(`Since ${stats.since}, from ${stats.source === 'ledger' ? 'recorded payments' : 'saved versions'}`);
+    }
+    body.appendChild(timelineChart(stats.funds));
+
+    addSection('COMPLETION');
+    body.appendChild(barChart(stats.funds.map((fund, index) => ({
+        label: fund.title,
+        value: fund.progress,
+        text: `${fund.progress}% · ${fund.paidUp}/${fund.members} paid up`
+            + (fund.averageDaysToPay === null ? '' : ` · ${days(fund.averageDaysToPay)}`),
+        color: CHART_COLORS[index % CHART_COLORS.length],
+    })), 'Share of each fund collected'));
+
+    if (stats.contributors.top.length) {
+        addSection('TOP CONTRIBUTORS');
+        const most = stats.contributors.top[0].paid;
+        body.appendChild(barChart(stats.contributors.top.map(person => ({
+            label: person.name,
+            value: most > 0 ? person.paid / most * 100 : 0,
+            text: `₱${person.paid}`,
+        })), 'Total paid by the biggest contributors'));
+    }
+
+    addSection('LATE');
+    if (stats.contributors.late.length === 0) addNote('Nobody is late');
+    stats.contributors.late.forEach(person => {
+        const row = document.createElement('div');
+        row.className = 'debtor-row';
+
+        const name = document.createElement('span');
+        name.className = 'member-name';
+        name.textContent = person.name;
+        if (person.id) {
+            name.title = 'Show profile';
+            name.onclick = () => showProfile(person.id);
+        }
+        row.appendChild(name);
+
+        const detail = document.createElement('span');
+        detail.className = 'debtor-funds';
+        detail.textContent = person.funds.map(fund => (fund.owed
+            ? `${fund.title}: ₱${fund.owed} overdue since ${fund.dueDate}`
+            : `${fund.title}: paid ${fund.paidOn}, due ${fund.dueDate}`)).join(' · ');
+        row.appendChild(detail);
+
+        const owed = document.createElement('span');
+        owed.className = 'member-amount';
+        owed.textContent = person.overdue > 0 ? `₱${person.overdue}` : 'late';
+        row.appendChild(owed);
+
+        body.appendChild(row);
+    });
+}
+
 function showFunds() {
     document.getElementById('intro-section').style.display = 'none';
     document.getElementById('funds-section').style.display = 'block';
@@ -327,22 +2356,31 @@ function showIntro() {
 }
 
 function showAdminModal() {
-    document.getElementById('admin-modal').style.display = 'flex';
-    setTimeout(() => {
-        document.getElementById('admin-key-input').focus();
-    }, 300);
+    showLoginError('');
+    openModal('admin-modal', { onClose: closeAdminModal, focus: '#admin-username-input' });
 }
 
 function closeAdminModal() {
-    document.getElementById('admin-modal').style.display = 'none';
+    closeModal('admin-modal');
+    document.getElementById('admin-username-input').value = '';
     document.getElementById('admin-key-input').value = '';
 }
 
+// Shown under the login fields, which are marked invalid while it is there
+function showLoginError(message) {
+    document.getElementById('admin-login-error').textContent = message;
+    ['admin-username-input', 'admin-key-input'].forEach(id => {
+        document.getElementById(id).setAttribute('aria-invalid', message ? 'true' : 'false');
+    });
+}
+
 async function adminLogin() {
-    const key = document.getElementById('admin-key-input').value;
+    const username = document.getElementById('admin-username-input').value;
+    const password = document.getElementById('admin-key-input').value;
     
-    if (!key || !key.trim()) {
-        alert('Please enter an admin key');
+    if (!username || !username.trim() || !password) {
+        showLoginError('Please enter your username and password');
+        document.getElementById(username && username.trim() ? 'admin-key-input' : 'admin-username-input').focus();
         return;
     }
     
@@ -352,55 +2390,80 @@ async function adminLogin() {
             headers: {
                 'Content-Type': 'application/json',
             },
-            body: JSON.stringify({ adminKey: key })
+            body: JSON.stringify({ username: username.trim(), password: password })
         });
         
         const data = await response.json();
         
-        if (response.ok && data.sessionToken) {
-            isAdmin = true;
-            sessionToken = data.sessionToken;
-            sessionStorage.setItem('sessionToken', sessionToken);
-            document.getElementById('edit-mode-btn').style.display = 'flex';
+        if (response.ok && data.csrfToken) {
+            startAdminSession(data.csrfToken, data.username, data.role, data.expiresIn);
             closeAdminModal();
-            alert('Admin access granted! Session expires in ' + (data.expiresIn / 60000) + ' minutes.');
-            
-            setTimeout(() => {
-                if (isAdmin) {
-                    alert('Your session will expire in 5 minutes. Save your work!');
-                }
-            }, data.expiresIn - 5 * 60000);
+
+            if (!isAdmin) {
+                showNotification(`Logged in as ${data.username} (${data.role}). This account can view but not `
+                    + 'edit funds.', 'info');
+                return;
+            }
+            showNotification(`Welcome ${data.username}! Your session stays active while you are editing.`, 'success');
         } else {
-            alert(data.error || 'Invalid admin key');
+            showLoginError(data.error || 'Invalid username or password');
             document.getElementById('admin-key-input').value = '';
             document.getElementById('admin-key-input').focus();
         }
     } catch (error) {
         console.error('Error during login:', error);
-        alert('Error connecting to server');
+        showLoginError('Error connecting to server');
     }
 }
 
 async function adminLogout() {
-    if (!sessionToken) return;
+    if (!csrfToken) return;
     
     try {
         await fetch(`${API_URL}/admin/logout`, {
             method: 'POST',
             headers: {
                 'Content-Type': 'application/json',
+                ...sessionHeaders(),
             },
-            body: JSON.stringify({ sessionToken })
         });
     } catch (error) {
         console.error('Logout error:', error);
     }
     
     handleSessionExpired();
-    alert('Logged out successfully');
+    showNotification('Logged out', 'success');
+}
+
+// The Content-Security-Policy blocks inline handlers, so the page's buttons
+// name the function they call in data-action (clicks) or data-change
+document.addEventListener('click', event => {
+    const target = event.target.closest('[data-action]');
+    if (target && typeof window[target.dataset.action] === 'function') window[target.dataset.action]();
+});
+
+document.addEventListener('change', event => {
+    const target = event.target.closest('[data-change]');
+    if (target && typeof window[target.dataset.change] === 'function') window[target.dataset.change]();
+});
+
+// Stands in for the bundled photo when it is missing
+function showLogoPlaceholder(logo) {
+    const note = document.createElement('div');
+    note.style.cssText = 'display:flex;align-items:center;justify-content:center;height:100%;color:#93c5fd;'
+        + 'font-size:1.2rem;font-weight:bold;text-align:center;padding:1rem;';
+    note.textContent = '[ PLACE tst.jpeg IN PUBLIC FOLDER ]';
+    logo.replaceWith(note);
 }
 
 document.addEventListener('DOMContentLoaded', () => {
+    // The photo may already have failed before this script ran
+    const logo = document.getElementById('brand-logo');
+    if (logo) {
+        if (logo.complete && !logo.naturalWidth) showLogoPlaceholder(logo);
+        else logo.addEventListener('error', () => showLogoPlaceholder(logo), { once: true });
+    }
+
     const adminInput = document.getElementById('admin-key-input');
     if (adminInput) {
         adminInput.addEventListener('keypress', (e) => {
@@ -412,45 +2475,41 @@ document.addEventListener('DOMContentLoaded', () => {
 });
 
 window.addEventListener('load', () => {
-    const savedToken = sessionStorage.getItem('sessionToken');
+    // The cookie outlives a reload; the CSRF token kept for this tab proves
+    // the page may use it
+    const savedToken = sessionStorage.getItem(SESSION_KEY);
     if (savedToken) {
-        fetch(`${API_URL}/admin/verify`, {
-            method: 'POST',
-            headers: {
-                'Content-Type': 'application/json',
-            },
-            body: JSON.stringify({ sessionToken: savedToken })
-        })
-        .then(response => response.json())
-        .then(data => {
-            if (data.valid) {
-                isAdmin = true;
-                sessionToken = savedToken;
-                document.getElementById('edit-mode-btn').style.display = 'flex';
-            } else {
-                sessionStorage.removeItem('sessionToken');
-            }
-        })
-        .catch(error => {
-            console.error('Error checking session:', error);
-            sessionStorage.removeItem('sessionToken');
-        });
+        refreshSession(savedToken);
     }
 });
 
 document.addEventListener('touchstart', () => {}, { passive: true });
 
-window.addEventListener('online', () => {
+window.addEventListener('online', async () => {
     console.log('Connection restored');
-    loadFunds();
+    if (await replayOfflineEdits() === 0) loadFunds();
 });
 
 window.addEventListener('offline', () => {
     console.log('Connection lost - working offline');
+    syncedFromServer = false;
+    updateSyncStatus();
 });
 
+if ('serviceWorker' in navigator) {
+    window.addEventListener('load', () => {
+        navigator.serviceWorker.register('/sw.js').catch(error => {
+            console.error('Service worker registration failed:', error);
+        });
+    });
+}
+
 window.addEventListener('beforeunload', (e) => {
-    if (editMode) {
+    // Sent now rather than lost; they can no longer be undone
+    pendingDeletions.forEach((pending, id) => finishDeletion(id));
+    flushSaves();
+
+    if (editMode || pendingDeletions.size > 0 || pendingSaves.size > 0) {
         e.preventDefault();
         e.returnValue = 'You are in edit mode. Are you sure you want to leave?';
         return e.returnValue;
@@ -0,0 +1,58 @@
+// IndexedDB storage for working offline: the funds as last fetched from the
+// API (shown with the time they were synced when the API can't be reached)
+// and admin edits made offline, kept in order until they are sent.
+
+// One database per group (/g/<slug>) so their funds and queued edits never mix
+const offlineGroup = (window.location.pathname.match(/^\/g\/([a-z0-9-]+)/) || [])[1];
+const OFFLINE_DB_NAME = offlineGroup ? `tst-offline-${offlineGroup}` : 'tst-offline';
+let offlineDb = null;
+
+function openOfflineDb() {
+    if (!offlineDb) {
+        offlineDb = new Promise((resolve, reject) => {
+            const request = indexedDB.open(OFFLINE_DB_NAME, 1);
+            request.onupgradeneeded = () => {
+                request.result.createObjectStore('cache');
+                request.result.createObjectStore('queue', { keyPath: 'id', autoIncrement: true });
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+    return offlineDb;
+}
+
+// Runs `action(store)` in a transaction and resolves with its request's result
+async function offlineTransaction(storeName, mode, action) {
+    const db = await openOfflineDb();
+    return new Promise((resolve, reject) => {
+        const transaction = db.transaction(storeName, mode);
+        const request = action(transaction.objectStore(storeName));
+        transaction.oncomplete = () => resolve(request.result);
+        transaction.onerror = () => reject(transaction.error);
+    });
+}
+
+const offlineStore = {
+    saveFunds(data, version) {
+        const entry = { data: data, version: version, syncedAt: Date.now() };
+        return offlineTransaction('cache', 'readwrite', store => store.put(entry, 'funds'));
+    },
+
+    loadFunds() {
+        return offlineTransaction('cache', 'readonly', store => store.get('funds'));
+    },
+
+    queueEdit(edit) {
+        return offlineTransaction('queue', 'readwrite', store => store.add({ ...edit, queuedAt: Date.now() }));
+    },
+
+    // Oldest first
+    queuedEdits() {
+        return offlineTransaction('queue', 'readonly', store => store.getAll());
+    },
+
+    removeEdit(id) {
+        return offlineTransaction('queue', 'readwrite', store => store.delete(id));
+    }
+};
@@ -0,0 +1,2 @@
+// Print button on receipts and statements (inline handlers are blocked by the CSP)
+document.getElementById('print-button').addEventListener('click', () => window.print());
@@ -0,0 +1,56 @@
+// Service worker: keeps the page itself available offline. Pages and scripts
+// are fetched from the network when possible and from the cache otherwise;
+// fonts and icons from CDNs rarely change, so the cached copy is used first.
+// API requests are left alone - app.js keeps its own copy of the funds.
+
+const CACHE_NAME = 'tst-shell-v1';
+const SHELL = ['./', 'index.html', 'app.js', 'offline.js', 'manifest.webmanifest', 'logo.ico', 'tst.jpeg'];
+
+self.addEventListener('install', event => {
+    event.waitUntil(caches.open(CACHE_NAME).then(cache => cache.addAll(SHELL)));
+    self.skipWaiting();
+});
+
+self.addEventListener('activate', event => {
+    event.waitUntil(
+        caches.keys()
+            .then(keys => Promise.all(keys.filter(key => key !== CACHE_NAME).map(key => caches.delete(key))))
+            .then(() => self.clients.claim())
+    );
+});
+
+async function networkFirst(request) {
+    const cache = await caches.open(CACHE_NAME);
+    try {
+        const response = await fetch(request);
+        if (response.ok) cache.put(request, response.clone());
+        return response;
+    } catch (error) {
+        const cached = await cache.match(request, { ignoreSearch: true });
+        if (cached) return cached;
+        if (request.mode === 'navigate') return cache.match('index.html');
+        throw error;
+    }
+}
+
+async function cacheFirst(request) {
+    const cache = await caches.open(CACHE_NAME);
+    const cached = await cache.match(request);
+    if (cached) return cached;
+
+    const response = await fetch(request);
+    if (response.ok || response.type === 'opaque') cache.put(request, response.clone());
+    return response;
+}
+
+self.addEventListener('fetch', event => {
+    const { request } = event;
+    const url = new URL(request.url);
+    if (request.method !== 'GET' || url.pathname.startsWith('/api/')) return;
+
+    if (url.origin === self.location.origin) {
+        event.respondWith(networkFirst(request));
+    } else if (/fonts\.(googleapis|gstatic)\.com$|cdnjs\.cloudflare\.com$/.test(url.hostname)) {
+        event.respondWith(cacheFirst(request));
+    }
+});
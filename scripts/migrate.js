@@ -0,0 +1,64 @@
+#!/usr/bin/env node
+// Upgrades the stored funds document of every group to the current schema version.
+// Usage: node scripts/migrate.js [--dry-run]
+
+const { createStorage } = require('../lib/storage');
+const { migrate, CURRENT_SCHEMA_VERSION } = require('../lib/migrations');
+const { validateDocument } = require('../lib/schema');
+const groups = require('../lib/groups');
+
+const GROUPS_FILE_PATH = process.env.GROUPS_FILE_PATH || 'data/groups.json';
+
+// The default group and every group in the registry
+async function groupSlugs() {
+    try {
+        const { data } = await createStorage(GROUPS_FILE_PATH).read();
+        return [...new Set([groups.defaultSlug(), ...Object.keys(data.groups || {})])];
+    } catch (error) {
+        if (error.code === 'ENOENT') return [groups.defaultSlug()];
+        throw error;
+    }
+}
+
+async function migrateFile(file, dryRun) {
+    const store = createStorage(file);
+    const { data, version } = await store.read();
+
+    const from = data.schemaVersion || 0;
+    const applied = migrate(data);
+    if (applied.length === 0) {
+        console.log(`${file} is already at schema v${CURRENT_SCHEMA_VERSION}`);
+        return;
+    }
+
+    console.log(`Migrating ${file} (${store.name}) from v${from}:`);
+    applied.forEach(step => console.log(`  - ${step}`));
+
+    const errors = validateDocument(data);
+    if (errors.length) {
+        console.error('Migrated document is invalid, fix these by hand first:');
+        errors.forEach(({ path, message }) => console.error(`  ${path} ${message}`));
+        process.exitCode = 1;
+        return;
+    }
+
+    if (dryRun) {
+        console.log('Dry run - nothing written');
+        return;
+    }
+
+    await store.write(data, { version, message: `Migrate funds to schema v${CURRENT_SCHEMA_VERSION}` });
+    console.log('Done ✅');
+}
+
+async function main() {
+    const dryRun = process.argv.includes('--dry-run');
+    for (const slug of await groupSlugs()) {
+        await migrateFile(groups.groupFiles(slug).funds, dryRun);
+    }
+}
+
+main().catch(error => {
+    console.error('Migration failed:', error.message);
+    process.exitCode = 1;
+});
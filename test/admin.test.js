@@ -0,0 +1,140 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer } = require('./support/server');
+
+describe('admin accounts and roles', () => {
+    let server;
+    let owner;
+    let treasurer;
+    let viewer;
+
+    before(async () => {
+        server = await startServer();
+        owner = await server.login();
+
+        const add = (username, role) => server.request('POST', '/api/admin/users', {
+            token: owner,
+            body: { username, password: `${username}-password`, role },
+        });
+        await add('treasurer', 'treasurer');
+        await add('viewer', 'viewer');
+        treasurer = await server.login('treasurer', 'treasurer-password');
+        viewer = await server.login('viewer', 'viewer-password');
+    });
+
+    after(() => server.close());
+
+    describe('/api/admin/users', () => {
+        it('lists accounts without password hashes', async () => {
+            const res = await server.request('GET', '/api/admin/users', { token: owner });
+            assert.equal(res.status, 200);
+            assert.deepEqual(res.body.users.map(user => user.username), ['admin', 'treasurer', 'viewer']);
+            assert.ok(res.body.users.every(user => user.passwordHash === undefined));
+            assert.deepEqual(res.body.roles, ['viewer', 'treasurer', 'owner']);
+        });
+
+        it('is only for owners', async () => {
+            const res = await server.request('GET', '/api/admin/users', { token: treasurer });
+            assert.equal(res.status, 403);
+            assert.equal(res.body.error, 'Forbidden - requires owner role');
+        });
+
+        it('rejects a duplicate or invalid account', async () => {
+            const duplicate = await server.request('POST', '/api/admin/users', {
+                token: owner,
+                body: { username: 'viewer', password: 'long-enough' },
+            });
+            assert.equal(duplicate.status, 409);
+
+            const short = await server.request('POST', '/api/admin/users', {
+                token: owner,
+                body: { username: 'someone', password: 'short' },
+            });
+            assert.equal(short.status, 400);
+        });
+
+        it('keeps at least one active owner', async () => {
+            const res = await server.request('PATCH', '/api/admin/users/admin', {
+                token: owner,
+                body: { role: 'viewer' },
+            });
+            assert.equal(res.status, 400);
+        });
+
+        it('answers 404 for an unknown account', async () => {
+            const res = await server.request('PATCH', '/api/admin/users/nobody', {
+                token: owner,
+                body: { disabled: true },
+            });
+            assert.equal(res.status, 404);
+        });
+
+        it('ends the sessions of a disabled account', async () => {
+            const res = await server.request('PATCH', '/api/admin/users/viewer', {
+                token: owner,
+                body: { disabled: true },
+            });
+            assert.equal(res.status, 200);
+            assert.equal(res.body.user.disabled, true);
+
+            const audit = await server.request('GET', '/api/audit', { token: viewer });
+            assert.equal(audit.status, 401);
+        });
+
+        it('resets a password and ends existing sessions', async () => {
+            const res = await server.request('POST', '/api/admin/users/treasurer/password', {
+                token: owner,
+                body: { password: 'new-treasurer-password' },
+            });
+            assert.equal(res.status, 200);
+            assert.ok(res.body.user.passwordChangedAt);
+
+            const verify = await server.request('POST', '/api/admin/verify', { token: treasurer });
+            assert.equal(verify.status, 401);
+
+            treasurer = await server.login('treasurer', 'new-treasurer-password');
+        });
+
+        it('answers 500 when GitHub fails to save the accounts', async t => {
+            t.mock.method(console, 'error', () => {});
+            server.github.failNext('PUT', 500, 'users.json');
+            const res = await server.request('POST', '/api/admin/users', {
+                token: owner,
+                body: { username: 'later', password: 'later-password' },
+            });
+            assert.equal(res.status, 500);
+            assert.equal(res.body.error, 'Failed to add user');
+        });
+    });
+
+    describe('roles', () => {
+        it('lets treasurers edit funds', async () => {
+            const res = await server.request('PATCH', '/api/summary', {
+                token: treasurer,
+                body: { pman: 731, version: '*' },
+            });
+            assert.equal(res.status, 200);
+
+            const audit = await server.request('GET', '/api/audit', { token: owner });
+            assert.equal(audit.body.entries[0].actor, 'treasurer');
+        });
+
+        it('answers 500 when the funds file is missing', async t => {
+            t.mock.method(console, 'error', () => {});
+            server.github.failNext('GET', 404, 'funds.json');
+            const res = await server.request('GET', '/api/reports/outstanding');
+            assert.equal(res.status, 500);
+            assert.equal(res.body.error, 'Failed to build outstanding report');
+        });
+    });
+
+    describe('/api/health', () => {
+        it('reports the storage in use', async () => {
+            const res = await server.request('GET', '/api/health');
+            assert.equal(res.status, 200);
+            assert.equal(res.body.status, 'OK');
+            assert.equal(res.body.storage, 'github');
+            assert.equal(res.body.stateStore, 'memory');
+        });
+    });
+});
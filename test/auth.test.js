@@ -0,0 +1,107 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, ADMIN_USERNAME, ADMIN_KEY } = require('./support/server');
+
+describe('admin sessions', () => {
+    let server;
+    let token;
+
+    before(async () => {
+        server = await startServer();
+        token = await server.login();
+    });
+
+    after(() => server.close());
+
+    it('creates the owner account on first login', () => {
+        const users = server.github.getFile('data/users.json');
+        assert.equal(users.users.length, 1);
+        assert.equal(users.users[0].username, ADMIN_USERNAME);
+        assert.equal(users.users[0].role, 'owner');
+        assert.notEqual(users.users[0].passwordHash, ADMIN_KEY);
+    });
+
+    it('verifies a valid session', async () => {
+        const res = await server.request('POST', '/api/admin/verify', { token });
+        assert.equal(res.status, 200);
+        assert.deepEqual(res.body, { valid: true, username: ADMIN_USERNAME, role: 'owner' });
+    });
+
+    it('rejects a tampered token', async () => {
+        const res = await server.request('POST', '/api/admin/verify', { token: `${token}x` });
+        assert.equal(res.status, 401);
+        assert.equal(res.body.valid, false);
+    });
+
+    it('refreshes a session', async () => {
+        const res = await server.request('POST', '/api/admin/refresh', { token });
+        assert.equal(res.status, 200);
+        assert.equal(res.body.username, ADMIN_USERNAME);
+        assert.ok(res.body.sessionToken);
+        assert.ok(res.body.expiresIn > 0);
+    });
+
+    it('refuses to refresh without a session', async () => {
+        const res = await server.request('POST', '/api/admin/refresh', { body: {} });
+        assert.equal(res.status, 401);
+    });
+
+    it('treats a session as expired after 30 minutes', async t => {
+        const now = Date.now();
+        t.mock.method(Date, 'now', () => now + 31 * 60 * 1000);
+
+        const verify = await server.request('POST', '/api/admin/verify', { token });
+        assert.equal(verify.status, 401);
+
+        const write = await server.request('PATCH', '/api/summary', { token, body: { pman: 1, version: '*' } });
+        assert.equal(write.status, 401);
+    });
+
+    it('ends every token of a session on logout', async () => {
+        const refreshed = (await server.request('POST', '/api/admin/refresh', { token })).body.sessionToken;
+
+        const res = await server.request('POST', '/api/admin/logout', { token });
+        assert.equal(res.status, 200);
+
+        const verify = await server.request('POST', '/api/admin/verify', { token: refreshed });
+        assert.equal(verify.status, 401);
+    });
+
+    it('accepts logout of an unknown token', async () => {
+        const res = await server.request('POST', '/api/admin/logout', { token: 'nope' });
+        assert.equal(res.status, 200);
+    });
+
+    it('rejects a wrong password', async () => {
+        const res = await server.request('POST', '/api/admin/login', {
+            body: { username: ADMIN_USERNAME, password: 'wrong-password' },
+        });
+        assert.equal(res.status, 401);
+        assert.equal(res.body.error, 'Invalid username or password');
+        assert.equal(res.body.sessionToken, undefined);
+    });
+
+    it('rejects an unknown user', async () => {
+        const res = await server.request('POST', '/api/admin/login', {
+            body: { username: 'nobody', password: ADMIN_KEY },
+        });
+        assert.equal(res.status, 401);
+    });
+
+    // Runs last: the three earlier attempts in this file count towards the limit
+    it('limits login attempts to 5 a minute per IP', async () => {
+        const statuses = [];
+        for (let i = 0; i < 3; i++) {
+            const res = await server.request('POST', '/api/admin/login', {
+                body: { username: ADMIN_USERNAME, password: ADMIN_KEY },
+            });
+            statuses.push(res.status);
+        }
+        assert.deepEqual(statuses, [200, 200, 429]);
+
+        const res = await server.request('POST', '/api/admin/login', {
+            body: { username: ADMIN_USERNAME, password: ADMIN_KEY },
+        });
+        assert.equal(res.body.error, 'Too many login attempts');
+    });
+});
@@ -0,0 +1,121 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFile } = require('child_process');
+const { createGithubMock } = require('./support/githubMock');
+
+const CLI = path.join(__dirname, '..', 'bin', 'tst.js');
+const SEED = path.join(__dirname, '..', 'data', 'funds.json');
+
+// Runs the CLI to completion and resolves with { code, stdout, stderr }
+function tst(args, env) {
+    return new Promise(resolve => {
+        execFile(process.execPath, [CLI, ...args], { env: { PATH: process.env.PATH, ...env }, timeout: 20000 },
+            (error, stdout, stderr) => resolve({ code: error ? error.code : 0, stdout, stderr }));
+    });
+}
+
+describe('tst command line', () => {
+    let dir;
+    let env;
+    const readFunds = () => JSON.parse(fs.readFileSync(path.join(dir, 'data', 'funds.json'), 'utf8'));
+
+    before(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'tst-cli-'));
+        fs.mkdirSync(path.join(dir, 'data'));
+        fs.copyFileSync(SEED, path.join(dir, 'data', 'funds.json'));
+        env = { STORAGE_DRIVER: 'local', LOCAL_DATA_DIR: dir };
+    });
+
+    after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+    it('lists funds', async () => {
+        const { code, stdout } = await tst(['funds', 'list'], env);
+        assert.equal(code, 0);
+        assert.match(stdout, /^KEY +TITLE +STATUS/);
+        assert.match(stdout, /pintura +PINTURA +open/);
+        assert.match(stdout, /Overall total: ₱/);
+    });
+
+    it('shows the changes of a dry run without writing them', async () => {
+        const before = fs.readFileSync(path.join(dir, 'data', 'funds.json'), 'utf8');
+        const { code, stdout } = await tst(['summary', 'set', 'pman', '800', '--dry-run'], env);
+        assert.equal(code, 0);
+        assert.match(stdout, /Would change data\/funds\.json \(local\)/);
+        assert.match(stdout, /- Set summary pman to 800 \(was 730\)/);
+        assert.match(stdout, /Dry run - nothing written/);
+        assert.equal(fs.readFileSync(path.join(dir, 'data', 'funds.json'), 'utf8'), before);
+    });
+
+    it('records payments in the ledger and audit trail', async () => {
+        const args = ['pay', 'pintura', 'Jess', '30', '--note', 'cash', '--as', 'treasurer'];
+        const { code, stdout } = await tst(args, env);
+        assert.equal(code, 0, stdout);
+        assert.match(stdout, /- Set Jess in pintura to 30 \(was 0\)/);
+
+        const data = readFunds();
+        assert.equal(data.funds.pintura.members.find(member => member.name === 'Jess').amount, 30);
+        const entry = data.ledger[data.ledger.length - 1];
+        assert.deepEqual([entry.member, entry.amount, entry.note, entry.admin], ['Jess', 30, 'cash', 'treasurer']);
+        const change = data.audit[data.audit.length - 1];
+        assert.equal(change.actor, 'treasurer');
+        assert.equal(change.action, 'tst pay pintura Jess 30');
+    });
+
+    it('adds and removes members and sets the summary', async () => {
+        assert.equal((await tst(['member', 'add', 'pintura', 'Nico'], env)).code, 0);
+        assert.ok(readFunds().funds.pintura.members.some(member => member.name === 'Nico'));
+        assert.equal((await tst(['member', 'remove', 'pintura', 'Nico'], env)).code, 0);
+        assert.ok(!readFunds().funds.pintura.members.some(member => member.name === 'Nico'));
+
+        assert.equal((await tst(['summary', 'set', 'hawak', '400'], env)).code, 0);
+        assert.equal(readFunds().summary.hawak, 400);
+    });
+
+    it('exports CSV and imports it back', async () => {
+        const csv = await tst(['export', '--csv', '--table', 'members'], env);
+        assert.match(csv.stdout, /^\uFEFF?Fund,Fund Key,Member,Amount,Target,Balance/);
+
+        const file = path.join(dir, 'import.csv');
+        fs.writeFileSync(file, 'Fund,Member,Amount\npintura,Reb,25\n');
+        const { code, stdout } = await tst(['import', file, '--dry-run'], env);
+        assert.equal(code, 0);
+        assert.match(stdout, /- Set Reb in pintura to 25/);
+    });
+
+    it('rejects invalid edits without writing', async () => {
+        const before = fs.readFileSync(path.join(dir, 'data', 'funds.json'), 'utf8');
+        const unknown = await tst(['pay', 'nowhere', 'Jess', '10'], env);
+        assert.equal(unknown.code, 1);
+        assert.match(unknown.stderr, /Error: Fund not found/);
+
+        const negative = await tst(['summary', 'set', 'pman', '-5'], env);
+        assert.match(negative.stderr, /P.MAN must be a non-negative number/);
+        assert.match((await tst(['member', 'add', 'pintura'], env)).stderr, /Usage: tst member add <fund> <name>/);
+        assert.match((await tst(['frobnicate'], env)).stderr, /Unknown command "frobnicate"/);
+        assert.equal(fs.readFileSync(path.join(dir, 'data', 'funds.json'), 'utf8'), before);
+    });
+
+    it('works against the GitHub store', async () => {
+        const github = createGithubMock();
+        github.setFile('data/funds.json', JSON.parse(fs.readFileSync(SEED, 'utf8')));
+        const server = github.app.listen(0, '127.0.0.1');
+        await new Promise(resolve => server.once('listening', resolve));
+
+        try {
+            const { code, stdout } = await tst(['summary', 'set', 'pman', '731', '--storage', 'github'], {
+                GITHUB_TOKEN: github.token,
+                GITHUB_REPO: github.repo,
+                GITHUB_API_URL: `http://127.0.0.1:${server.address().port}`,
+            });
+            assert.equal(code, 0, stdout);
+            assert.equal(github.getFile('data/funds.json').summary.pman, 731);
+            const message = `Set summary pman to 731 (by cli:${os.userInfo().username})`;
+            assert.equal(github.commits[0].message, message);
+        } finally {
+            server.close();
+        }
+    });
+});
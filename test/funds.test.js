@@ -0,0 +1,262 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer } = require('./support/server');
+
+describe('funds', () => {
+    let server;
+    let token;
+    let write;
+
+    before(async () => {
+        server = await startServer();
+        token = await server.login();
+        write = server.writer(token);
+    });
+
+    after(() => server.close());
+
+    describe('GET /api/funds', () => {
+        it('returns the public document with its version as ETag', async () => {
+            const res = await server.request('GET', '/api/funds');
+            assert.equal(res.status, 200);
+            assert.ok(res.headers.get('etag'));
+            assert.deepEqual(Object.keys(res.body.funds), ['ns', 'la', 'pintura']);
+            assert.equal(res.body.ledger, undefined);
+            assert.equal(res.body.audit, undefined);
+            assert.equal(res.body.funds.ns.members[0].id, 'reb');
+        });
+
+        it('answers 304 when the ETag still matches', async () => {
+            const first = await server.request('GET', '/api/funds');
+            const res = await server.request('GET', '/api/funds', {
+                headers: { 'If-None-Match': first.headers.get('etag') },
+            });
+            assert.equal(res.status, 304);
+        });
+
+        it('gives signed-in users and visitors different ETags', async () => {
+            const visitor = await server.request('GET', '/api/funds');
+            const admin = await server.request('GET', '/api/funds', { token });
+            assert.notEqual(admin.headers.get('etag'), visitor.headers.get('etag'));
+            assert.equal(visitor.headers.get('vary'), 'Cookie, Authorization');
+            assert.equal(visitor.headers.get('cache-control'), 'private, no-cache');
+
+            const signedOut = await server.request('GET', '/api/funds', {
+                headers: { 'If-None-Match': admin.headers.get('etag') },
+            });
+            assert.equal(signedOut.status, 200);
+            const signedIn = await server.request('GET', '/api/funds', {
+                token,
+                headers: { 'If-None-Match': visitor.headers.get('etag') },
+            });
+            assert.equal(signedIn.status, 200);
+        });
+
+        it('seeds the same opening entries on every read until the document is saved', async () => {
+            const first = await server.request('GET', '/api/funds/ns/ledger');
+            const second = await server.request('GET', '/api/funds/ns/ledger');
+            assert.equal(first.body.entries[0].type, 'opening');
+            assert.equal(first.body.entries[0].timestamp, '1970-01-01T00:00:00.000Z');
+            assert.deepEqual(second.body.entries, first.body.entries);
+        });
+
+        it('filters by status', async () => {
+            const res = await server.request('GET', '/api/funds?status=closed');
+            assert.deepEqual(res.body.funds, {});
+        });
+
+        it('answers 500 when GitHub fails', async t => {
+            t.mock.method(console, 'error', () => {});
+            server.github.failNext('GET');
+            const res = await server.request('GET', '/api/funds');
+            assert.equal(res.status, 500);
+            assert.equal(res.body.error, 'Failed to read funds');
+        });
+    });
+
+    describe('versioned writes', () => {
+        it('needs a session', async () => {
+            const res = await server.request('PATCH', '/api/summary', { body: { pman: 1, version: '*' } });
+            assert.equal(res.status, 401);
+        });
+
+        it('needs a version', async () => {
+            const res = await server.request('PATCH', '/api/summary', { token, body: { pman: 1 } });
+            assert.equal(res.status, 428);
+        });
+
+        it('writes with a current If-Match and returns the new ETag', async () => {
+            const current = await server.request('GET', '/api/funds');
+            const res = await server.request('PATCH', '/api/summary', {
+                token,
+                body: { pman: 740 },
+                headers: { 'If-Match': current.headers.get('etag') },
+            });
+            assert.equal(res.status, 200);
+            assert.deepEqual(res.body.summary, { pman: 740, hawak: 375 });
+            assert.notEqual(res.headers.get('etag'), current.headers.get('etag'));
+            assert.equal(server.github.getFile('data/funds.json').summary.pman, 740);
+        });
+
+        it('answers 409 with the current document for a stale version', async () => {
+            const res = await server.request('PATCH', '/api/summary', {
+                token,
+                body: { pman: 1 },
+                headers: { 'If-Match': '"0000000000000000000000000000000000000000"' },
+            });
+            assert.equal(res.status, 409);
+            assert.equal(res.body.details.current.summary.pman, 740);
+            assert.ok(res.body.details.version);
+        });
+
+        it('answers 409 when GitHub rejects the sha', async () => {
+            server.github.failNext('PUT', 409);
+            const res = await write('PATCH', '/api/summary', { hawak: 1 });
+            assert.equal(res.status, 409);
+            assert.equal(server.github.getFile('data/funds.json').summary.hawak, 375);
+        });
+
+        it('answers 500 when GitHub fails to save', async t => {
+            t.mock.method(console, 'error', () => {});
+            server.github.failNext('PUT', 500);
+            const res = await write('PATCH', '/api/summary', { hawak: 1 });
+            assert.equal(res.status, 500);
+            assert.equal(res.body.error, 'Failed to update summary');
+        });
+
+        it('rejects an invalid summary', async () => {
+            const res = await write('PATCH', '/api/summary', { pman: -5 });
+            assert.equal(res.status, 400);
+        });
+    });
+
+    describe('POST /api/funds', () => {
+        it('replaces funds and records changed amounts in the ledger', async () => {
+            const { body: current } = await server.request('GET', '/api/funds');
+            current.funds.pintura.members[0].amount = 30;
+
+            const res = await write('POST', '/api/funds', { data: current });
+            assert.equal(res.status, 200);
+
+            const ledger = await server.request('GET', '/api/funds/pintura/ledger?member=Jess');
+            assert.equal(ledger.body.entries.at(-1).amount, 30);
+        });
+
+        it('rejects an invalid document', async () => {
+            const res = await write('POST', '/api/funds', { data: { funds: { x: { title: '' } } } });
+            assert.equal(res.status, 400);
+            assert.ok(res.body.details.length > 0);
+        });
+    });
+
+    describe('fund routes', () => {
+        it('lists the ledger of a fund', async () => {
+            const res = await server.request('GET', '/api/funds/ns/ledger');
+            assert.equal(res.status, 200);
+            assert.equal(res.body.fund, 'ns');
+            assert.ok(res.body.entries.length > 0);
+        });
+
+        it('answers 404 for the ledger of an unknown fund', async () => {
+            const res = await server.request('GET', '/api/funds/nope/ledger');
+            assert.equal(res.status, 404);
+        });
+
+        it('records a payment', async () => {
+            const res = await write('POST', '/api/funds/la/contributions', { member: 'Reb', amount: 10 });
+            assert.equal(res.status, 201);
+            assert.equal(res.body.amount, 25);
+            assert.equal(res.body.entry.admin, 'admin');
+        });
+
+        it('rejects a payment for an unknown member', async () => {
+            const res = await write('POST', '/api/funds/la/contributions', { member: 'Nobody', amount: 10 });
+            assert.equal(res.status, 404);
+        });
+
+        it('creates, updates and deletes a fund', async () => {
+            const created = await write('POST', '/api/funds/party', { title: 'PARTY', target: 50 });
+            assert.equal(created.status, 201);
+            assert.equal(created.body.fund.status, 'open');
+
+            const duplicate = await write('POST', '/api/funds/party', { title: 'PARTY', target: 50 });
+            assert.equal(duplicate.status, 409);
+
+            const updated = await write('PATCH', '/api/funds/party', { target: 60, dueDate: '2026-12-01' });
+            assert.equal(updated.status, 200);
+            assert.equal(updated.body.fund.target, 60);
+            assert.equal(updated.body.fund.dueDate, '2026-12-01');
+
+            const removed = await write('DELETE', '/api/funds/party');
+            assert.equal(removed.status, 200);
+            assert.equal(server.github.getFile('data/funds.json').funds.party, undefined);
+        });
+
+        it('answers 404 when updating an unknown fund', async () => {
+            const res = await write('PATCH', '/api/funds/nope', { target: 1 });
+            assert.equal(res.status, 404);
+        });
+
+        it('starts the next period of a recurring fund with carry-over', async () => {
+            await write('POST', '/api/funds/dues', {
+                title: 'DUES', target: 20, recurrence: 'monthly', periodStart: '2026-10-01',
+            });
+            await write('POST', '/api/funds/dues/members', { name: 'Reb' });
+
+            const res = await write('POST', '/api/funds/dues/next-period');
+            assert.equal(res.status, 201);
+            assert.equal(res.body.key, 'dues-2026-11');
+            assert.equal(res.body.fund.members[0].carryOver, 20);
+
+            const closed = await write('POST', '/api/funds/dues/contributions', { member: 'Reb', amount: 5 });
+            assert.equal(closed.status, 409);
+        });
+
+        it('refuses the next period of a one-off fund', async () => {
+            const res = await write('POST', '/api/funds/ns/next-period');
+            assert.equal(res.status, 400);
+        });
+
+        it('adds, renames and removes a member', async () => {
+            const added = await write('POST', '/api/funds/pintura/members', { name: 'Newbie' });
+            assert.equal(added.status, 201);
+            assert.equal(added.body.member.amount, 0);
+
+            const renamed = await write('PATCH', '/api/funds/pintura/members/Newbie', { name: 'Oldie', amount: 10 });
+            assert.equal(renamed.status, 200);
+            assert.equal(renamed.body.member.name, 'Oldie');
+            assert.equal(renamed.body.member.amount, 10);
+
+            const removed = await write('DELETE', '/api/funds/pintura/members/Oldie');
+            assert.equal(removed.status, 200);
+
+            const missing = await write('DELETE', '/api/funds/pintura/members/Oldie');
+            assert.equal(missing.status, 404);
+        });
+    });
+
+    describe('GET /api/events', () => {
+        it('streams a change event after a write', async () => {
+            const controller = new AbortController();
+            const res = await fetch(`${server.url}/api/events`, { signal: controller.signal });
+            assert.match(res.headers.get('content-type'), /^text\/event-stream/);
+
+            const reader = res.body.getReader();
+            const decoder = new TextDecoder();
+            let received = '';
+            const event = (async () => {
+                while (!/event: change\ndata: .*\n\n/.test(received)) {
+                    received += decoder.decode((await reader.read()).value);
+                }
+            })();
+
+            await write('PATCH', '/api/summary', { hawak: 380 });
+            await event;
+            controller.abort();
+
+            const data = JSON.parse(received.match(/event: change\ndata: (.*)\n/)[1]);
+            assert.deepEqual(data.changes.map(change => change.type), ['summary.hawak']);
+            assert.deepEqual(data.summary, { pman: 740, hawak: 380 });
+        });
+    });
+});
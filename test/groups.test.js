@@ -0,0 +1,181 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer } = require('./support/server');
+
+describe('groups', () => {
+    let server;
+    let token;
+    let surToken;
+
+    const surOwner = { username: 'sur-owner', password: 'sur-owner-password' };
+    const addGroup = body => server.request('POST', '/api/groups', { token, body });
+
+    before(async () => {
+        server = await startServer();
+        token = await server.login();
+    });
+
+    after(() => server.close());
+
+    describe('the default group', () => {
+        it('keeps the original branding', async () => {
+            const res = await server.request('GET', '/api/group');
+            assert.equal(res.status, 200);
+            assert.equal(res.body.group.slug, 'tst');
+            assert.equal(res.body.group.title, 'TEMPLE STREET TRECE');
+            assert.equal(res.body.group.logo, '/tst.jpeg');
+            assert.equal(res.body.group.default, true);
+        });
+
+        it('is listed before any group is added', async () => {
+            const res = await server.request('GET', '/api/groups');
+            assert.deepEqual(res.body.groups.map(group => group.slug), ['tst']);
+        });
+    });
+
+    describe('POST /api/groups', () => {
+        it('is only for owners of the default group', async () => {
+            const res = await server.request('POST', '/api/groups', { body: { slug: 'sur', title: 'SUR' } });
+            assert.equal(res.status, 401);
+        });
+
+        it('rejects a bad or reserved slug, a bad logo or a short password', async () => {
+            const invalid = [
+                { slug: 'Sur Side', title: 'SUR', owner: surOwner },
+                { slug: 'api', title: 'SUR', owner: surOwner },
+                { slug: 'sur', title: 'SUR', logo: 'javascript:alert(1)', owner: surOwner },
+                { slug: 'sur', title: 'SUR', owner: { username: 'sur-owner', password: 'short' } },
+            ];
+            for (const body of invalid) assert.equal((await addGroup(body)).status, 400);
+            assert.equal(server.github.getFile('data/groups.json'), undefined);
+        });
+
+        it('adds a group with its own documents and first owner', async () => {
+            const res = await addGroup({
+                slug: 'sur',
+                title: 'SOUTHSIDE CHAPTER',
+                logo: 'https://example.com/sur.png',
+                about: 'First paragraph.\n\nSecond paragraph.',
+                owner: surOwner,
+            });
+            assert.equal(res.status, 201);
+            assert.equal(res.body.path, '/g/sur');
+            assert.deepEqual(res.body.group.about, ['First paragraph.', 'Second paragraph.']);
+
+            assert.equal(server.github.getFile('data/groups.json').groups.sur.title, 'SOUTHSIDE CHAPTER');
+            assert.deepEqual(server.github.getFile('data/groups/sur/funds.json').funds, {});
+            const { users } = server.github.getFile('data/groups/sur/users.json');
+            assert.deepEqual(users.map(user => [user.username, user.role]), [['sur-owner', 'owner']]);
+        });
+
+        it('refuses a slug already in use', async () => {
+            assert.equal((await addGroup({ slug: 'sur', title: 'AGAIN', owner: surOwner })).status, 409);
+            assert.equal((await addGroup({ slug: 'tst', title: 'AGAIN', owner: surOwner })).status, 409);
+        });
+    });
+
+    describe('/api/g/:slug', () => {
+        before(async () => {
+            surToken = await server.login(surOwner.username, surOwner.password, { group: 'sur' });
+        });
+
+        it('serves the group\'s own funds', async () => {
+            const created = await server.request('POST', '/api/g/sur/funds/dues', {
+                token: surToken,
+                body: { title: 'DUES', target: 50, version: '*' },
+            });
+            assert.equal(created.status, 201);
+
+            const sur = await server.request('GET', '/api/g/sur/funds');
+            assert.deepEqual(Object.keys(sur.body.funds), ['dues']);
+            const tst = await server.request('GET', '/api/funds');
+            assert.deepEqual(Object.keys(tst.body.funds), ['ns', 'la', 'pintura']);
+        });
+
+        it('answers 404 for an unknown group', async () => {
+            const res = await server.request('GET', '/api/g/nowhere/funds');
+            assert.equal(res.status, 404);
+            assert.equal(res.body.error, 'Group not found');
+        });
+
+        it('only accepts sessions of the group\'s own admins', async () => {
+            const audit = await server.request('GET', '/api/g/sur/audit', { token });
+            assert.equal(audit.status, 401);
+            assert.equal((await server.request('GET', '/api/audit', { token: surToken })).status, 401);
+            assert.equal((await server.request('GET', '/api/g/sur/audit', { token: surToken })).status, 200);
+
+            const res = await server.request('POST', '/api/g/sur/admin/login', {
+                body: { username: 'admin', password: 'test-admin-key' },
+            });
+            assert.equal(res.status, 401);
+        });
+
+        it('lets the group\'s owners change its branding', async () => {
+            const res = await server.request('PATCH', '/api/g/sur/group', {
+                token: surToken,
+                body: { subtitle: 'Southside Varrio' },
+            });
+            assert.equal(res.status, 200);
+            assert.equal(res.body.group.subtitle, 'Southside Varrio');
+            assert.equal(res.body.group.title, 'SOUTHSIDE CHAPTER');
+
+            const blank = await server.request('PATCH', '/api/g/sur/group', { token: surToken, body: { title: ' ' } });
+            assert.equal(blank.status, 400);
+        });
+
+        it('numbers receipts and makes share links under the group', async () => {
+            await server.request('POST', '/api/g/sur/funds/dues/members', {
+                token: surToken,
+                body: { name: 'Nico', version: '*' },
+            });
+            const paid = await server.request('POST', '/api/g/sur/funds/dues/contributions', {
+                token: surToken,
+                body: { member: 'Nico', amount: 50, version: '*' },
+            });
+            const receipt = await server.request('GET', `/api/g/sur/receipts/${paid.body.entry.id}?format=json`);
+            assert.equal(receipt.body.number, 'SUR-DUES-000001');
+
+            const link = await server.request('POST', '/api/g/sur/funds/dues/share-link', {
+                token: surToken,
+                body: { version: '*' },
+            });
+            assert.equal(link.body.path, `/g/sur/f/${link.body.shareToken}`);
+
+            const page = await server.request('GET', link.body.path);
+            assert.equal(page.status, 200);
+            assert.match(page.text, /SOUTHSIDE CHAPTER · read-only view/);
+            assert.equal((await server.request('GET', `/f/${link.body.shareToken}`)).status, 404);
+        });
+    });
+
+    describe('pages', () => {
+        it('serve the app for a group', async () => {
+            const res = await server.request('GET', '/g/sur');
+            assert.equal(res.status, 200);
+            assert.match(res.text, /<script src="\/app.js"><\/script>/);
+        });
+
+        it('link a manifest that keeps the installed app on the group', async () => {
+            const page = await server.request('GET', '/g/sur/');
+            assert.match(page.text, /<link rel="manifest" href="\/g\/sur\/manifest.webmanifest">/);
+
+            const res = await server.request('GET', '/g/sur/manifest.webmanifest');
+            assert.equal(res.status, 200);
+            assert.match(res.headers.get('content-type'), /^application\/manifest\+json/);
+            const manifest = JSON.parse(res.text);
+            assert.equal(manifest.start_url, '/g/sur/');
+            assert.equal(manifest.scope, '/g/sur/');
+            assert.equal(manifest.name, 'SOUTHSIDE CHAPTER - Funds');
+
+            const home = JSON.parse((await server.request('GET', '/manifest.webmanifest')).text);
+            assert.equal(home.start_url, '/');
+            assert.equal(home.short_name, 'TST Funds');
+        });
+
+        it('answer 404 for an unknown group', async () => {
+            const res = await server.request('GET', '/g/nowhere');
+            assert.equal(res.status, 404);
+            assert.match(res.text, /There is no group here/);
+        });
+    });
+});
@@ -0,0 +1,167 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer } = require('./support/server');
+
+describe('audit trail and snapshots', () => {
+    let server;
+    let token;
+    let write;
+
+    const summary = () => server.github.getFile('data/funds.json').summary;
+
+    before(async () => {
+        server = await startServer();
+        token = await server.login();
+        write = server.writer(token);
+        await write('PATCH', '/api/summary', { pman: 800 });
+        await write('PATCH', '/api/funds/ns/members/Leevan', { amount: 75 });
+    });
+
+    after(() => server.close());
+
+    describe('/api/audit', () => {
+        it('needs a session', async () => {
+            const res = await server.request('GET', '/api/audit');
+            assert.equal(res.status, 401);
+        });
+
+        it('lists changes newest first', async () => {
+            const res = await server.request('GET', '/api/audit', { token });
+            assert.equal(res.status, 200);
+            assert.deepEqual(res.body.entries.map(entry => entry.changes[0].type), ['member.amount', 'summary.pman']);
+            assert.equal(res.body.entries[0].actor, 'admin');
+        });
+
+        it('filters by fund and member', async () => {
+            const res = await server.request('GET', '/api/audit?fund=ns&member=Leevan', { token });
+            assert.equal(res.body.entries.length, 1);
+        });
+
+        it('reverts a single entry', async t => {
+            const logged = t.mock.method(console, 'log', () => {});
+            const { body } = await server.request('GET', '/api/audit?fund=ns', { token });
+            const res = await write('POST', `/api/audit/${body.entries[0].id}/revert`);
+            assert.equal(res.status, 200);
+            assert.equal(res.body.reverted, body.entries[0].id);
+
+            const { funds, audit } = server.github.getFile('data/funds.json');
+            assert.equal(funds.ns.members.find(member => member.name === 'Leevan').amount, 0);
+            assert.equal(audit.at(-1).revertOf, body.entries[0].id);
+
+            const events = logged.mock.calls.map(call => JSON.parse(call.arguments[0]));
+            const change = events.find(event => event.event === 'funds.changed');
+            assert.equal(change.audit, audit.at(-1).id);
+            assert.ok(change.ip);
+        });
+
+        it('keeps addresses out of the audit trail', () => {
+            const { audit } = server.github.getFile('data/funds.json');
+            assert.ok(audit.length > 0);
+            assert.ok(audit.every(entry => !('ip' in entry)));
+        });
+
+        it('answers 404 when reverting an unknown entry', async () => {
+            const res = await write('POST', '/api/audit/nope/revert');
+            assert.equal(res.status, 404);
+        });
+    });
+
+    describe('/api/snapshots', () => {
+        let snapshots;
+
+        before(async () => {
+            snapshots = (await server.request('GET', '/api/snapshots', { token })).body.snapshots;
+        });
+
+        it('lists the commits of the funds file', () => {
+            assert.equal(snapshots.length, 4);
+            assert.equal(snapshots.at(-1).message, 'Seed');
+        });
+
+        it('reads one snapshot without the ledger', async () => {
+            const res = await server.request('GET', `/api/snapshots/${snapshots.at(-1).id}`, { token });
+            assert.equal(res.status, 200);
+            assert.equal(res.body.data.summary.pman, 730);
+            assert.equal(res.body.data.ledger, undefined);
+        });
+
+        it('answers 404 for an unknown snapshot', async () => {
+            const res = await server.request('GET', `/api/snapshots/${'0'.repeat(40)}`, { token });
+            assert.equal(res.status, 404);
+        });
+
+        it('compares a snapshot with the current document', async () => {
+            const res = await server.request('GET', `/api/snapshots/compare?from=${snapshots.at(-1).id}`, { token });
+            assert.equal(res.status, 200);
+            assert.equal(res.body.to, 'current');
+            assert.ok(res.body.changes.some(change => change.type === 'summary.pman'));
+        });
+
+        it('needs from to compare', async () => {
+            const res = await server.request('GET', '/api/snapshots/compare', { token });
+            assert.equal(res.status, 400);
+        });
+
+        it('finds the snapshot at a date', async () => {
+            const res = await server.request('GET', `/api/snapshots/at/${new Date().toISOString()}`, { token });
+            assert.equal(res.status, 200);
+            assert.equal(res.body.snapshot.id, snapshots[0].id);
+
+            const early = await server.request('GET', '/api/snapshots/at/2000-01-01', { token });
+            assert.equal(early.status, 404);
+
+            const invalid = await server.request('GET', '/api/snapshots/at/someday', { token });
+            assert.equal(invalid.status, 400);
+        });
+
+        it('restores a snapshot as a new change', async () => {
+            const res = await write('POST', `/api/snapshots/${snapshots.at(-1).id}/restore`);
+            assert.equal(res.status, 200);
+            assert.equal(summary().pman, 730);
+
+            const audit = await server.request('GET', '/api/audit', { token });
+            assert.equal(audit.body.entries[0].changes[0].type, 'summary.pman');
+            assert.equal(audit.body.entries[0].revertOf, snapshots.at(-1).id);
+        });
+
+        it('answers 500 when GitHub fails to list commits', async t => {
+            t.mock.method(console, 'error', () => {});
+            server.github.failNext('GET', 502, '/commits');
+            const res = await server.request('GET', '/api/snapshots', { token });
+            assert.equal(res.status, 500);
+            assert.equal(res.body.error, 'Failed to list snapshots');
+        });
+    });
+
+    describe('audit trail size', () => {
+        it('keeps only the newest 500 entries', async () => {
+            const doc = server.github.getFile('data/funds.json');
+            const old = doc.audit[0];
+            doc.audit = Array.from({ length: 500 }, (_, idx) => ({ ...old, id: `old-${idx}` }));
+            server.github.setFile('data/funds.json', doc, 'Long audit trail');
+
+            await write('PATCH', '/api/summary', { hawak: 10 });
+            const { audit } = server.github.getFile('data/funds.json');
+            assert.equal(audit.length, 500);
+            assert.equal(audit[0].id, 'old-1');
+            assert.equal(audit.at(-1).changes[0].type, 'summary.hawak');
+        });
+    });
+
+    describe('funds document size', () => {
+        it('refuses a write GitHub could not store', async () => {
+            const doc = server.github.getFile('data/funds.json');
+            const [opening] = doc.ledger;
+            doc.ledger = doc.ledger.concat(Array.from({ length: 3000 }, (_, idx) => (
+                { ...opening, id: `entry-${idx}`, note: 'x'.repeat(200) }
+            )));
+            server.github.setFile('data/funds.json', doc, 'Long ledger');
+            const commits = server.github.commits.length;
+
+            const res = await write('PATCH', '/api/summary', { hawak: 20 });
+            assert.equal(res.status, 507);
+            assert.match(res.body.error, /^Saving would make data\/funds\.json \d+ KB, more than the 1024 KB/);
+            assert.equal(server.github.commits.length, commits);
+        });
+    });
+});
@@ -0,0 +1,135 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer } = require('./support/server');
+
+describe('receipts and statements', () => {
+    let server;
+    let token;
+    let write;
+    let jess;
+    let reb;
+    let hidden;
+
+    const pay = async (fund, member, amount, note) => (
+        (await write('POST', `/api/funds/${fund}/contributions`, { member, amount, note })).body.entry
+    );
+
+    before(async () => {
+        server = await startServer();
+        token = await server.login();
+        write = server.writer(token);
+        jess = await pay('pintura', 'Jess', 30, 'cash <on hand>');
+        reb = await pay('pintura', 'Reb', 10);
+        hidden = await pay('la', 'Reb', 60);
+        await write('PATCH', '/api/funds/la', { visibility: 'private' });
+    });
+
+    after(() => server.close());
+
+    describe('GET /api/receipts/:id', () => {
+        it('numbers payments per fund in the order they were recorded', async () => {
+            const first = await server.request('GET', `/api/receipts/${jess.id}?format=json`);
+            assert.equal(first.status, 200);
+            assert.equal(first.body.number, 'TST-PINTURA-000001');
+            assert.deepEqual(first.body.member, { id: 'jess', name: 'Jess' });
+            assert.equal(first.body.fund.title, 'PINTURA');
+            assert.equal(first.body.admin, 'admin');
+
+            const second = await server.request('GET', `/api/receipts/${reb.id}?format=json`);
+            assert.equal(second.body.number, 'TST-PINTURA-000002');
+        });
+
+        it('renders a printable page', async () => {
+            const res = await server.request('GET', `/api/receipts/${jess.id}`);
+            assert.equal(res.status, 200);
+            assert.match(res.headers.get('content-type'), /^text\/html/);
+            assert.equal(res.headers.get('cache-control'), 'no-store');
+            assert.match(res.text, /Official receipt TST-PINTURA-000001/);
+            assert.match(res.text, /₱30\.00/);
+            assert.match(res.text, /cash &lt;on hand&gt;/);
+        });
+
+        it('downloads a PDF', async () => {
+            const res = await server.request('GET', `/api/receipts/${jess.id}?format=pdf`);
+            assert.equal(res.status, 200);
+            assert.equal(res.headers.get('content-type'), 'application/pdf');
+            const disposition = 'attachment; filename="receipt-TST-PINTURA-000001.pdf"';
+            assert.equal(res.headers.get('content-disposition'), disposition);
+            assert.ok(res.text.startsWith('%PDF-1.4'));
+            assert.ok(res.text.trimEnd().endsWith('%%EOF'));
+            assert.match(res.text, /\(PHP 30\.00\) Tj/);
+        });
+
+        it('are only made for payments', async () => {
+            const { body } = await server.request('GET', '/api/funds/ns/ledger', { token });
+            const opening = body.entries.find(entry => entry.type === 'opening');
+            assert.equal((await server.request('GET', `/api/receipts/${opening.id}`)).status, 404);
+            assert.equal((await server.request('GET', '/api/receipts/unknown')).status, 404);
+        });
+
+        it('hide payments into hidden funds from visitors', async () => {
+            assert.equal((await server.request('GET', `/api/receipts/${hidden.id}`)).status, 404);
+            const res = await server.request('GET', `/api/receipts/${hidden.id}?format=json`, { token });
+            assert.equal(res.status, 200);
+            assert.equal(res.body.number, 'TST-LA-000001');
+        });
+
+        it('rejects an unknown format', async () => {
+            const res = await server.request('GET', `/api/receipts/${jess.id}?format=docx`);
+            assert.equal(res.status, 400);
+        });
+    });
+
+    describe('GET /api/statements', () => {
+        it('lists a member\'s entries across funds with their balances', async () => {
+            const res = await server.request('GET', '/api/statements?member=reb&format=json', { token });
+            assert.equal(res.status, 200);
+            assert.equal(res.body.subject, 'Reb');
+            assert.equal(res.body.opening, 0);
+            assert.equal(res.body.closing, 75 + 15 + 60 + 10);
+            assert.deepEqual(res.body.balances.map(balance => [balance.fund, balance.paid, balance.owed]), [
+                ['ns', 75, 0],
+                ['la', 75, 0],
+                ['pintura', 10, 20],
+            ]);
+            const payment = res.body.entries.find(entry => entry.id === reb.id);
+            assert.equal(payment.receipt, 'TST-PINTURA-000002');
+        });
+
+        it('counts entries before the range as already recorded', async () => {
+            const query = 'fund=pintura&from=2999-01-01&to=2999-12-31&format=json';
+            const res = await server.request('GET', `/api/statements?${query}`);
+            assert.equal(res.body.entries.length, 0);
+            assert.equal(res.body.total, 0);
+            assert.equal(res.body.opening, 60 + 30 + 10);
+        });
+
+        it('renders a member in one fund as a page and a PDF', async () => {
+            const page = await server.request('GET', '/api/statements?member=jess&fund=pintura');
+            assert.equal(page.status, 200);
+            assert.match(page.text, /Statement: Jess - PINTURA/);
+            assert.match(page.text, /TST-PINTURA-000001/);
+
+            const query = 'member=jess&fund=pintura&from=2026-01-01&to=2026-01-31&format=pdf';
+            const pdf = await server.request('GET', `/api/statements?${query}`);
+            assert.equal(pdf.headers.get('content-disposition'),
+                'attachment; filename="statement-jess-pintura-2026-01-01-2026-01-31.pdf"');
+            assert.ok(pdf.text.startsWith('%PDF-1.4'));
+        });
+
+        it('leaves hidden funds out for visitors', async () => {
+            const res = await server.request('GET', '/api/statements?member=reb&format=json');
+            assert.ok(!res.body.balances.some(balance => balance.fund === 'la'));
+            assert.ok(!res.body.entries.some(entry => entry.fund === 'la'));
+            assert.equal((await server.request('GET', '/api/statements?fund=la')).status, 404);
+        });
+
+        it('rejects a missing subject or a bad range', async () => {
+            assert.equal((await server.request('GET', '/api/statements')).status, 400);
+            assert.equal((await server.request('GET', '/api/statements?fund=ns&from=yesterday')).status, 400);
+            const reversed = await server.request('GET', '/api/statements?fund=ns&from=2026-02-01&to=2026-01-01');
+            assert.equal(reversed.status, 400);
+            assert.equal((await server.request('GET', '/api/statements?member=nobody')).status, 404);
+        });
+    });
+});
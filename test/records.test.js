@@ -0,0 +1,244 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer } = require('./support/server');
+
+describe('expenses, members, reports and spreadsheets', () => {
+    let server;
+    let token;
+    let write;
+
+    before(async () => {
+        server = await startServer();
+        token = await server.login();
+        write = server.writer(token);
+    });
+
+    after(() => server.close());
+
+    describe('/api/expenses', () => {
+        let expenseId;
+
+        it('adds an expense', async () => {
+            const res = await write('POST', '/api/expenses', {
+                date: '2026-10-01', amount: 100, fund: 'ns', description: 'Paint', holder: 'pman',
+            });
+            assert.equal(res.status, 201);
+            assert.equal(res.body.expense.admin, 'admin');
+            expenseId = res.body.expense.id;
+        });
+
+        it('rejects an expense for an unknown fund', async () => {
+            const res = await write('POST', '/api/expenses', { amount: 5, fund: 'nope', description: 'x' });
+            assert.equal(res.status, 400);
+        });
+
+        it('needs a session to add an expense', async () => {
+            const res = await server.request('POST', '/api/expenses', {
+                body: { amount: 5, fund: 'ns', description: 'x', version: '*' },
+            });
+            assert.equal(res.status, 401);
+        });
+
+        it('lists expenses publicly, optionally for one fund', async () => {
+            const all = await server.request('GET', '/api/expenses');
+            assert.equal(all.status, 200);
+            assert.equal(all.body.expenses.length, 1);
+
+            const other = await server.request('GET', '/api/expenses?fund=la');
+            assert.deepEqual(other.body.expenses, []);
+        });
+
+        it('updates an expense', async () => {
+            const res = await write('PATCH', `/api/expenses/${expenseId}`, { amount: 120 });
+            assert.equal(res.status, 200);
+            assert.equal(res.body.expense.amount, 120);
+        });
+
+        it('shows the expense in the reconciliation', async () => {
+            const res = await server.request('GET', '/api/reports/reconciliation');
+            assert.equal(res.status, 200);
+            assert.equal(res.body.spent.total, 120);
+            assert.equal(res.body.spent.pman, 120);
+            assert.equal(res.body.balanced, false);
+        });
+
+        it('deletes an expense', async () => {
+            const res = await write('DELETE', `/api/expenses/${expenseId}`);
+            assert.equal(res.status, 200);
+
+            const missing = await write('DELETE', `/api/expenses/${expenseId}`);
+            assert.equal(missing.status, 404);
+        });
+    });
+
+    describe('/api/members', () => {
+        it('lists the directory without contact details for visitors', async () => {
+            await write('PATCH', '/api/members/reb', { contact: '0917 000 0000' });
+
+            const visitor = await server.request('GET', '/api/members');
+            assert.equal(visitor.status, 200);
+            assert.equal(visitor.body.members.find(member => member.id === 'reb').contact, undefined);
+
+            const admin = await server.request('GET', '/api/members', { token });
+            assert.equal(admin.body.members.find(member => member.id === 'reb').contact, '0917 000 0000');
+        });
+
+        it('keeps contact details out of the funds document', async () => {
+            const stored = JSON.stringify(server.github.getFile('data/funds.json'));
+            assert.ok(!stored.includes('0917 000 0000'));
+            assert.equal(server.github.getFile('data/contacts.json').contacts.reb, '0917 000 0000');
+        });
+
+        it('moves contact details of older documents to the contacts document', async () => {
+            const doc = server.github.getFile('data/funds.json');
+            doc.schemaVersion = 6;
+            doc.directory.chad.contact = '0918 111 1111';
+            doc.audit.push({
+                id: 'legacy',
+                timestamp: new Date().toISOString(),
+                actor: 'admin',
+                changes: [{
+                    type: 'directory.contact', id: 'chad', member: 'Chad', before: '', after: '0918 111 1111',
+                }],
+            });
+            server.github.setFile('data/funds.json', doc, 'Older document');
+
+            const res = await server.request('GET', '/api/members', { token });
+            assert.equal(res.body.members.find(member => member.id === 'chad').contact, '0918 111 1111');
+            assert.equal(server.github.getFile('data/contacts.json').contacts.chad, '0918 111 1111');
+
+            await write('PATCH', '/api/members/chad', { nickname: 'Chad' });
+            assert.ok(!JSON.stringify(server.github.getFile('data/funds.json')).includes('0918 111 1111'));
+
+            const revert = await write('POST', '/api/audit/legacy/revert');
+            assert.equal(revert.status, 409);
+        });
+
+        it('shows a member profile across funds', async () => {
+            const res = await server.request('GET', '/api/members/reb');
+            assert.equal(res.status, 200);
+            assert.equal(res.body.name, 'Reb');
+            assert.equal(res.body.contact, undefined);
+            assert.deepEqual(res.body.funds.map(fund => fund.key), ['ns', 'la', 'pintura']);
+        });
+
+        it('answers 404 for an unknown member', async () => {
+            const res = await server.request('GET', '/api/members/nobody');
+            assert.equal(res.status, 404);
+        });
+
+        it('adds a member to the directory', async () => {
+            const res = await write('POST', '/api/members', { name: 'Kuya Ben', nickname: 'Ben' });
+            assert.equal(res.status, 201);
+            assert.equal(res.body.member.id, 'kuya-ben');
+
+            const duplicate = await write('POST', '/api/members', { name: 'kuya  ben' });
+            assert.equal(duplicate.status, 409);
+        });
+
+        it('renames a member in every fund', async () => {
+            const { ledger } = server.github.getFile('data/funds.json');
+            const recorded = ledger.filter(entry => entry.memberId === 'darwin');
+            assert.equal(recorded.length, 3);
+
+            const res = await write('PATCH', '/api/members/darwin', { name: 'Darwin R.' });
+            assert.equal(res.status, 200);
+
+            const { body } = await server.request('GET', '/api/funds');
+            ['ns', 'la', 'pintura'].forEach(key => {
+                const member = body.funds[key].members.find(item => item.name === 'Darwin R.');
+                assert.ok(member.amount > 0);
+            });
+        });
+
+        it('leaves recorded ledger entries alone on a rename, showing the new name', async () => {
+            const { ledger } = server.github.getFile('data/funds.json');
+            assert.ok(ledger.filter(entry => entry.memberId === 'darwin').every(entry => entry.member === 'Darwin'));
+
+            const res = await server.request('GET', `/api/funds/ns/ledger?member=${encodeURIComponent('Darwin R.')}`);
+            assert.equal(res.body.entries.length, 1);
+            assert.equal(res.body.entries[0].member, 'Darwin R.');
+            assert.equal(res.body.entries[0].amount, 75);
+        });
+
+        it('keeps inactive members out of funds', async () => {
+            await write('PATCH', '/api/members/kuya-ben', { active: false });
+            const res = await write('POST', '/api/funds/ns/members', { memberId: 'kuya-ben' });
+            assert.equal(res.status, 409);
+        });
+    });
+
+    describe('reports', () => {
+        it('lists outstanding balances and debtors', async () => {
+            const res = await server.request('GET', '/api/reports/outstanding');
+            assert.equal(res.status, 200);
+            assert.ok(res.body.debtors.some(debtor => debtor.name === 'Leevan'));
+            assert.ok(res.body.funds.find(fund => fund.key === 'pintura').outstanding > 0);
+        });
+    });
+
+    describe('/api/export', () => {
+        it('exports CSV', async () => {
+            const res = await server.request('GET', '/api/export?table=members');
+            assert.equal(res.status, 200);
+            assert.match(res.headers.get('content-type'), /^text\/csv/);
+            assert.match(res.headers.get('content-disposition'), /funds-members-\d{4}-\d{2}-\d{2}\.csv/);
+            assert.ok(res.text.startsWith('Fund,Fund Key,Member,Amount,Target,Balance'));
+        });
+
+        it('exports JSON', async () => {
+            const res = await server.request('GET', '/api/export?format=json');
+            assert.equal(res.status, 200);
+            assert.equal(res.body.funds.length, 3);
+        });
+
+        it('rejects an unknown format or table', async () => {
+            assert.equal((await server.request('GET', '/api/export?format=xml')).status, 400);
+            assert.equal((await server.request('GET', '/api/export?table=nope')).status, 400);
+        });
+    });
+
+    describe('/api/import', () => {
+        const csv = 'Fund Key,Member,Amount\nla,Chad,75\nla,Newcomer,10\n';
+
+        it('previews changes without saving them', async () => {
+            const res = await server.request('POST', '/api/import', { token, body: { csv } });
+            assert.equal(res.status, 200);
+            assert.equal(res.body.dryRun, true);
+            assert.equal(res.body.rows, 2);
+            assert.ok(res.body.version);
+            assert.ok(!server.github.getFile('data/funds.json').funds.la.members.some(m => m.name === 'Newcomer'));
+        });
+
+        it('applies the import', async () => {
+            const res = await write('POST', '/api/import', { csv, dryRun: false });
+            assert.equal(res.status, 200);
+
+            const la = server.github.getFile('data/funds.json').funds.la;
+            assert.equal(la.members.find(member => member.name === 'Chad').amount, 75);
+            assert.equal(la.members.find(member => member.name === 'Newcomer').amount, 10);
+        });
+
+        it('takes back the full CSV export, reading only its members table', async () => {
+            const exported = await server.request('GET', '/api/export?format=csv');
+            const res = await server.request('POST', '/api/import', { token, body: { csv: exported.text } });
+            assert.equal(res.status, 200);
+            assert.equal(res.body.rows, 26);
+            assert.deepEqual(res.body.changes, []);
+        });
+
+        it('lists every bad row', async () => {
+            const res = await server.request('POST', '/api/import', {
+                token,
+                body: { csv: 'Fund,Member,Amount\nnope,A,1\nla,,1\nla,B,-1\n' },
+            });
+            assert.equal(res.status, 400);
+            assert.equal(res.body.details.length, 3);
+        });
+
+        it('needs csv', async () => {
+            const res = await server.request('POST', '/api/import', { token, body: {} });
+            assert.equal(res.status, 400);
+        });
+    });
+});
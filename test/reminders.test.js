@@ -0,0 +1,242 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const { execFile } = require('child_process');
+const express = require('express');
+const { startServer } = require('./support/server');
+const { createSmtpMock } = require('./support/smtpMock');
+
+const ROOT_DIR = path.join(__dirname, '..');
+
+// Stand-in for a Discord-style webhook: keeps what was posted, and answers
+// 500 to the next `failures` posts
+function createWebhookMock() {
+    const posts = [];
+    const mock = { posts, failures: 0 };
+    const app = express();
+    app.use(express.json());
+    app.post('/hooks/:secret', (req, res) => {
+        if (mock.failures > 0) {
+            mock.failures--;
+            return res.status(500).json({ message: 'Simulated failure' });
+        }
+        posts.push({ secret: req.params.secret, body: req.body });
+        res.status(204).end();
+    });
+    mock.listen = () => new Promise(resolve => {
+        mock.server = app.listen(0, '127.0.0.1', () => resolve(`http://127.0.0.1:${mock.server.address().port}`));
+    });
+    return mock;
+}
+
+describe('reminders', () => {
+    let server;
+    let token;
+    let smtp;
+    let webhook;
+    let webhookUrl;
+
+    const get = path => server.request('GET', path, { token });
+    const send = body => server.request('POST', '/api/reminders/send', { token, body });
+    const setContact = (id, contact) => server.request('PATCH', `/api/members/${id}`, {
+        token,
+        body: { contact, version: '*' },
+    });
+
+    before(async () => {
+        smtp = createSmtpMock();
+        webhook = createWebhookMock();
+        const smtpPort = await smtp.listen();
+        webhookUrl = `${await webhook.listen()}/hooks/very-secret-token`;
+        server = await startServer({
+            env: {
+                SMTP_HOST: '127.0.0.1',
+                SMTP_PORT: String(smtpPort),
+                SMTP_FROM: 'TST Treasurer <treasurer@example.com>',
+                CRON_SECRET: 'test-cron-secret',
+                // The webhook stand-in listens on this machine
+                WEBHOOK_ALLOWED_HOSTS: '127.0.0.1',
+            },
+        });
+        token = await server.login();
+        await setContact('leevan', 'leevan@example.com');
+    });
+
+    after(async () => {
+        await server.close();
+        await smtp.close();
+        webhook.server.close();
+    });
+
+    describe('GET /api/reminders/preview', () => {
+        it('is only for treasurers', async () => {
+            assert.equal((await server.request('GET', '/api/reminders/preview')).status, 401);
+            assert.equal((await server.request('GET', '/api/reminders')).status, 401);
+        });
+
+        it('renders a reminder for every member who owes, in Tagalog by default', async () => {
+            const res = await get('/api/reminders/preview');
+            assert.equal(res.status, 200);
+            assert.equal(res.body.dryRun, true);
+            assert.equal(res.body.reminders.length, 10);
+
+            const leevan = res.body.reminders.find(reminder => reminder.memberId === 'leevan');
+            assert.equal(leevan.fund, 'ns');
+            assert.equal(leevan.owed, 75);
+            assert.equal(leevan.subject, 'PONDO FOR NS(NORTHSIDE): may kulang pang ₱75.00');
+            assert.match(leevan.text, /mula sa TEMPLE STREET TRECE: ₱0\.00 pa lang ang naibigay mo sa ₱75\.00/);
+            assert.deepEqual(leevan.channels, []);
+        });
+
+        it('narrows to a fund and renders English on request', async () => {
+            const res = await get('/api/reminders/preview?fund=la&language=en');
+            assert.deepEqual(res.body.reminders.map(reminder => reminder.member), ['Reb', 'Chad', 'Darwin']);
+            assert.equal(res.body.reminders[0].subject, 'PONDO FOR LA: ₱60.00 still to pay');
+            assert.equal((await get('/api/reminders/preview?language=fr')).status, 400);
+        });
+    });
+
+    describe('settings', () => {
+        it('refuses to send before a channel is set up', async () => {
+            const res = await send({ fund: 'ns' });
+            assert.equal(res.status, 400);
+            assert.match(res.body.error, /No reminder channel/);
+        });
+
+        it('only lets webhooks post to public https hosts', async () => {
+            const urls = [
+                'http://hooks.example.com/x',
+                'https://localhost/x',
+                'https://127.0.0.2/x',
+                'https://10.1.2.3/x',
+                'https://192.168.1.1/x',
+                'https://169.254.169.254/latest/meta-data',
+                'https://[::1]/x',
+                'https://[fd00::1]/x',
+            ];
+            for (const url of urls) {
+                const res = await server.request('PATCH', '/api/reminders', { token, body: { webhook: { url } } });
+                assert.equal(res.status, 400, url);
+                assert.match(res.body.error, /^webhook\.url must/);
+            }
+        });
+
+        it('lets owners set channels and templates', async () => {
+            const bad = [
+                { language: 'fr' },
+                { webhook: { url: 'ftp://example.com' } },
+                { templates: { en: { body: ' ' } } },
+            ];
+            for (const body of bad) {
+                assert.equal((await server.request('PATCH', '/api/reminders', { token, body })).status, 400);
+            }
+
+            const res = await server.request('PATCH', '/api/reminders', {
+                token,
+                body: {
+                    webhook: { url: webhookUrl },
+                    email: { enabled: true },
+                    templates: { en: { subject: '{fund}: please pay {owed}' } },
+                },
+            });
+            assert.equal(res.status, 200);
+            assert.deepEqual(res.body.settings.channels, ['webhook', 'email']);
+            assert.equal(res.body.settings.templates.en.subject, '{fund}: please pay {owed}');
+            assert.match(res.body.settings.templates.en.body, /friendly reminder/);
+            assert.ok(!JSON.stringify(res.body).includes('very-secret-token'));
+        });
+    });
+
+    describe('POST /api/reminders/send', () => {
+        it('delivers on every channel that reaches the member and logs it', async () => {
+            const res = await send({ fund: 'ns', language: 'en' });
+            assert.equal(res.status, 200);
+            assert.deepEqual(res.body.log.map(entry => [entry.channel, entry.to, entry.status]), [
+                ['webhook', new URL(webhookUrl).host, 'sent'],
+                ['email', 'leevan@example.com', 'sent'],
+            ]);
+
+            assert.equal(webhook.posts.length, 1);
+            const { body } = webhook.posts[0];
+            assert.equal(body.username, 'TEMPLE STREET TRECE');
+            assert.match(body.content, /^\*\*PONDO FOR NS\(NORTHSIDE\): please pay ₱75\.00\*\*\n/);
+            assert.equal(body.reminder.memberId, 'leevan');
+            assert.equal(body.reminder.contact, undefined);
+
+            assert.equal(smtp.messages.length, 1);
+            const [mail] = smtp.messages;
+            assert.equal(mail.from, 'treasurer@example.com');
+            assert.deepEqual(mail.to, ['leevan@example.com']);
+            assert.equal(mail.subject, 'PONDO FOR NS(NORTHSIDE): please pay ₱75.00');
+            assert.match(mail.text, /^Hi Leevan! A friendly reminder/);
+        });
+
+        it('holds back members reminded recently unless forced', async () => {
+            const res = await get('/api/reminders/preview?fund=ns');
+            assert.equal(res.body.reminders.length, 0);
+            assert.deepEqual(res.body.held.map(held => held.memberId), ['leevan']);
+
+            const forced = await get('/api/reminders/preview?fund=ns&force=true');
+            assert.equal(forced.body.reminders.length, 1);
+        });
+
+        it('logs failed deliveries so they are tried again', async () => {
+            await setContact('reb', 'reb@example.com');
+            webhook.failures = 1;
+            smtp.rejectNext(550);
+
+            const res = await send({ fund: 'la' });
+            assert.equal(res.status, 200);
+            const failed = res.body.log.filter(entry => entry.status === 'failed');
+            assert.deepEqual(failed.map(entry => [entry.member, entry.channel]), [
+                ['Reb', 'webhook'],
+                ['Reb', 'email'],
+            ]);
+
+            const log = await get('/api/reminders/log?status=failed');
+            assert.equal(log.body.entries.length, 2);
+            assert.match(log.body.entries[0].error, /^SMTP 550/);
+            assert.equal(log.body.entries[1].error, 'Webhook answered 500');
+
+            const retry = await get('/api/reminders/preview?fund=la');
+            assert.deepEqual(retry.body.reminders.map(reminder => [reminder.member, reminder.channels.length]), [
+                ['Reb', 2],
+            ]);
+            assert.deepEqual(retry.body.held.map(held => held.member), ['Chad', 'Darwin']);
+        });
+    });
+
+    describe('GET /api/reminders/cron', () => {
+        const cron = (secret = 'test-cron-secret') => server.request('GET', '/api/reminders/cron', {
+            headers: { Authorization: `Bearer ${secret}` },
+        });
+
+        it('needs the cron secret', async () => {
+            assert.equal((await cron('wrong')).status, 401);
+        });
+
+        it('runs groups whose schedule is due, once per period', async () => {
+            assert.deepEqual((await cron()).body.runs, []);
+
+            await server.request('PATCH', '/api/reminders', { token, body: { schedule: { everyDays: 7 } } });
+            const res = await cron();
+            assert.equal(res.status, 200);
+            assert.deepEqual(res.body.runs, [{ group: 'tst', sent: 9, failed: 0 }]);
+            assert.equal(server.github.getFile('data/reminders.json').log.at(-1).actor, 'schedule');
+
+            assert.deepEqual((await cron()).body.runs, []);
+        });
+    });
+});
+
+describe('reminders with a half-configured mail server', () => {
+    it('refuses to start rather than fail every reminder route', async () => {
+        const { code, stderr } = await new Promise(resolve => {
+            const env = { PATH: process.env.PATH, SMTP_HOST: 'smtp.example.com' };
+            execFile(process.execPath, ['-e', 'require("./app")'], { cwd: ROOT_DIR, env, timeout: 20000 },
+                (error, stdout, stderrText) => resolve({ code: error ? error.code : 0, stderr: stderrText }));
+        });
+        assert.equal(code, 1);
+        assert.match(stderr, /Refusing to start: set SMTP_FROM \(or SMTP_USER\) along with SMTP_HOST/);
+    });
+});
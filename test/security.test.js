@@ -0,0 +1,197 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const { execFile } = require('child_process');
+const { startServer, ADMIN_USERNAME, ADMIN_KEY } = require('./support/server');
+
+const ROOT_DIR = path.join(__dirname, '..');
+
+describe('security', () => {
+    let server;
+    let token;
+
+    before(async () => {
+        server = await startServer({
+            env: {
+                ALLOWED_ORIGINS: 'https://tst.example.com',
+                JSON_BODY_LIMIT: '2kb',
+                TRUST_PROXY: '1',
+            },
+        });
+        token = await server.login();
+    });
+
+    after(() => server.close());
+
+    // Each login comes from its own address so the per-IP rate limit stays out
+    // of the way of the per-account lockout
+    let address = 0;
+    const login = (username, password) => server.request('POST', '/api/admin/login', {
+        body: { username, password },
+        headers: { 'X-Forwarded-For': `203.0.113.${++address}` },
+    });
+
+    describe('headers', () => {
+        it('sends a CSP that lets index.html load its fonts and icons', async () => {
+            const res = await server.request('GET', '/');
+            const csp = res.headers.get('content-security-policy');
+            assert.match(csp, /script-src 'self'/);
+            assert.match(csp, /style-src [^;]*https:\/\/cdnjs\.cloudflare\.com/);
+            assert.match(csp, /font-src [^;]*https:\/\/fonts\.gstatic\.com/);
+            assert.match(csp, /frame-ancestors 'none'/);
+            assert.equal(res.headers.get('x-frame-options'), 'DENY');
+            assert.equal(res.headers.get('x-content-type-options'), 'nosniff');
+            assert.equal(res.headers.get('x-powered-by'), null);
+        });
+
+        it('leaves no inline handlers in index.html', async () => {
+            const res = await server.request('GET', '/');
+            assert.doesNotMatch(res.text, /\son[a-z]+="/);
+        });
+    });
+
+    describe('origins', () => {
+        const patch = origin => server.request('PATCH', '/api/summary', {
+            token,
+            body: { pman: 1, version: '*' },
+            headers: { Origin: origin },
+        });
+
+        it('refuses changes from other sites', async () => {
+            const res = await patch('https://evil.example.com');
+            assert.equal(res.status, 403);
+            assert.equal(res.body.error, 'Origin not allowed');
+        });
+
+        it('accepts the page itself and listed origins', async () => {
+            assert.equal((await patch(server.url)).status, 200);
+            const listed = await patch('https://tst.example.com');
+            assert.equal(listed.status, 200);
+            assert.equal(listed.headers.get('access-control-allow-origin'), 'https://tst.example.com');
+        });
+
+        it('gives other sites no CORS headers', async () => {
+            const res = await server.request('GET', '/api/funds', { headers: { Origin: 'https://evil.example.com' } });
+            assert.equal(res.status, 200);
+            assert.equal(res.headers.get('access-control-allow-origin'), null);
+        });
+    });
+
+    describe('session cookie', () => {
+        let cookie;
+        let csrfToken;
+
+        before(async () => {
+            const res = await login(ADMIN_USERNAME, ADMIN_KEY);
+            assert.equal(res.status, 200);
+            cookie = res.headers.get('set-cookie');
+            csrfToken = res.body.csrfToken;
+        });
+
+        it('is HttpOnly and SameSite=Strict', () => {
+            assert.match(cookie, /^tst_session=[^;]+/);
+            assert.match(cookie, /HttpOnly/);
+            assert.match(cookie, /SameSite=Strict/);
+            assert.ok(csrfToken);
+        });
+
+        it('is the only place the web app gets the session token from', async () => {
+            const refreshed = await server.request('POST', '/api/admin/refresh', {
+                headers: { Cookie: cookie.split(';')[0], 'X-CSRF-Token': csrfToken },
+            });
+            assert.equal(refreshed.status, 200);
+            assert.equal(refreshed.body.sessionToken, undefined);
+            assert.match(refreshed.headers.get('set-cookie'), /^tst_session=[^;]+/);
+
+            const res = await login(ADMIN_USERNAME, ADMIN_KEY);
+            assert.equal(res.body.sessionToken, undefined);
+        });
+
+        it('needs the CSRF token for changes', async () => {
+            const headers = { Cookie: cookie.split(';')[0] };
+            const body = { hawak: 2, version: '*' };
+
+            assert.equal((await server.request('GET', '/api/audit', { headers })).status, 200);
+
+            const missing = await server.request('PATCH', '/api/summary', { headers, body });
+            assert.equal(missing.status, 403);
+            assert.equal(missing.body.error, 'Missing or invalid CSRF token');
+
+            const forged = await server.request('PATCH', '/api/summary', {
+                headers: { ...headers, 'X-CSRF-Token': 'guess' },
+                body,
+            });
+            assert.equal(forged.status, 403);
+
+            const res = await server.request('PATCH', '/api/summary', {
+                headers: { ...headers, 'X-CSRF-Token': csrfToken },
+                body,
+            });
+            assert.equal(res.status, 200);
+        });
+
+        it('is cleared on logout', async () => {
+            const res = await server.request('POST', '/api/admin/logout', {
+                headers: { Cookie: cookie.split(';')[0], 'X-CSRF-Token': csrfToken },
+            });
+            assert.equal(res.status, 200);
+            assert.match(res.headers.get('set-cookie'), /^tst_session=;/);
+        });
+    });
+
+    describe('lockout', () => {
+        before(async () => {
+            const res = await server.request('POST', '/api/admin/users', {
+                token,
+                body: { username: 'kulas', password: 'kulas-password', role: 'viewer' },
+            });
+            assert.equal(res.status, 201);
+        });
+
+        it('locks an account after five failed logins, from any address', async t => {
+            for (let attempt = 0; attempt < 5; attempt++) {
+                assert.equal((await login('kulas', 'wrong-password')).status, 401);
+            }
+
+            const locked = await login('kulas', 'kulas-password');
+            assert.equal(locked.status, 429);
+            assert.equal(locked.headers.get('retry-after'), '60');
+
+            const now = Date.now();
+            t.mock.method(Date, 'now', () => now + 61 * 1000);
+            assert.equal((await login('kulas', 'kulas-password')).status, 200);
+        });
+
+        it('locks for longer when failures go on after the lock ends', async t => {
+            for (let attempt = 0; attempt < 5; attempt++) await login('kulas', 'wrong-password');
+            const now = Date.now();
+            t.mock.method(Date, 'now', () => now + 61 * 1000);
+            assert.equal((await login('kulas', 'wrong-password')).status, 401);
+
+            const res = await login('kulas', 'kulas-password');
+            assert.equal(res.status, 429);
+            assert.equal(res.headers.get('retry-after'), '120');
+        });
+    });
+
+    it('refuses oversized bodies with JSON', async () => {
+        const res = await server.request('PATCH', '/api/summary', {
+            token,
+            body: { pman: 1, version: '*', padding: 'x'.repeat(4096) },
+        });
+        assert.equal(res.status, 413);
+        assert.ok(res.body.error);
+    });
+});
+
+describe('short admin key', () => {
+    it('refuses to start rather than create an owner with a weak password', async () => {
+        const { code, stderr } = await new Promise(resolve => {
+            const env = { PATH: process.env.PATH, ADMIN_KEY: 'short' };
+            execFile(process.execPath, ['-e', 'require("./app")'], { cwd: ROOT_DIR, env, timeout: 20000 },
+                (error, stdout, stderrText) => resolve({ code: error ? error.code : 0, stderr: stderrText }));
+        });
+        assert.equal(code, 1);
+        assert.match(stderr, /ADMIN_KEY is too short\. Password must be at least 8 characters/);
+    });
+});
@@ -0,0 +1,77 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const { execFile } = require('child_process');
+const { startServer } = require('./support/server');
+const { createKvMock } = require('./support/kvMock');
+
+const ROOT_DIR = path.join(__dirname, '..');
+
+// Serverless instances share nothing but what they store elsewhere
+describe('on Vercel', () => {
+    let server;
+    let kv;
+
+    let address = 0;
+    const login = (username, password) => server.request('POST', '/api/admin/login', {
+        body: { username, password },
+        headers: { 'X-Forwarded-For': `203.0.113.${++address}` },
+    });
+
+    before(async () => {
+        kv = createKvMock();
+        server = await startServer({
+            env: {
+                VERCEL: '1',
+                TRUST_PROXY: '1',
+                STATE_STORE: '',
+                KV_REST_API_URL: await kv.listen(),
+                KV_REST_API_TOKEN: kv.token,
+            },
+        });
+    });
+
+    after(async () => {
+        await server.close();
+        await kv.close();
+    });
+
+    it('keeps lockouts in the KV store', async () => {
+        const res = await server.request('POST', '/api/admin/users', {
+            token: await server.login(),
+            body: { username: 'kulas', password: 'kulas-password', role: 'viewer' },
+        });
+        assert.equal(res.status, 201);
+
+        for (let attempt = 0; attempt < 5; attempt++) {
+            assert.equal((await login('kulas', 'wrong-password')).status, 401);
+        }
+        const entry = kv.get('tst:lockout:tst:kulas');
+        assert.equal(entry.failures, 5);
+        assert.ok(entry.lockedUntil > Date.now());
+        assert.ok(kv.commands.includes('EVAL'));
+    });
+
+    it('keeps logouts in the KV store', async () => {
+        const token = await server.login();
+        assert.equal((await server.request('POST', '/api/admin/logout', { token })).status, 200);
+        assert.ok(kv.keys().some(key => key.startsWith('tst:revoked:')));
+        assert.equal((await server.request('GET', '/api/audit', { token })).status, 401);
+    });
+
+    it('turns the event stream off so pages poll instead', async () => {
+        const res = await server.request('GET', '/api/events');
+        assert.equal(res.status, 204);
+        assert.equal(res.headers.get('content-type'), null);
+    });
+
+    it('refuses to start with login state in memory', async () => {
+        const { code, stderr } = await new Promise(resolve => {
+            const env = { PATH: process.env.PATH, VERCEL: '1' };
+            execFile(process.execPath, ['-e', 'require("./app")'], { cwd: ROOT_DIR, env, timeout: 20000 },
+                (error, stdout, stderrText) => resolve({ code: error ? error.code : 0, stderr: stderrText }));
+        });
+        assert.equal(code, 1);
+        assert.match(stderr, /connect a KV store/);
+    });
+});
@@ -0,0 +1,140 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer } = require('./support/server');
+
+describe('fund visibility and share links', () => {
+    let server;
+    let token;
+    let write;
+
+    before(async () => {
+        server = await startServer();
+        token = await server.login();
+        write = server.writer(token);
+        await write('PATCH', '/api/funds/la', { visibility: 'link' });
+        await write('PATCH', '/api/funds/pintura', { totalsOnly: true });
+        await write('POST', '/api/funds/secret', { title: 'SECRET', target: 10, visibility: 'private' });
+        await write('POST', '/api/funds/secret/members', { name: 'Hidden Person' });
+    });
+
+    after(() => server.close());
+
+    it('gives link-only funds a share token', () => {
+        const { funds } = server.github.getFile('data/funds.json');
+        assert.match(funds.la.shareToken, /^[A-Za-z0-9_-]{24}$/);
+        assert.equal(funds.ns.shareToken, undefined);
+    });
+
+    describe('GET /api/funds', () => {
+        it('lists only public funds for visitors', async () => {
+            const res = await server.request('GET', '/api/funds');
+            assert.deepEqual(Object.keys(res.body.funds), ['ns', 'pintura']);
+            assert.equal(res.headers.get('vary'), 'Cookie, Authorization');
+        });
+
+        it('shows totals instead of members of totals-only funds', async () => {
+            const { body } = await server.request('GET', '/api/funds');
+            assert.equal(body.funds.pintura.members, undefined);
+            assert.deepEqual(body.funds.pintura.totals, { members: 8, collected: 60, expected: 240 });
+        });
+
+        it('leaves people only in hidden funds out of the directory', async () => {
+            const { body } = await server.request('GET', '/api/funds');
+            assert.equal(body.directory['hidden-person'], undefined);
+            assert.ok(body.directory.reb);
+        });
+
+        it('lists every fund for signed-in users', async () => {
+            const res = await server.request('GET', '/api/funds', { token });
+            assert.deepEqual(Object.keys(res.body.funds), ['ns', 'la', 'pintura', 'secret']);
+            assert.ok(res.body.funds.la.shareToken);
+            assert.equal(res.body.funds.pintura.members.length, 8);
+        });
+    });
+
+    describe('other public routes', () => {
+        it('hide the ledger of hidden and totals-only funds', async () => {
+            assert.equal((await server.request('GET', '/api/funds/secret/ledger')).status, 404);
+            assert.equal((await server.request('GET', '/api/funds/pintura/ledger')).status, 404);
+            assert.equal((await server.request('GET', '/api/funds/secret/ledger', { token })).status, 200);
+        });
+
+        it('leave hidden members out of the directory and reports', async () => {
+            const members = await server.request('GET', '/api/members');
+            assert.ok(!members.body.members.some(member => member.id === 'hidden-person'));
+            assert.equal((await server.request('GET', '/api/members/hidden-person')).status, 404);
+
+            const report = await server.request('GET', '/api/reports/outstanding');
+            assert.deepEqual(report.body.funds.map(fund => fund.key), ['ns']);
+        });
+
+        it('leave the amounts of hidden funds out of the reconciliation', async () => {
+            const before = (await server.request('GET', '/api/reports/reconciliation')).body;
+            await write('PATCH', '/api/funds/secret/members/Hidden Person', { amount: 10 });
+            await write('POST', '/api/expenses', { fund: 'secret', amount: 4, holder: 'pman', description: 'Paint' });
+
+            const after = (await server.request('GET', '/api/reports/reconciliation')).body;
+            assert.deepEqual(after.funds.map(fund => fund.key), ['ns', 'pintura']);
+            assert.equal(after.collected, before.collected);
+            assert.deepEqual(after.spent, before.spent);
+            assert.equal(after.cashOnHand, before.cashOnHand);
+            assert.equal(after.funds[1].collected, 60);
+
+            const full = (await server.request('GET', '/api/reports/reconciliation', { token })).body;
+            assert.deepEqual(full.funds.find(fund => fund.key === 'secret'), {
+                key: 'secret', title: 'SECRET', collected: 10, spent: 4, cashOnHand: 6,
+            });
+        });
+    });
+
+    describe('share links', () => {
+        it('open a link-only fund read-only', async () => {
+            const { shareToken } = server.github.getFile('data/funds.json').funds.la;
+            const res = await server.request('GET', `/f/${shareToken}`);
+            assert.equal(res.status, 200);
+            assert.match(res.headers.get('content-type'), /^text\/html/);
+            assert.equal(res.headers.get('referrer-policy'), 'no-referrer');
+            assert.match(res.text, /PONDO/);
+            assert.match(res.text, /Darwin/);
+
+            const api = await server.request('GET', `/api/shared/${shareToken}`);
+            assert.equal(api.body.key, 'la');
+            assert.equal(api.body.fund.shareToken, undefined);
+        });
+
+        it('show totals only for totals-only funds', async () => {
+            const created = await write('POST', '/api/funds/pintura/share-link');
+            assert.equal(created.status, 201);
+            assert.equal(created.body.path, `/f/${created.body.shareToken}`);
+
+            const res = await server.request('GET', created.body.path);
+            assert.equal(res.status, 200);
+            assert.match(res.text, /8 members/);
+            assert.doesNotMatch(res.text, /Darwin/);
+        });
+
+        it('stop working when replaced', async () => {
+            const old = server.github.getFile('data/funds.json').funds.la.shareToken;
+            const renewed = await write('POST', '/api/funds/la/share-link');
+            assert.notEqual(renewed.body.shareToken, old);
+            assert.equal((await server.request('GET', `/f/${old}`)).status, 404);
+        });
+
+        it('stop working when the fund is made private', async () => {
+            const { shareToken } = server.github.getFile('data/funds.json').funds.la;
+            await write('PATCH', '/api/funds/la', { visibility: 'private' });
+            assert.equal((await server.request('GET', `/f/${shareToken}`)).status, 404);
+            assert.equal((await server.request('GET', `/api/shared/${shareToken}`)).status, 404);
+        });
+
+        it('cannot be made for private funds', async () => {
+            const res = await write('POST', '/api/funds/secret/share-link');
+            assert.equal(res.status, 400);
+        });
+    });
+
+    it('rejects an unknown visibility', async () => {
+        const res = await write('PATCH', '/api/funds/ns', { visibility: 'friends' });
+        assert.equal(res.status, 400);
+    });
+});
@@ -0,0 +1,89 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer } = require('./support/server');
+
+describe('GET /api/reports/stats', () => {
+    let server;
+    let token;
+    let write;
+
+    const stats = (options = { token }) => server.request('GET', '/api/reports/stats', options);
+    const fund = (body, key) => body.funds.find(entry => entry.key === key);
+    const daysAgo = days => new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString().substring(0, 10);
+
+    before(async () => {
+        server = await startServer();
+        token = await server.login();
+        write = server.writer(token);
+    });
+
+    after(() => server.close());
+
+    it('gives current figures when there is no history', async () => {
+        const res = await stats();
+        assert.equal(res.status, 200);
+        assert.equal(res.body.source, 'current');
+
+        const ns = fund(res.body, 'ns');
+        assert.deepEqual([ns.collected, ns.expected, ns.progress, ns.paidUp, ns.members], [600, 675, 88.89, 8, 9]);
+        assert.equal(ns.timeline.length, 1);
+        assert.equal(ns.averageDaysToPay, null);
+
+        assert.deepEqual(res.body.totals, { collected: 1105, expected: 1515, progress: 72.94, averageDaysToPay: null });
+        assert.deepEqual(res.body.contributors.top[0], { id: 'david', name: 'David', paid: 180 });
+        assert.deepEqual(res.body.contributors.late, []);
+    });
+
+    it('builds history from snapshots when the ledger has none', async () => {
+        const doc = server.github.getFile('data/funds.json');
+        doc.funds.ns.members.find(member => member.name === 'Leevan').amount = 75;
+        server.github.setFile('data/funds.json', doc, 'Leevan paid');
+
+        const res = await stats();
+        assert.equal(res.body.source, 'snapshots');
+        const ns = fund(res.body, 'ns');
+        assert.equal(ns.collected, 675);
+        assert.equal(ns.timeline.at(-1).collected, 675);
+        assert.equal(ns.averageDaysToPay, 0);
+    });
+
+    it('uses the ledger once contributions are recorded', async () => {
+        await write('POST', '/api/funds/dues', {
+            title: 'DUES', target: 20, recurrence: 'monthly', periodStart: daysAgo(10),
+        });
+        await write('POST', '/api/funds/dues/members', { name: 'Reb' });
+        await write('POST', '/api/funds/dues/members', { name: 'Chad' });
+        await write('POST', '/api/funds/dues/contributions', { member: 'Reb', amount: 20 });
+        await write('POST', '/api/funds/dues/contributions', { member: 'Chad', amount: 5 });
+
+        const res = await stats();
+        assert.equal(res.body.source, 'ledger');
+        const dues = fund(res.body, 'dues');
+        assert.deepEqual([dues.collected, dues.progress, dues.paidUp], [25, 62.5, 1]);
+        assert.equal(dues.averageDaysToPay, 10);
+        assert.equal(res.body.totals.averageDaysToPay, 10);
+    });
+
+    it('lists who paid or still owes after the due date', async () => {
+        await write('PATCH', '/api/funds/dues', { dueDate: daysAgo(3) });
+        await write('PATCH', '/api/funds/la', { dueDate: daysAgo(1) });
+        await write('POST', '/api/funds/la/contributions', { member: 'Reb', amount: 60 });
+
+        const { late } = (await stats()).body.contributors;
+        assert.deepEqual(late.map(entry => [entry.name, entry.overdue, entry.latePayments]), [
+            ['Chad', 65, 0],
+            ['Darwin', 45, 0],
+            ['Reb', 0, 2],
+        ]);
+        assert.deepEqual(late[2].funds.map(entry => entry.key), ['la', 'dues']);
+    });
+
+    it('shows visitors only the funds whose members they may see', async () => {
+        await write('PATCH', '/api/funds/dues', { visibility: 'private' });
+
+        const res = await stats({});
+        assert.equal(res.status, 200);
+        assert.equal(fund(res.body, 'dues'), undefined);
+        assert.ok(!res.body.contributors.late.some(entry => entry.funds.some(late => late.key === 'dues')));
+    });
+});
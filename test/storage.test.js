@@ -0,0 +1,51 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const { execFile } = require('child_process');
+const { startServer, ADMIN_USERNAME, ADMIN_KEY } = require('./support/server');
+
+const ROOT_DIR = path.join(__dirname, '..');
+
+// Every GitHub request is refused, as with a revoked or mistyped GITHUB_TOKEN
+describe('GitHub credentials rejected', () => {
+    let server;
+
+    before(async () => {
+        server = await startServer({ env: { GITHUB_TOKEN: 'revoked-token' } });
+    });
+
+    after(() => server.close());
+
+    it('answers 500 instead of showing funds', async t => {
+        t.mock.method(console, 'error', () => {});
+        const res = await server.request('GET', '/api/funds');
+        assert.equal(res.status, 500);
+        assert.equal(res.body.error, 'Failed to read funds');
+    });
+
+    it('cannot log anyone in', async t => {
+        t.mock.method(console, 'error', () => {});
+        const res = await server.request('POST', '/api/admin/login', {
+            body: { username: ADMIN_USERNAME, password: ADMIN_KEY },
+        });
+        assert.equal(res.status, 500);
+        assert.equal(res.body.error, 'Failed to log in');
+    });
+
+    it('still answers the health check', async () => {
+        const res = await server.request('GET', '/api/health');
+        assert.equal(res.status, 200);
+    });
+});
+
+describe('secrets without a private repo', () => {
+    it('refuses to start rather than commit users next to the funds', async () => {
+        const { code, stderr } = await new Promise(resolve => {
+            const env = { PATH: process.env.PATH, STORAGE_DRIVER: 'github', GITHUB_REPO: 'tst/funds' };
+            execFile(process.execPath, ['-e', 'require("./app")'], { cwd: ROOT_DIR, env, timeout: 20000 },
+                (error, stdout, stderrText) => resolve({ code: error ? error.code : 0, stderr: stderrText }));
+        });
+        assert.equal(code, 1);
+        assert.match(stderr, /set PRIVATE_GITHUB_REPO/);
+    });
+});
@@ -0,0 +1,123 @@
+const crypto = require('crypto');
+const express = require('express');
+
+// In-process stand-in for the parts of the GitHub REST API used by the github
+// storage driver: contents GET (base64 content + blob sha) and PUT (rejected
+// with a 409 unless `sha` matches the current file), and the commit list of a
+// path. Every PUT is recorded as a commit whose sha works as a `ref`, so
+// snapshots can be read back the same way as on GitHub.
+
+const blobSha = content => crypto.createHash('sha1')
+    .update(`blob ${Buffer.byteLength(content)}\0`)
+    .update(content)
+    .digest('hex');
+
+function createGithubMock({ token = 'test-token', repo = 'tst/funds', branch = 'main' } = {}) {
+    const files = new Map();
+    const commits = [];
+    const failures = [];
+    const requests = [];
+
+    function commit(path, content, message) {
+        const entry = {
+            sha: crypto.randomBytes(20).toString('hex'),
+            blob: blobSha(content),
+            path,
+            content,
+            message,
+            date: new Date().toISOString(),
+        };
+        files.set(path, { content, sha: entry.blob });
+        commits.unshift(entry);
+        return entry;
+    }
+
+    const app = express();
+    app.use(express.json({ limit: '10mb' }));
+
+    app.use((req, res, next) => {
+        requests.push({ method: req.method, path: req.path, query: req.query });
+        if (req.get('Authorization') !== `token ${token}`) {
+            return res.status(401).json({ message: 'Bad credentials' });
+        }
+
+        const index = failures.findIndex(failure => (
+            failure.method === req.method && (!failure.path || req.path.includes(failure.path))
+        ));
+        if (index !== -1) {
+            const [failure] = failures.splice(index, 1);
+            return res.status(failure.status).json({ message: 'Simulated failure' });
+        }
+        next();
+    });
+
+    app.get(`/repos/${repo}/contents/*`, (req, res) => {
+        const path = req.params[0];
+        const ref = req.query.ref || branch;
+        const file = ref === branch
+            ? files.get(path)
+            : commits.find(entry => entry.sha === ref && entry.path === path);
+        if (!file) return res.status(404).json({ message: 'Not Found' });
+
+        res.json({
+            type: 'file',
+            encoding: 'base64',
+            path,
+            sha: file.sha || file.blob,
+            content: Buffer.from(file.content).toString('base64'),
+        });
+    });
+
+    app.put(`/repos/${repo}/contents/*`, (req, res) => {
+        const path = req.params[0];
+        const { message, content, sha } = req.body;
+        const current = files.get(path);
+
+        if (current && !sha) return res.status(422).json({ message: '"sha" wasn\'t supplied.' });
+        if ((current && sha !== current.sha) || (!current && sha)) {
+            return res.status(409).json({ message: `${path} does not match ${sha}` });
+        }
+
+        const entry = commit(path, Buffer.from(content, 'base64').toString('utf8'), message);
+        res.status(current ? 200 : 201).json({
+            content: { path, sha: entry.blob },
+            commit: { sha: entry.sha, message },
+        });
+    });
+
+    app.get(`/repos/${repo}/commits`, (req, res) => {
+        const until = req.query.until ? Date.parse(req.query.until) : Infinity;
+        const perPage = parseInt(req.query.per_page, 10) || 30;
+        res.json(commits
+            .filter(entry => entry.path === req.query.path && Date.parse(entry.date) <= until)
+            .slice(0, perPage)
+            .map(entry => ({ sha: entry.sha, commit: { message: entry.message, committer: { date: entry.date } } })));
+    });
+
+    return {
+        app,
+        token,
+        repo,
+        branch,
+        requests,
+        commits,
+
+        // Puts a file in the repository as if it had been committed
+        setFile(path, data, message = 'Seed') {
+            commit(path, JSON.stringify(data, null, 2), message);
+        },
+
+        getFile(path) {
+            const file = files.get(path);
+            return file ? JSON.parse(file.content) : undefined;
+        },
+
+        // The next `method` request (whose path contains `path`, if given) gets
+        // `status` instead of being handled
+        failNext(method, status = 500, path) {
+            failures.push({ method, status, path });
+        },
+    };
+}
+
+module.exports = { createGithubMock };
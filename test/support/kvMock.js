@@ -0,0 +1,73 @@
+const express = require('express');
+
+// In-process stand-in for the Redis REST API of Vercel KV and Upstash: a JSON
+// array command per POST, answered with { result }. Only what the kv state
+// store sends is understood: GET, SET with PX, and EVAL of its compare-and-set
+// script, which is done here in JavaScript.
+
+function createKvMock({ token = 'test-kv-token' } = {}) {
+    const entries = new Map();
+    const commands = [];
+
+    function read(key) {
+        const entry = entries.get(key);
+        if (entry && entry.expiresAt <= Date.now()) entries.delete(key);
+        return entries.has(key) ? entries.get(key).value : null;
+    }
+
+    function set(key, value, ttl) {
+        entries.set(key, { value, expiresAt: ttl ? Date.now() + Number(ttl) : Infinity });
+    }
+
+    const app = express();
+    app.use(express.json());
+    app.post('/', (req, res) => {
+        if (req.get('Authorization') !== `Bearer ${token}`) return res.status(401).json({ error: 'Unauthorized' });
+
+        const [name, ...args] = req.body;
+        commands.push(name);
+        if (name === 'GET') return res.json({ result: read(args[0]) });
+        if (name === 'SET') {
+            set(args[0], args[1], args[2] === 'PX' ? args[3] : undefined);
+            return res.json({ result: 'OK' });
+        }
+        if (name === 'EVAL') {
+            const [, , key, expected, value, ttl] = args;
+            if ((read(key) || '') !== expected) return res.json({ result: 0 });
+            set(key, value, ttl);
+            return res.json({ result: 1 });
+        }
+        res.status(400).json({ error: `ERR unknown command '${name}'` });
+    });
+
+    const mock = {
+        app,
+        token,
+        commands,
+
+        // Value stored under `key`, parsed, or undefined
+        get(key) {
+            const value = read(key);
+            return value === null ? undefined : JSON.parse(value);
+        },
+
+        // Keys that haven't expired
+        keys() {
+            return [...entries.keys()].filter(key => read(key) !== null);
+        },
+
+        // Resolves with the URL once listening
+        listen() {
+            return new Promise(resolve => {
+                mock.server = app.listen(0, '127.0.0.1', () => resolve(`http://127.0.0.1:${mock.server.address().port}`));
+            });
+        },
+
+        close() {
+            return new Promise(resolve => mock.server.close(() => resolve()));
+        },
+    };
+    return mock;
+}
+
+module.exports = { createKvMock };
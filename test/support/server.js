@@ -0,0 +1,91 @@
+const path = require('path');
+const { createGithubMock } = require('./githubMock');
+
+const ADMIN_USERNAME = 'admin';
+const ADMIN_KEY = 'test-admin-key';
+const SEED = require(path.join(__dirname, '..', '..', 'data', 'funds.json'));
+
+function listen(app) {
+    return new Promise((resolve, reject) => {
+        const server = app.listen(0, '127.0.0.1', () => {
+            const { port } = server.address();
+            resolve({
+                url: `http://127.0.0.1:${port}`,
+                close: () => new Promise(done => {
+                    if (server.closeAllConnections) server.closeAllConnections();
+                    server.close(() => done());
+                }),
+            });
+        });
+        server.on('error', reject);
+    });
+}
+
+// Starts the app against a GitHub mock holding a copy of data/funds.json.
+// app.js reads its configuration when it is first required and `node --test`
+// runs each file in its own process, so there is one app per test file.
+async function startServer({ env = {}, funds = SEED } = {}) {
+    const github = createGithubMock();
+    if (funds) github.setFile('data/funds.json', funds);
+    const githubServer = await listen(github.app);
+
+    Object.assign(process.env, {
+        NODE_ENV: 'test',
+        STORAGE_DRIVER: 'github',
+        GITHUB_TOKEN: github.token,
+        GITHUB_REPO: github.repo,
+        PRIVATE_GITHUB_REPO: github.repo,
+        GITHUB_API_URL: githubServer.url,
+        ADMIN_USERNAME,
+        ADMIN_KEY,
+        SESSION_SECRET: 'test-session-secret',
+        STATE_STORE: 'memory',
+    }, env);
+
+    const app = require('../../app');
+    const appServer = await listen(app);
+
+    async function request(method, urlPath, { body, token, headers = {} } = {}) {
+        const res = await fetch(`${appServer.url}${urlPath}`, {
+            method,
+            headers: {
+                ...(body === undefined ? {} : { 'Content-Type': 'application/json' }),
+                ...(token ? { Authorization: `Bearer ${token}` } : {}),
+                ...headers,
+            },
+            body: body === undefined ? undefined : JSON.stringify(body),
+        });
+
+        const text = await res.text();
+        let json;
+        try {
+            json = text ? JSON.parse(text) : undefined;
+        } catch (error) {
+            json = undefined;
+        }
+        return { status: res.status, headers: res.headers, body: json, text };
+    }
+
+    // Returns a shorthand for writes as `token` that skip the version check
+    function writer(token) {
+        return (method, urlPath, body = {}) => request(method, urlPath, { token, body: { ...body, version: '*' } });
+    }
+
+    // Resolves with the Bearer token for the default group or `group`; every
+    // call counts towards the login rate limit (5 a minute per IP)
+    async function login(username = ADMIN_USERNAME, password = ADMIN_KEY, { group } = {}) {
+        const prefix = group ? `/api/g/${group}` : '/api';
+        const res = await request('POST', `${prefix}/admin/login`, { body: { username, password, bearer: true } });
+        if (res.status !== 200) throw new Error(`Login as ${username} failed with ${res.status}`);
+        return res.body.sessionToken;
+    }
+
+    async function close() {
+        await appServer.close();
+        await githubServer.close();
+    }
+
+    return { github, url: appServer.url, request, writer, login, close };
+}
+
+module.exports = { startServer, ADMIN_USERNAME, ADMIN_KEY };
@@ -0,0 +1,100 @@
+const net = require('net');
+
+// In-process stand-in for a mail server: speaks enough plain SMTP (no TLS)
+// for lib/notify/smtp.js and keeps every message it accepts, decoded, in
+// `messages`. `rejectNext(code)` refuses the next recipient.
+
+function decodeMessage(data) {
+    const [head, body] = data.split('\r\n\r\n');
+    const headers = {};
+    head.split('\r\n').forEach(line => {
+        const at = line.indexOf(':');
+        headers[line.slice(0, at).toLowerCase()] = line.slice(at + 1).trim();
+    });
+    const subject = headers.subject.replace(/^=\?UTF-8\?B\?(.*)\?=$/, (match, text) => (
+        Buffer.from(text, 'base64').toString('utf8')
+    ));
+    return { headers, subject, text: Buffer.from(body.replace(/\r\n/g, ''), 'base64').toString('utf8') };
+}
+
+function createSmtpMock() {
+    const messages = [];
+    const rejections = [];
+    const sockets = new Set();
+
+    const server = net.createServer(socket => {
+        sockets.add(socket);
+        socket.on('close', () => sockets.delete(socket));
+        socket.on('error', () => {});
+
+        const reply = line => socket.write(`${line}\r\n`);
+        let buffer = '';
+        let envelope = { to: [] };
+        let data = null;
+
+        reply('220 localhost ESMTP stand-in');
+        socket.on('data', chunk => {
+            buffer += chunk.toString('utf8');
+            let end;
+            while ((end = buffer.indexOf('\r\n')) !== -1) {
+                const line = buffer.slice(0, end);
+                buffer = buffer.slice(end + 2);
+
+                if (data !== null) {
+                    if (line === '.') {
+                        messages.push({ from: envelope.from, to: envelope.to, ...decodeMessage(data.join('\r\n')) });
+                        envelope = { to: [] };
+                        data = null;
+                        reply('250 OK queued');
+                    } else {
+                        data.push(line.replace(/^\.\./, '.'));
+                    }
+                    continue;
+                }
+
+                const command = line.slice(0, 4).toUpperCase();
+                if (command === 'EHLO') {
+                    socket.write('250-localhost\r\n250 AUTH PLAIN\r\n');
+                } else if (command === 'MAIL') {
+                    envelope.from = line.match(/<(.*)>/)[1];
+                    reply('250 OK');
+                } else if (command === 'RCPT') {
+                    if (rejections.length) {
+                        reply(`${rejections.shift()} Mailbox unavailable`);
+                    } else {
+                        envelope.to.push(line.match(/<(.*)>/)[1]);
+                        reply('250 OK');
+                    }
+                } else if (command === 'DATA') {
+                    data = [];
+                    reply('354 End data with <CR><LF>.<CR><LF>');
+                } else if (command === 'QUIT') {
+                    reply('221 Bye');
+                    socket.end();
+                } else {
+                    reply('502 Command not implemented');
+                }
+            }
+        });
+    });
+
+    return {
+        messages,
+
+        // Resolves with the port once listening
+        listen() {
+            return new Promise(resolve => server.listen(0, '127.0.0.1', () => resolve(server.address().port)));
+        },
+
+        rejectNext(code = 550) {
+            rejections.push(code);
+        },
+
+        close() {
+            sockets.forEach(socket => socket.destroy());
+            return new Promise(resolve => server.close(() => resolve()));
+        },
+    };
+}
+
+module.exports = { createSmtpMock };